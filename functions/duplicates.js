@@ -0,0 +1,368 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - DUPLICATE PROOF DETECTION
+ * =====================================================
+ *
+ * Every proof file is fingerprinted here, from its bytes in Cloud
+ * Storage - never from anything the browser says about the file:
+ *
+ *   sha256  exact hash of the uploaded file
+ *   dHash   64-bit perceptual hash of the picture (images only)
+ *
+ * Each upload gets a popFingerprints/{uploadId} doc (no image data, so
+ * lookups stay cheap), filled in by two triggers that may run in
+ * either order:
+ *
+ *   fingerprintProof  the file lands in the bucket: its hashes
+ *   checkSubmission   the submission is created: whose file it is
+ *
+ * Whichever finishes second finds both halves and compares every file
+ * of the submission with every earlier proof:
+ *
+ *   exact    same sha256 - the same file uploaded again
+ *   similar  dHash within SIMILAR_DISTANCE bits - a re-saved, resized
+ *            or re-photographed copy of the same slip
+ *
+ * Candidates for "similar" are found by splitting the dHash into
+ * BANDS byte-sized bands: two hashes at most SIMILAR_DISTANCE bits
+ * apart always share at least one band, so an array-contains-any query
+ * on the bands finds them without reading every fingerprint. Uploads
+ * that never became a submission are not matched.
+ *
+ * Matches are written to the submission as `duplicates` for officers
+ * to check in the POP viewer before approving. Nothing is rejected
+ * automatically - a rejected slip re-sent for the right month is a
+ * legitimate match.
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { ORIGINAL_PATTERN } = require("./proofs");
+
+// Must be below BANDS for the band search to find every match
+const SIMILAR_DISTANCE = 6;
+const BANDS = 8;
+
+// Matches kept on the submission, closest first
+const MAX_MATCHES = 5;
+
+// dHash grid: 9x8 greyscale pixels give 8x8 = 64 comparisons
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+async function writeAuditLog(action, entityId, performedBy, details) {
+  await admin.firestore().collection("auditLogs").add({
+    action: action,
+    entityType: "submission",
+    entityId: entityId,
+    details: details,
+    performedBy: performedBy,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    userAgent: "server",
+  });
+}
+
+/**
+ * Is this a 64-bit hex dHash?
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDHash(value) {
+  return typeof value === "string" && /^[0-9a-f]{16}$/.test(value);
+}
+
+/**
+ * Split a dHash into position-tagged bands ("0:a3", "1:ff", ...)
+ * @param {string} dHash
+ * @returns {string[]}
+ */
+function bandsFor(dHash) {
+  const width = dHash.length / BANDS;
+  return Array.from(
+    { length: BANDS },
+    (_, i) => `${i}:${dHash.substr(i * width, width)}`,
+  );
+}
+
+/**
+ * Number of differing bits between two dHashes
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  let bits = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      bits += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return bits;
+}
+
+/**
+ * Difference hash: shrink to 9x8 greyscale, then record whether each
+ * pixel is brighter than its right-hand neighbour
+ *
+ * @param {Buffer} buffer - Image file
+ * @returns {Promise<string>} 16 hex chars
+ */
+async function dHashOf(buffer) {
+  const { data, info } = await sharp(buffer)
+    .rotate() // as the picture is shown, not as the camera stored it
+    .flatten({ background: "#ffffff" })
+    // linear: sharper kernels ring at edges and flip neighbouring bits
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: "fill", kernel: "linear" })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const grey = [];
+  for (let i = 0; i < data.length; i += info.channels) {
+    grey.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  }
+
+  let hex = "";
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    // Two hex digits per row of 8 comparisons
+    let row = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = grey[y * HASH_WIDTH + x];
+      const right = grey[y * HASH_WIDTH + x + 1];
+      row = (row << 1) | (left > right ? 1 : 0);
+    }
+    hex += row.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+/**
+ * Upload folder of a stored original (proofs/{uploadId}/original.ext)
+ * @param {string} path
+ * @returns {string|null}
+ */
+function uploadIdOf(path) {
+  return ORIGINAL_PATTERN.test(path || "") ? path.split("/")[1] : null;
+}
+
+/**
+ * Upload folders of a submission's files in Cloud Storage
+ * @param {object} submission
+ * @returns {string[]}
+ */
+function uploadIdsOf(submission) {
+  return (submission.proofs || [])
+    .map((proof) => uploadIdOf(proof?.path))
+    .filter(Boolean);
+}
+
+/**
+ * Compare a fingerprint with the indexed ones
+ *
+ * @param {string} submissionId - Excluded from the results
+ * @param {string|null} sha256
+ * @param {string|null} dHash
+ * @returns {Promise<object[]>} Matches, exact first then closest
+ */
+async function findMatches(submissionId, sha256, dHash) {
+  const fingerprints = admin.firestore().collection("popFingerprints");
+
+  const [exactSnap, bandSnap] = await Promise.all([
+    sha256 ? fingerprints.where("sha256", "==", sha256).get() : null,
+    dHash
+      ? fingerprints.where("bands", "array-contains-any", bandsFor(dHash)).get()
+      : null,
+  ]);
+
+  const matches = [];
+
+  exactSnap?.forEach((doc) => {
+    matches.push({ ...doc.data(), match: "exact", distance: 0 });
+  });
+
+  bandSnap?.forEach((doc) => {
+    const data = doc.data();
+    if (!isDHash(data.dHash)) return;
+
+    const bits = distance(dHash, data.dHash);
+    if (bits <= SIMILAR_DISTANCE) {
+      matches.push({ ...data, match: "similar", distance: bits });
+    }
+  });
+
+  // Uploads not (yet) part of a submission, and our own files, don't count
+  return matches.filter(
+    (m) => m.submissionId && m.submissionId !== submissionId,
+  );
+}
+
+/**
+ * Compare every file of a submission once all of them are fingerprinted
+ * Runs from both triggers; only the first to find everything writes.
+ *
+ * @param {string} submissionId
+ */
+async function compareSubmission(submissionId) {
+  const firestore = admin.firestore();
+  const submissionRef = firestore.collection("submissions").doc(submissionId);
+
+  const snapshot = await submissionRef.get();
+  const submission = snapshot.data();
+  if (!submission || submission.status !== "pending") return;
+  if (submission.duplicateCheckedAt) return;
+
+  const uploadIds = uploadIdsOf(submission);
+  if (!uploadIds.length) return;
+
+  const fingerprintSnaps = await firestore.getAll(
+    ...uploadIds.map((id) => firestore.collection("popFingerprints").doc(id)),
+  );
+  // Still waiting for a file to be hashed
+  if (fingerprintSnaps.some((doc) => !doc.get("hashedAt"))) return;
+
+  const found = await Promise.all(
+    fingerprintSnaps.map((doc) => {
+      const sha256 = doc.get("sha256") || null;
+      const dHash = isDHash(doc.get("dHash")) ? doc.get("dHash") : null;
+      return findMatches(submissionId, sha256, dHash);
+    }),
+  );
+
+  // One entry per earlier submission, its closest file
+  const closest = new Map();
+  found.flat().forEach((m) => {
+    const seen = closest.get(m.submissionId);
+    if (!seen || m.distance < seen.distance) closest.set(m.submissionId, m);
+  });
+
+  const duplicates = [...closest.values()]
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_MATCHES)
+    .map((m) => ({
+      submissionId: m.submissionId,
+      reference: m.reference || null,
+      memberId: m.memberId || null,
+      phone: m.phone || null,
+      paymentMonth: m.paymentMonth || null,
+      match: m.match,
+      distance: m.distance,
+    }));
+
+  const written = await firestore.runTransaction(async (transaction) => {
+    const current = await transaction.get(submissionRef);
+    if (current.get("duplicateCheckedAt")) return false;
+
+    transaction.update(submissionRef, {
+      duplicates: duplicates,
+      duplicateCheckedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+
+  if (written && duplicates.length) {
+    await writeAuditLog("pop_duplicate_suspected", submissionId, "system", {
+      reference: submission.reference || null,
+      matches: duplicates.map((d) => ({
+        submissionId: d.submissionId,
+        reference: d.reference,
+        match: d.match,
+      })),
+    });
+    console.log(
+      `🔁 ${submission.reference}: ${duplicates.length} possible duplicate(s)`,
+    );
+  }
+}
+
+/**
+ * Hash a newly stored proof file
+ * Triggered on object finalize
+ *
+ * @param {object} object - Storage object metadata
+ */
+async function fingerprintProof(object) {
+  const uploadId = uploadIdOf(object.name);
+  if (!uploadId) return;
+
+  const bucket = admin.storage().bucket(object.bucket);
+  const [buffer] = await bucket.file(object.name).download();
+
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+
+  // A picture that can't be decoded still gets its exact hash
+  let dHash = null;
+  if ((object.contentType || "").startsWith("image/")) {
+    try {
+      dHash = await dHashOf(buffer);
+    } catch (error) {
+      console.warn(`⚠️ No dHash for ${object.name}: ${error.message}`);
+    }
+  }
+
+  const fingerprintRef = admin
+    .firestore()
+    .collection("popFingerprints")
+    .doc(uploadId);
+
+  await fingerprintRef.set(
+    {
+      path: object.name,
+      sha256: sha256,
+      dHash: dHash,
+      bands: dHash ? bandsFor(dHash) : [],
+      hashedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true },
+  );
+
+  // The submission may have been created while we were hashing
+  const submissionId = (await fingerprintRef.get()).get("submissionId");
+  if (submissionId) await compareSubmission(submissionId);
+}
+
+/**
+ * Tie a new submission's files to it and flag earlier copies of them
+ * Triggered on submission create
+ *
+ * @param {object} snapshot - Created submission document
+ */
+async function checkSubmission(snapshot) {
+  const submission = snapshot.data();
+
+  // Amendments are copies of an already-checked submission
+  if (submission.status !== "pending") return;
+
+  const uploadIds = uploadIdsOf(submission);
+  if (!uploadIds.length) return;
+
+  // Index first: of two copies sent at once, the later check sees the other
+  const firestore = admin.firestore();
+  const batch = firestore.batch();
+  uploadIds.forEach((uploadId) => {
+    batch.set(
+      firestore.collection("popFingerprints").doc(uploadId),
+      {
+        submissionId: snapshot.id,
+        reference: submission.reference || null,
+        memberId: submission.memberId || null,
+        phone: submission.phone || null,
+        paymentMonth: submission.paymentMonth || null,
+        submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true },
+    );
+  });
+  await batch.commit();
+
+  await compareSubmission(snapshot.id);
+}
+
+module.exports = {
+  fingerprintProof,
+  checkSubmission,
+};
@@ -0,0 +1,479 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - CLOUD FUNCTIONS
+ * =====================================================
+ *
+ * Server-side code that needs the Admin SDK.
+ *
+ * OFFICER MANAGEMENT (chairperson only):
+ * - inviteOfficer  Grant a role and return a password setup link
+ * - revokeOfficer  Remove a role and sign the officer out
+ *
+ * MEMBER IDENTITY (custom tokens, see members.js):
+ * - memberSignIn        Phone + password
+ * - registerMember      Create member record + first sign-in
+ * - requestPasswordOtp  SMS a reset code
+ * - verifyPasswordOtp   Sign in with the reset code
+ * - setMemberPassword   New password for the signed-in member
+ * - linkSubmission      Match guest POPs to members by phone, log each POP
+ * - auditLoanApplication Log members applying for or withdrawing loans
+ * - sendRegistrationSms Welcome SMS to the signed-in member's own phone
+ * - confirmSubmission   "POP received" SMS to the member a new submission is for
+ *
+ * DUPLICATE PROOFS (see duplicates.js):
+ * - fingerprintProof     Hash each uploaded POP file
+ * - checkDuplicateProof  Flag POPs whose file was submitted before
+ *
+ * LEDGER AND DASHBOARD TOTALS (see ledger.js):
+ * - projectLedgerEntry  Rework member and stokvel totals from the ledger
+ * - countSubmission     Submission counts in the Realtime DB
+ * - rebuildTotals       Work every total out again (officers)
+ *
+ * PROOF FILES (see proofs.js):
+ * - makeProofThumbnail  Thumbnail for each uploaded POP (image or PDF)
+ *
+ * SMS (credentials stay here, see sms.js and sms-queue.js):
+ * - sendSms            One templated message (officers)
+ * - sendBulkSms        Many templated messages (officers)
+ * - getSmsBalance      Provider credit balance (officers)
+ * - smsDeliveryReport  Provider delivery-report webhook
+ * - retrySmsQueue      Retry failed messages with backoff
+ *
+ * PAYMENT REMINDERS (see reminders.js):
+ * - previewReminders    Recipients + cost estimate (officers)
+ * - sendReminders       Send a previewed run (officers)
+ * - scheduledReminders  Daily run when autoSend is on
+ *
+ * MONTH CLOSE (see month-close.js):
+ * - closeMonth          Rebuild skip/streak counters, apply 3-month rule
+ * - reinstateMember     Lift a suspension (officers)
+ * - scheduledMonthClose 1st of each month, closes the previous month
+ *
+ * FINANCIAL RULES (see rules.js):
+ * - saveRules  Schedule a new rules version (chairperson only)
+ *
+ * STATEMENTS (see statements.js):
+ * - issueStatement   Statement figures + verification code (member or officer)
+ * - verifyStatement  Look a statement up by its code (officers)
+ *
+ * =====================================================
+ */
+
+const {
+  onCall,
+  onRequest,
+  HttpsError,
+} = require("firebase-functions/v2/https");
+const {
+  onDocumentCreated,
+  onDocumentWritten,
+} = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onObjectFinalized } = require("firebase-functions/v2/storage");
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const officers = require("./officers");
+const members = require("./members");
+const sms = require("./sms");
+const smsQueue = require("./sms-queue");
+const reminders = require("./reminders");
+const monthClose = require("./month-close");
+const rules = require("./rules");
+const duplicates = require("./duplicates");
+const proofs = require("./proofs");
+const statements = require("./statements");
+const ledger = require("./ledger");
+
+/**
+ * Only the chairperson may manage officers and rules
+ * @param {object} request - Callable request
+ * @param {string} action - For the error message
+ */
+async function requireChairperson(request, action = "manage officers") {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in first");
+  }
+  if ((await officers.activeRole(request.auth)) !== "chairperson") {
+    throw new HttpsError(
+      "permission-denied",
+      `Only the chairperson can ${action}`,
+    );
+  }
+}
+
+/**
+ * Active officer required (any role)
+ * @param {object} request - Callable request
+ */
+async function requireOfficer(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in first");
+  }
+  if (!(await officers.activeRole(request.auth))) {
+    throw new HttpsError("permission-denied", "Officer access required");
+  }
+}
+
+// ==========================================
+// OFFICER MANAGEMENT
+// ==========================================
+
+exports.inviteOfficer = onCall(async (request) => {
+  await requireChairperson(request);
+
+  try {
+    return await officers.grantOfficerRole(request.data || {}, request.auth.uid);
+  } catch (error) {
+    console.error("Invite officer error:", error);
+    throw new HttpsError("invalid-argument", error.message);
+  }
+});
+
+exports.revokeOfficer = onCall(async (request) => {
+  await requireChairperson(request);
+
+  const uid = request.data?.uid;
+  if (uid === request.auth.uid) {
+    throw new HttpsError(
+      "failed-precondition",
+      "You cannot revoke your own access",
+    );
+  }
+
+  try {
+    await officers.revokeOfficerRole(uid, request.auth.uid);
+    return { uid };
+  } catch (error) {
+    console.error("Revoke officer error:", error);
+    throw new HttpsError("invalid-argument", error.message);
+  }
+});
+
+// ==========================================
+// MEMBER IDENTITY
+// ==========================================
+
+/**
+ * Run a member operation, mapping MemberError codes to HttpsError
+ * @param {function} operation
+ */
+async function memberCall(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof members.MemberError) {
+      throw new HttpsError(error.code, error.message);
+    }
+    console.error("Member function error:", error);
+    throw new HttpsError("internal", "Something went wrong. Please try again.");
+  }
+}
+
+exports.memberSignIn = onCall((request) =>
+  memberCall(() =>
+    members.signInWithPassword(request.data?.phone, request.data?.password),
+  ),
+);
+
+exports.registerMember = onCall((request) =>
+  memberCall(() => members.registerMember(request.data || {})),
+);
+
+exports.requestPasswordOtp = onCall((request) =>
+  memberCall(async () => {
+    await members.requestOtp(request.data?.phone);
+    return { sent: true };
+  }),
+);
+
+exports.verifyPasswordOtp = onCall((request) =>
+  memberCall(() => members.verifyOtp(request.data?.phone, request.data?.otp)),
+);
+
+exports.setMemberPassword = onCall((request) =>
+  memberCall(() =>
+    members.setPassword(
+      request.auth?.token?.memberId || null,
+      request.data?.password,
+    ),
+  ),
+);
+
+exports.linkSubmission = onDocumentCreated(
+  "submissions/{submissionId}",
+  (event) => members.linkSubmission(event.data),
+);
+
+exports.auditLoanApplication = onDocumentWritten(
+  "loans/{loanId}",
+  (event) => members.auditLoanApplication(event.data),
+);
+
+exports.sendRegistrationSms = onCall((request) =>
+  memberCall(() =>
+    members.sendRegistrationSms(request.auth?.token?.memberId || null),
+  ),
+);
+
+exports.confirmSubmission = onDocumentCreated(
+  "submissions/{submissionId}",
+  (event) => members.confirmSubmission(event.data),
+);
+
+// ==========================================
+// DUPLICATE PROOFS
+// ==========================================
+
+exports.fingerprintProof = onObjectFinalized({ memory: "512MiB" }, (event) =>
+  duplicates.fingerprintProof(event.data),
+);
+
+exports.checkDuplicateProof = onDocumentCreated(
+  "submissions/{submissionId}",
+  (event) => duplicates.checkSubmission(event.data),
+);
+
+// ==========================================
+// LEDGER AND DASHBOARD TOTALS
+// ==========================================
+
+exports.projectLedgerEntry = onDocumentCreated(
+  "ledgerEntries/{entryId}",
+  (event) => ledger.onEntryPosted(event.data),
+);
+
+exports.countSubmission = onDocumentWritten(
+  "submissions/{submissionId}",
+  (event) => ledger.countSubmission(event.data),
+);
+
+exports.rebuildTotals = onCall(async (request) => {
+  await requireOfficer(request);
+  return ledger.rebuildTotals(request.data?.memberId || null);
+});
+
+// ==========================================
+// PROOF FILES
+// ==========================================
+
+exports.makeProofThumbnail = onObjectFinalized({ memory: "512MiB" }, (event) =>
+  proofs.makeThumbnail(event.data),
+);
+
+// ==========================================
+// SMS
+// ==========================================
+
+/**
+ * Run an SMS operation, mapping SmsError codes to HttpsError
+ * @param {function} operation
+ */
+async function smsCall(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof sms.SmsError) {
+      throw new HttpsError(error.code, error.message);
+    }
+    console.error("SMS function error:", error);
+    throw new HttpsError("internal", "SMS could not be sent");
+  }
+}
+
+exports.sendSms = onCall(async (request) => {
+  await requireOfficer(request);
+
+  const { template, params, phone } = request.data || {};
+  if (sms.SYSTEM_TEMPLATES.includes(template)) {
+    throw new HttpsError("permission-denied", "Template is server-only");
+  }
+
+  return smsCall(() =>
+    smsQueue.sendTemplate({
+      phone,
+      template,
+      params: params || {},
+      requestedBy: request.auth.uid,
+    }),
+  );
+});
+
+exports.sendBulkSms = onCall(async (request) => {
+  await requireOfficer(request);
+
+  const messages = request.data?.messages;
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new HttpsError("invalid-argument", "No messages to send");
+  }
+  if (messages.length > 500) {
+    throw new HttpsError("invalid-argument", "At most 500 messages per call");
+  }
+  if (messages.some((m) => sms.SYSTEM_TEMPLATES.includes(m.template))) {
+    throw new HttpsError("permission-denied", "Template is server-only");
+  }
+
+  return smsCall(() => smsQueue.sendBulk(messages, request.auth.uid));
+});
+
+exports.getSmsBalance = onCall(async (request) => {
+  await requireOfficer(request);
+  return smsCall(() => sms.getBalance());
+});
+
+// Providers post receipts to
+//   .../smsDeliveryReport?provider=<adapter>&token=<SMS_WEBHOOK_TOKEN>
+exports.smsDeliveryReport = onRequest(async (req, res) => {
+  const token = process.env.SMS_WEBHOOK_TOKEN;
+  if (!token || req.query.token !== token) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+  if (req.method !== "POST") {
+    res.status(405).send("Method not allowed");
+    return;
+  }
+
+  try {
+    res.json(await smsQueue.handleDeliveryReport(req.query.provider, req.body));
+  } catch (error) {
+    if (error instanceof sms.SmsError) {
+      res.status(400).send(error.message);
+      return;
+    }
+    console.error("Delivery report error:", error);
+    res.status(500).send("Could not process report");
+  }
+});
+
+exports.retrySmsQueue = onSchedule("every 5 minutes", () =>
+  smsQueue.retryDue(),
+);
+
+// ==========================================
+// PAYMENT REMINDERS
+// ==========================================
+
+exports.previewReminders = onCall(async (request) => {
+  await requireOfficer(request);
+  return smsCall(() =>
+    reminders.previewRun(request.data?.template, request.data?.month),
+  );
+});
+
+exports.sendReminders = onCall(async (request) => {
+  await requireOfficer(request);
+  return smsCall(() =>
+    reminders.sendRun(
+      request.data?.template,
+      request.data?.month,
+      request.auth.uid,
+    ),
+  );
+});
+
+exports.scheduledReminders = onSchedule(
+  { schedule: "every day 09:00", timeZone: "Africa/Johannesburg" },
+  () => reminders.runScheduled(),
+);
+
+// ==========================================
+// MONTH CLOSE
+// ==========================================
+
+exports.closeMonth = onCall(async (request) => {
+  await requireOfficer(request);
+  return memberCall(() =>
+    monthClose.closeMonth(request.data?.month || null, request.auth.uid),
+  );
+});
+
+exports.reinstateMember = onCall(async (request) => {
+  await requireOfficer(request);
+  return memberCall(() =>
+    monthClose.reinstateMember(
+      request.data?.memberId,
+      request.data?.reason,
+      request.auth.uid,
+    ),
+  );
+});
+
+exports.scheduledMonthClose = onSchedule(
+  { schedule: "0 2 1 * *", timeZone: "Africa/Johannesburg" },
+  () => monthClose.closeMonth(null, "scheduler"),
+);
+
+// ==========================================
+// FINANCIAL RULES
+// ==========================================
+
+exports.saveRules = onCall(async (request) => {
+  await requireChairperson(request, "change the rules");
+  try {
+    return await rules.saveVersion(
+      request.data?.rules,
+      request.data?.effectiveFrom,
+      request.data?.note,
+      request.auth.uid,
+    );
+  } catch (error) {
+    if (error instanceof rules.RulesError) {
+      throw new HttpsError(error.code, error.message);
+    }
+    console.error("Save rules error:", error);
+    throw new HttpsError("internal", "Rules could not be saved");
+  }
+});
+
+// ==========================================
+// STATEMENTS
+// ==========================================
+
+/**
+ * Run a statement operation, mapping StatementError codes to HttpsError
+ * @param {function} operation
+ */
+async function statementCall(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof statements.StatementError) {
+      throw new HttpsError(error.code, error.message);
+    }
+    console.error("Statement function error:", error);
+    throw new HttpsError("internal", "Statement could not be produced");
+  }
+}
+
+exports.issueStatement = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in first");
+  }
+
+  // Members get their own statement; officers may ask for anyone's
+  const isOfficer = Boolean(await officers.activeRole(request.auth));
+  const memberId = isOfficer
+    ? request.data?.memberId || request.auth.token.memberId
+    : request.auth.token.memberId;
+  if (!memberId) {
+    throw new HttpsError("permission-denied", "Sign in as a member first");
+  }
+
+  return statementCall(() =>
+    statements.issueStatement(
+      memberId,
+      request.data?.from,
+      request.data?.to,
+      request.auth.uid,
+    ),
+  );
+});
+
+exports.verifyStatement = onCall(async (request) => {
+  await requireOfficer(request);
+  return statementCall(() =>
+    statements.verifyStatement(request.data?.code, request.auth.uid),
+  );
+});
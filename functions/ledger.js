@@ -0,0 +1,591 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - TOTALS FROM THE LEDGER
+ * =====================================================
+ *
+ * Officers post entries from the browser (js/ledger.js); firestore.rules
+ * checks that every entry's lines add up and use known accounts. The
+ * figures built from those entries are worked out here, whenever one
+ * is posted:
+ *
+ *   members/{id}          totalSavings, totalFines, totalInterest,
+ *                         qualifiesForInterest, ledgerEntryCount
+ *                         (from all their entries, in a transaction)
+ *   stokvel/members/{id}  the same
+ *   stokvel/totals        savings, fines, loans, rotations, pool income
+ *                         and expenses (each entry added on)
+ *   stokvel/interestPool/{year}, stokvel/monthly/{year}/{month}
+ *
+ * Submission counts in the Realtime DB follow submission statuses
+ * (countSubmission). The browser can't write any of these
+ * (database.rules.json), so neither two officers working at the same
+ * time nor a visitor can push the dashboard out of step with the
+ * ledger. rebuildTotals works everything out again from scratch.
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const rules = require("./rules");
+
+const MEMBER_PREFIX = "member:";
+const FINES_PREFIX = "fines:";
+const INTEREST_PREFIX = "interest:";
+const LOAN_PREFIX = "loan:";
+const ROTATION_PREFIX = "rotation:";
+const SUSPENSE = "suspense";
+
+// Realtime DB counter for each submission status
+const STATUS_TOTALS = {
+  pending: "pendingSubmissions",
+  verified: "approvedSubmissions",
+  rejected: "rejectedSubmissions",
+  reversed: "reversedSubmissions",
+};
+const STATUS_MEMBER_COUNTS = {
+  pending: "pendingCount",
+  verified: "verifiedCount",
+};
+
+// Pool transaction entry IDs are `${transactionId}_${type}` (js/ledger.js)
+const POOL_ENTRY_PATTERN = /_(income|expense)$/;
+
+function toAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * A member's totals from their ledger entries
+ * Same figures as Ledger.projectMember in the browser
+ *
+ * @param {object[]} entries - Entry data with memberId == memberId
+ * @param {string} memberId
+ * @returns {{totalSavings: number, totalFines: number, totalInterest: number}}
+ */
+function projectMember(entries, memberId) {
+  const account = `${MEMBER_PREFIX}${memberId}`;
+  let totalSavings = 0;
+  let totalFines = 0;
+  let totalInterest = 0;
+
+  entries.forEach((entry) => {
+    (entry.lines || []).forEach((line) => {
+      const change = (line.credit || 0) - (line.debit || 0);
+      if (line.account === account) {
+        totalSavings += change;
+        if (entry.type === "interest") totalInterest += change;
+      }
+      // Interest payouts draw on the fines accounts but aren't fines paid
+      if (line.account.startsWith(FINES_PREFIX) && entry.type !== "interest") {
+        totalFines += change;
+      }
+    });
+  });
+
+  return {
+    totalSavings: toAmount(totalSavings),
+    totalFines: toAmount(totalFines),
+    totalInterest: toAmount(totalInterest),
+  };
+}
+
+/**
+ * Year a payment month ("March 2025") counts towards
+ * Same as Database.extractYearFromMonth in the browser
+ *
+ * @param {string} paymentMonth
+ * @returns {number}
+ */
+function yearOf(paymentMonth) {
+  const match = String(paymentMonth || "").match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : new Date().getFullYear();
+}
+
+/**
+ * The entries posted when a submission is approved
+ * Same entries as Ledger.approvalEntries in the browser; used to put
+ * payments approved before the ledger existed onto it
+ * (scripts/migrate-schema.js).
+ *
+ * @param {object} submission - Canonical submission with id
+ * @param {string} postedBy - Officer uid
+ * @returns {Array<{id: string, data: object}>}
+ */
+function approvalEntries(submission, postedBy) {
+  const amount = toAmount(submission.amount);
+  const fineAmount = toAmount(submission.fineAmount);
+  const year = yearOf(submission.paymentMonth);
+
+  // Rotation contributions are held for the pot, not saved; guest
+  // submissions have no member account yet
+  const savingsAccount = submission.rotationId
+    ? `${ROTATION_PREFIX}${submission.rotationId}`
+    : submission.memberId
+      ? `${MEMBER_PREFIX}${submission.memberId}`
+      : SUSPENSE;
+
+  const entry = (type, memo, lines) => {
+    const total = toAmount(lines.reduce((sum, line) => sum + line.debit, 0));
+    return {
+      id: `${submission.id}_${type}`,
+      data: {
+        type: type,
+        submissionId: submission.id,
+        memberId: submission.memberId || null,
+        reference: submission.reference || null,
+        paymentMonth: submission.paymentMonth || null,
+        year: year,
+        lines: lines,
+        accounts: [...new Set(lines.map((line) => line.account))],
+        totalDebit: total,
+        totalCredit: total,
+        memo: memo,
+        reversesEntryId: null,
+        postedBy: postedBy,
+      },
+    };
+  };
+
+  const entries = [
+    entry(
+      "contribution",
+      submission.rotationId
+        ? `Rotation contribution for ${submission.paymentMonth}`
+        : `Contribution for ${submission.paymentMonth}`,
+      [
+        { account: "pool", debit: amount, credit: 0 },
+        { account: savingsAccount, debit: 0, credit: amount },
+      ],
+    ),
+  ];
+
+  if (fineAmount > 0) {
+    entries.push(
+      entry("fine", `Late fine for ${submission.paymentMonth}`, [
+        { account: "pool", debit: fineAmount, credit: 0 },
+        { account: `${FINES_PREFIX}${year}`, debit: 0, credit: fineAmount },
+      ]),
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * What an entry adds to the Realtime DB dashboard figures
+ * Paths are under stokvel/. A reversal takes its original's figures
+ * back out.
+ *
+ * @param {object} entry - Entry data
+ * @param {object} [context] - {original: the entry a reversal undoes,
+ *   category: poolTransactions category of an income or expense}
+ * @returns {Object<string, number>} Path -> amount to add
+ */
+function stokvelChanges(entry, context = {}) {
+  if (entry.type === "reversal") {
+    if (!context.original) return {};
+    const changes = stokvelChanges(context.original, context);
+    Object.keys(changes).forEach((path) => {
+      changes[path] = toAmount(-changes[path]);
+    });
+    return changes;
+  }
+
+  const changes = {};
+  const add = (path, amount) => {
+    if (!amount) return;
+    changes[path] = toAmount((changes[path] || 0) + amount);
+  };
+  // Credits less debits on every account starting with prefix
+  const credited = (prefix) =>
+    (entry.lines || []).reduce(
+      (sum, line) =>
+        line.account.startsWith(prefix)
+          ? sum + (line.credit || 0) - (line.debit || 0)
+          : sum,
+      0,
+    );
+
+  const pool = `interestPool/${entry.year}`;
+  const monthName = String(entry.paymentMonth || "").split(" ")[0] || "Unknown";
+  const monthly = `monthly/${entry.year}/${monthName}`;
+
+  switch (entry.type) {
+    case "contribution": {
+      // Guest payments sit in suspense but are still savings
+      const saved = credited(MEMBER_PREFIX) + credited(SUSPENSE);
+      const held = credited(ROTATION_PREFIX);
+      add("totals/totalSavings", saved);
+      add("totals/rotationContributions", held);
+      add(`${monthly}/totalCollected`, saved + held);
+      add(`${monthly}/approvedCount`, 1);
+      break;
+    }
+    case "fine": {
+      const fine = credited(FINES_PREFIX);
+      add("totals/totalFines", fine);
+      add(`${pool}/totalFines`, fine);
+      add(`${pool}/fineCount`, 1);
+      add(`${monthly}/totalCollected`, fine);
+      add(`${monthly}/finesCollected`, fine);
+      add(`${monthly}/latePayments`, 1);
+      break;
+    }
+    case "interest": {
+      const paid = credited(MEMBER_PREFIX);
+      add("totals/totalSavings", paid);
+      add("totals/interestPaid", paid);
+      add(`${pool}/distributedAmount`, paid);
+      break;
+    }
+    case "income":
+    case "expense": {
+      if (!context.category) break;
+      const amount = entry.totalDebit || 0;
+      ["totals", pool].forEach((base) => {
+        add(`${base}/${context.category}`, amount);
+        if (entry.type === "expense") add(`${base}/expenses`, amount);
+      });
+      break;
+    }
+    case "loan":
+      add("totals/loansOutstanding", -credited(LOAN_PREFIX));
+      break;
+    case "repayment": {
+      const interest = credited(INTEREST_PREFIX);
+      add("totals/loansOutstanding", -credited(LOAN_PREFIX));
+      add("totals/loanInterest", interest);
+      add(`${pool}/loanInterest`, interest);
+      break;
+    }
+    case "payout":
+      add("totals/rotationPayouts", -credited(ROTATION_PREFIX));
+      break;
+  }
+
+  return changes;
+}
+
+/**
+ * Category of the pool transaction behind an income or expense entry
+ * @param {string} entryId
+ * @returns {Promise<string|null>}
+ */
+async function poolCategory(entryId) {
+  if (!POOL_ENTRY_PATTERN.test(entryId)) return null;
+  const transaction = await admin
+    .firestore()
+    .collection("poolTransactions")
+    .doc(entryId.replace(POOL_ENTRY_PATTERN, ""))
+    .get();
+  return transaction.exists ? transaction.data().category : null;
+}
+
+/**
+ * Rework a member's totals from all of their ledger entries
+ *
+ * Triggers run concurrently and finish in any order, so the entries
+ * are read and the member written in one transaction: if another
+ * entry's run updates the member first, this one starts again with
+ * the newer entries. The Realtime DB copy keeps the entry count it was
+ * worked out from and is never replaced by one built from fewer.
+ *
+ * @param {string} memberId
+ */
+async function projectMemberTotals(memberId) {
+  const firestore = admin.firestore();
+  const memberRef = firestore.collection("members").doc(memberId);
+  const { interestEligibilityMin } = await rules.current();
+
+  const projected = await firestore.runTransaction(async (tx) => {
+    const [member, entries] = await Promise.all([
+      tx.get(memberRef),
+      tx.get(
+        firestore.collection("ledgerEntries").where("memberId", "==", memberId),
+      ),
+    ]);
+    if (!member.exists) return null;
+
+    const totals = projectMember(
+      entries.docs.map((doc) => doc.data()),
+      memberId,
+    );
+    const result = {
+      ...totals,
+      qualifiesForInterest: totals.totalSavings >= interestEligibilityMin,
+      ledgerEntryCount: entries.size,
+    };
+
+    tx.update(memberRef, {
+      ...result,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return result;
+  });
+  if (!projected) return;
+
+  await admin
+    .database()
+    .ref(`stokvel/members/${memberId}`)
+    .transaction((current) => {
+      // A later run already wrote totals from more entries
+      if ((current?.ledgerEntryCount || 0) > projected.ledgerEntryCount) {
+        return undefined;
+      }
+      return {
+        ...current,
+        ...projected,
+        lastUpdated: admin.database.ServerValue.TIMESTAMP,
+      };
+    });
+
+  console.log(`📒 ${memberId} totals from ledger: R${projected.totalSavings}`);
+}
+
+/**
+ * Add an entry's figures to the Realtime DB dashboard totals
+ * @param {object} snapshot - The new ledgerEntries document
+ */
+async function addToStokvelTotals(snapshot) {
+  const entry = snapshot.data();
+  const context = {};
+
+  let source = { id: snapshot.id, type: entry.type };
+  if (entry.type === "reversal" && entry.reversesEntryId) {
+    const original = await admin
+      .firestore()
+      .collection("ledgerEntries")
+      .doc(entry.reversesEntryId)
+      .get();
+    if (!original.exists) return;
+    context.original = original.data();
+    source = { id: original.id, type: context.original.type };
+  }
+  if (source.type === "income" || source.type === "expense") {
+    context.category = await poolCategory(source.id);
+  }
+
+  const changes = stokvelChanges(entry, context);
+  if (!Object.keys(changes).length) return;
+
+  await admin.database().ref("stokvel").update(incrementsFor(changes));
+}
+
+/**
+ * Realtime DB update that adds each change and stamps its parent
+ * @param {Object<string, number>} changes - Path -> amount to add
+ * @returns {object}
+ */
+function incrementsFor(changes) {
+  const update = {};
+  Object.entries(changes).forEach(([path, amount]) => {
+    update[path] = admin.database.ServerValue.increment(amount);
+    const parent = path.slice(0, path.lastIndexOf("/"));
+    update[`${parent}/lastUpdated`] = admin.database.ServerValue.TIMESTAMP;
+  });
+  return update;
+}
+
+/**
+ * Bring the member and stokvel totals up to date after an entry is posted
+ * @param {object} snapshot - The new ledgerEntries document
+ */
+async function onEntryPosted(snapshot) {
+  const entry = snapshot?.data();
+  if (!entry) return;
+
+  if (entry.memberId) await projectMemberTotals(entry.memberId);
+  await addToStokvelTotals(snapshot);
+}
+
+/**
+ * What a submission counts for on the Realtime DB dashboard
+ * Paths are under stokvel/
+ *
+ * @param {object|null} submission - Submission data
+ * @returns {Object<string, number>} Path -> count
+ */
+function submissionCounts(submission) {
+  if (!submission) return {};
+
+  const counts = { "totals/totalSubmissions": 1 };
+  const total = STATUS_TOTALS[submission.status];
+  if (total) counts[`totals/${total}`] = 1;
+
+  if (submission.memberId) {
+    const member = `members/${submission.memberId}`;
+    counts[`${member}/submissionCount`] = 1;
+    const count = STATUS_MEMBER_COUNTS[submission.status];
+    if (count) counts[`${member}/${count}`] = 1;
+  }
+
+  return counts;
+}
+
+/**
+ * Move a submission between the Realtime DB counters
+ * Covers new submissions, guests being linked to a member and every
+ * status change (approve, reject, reverse).
+ *
+ * @param {object} change - {before, after} submission snapshots
+ */
+async function countSubmission(change) {
+  const before = change.before.exists ? change.before.data() : null;
+  const after = change.after.exists ? change.after.data() : null;
+
+  const changes = submissionCounts(after);
+  Object.entries(submissionCounts(before)).forEach(([path, count]) => {
+    changes[path] = (changes[path] || 0) - count;
+  });
+  Object.keys(changes).forEach((path) => {
+    if (!changes[path]) delete changes[path];
+  });
+
+  const update = incrementsFor(changes);
+  // Loan repayments aren't contributions
+  if (
+    after?.memberId &&
+    after.status === "verified" &&
+    before?.status !== "verified" &&
+    !after.loanId
+  ) {
+    update[`members/${after.memberId}/lastPaymentMonth`] =
+      after.paymentMonth || null;
+  }
+  if (!Object.keys(update).length) return;
+
+  await admin.database().ref("stokvel").update(update);
+}
+
+/**
+ * Work every total out again from the ledger and submissions
+ * For when the Realtime DB has drifted (see js/reconciliation.js).
+ * With a memberId, only that member is reworked.
+ *
+ * @param {string|null} memberId
+ * @returns {Promise<object>} {members, totals}
+ */
+async function rebuildTotals(memberId) {
+  const firestore = admin.firestore();
+
+  if (memberId) {
+    await rebuildMember(memberId);
+    return { members: 1, totals: null };
+  }
+
+  const [members, entries, submissions, transactions] = await Promise.all([
+    firestore.collection("members").get(),
+    firestore.collection("ledgerEntries").get(),
+    firestore.collection("submissions").get(),
+    firestore.collection("poolTransactions").get(),
+  ]);
+
+  for (const member of members.docs) {
+    await rebuildMember(member.id);
+  }
+
+  const byId = new Map(entries.docs.map((doc) => [doc.id, doc.data()]));
+  const categories = new Map(
+    transactions.docs.map((doc) => [doc.id, doc.data().category]),
+  );
+
+  const sums = { "totals/totalMembers": members.size };
+  const addAll = (changes) => {
+    Object.entries(changes).forEach(([path, amount]) => {
+      sums[path] = toAmount((sums[path] || 0) + amount);
+    });
+  };
+
+  entries.docs.forEach((doc) => {
+    const entry = doc.data();
+    const sourceId =
+      entry.type === "reversal" ? entry.reversesEntryId : doc.id;
+    addAll(
+      stokvelChanges(entry, {
+        original: byId.get(sourceId),
+        category: categories.get(String(sourceId).replace(POOL_ENTRY_PATTERN, "")),
+      }),
+    );
+  });
+  submissions.docs.forEach((doc) => {
+    // Member counts were set above
+    const counts = submissionCounts(doc.data());
+    Object.keys(counts).forEach((path) => {
+      if (!path.startsWith("totals/")) delete counts[path];
+    });
+    addAll(counts);
+  });
+
+  // Whole subtrees are replaced, so nothing stale is left behind
+  const stokvel = {};
+  Object.entries(sums).forEach(([path, amount]) => {
+    const keys = path.split("/");
+    let node = stokvel;
+    keys.slice(0, -1).forEach((key) => {
+      node[key] = node[key] || {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = amount;
+  });
+  stokvel.totals.lastUpdated = admin.database.ServerValue.TIMESTAMP;
+
+  await admin.database().ref("stokvel").update({
+    totals: stokvel.totals,
+    interestPool: stokvel.interestPool || null,
+    monthly: stokvel.monthly || null,
+  });
+
+  console.log(`🔄 Rebuilt totals for ${members.size} members`);
+  return { members: members.size, totals: stokvel.totals };
+}
+
+/**
+ * Rework one member's money from the ledger and counts from submissions
+ * @param {string} memberId
+ */
+async function rebuildMember(memberId) {
+  const firestore = admin.firestore();
+
+  await projectMemberTotals(memberId);
+
+  const submissions = await firestore
+    .collection("submissions")
+    .where("memberId", "==", memberId)
+    .get();
+
+  const counts = { verified: 0, pending: 0, rejected: 0, reversed: 0 };
+  const realtime = { submissionCount: 0, verifiedCount: 0, pendingCount: 0 };
+  submissions.docs.forEach((doc) => {
+    const submission = doc.data();
+    if (counts[submission.status] !== undefined) counts[submission.status]++;
+
+    const prefix = `members/${memberId}/`;
+    Object.entries(submissionCounts(submission)).forEach(([path, count]) => {
+      if (path.startsWith(prefix)) realtime[path.slice(prefix.length)] += count;
+    });
+  });
+
+  await firestore.collection("members").doc(memberId).update({
+    submissionCount: submissions.size,
+    verifiedCount: counts.verified,
+    pendingCount: counts.pending,
+    rejectedCount: counts.rejected,
+    reversedCount: counts.reversed,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  await admin.database().ref(`stokvel/members/${memberId}`).update({
+    ...realtime,
+    lastUpdated: admin.database.ServerValue.TIMESTAMP,
+  });
+}
+
+module.exports = {
+  projectMember,
+  approvalEntries,
+  stokvelChanges,
+  submissionCounts,
+  onEntryPosted,
+  countSubmission,
+  rebuildTotals,
+};
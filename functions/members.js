@@ -0,0 +1,681 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - MEMBER IDENTITY
+ * =====================================================
+ *
+ * Members sign in with phone + password (or an SMS code). Checking the
+ * password needs a lookup across all members, which firestore.rules no
+ * longer allows from the browser, so it happens here with the Admin SDK.
+ *
+ * On success the member gets a Firebase custom token:
+ *   uid    = members/{id}.uid (assigned on first sign-in)
+ *   claims = { memberId }
+ * and firestore.rules limit them to their own documents.
+ *
+ * =====================================================
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { SmsError, formatPhoneNumber } = require("./sms");
+const { sendTemplate } = require("./sms-queue");
+const { keyFor } = require("./months");
+
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCK_MINUTES = 15;
+const OTP_EXPIRY_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 3;
+const OTP_RESEND_SECONDS = 60;
+
+// Submission references from Database.generateSubmissionRef()
+const REFERENCE_PATTERN = /^TRF-\d+$/;
+
+/**
+ * Error with a callable error code attached
+ * index.js turns these into HttpsError
+ */
+class MemberError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * SHA-256 hex; passwords and OTPs are only ever hashed here
+ * @param {string} value
+ * @returns {string}
+ */
+function hashPassword(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+/**
+ * Strip spaces and dashes (matches the client)
+ * @param {string} phone
+ * @returns {string}
+ */
+function normalizePhone(phone) {
+  return String(phone || "").replace(/[\s-]/g, "");
+}
+
+async function findMemberBy(field, value) {
+  const snapshot = await admin
+    .firestore()
+    .collection("members")
+    .where(field, "==", value)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) return null;
+  const doc = snapshot.docs[0];
+  return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * The member a submission belongs to
+ * Members submit with their own memberId (firestore.rules); guests are
+ * matched by the phone they typed.
+ *
+ * @param {object} submission - Submission data
+ * @returns {Promise<object|null>} Member with id, or null for a guest
+ *   who isn't a member
+ */
+async function findMemberFor(submission) {
+  if (!submission.memberId) {
+    return findMemberBy("phone", normalizePhone(submission.phone));
+  }
+
+  const snap = await admin
+    .firestore()
+    .collection("members")
+    .doc(submission.memberId)
+    .get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+/**
+ * Custom token for a member, assigning their Auth uid on first use
+ *
+ * @param {object} member - Member with id
+ * @returns {Promise<string>} Custom token
+ */
+async function mintMemberToken(member) {
+  let uid = member.uid;
+
+  if (!uid) {
+    uid = `member_${member.id}`;
+    await admin.firestore().collection("members").doc(member.id).update({
+      uid: uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  return admin.auth().createCustomToken(uid, { memberId: member.id });
+}
+
+async function writeAuditLog(
+  action,
+  entityId,
+  performedBy,
+  details,
+  entityType = "member",
+) {
+  await admin.firestore().collection("auditLogs").add({
+    action: action,
+    entityType: entityType,
+    entityId: entityId,
+    details: details,
+    performedBy: performedBy,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    userAgent: "server",
+  });
+}
+
+// ==========================================
+// SIGN IN
+// ==========================================
+
+/**
+ * Check phone + password and return a custom token
+ * Locks the account for a while after repeated failures
+ *
+ * @param {string} phone
+ * @param {string} password
+ * @returns {Promise<object>} {token, memberId}
+ */
+async function signInWithPassword(phone, password) {
+  const normalizedPhone = normalizePhone(phone);
+  const member = await findMemberBy("phone", normalizedPhone);
+
+  if (!member) {
+    throw new MemberError(
+      "not-found",
+      "Phone number not registered. Please register first.",
+    );
+  }
+
+  const memberRef = admin.firestore().collection("members").doc(member.id);
+  const lockedUntil = member.loginLockedUntil?.toDate?.();
+  if (lockedUntil && lockedUntil > new Date()) {
+    throw new MemberError(
+      "resource-exhausted",
+      "Too many failed attempts. Try again later or reset your password.",
+    );
+  }
+
+  if (member.passwordHash !== hashPassword(password)) {
+    const failures = (member.loginFailures || 0) + 1;
+    await memberRef.update({
+      loginFailures: failures >= MAX_LOGIN_FAILURES ? 0 : failures,
+      loginLockedUntil:
+        failures >= MAX_LOGIN_FAILURES
+          ? admin.firestore.Timestamp.fromMillis(
+              Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000,
+            )
+          : null,
+    });
+    throw new MemberError(
+      "permission-denied",
+      "Incorrect password. Please try again.",
+    );
+  }
+
+  await memberRef.update({
+    loginFailures: 0,
+    loginLockedUntil: null,
+    lastLogin: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  await writeAuditLog("member_login", member.id, member.id, {
+    phone: normalizedPhone,
+  });
+
+  return { token: await mintMemberToken(member), memberId: member.id };
+}
+
+// ==========================================
+// REGISTRATION
+// ==========================================
+
+/**
+ * Register a new member
+ * Same record shape as the old client-side Database.registerMember
+ *
+ * @param {object} data - Registration form data
+ * @returns {Promise<object>} {memberId, memberRef, token}
+ */
+async function registerMember(data) {
+  const name = String(data.name || "").trim();
+  const surname = String(data.surname || "").trim();
+  const normalizedPhone = normalizePhone(data.phone);
+  const idNumber = String(data.idNumber || "").trim();
+
+  if (!name) throw new MemberError("invalid-argument", "Name is required");
+  if (!/^0\d{9}$/.test(normalizedPhone)) {
+    throw new MemberError("invalid-argument", "Invalid phone number");
+  }
+  if (!/^\d{13}$/.test(idNumber)) {
+    throw new MemberError("invalid-argument", "Invalid ID number");
+  }
+  if (!data.password || data.password.length < 6) {
+    throw new MemberError(
+      "invalid-argument",
+      "Password must be at least 6 characters",
+    );
+  }
+
+  if (await findMemberBy("phone", normalizedPhone)) {
+    throw new MemberError(
+      "already-exists",
+      "This phone number is already registered.",
+    );
+  }
+  if (await findMemberBy("idNumber", idNumber)) {
+    throw new MemberError(
+      "already-exists",
+      "This ID number is already registered.",
+    );
+  }
+
+  // Member reference (TRF-MXXXX) from the shared Realtime DB counter
+  const counter = await admin
+    .database()
+    .ref("stokvel/counters/memberNumber")
+    .transaction((current) => (current || 1000) + 1);
+  const memberRef = `TRF-M${counter.snapshot.val()}`;
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const docRef = admin.firestore().collection("members").doc();
+  const fullName = `${name} ${surname}`.trim();
+
+  await docRef.set({
+    // Personal Information
+    name: name,
+    surname: surname,
+    fullName: fullName,
+    dateOfBirth: data.dateOfBirth || null,
+    idNumber: idNumber,
+    phone: normalizedPhone,
+    email: String(data.email || "").trim().toLowerCase(),
+
+    // Authentication
+    passwordHash: hashPassword(data.password),
+    uid: `member_${docRef.id}`,
+
+    // Reference & Status
+    memberRef: memberRef,
+    status: "active",
+    registrationComplete: false,
+
+    // Financial Summary (initialized to 0)
+    totalSavings: 0,
+    totalFines: 0,
+    submissionCount: 0,
+    verifiedCount: 0,
+    pendingCount: 0,
+    rejectedCount: 0,
+    reversedCount: 0,
+
+    // Tracking
+    skippedMonths: 0,
+    consecutiveMonths: 0,
+    lastPaymentDate: null,
+    lastPaymentMonth: null,
+
+    // Interest Eligibility
+    qualifiesForInterest: false,
+
+    // Notifications
+    reminderOptOut: false,
+
+    // Audit Fields
+    createdAt: now,
+    updatedAt: now,
+    createdBy: "registration",
+  });
+
+  // No phone number: the Realtime DB is only for dashboard figures
+  await admin.database().ref(`stokvel/members/${docRef.id}`).set({
+    name: fullName,
+    memberRef: memberRef,
+    totalSavings: 0,
+    totalFines: 0,
+    submissionCount: 0,
+    verifiedCount: 0,
+    pendingCount: 0,
+    qualifiesForInterest: false,
+    lastUpdated: admin.database.ServerValue.TIMESTAMP,
+  });
+  await admin.database().ref("stokvel/totals").update({
+    totalMembers: admin.database.ServerValue.increment(1),
+    lastUpdated: admin.database.ServerValue.TIMESTAMP,
+  });
+
+  await writeAuditLog("member_registered", docRef.id, "system", {
+    memberRef: memberRef,
+    name: fullName,
+    phone: normalizedPhone,
+  });
+
+  const token = await admin
+    .auth()
+    .createCustomToken(`member_${docRef.id}`, { memberId: docRef.id });
+
+  return { memberId: docRef.id, memberRef: memberRef, token: token };
+}
+
+// ==========================================
+// PASSWORD RESET OTP
+// ==========================================
+
+/**
+ * Generate an OTP and send it by SMS
+ * Only a hash of the code is stored; otpCodes is closed to clients
+ *
+ * @param {string} phone
+ */
+async function requestOtp(phone) {
+  const member = await findMemberBy("phone", normalizePhone(phone));
+  if (!member) {
+    throw new MemberError("not-found", "Phone number not registered");
+  }
+
+  const otpRef = admin
+    .firestore()
+    .collection("otpCodes")
+    .doc(formatPhoneNumber(member.phone));
+  const existing = await otpRef.get();
+  const lastSent = existing.exists
+    ? existing.data().createdAt?.toMillis?.() || 0
+    : 0;
+  if (Date.now() - lastSent < OTP_RESEND_SECONDS * 1000) {
+    throw new MemberError(
+      "resource-exhausted",
+      "Please wait a minute before requesting another code",
+    );
+  }
+
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+  await otpRef.set({
+    otpHash: hashPassword(otp),
+    memberId: member.id,
+    createdAt: admin.firestore.Timestamp.now(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(
+      Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000,
+    ),
+    used: false,
+    attempts: 0,
+  });
+
+  try {
+    await sendTemplate({
+      phone: member.phone,
+      template: "passwordReset",
+      params: { otp },
+      requestedBy: "system",
+    });
+  } catch (error) {
+    await otpRef.delete();
+    if (error.code === "resource-exhausted") {
+      throw new MemberError(error.code, error.message);
+    }
+    throw new MemberError(
+      "unavailable",
+      "Failed to send code. Please try again.",
+    );
+  }
+}
+
+/**
+ * Check an OTP and sign the member in
+ * The member can then change their own password
+ *
+ * @param {string} phone
+ * @param {string} otp
+ * @returns {Promise<object>} {token, memberId}
+ */
+async function verifyOtp(phone, otp) {
+  const formattedPhone = formatPhoneNumber(normalizePhone(phone));
+  if (!formattedPhone) {
+    throw new MemberError("invalid-argument", "Invalid phone number");
+  }
+
+  const otpRef = admin.firestore().collection("otpCodes").doc(formattedPhone);
+
+  const memberId = await admin.firestore().runTransaction(async (tx) => {
+    const snap = await tx.get(otpRef);
+    if (!snap.exists) return null;
+
+    const data = snap.data();
+    if (
+      data.used ||
+      data.attempts >= OTP_MAX_ATTEMPTS ||
+      data.expiresAt.toMillis() < Date.now()
+    ) {
+      tx.delete(otpRef);
+      return null;
+    }
+
+    if (data.otpHash !== hashPassword(String(otp))) {
+      tx.update(otpRef, {
+        attempts: admin.firestore.FieldValue.increment(1),
+      });
+      return null;
+    }
+
+    tx.update(otpRef, {
+      used: true,
+      usedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return data.memberId;
+  });
+
+  if (!memberId) {
+    throw new MemberError("permission-denied", "Invalid or expired code");
+  }
+
+  const memberSnap = await admin
+    .firestore()
+    .collection("members")
+    .doc(memberId)
+    .get();
+  const member = { id: memberSnap.id, ...memberSnap.data() };
+
+  await writeAuditLog("member_otp_login", member.id, member.id, {});
+
+  return { token: await mintMemberToken(member), memberId: member.id };
+}
+
+/**
+ * Set a new password for the signed-in member
+ * Hashed here: security rules don't let members write passwordHash
+ *
+ * @param {string} memberId - From the caller's token
+ * @param {string} password
+ */
+async function setPassword(memberId, password) {
+  if (!memberId) {
+    throw new MemberError("permission-denied", "Sign in first");
+  }
+  if (!password || String(password).length < 6) {
+    throw new MemberError(
+      "invalid-argument",
+      "Password must be at least 6 characters",
+    );
+  }
+
+  await admin
+    .firestore()
+    .collection("members")
+    .doc(memberId)
+    .update({
+      passwordHash: hashPassword(password),
+      loginFailures: 0,
+      loginLockedUntil: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+  await writeAuditLog("password_reset", memberId, memberId, {});
+}
+
+// ==========================================
+// SUBMISSION LINKING
+// ==========================================
+
+/**
+ * Link a new submission to its member and bump their counts
+ * Guests (not signed in) submit without a memberId; they are matched
+ * by phone here because the browser can no longer search members.
+ *
+ * @param {object} snapshot - Created submission document
+ */
+async function linkSubmission(snapshot) {
+  const submission = snapshot.data();
+  let memberId = submission.memberId;
+
+  // Amendments are created verified by an officer and already counted
+  if (submission.status !== "pending") return;
+
+  if (!memberId) {
+    const member = await findMemberFor(submission);
+    memberId = member?.id || null;
+
+    if (member) {
+      await snapshot.ref.update({
+        memberId: member.id,
+        memberRef: member.memberRef || null,
+      });
+    }
+  }
+
+  // Logged here because only officers add audit logs from the browser
+  await writeAuditLog(
+    "pop_submitted",
+    snapshot.id,
+    memberId || "guest",
+    {
+      reference: submission.reference || null,
+      amount: submission.amount,
+      fineAmount: submission.fineAmount || 0,
+      paymentMonth: submission.paymentMonth || null,
+      isLate: Boolean(submission.isLate),
+      memberId: memberId,
+      loanId: submission.loanId || null,
+      rotationId: submission.rotationId || null,
+    },
+    "submission",
+  );
+
+  if (!memberId) return;
+
+  await admin
+    .firestore()
+    .collection("members")
+    .doc(memberId)
+    .update({
+      submissionCount: admin.firestore.FieldValue.increment(1),
+      pendingCount: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+  // The Realtime DB counts follow from memberId (ledger.countSubmission)
+}
+
+// ==========================================
+// LOAN APPLICATIONS
+// ==========================================
+
+/**
+ * Log a member applying for, or withdrawing, a loan
+ * Officers log their own decisions from the browser (js/loans.js).
+ *
+ * @param {object} change - {before, after} loan snapshots
+ */
+async function auditLoanApplication(change) {
+  const before = change.before.exists ? change.before.data() : null;
+  const after = change.after.exists ? change.after.data() : null;
+  if (!after) return;
+
+  let action = null;
+  if (!before && after.status === "applied") action = "loan_applied";
+  if (before?.status === "applied" && after.status === "cancelled") {
+    action = "loan_cancelled";
+  }
+  if (!action) return;
+
+  await writeAuditLog(
+    action,
+    change.after.id,
+    after.memberId,
+    { memberId: after.memberId, amount: after.amount, months: after.months },
+    "loan",
+  );
+}
+
+// ==========================================
+// CONFIRMATION SMS
+// ==========================================
+
+/**
+ * Text a newly registered member their welcome message
+ * The number and details come from their own member document, so the
+ * browser can't use this to text anyone else.
+ *
+ * @param {string|null} memberId - From the caller's token
+ * @returns {Promise<object>} {success, queueId, status}
+ */
+async function sendRegistrationSms(memberId) {
+  if (!memberId) {
+    throw new MemberError("permission-denied", "Sign in as a member first");
+  }
+
+  const snap = await admin.firestore().collection("members").doc(memberId).get();
+  if (!snap.exists) throw new MemberError("not-found", "Member not found");
+  const member = snap.data();
+
+  try {
+    return await sendTemplate({
+      phone: member.phone,
+      template: "registration",
+      params: {
+        name: String(member.name || "").split(" ")[0],
+        memberRef: member.memberRef,
+      },
+      requestedBy: memberId,
+    });
+  } catch (error) {
+    if (error instanceof SmsError) {
+      throw new MemberError(error.code, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Confirm a new submission to the member it belongs to
+ * Only members get one, at the phone and name on their member
+ * document; what the submitter typed is never texted anywhere. Guests
+ * who aren't members get nothing.
+ *
+ * @param {object} snapshot - Created submission document
+ */
+async function confirmSubmission(snapshot) {
+  const submission = snapshot.data();
+
+  // Amendments are created verified by an officer, not submitted
+  if (submission.status !== "pending") return;
+
+  const member = await findMemberFor(submission);
+  if (!member) return;
+
+  // The rest of the text comes from the submission, so only send it
+  // when it looks like one of ours
+  if (
+    !REFERENCE_PATTERN.test(submission.reference || "") ||
+    !keyFor(submission.paymentMonth)
+  ) {
+    console.warn(
+      `⚠️ No confirmation SMS for submission ${snapshot.id}: unexpected details`,
+    );
+    return;
+  }
+
+  try {
+    await sendTemplate({
+      phone: member.phone,
+      template: "popSubmitted",
+      params: {
+        name: String(member.name || "").split(" ")[0],
+        amount: Number(submission.amount),
+        month: submission.paymentMonth,
+        reference: submission.reference,
+      },
+      requestedBy: "system",
+    });
+  } catch (error) {
+    // Queued for retry by sms-queue.js where it can be; never fatal
+    console.warn(
+      `⚠️ No confirmation SMS for ${submission.reference}: ${error.message}`,
+    );
+  }
+}
+
+module.exports = {
+  MemberError,
+  hashPassword,
+  signInWithPassword,
+  registerMember,
+  requestOtp,
+  verifyOtp,
+  setPassword,
+  linkSubmission,
+  auditLoanApplication,
+  sendRegistrationSms,
+  confirmSubmission,
+};
@@ -0,0 +1,406 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - MONTH CLOSE
+ * =====================================================
+ *
+ * Once a month has ended, every member's verified payments are
+ * checked month by month (from the month they joined) and their
+ * counters are rebuilt from scratch:
+ *
+ * - skippedMonths       consecutive unpaid months up to the closed month
+ * - consecutiveMonths   consecutive paid months up to the closed month
+ * - totalSkippedMonths  every unpaid month since joining
+ *
+ * A month counts as paid when its verified contributions reach the
+ * minimum deposit in force for that month (see rules.js). Status then
+ * follows the skipped-months rule of the month being closed
+ * (defaults shown):
+ *
+ *   active ──2 skipped──> warning ──3 skipped──> suspended
+ *     ^                      |                       |
+ *     └───────pays up────────┘                       |
+ *     └────────────officer reinstates────────────────┘
+ *
+ * Status changes send an SMS and write an audit log. Counters are
+ * recomputed rather than incremented, so closing the same month again
+ * (e.g. after approving a late POP) is safe and never re-notifies.
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const { MemberError } = require("./members");
+const {
+  saDate,
+  labelFor,
+  dayKeyFor,
+  parseLabel,
+  keyFor,
+  addMonths,
+} = require("./months");
+const rules = require("./rules");
+const smsQueue = require("./sms-queue");
+
+// Members in any other status (e.g. "inactive") are left alone
+const TRACKED_STATUSES = ["active", "warning", "suspended"];
+
+const STATUS_TEMPLATES = {
+  warning: "accountWarning",
+  suspended: "accountSuspended",
+};
+
+async function writeAuditLog(action, entityId, performedBy, details) {
+  await admin.firestore().collection("auditLogs").add({
+    action: action,
+    entityType: "member",
+    entityId: entityId,
+    details: details,
+    performedBy: performedBy,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    userAgent: "server",
+  });
+}
+
+/**
+ * First month a member owes: the month they joined if they joined by
+ * that month's due day, otherwise the month after
+ *
+ * @param {object} member
+ * @param {object[]} versions - Rule versions (rules.getVersions)
+ * @returns {string|null} Month label
+ */
+function firstOwedMonth(member, versions) {
+  const joined = member.createdAt?.toDate?.();
+  if (!joined) return null;
+
+  const local = saDate(joined);
+  const label = labelFor(local);
+  return rules.isLate(dayKeyFor(local), label, rules.forMonth(versions, label))
+    ? addMonths(label, 1)
+    : label;
+}
+
+/**
+ * Rebuild a member's counters
+ *
+ * @param {Set<string>} paidKeys - Month keys ("2025-03") that met the minimum
+ * @param {string} firstMonth - First owed month label
+ * @param {string} closeMonth - Month being closed
+ * @param {string|null} skipCountFrom - Skips before this month are
+ *   forgiven (set on reinstatement)
+ * @returns {object} {skippedMonths, consecutiveMonths, totalSkippedMonths}
+ */
+function computeCounters(paidKeys, firstMonth, closeMonth, skipCountFrom) {
+  const counters = {
+    skippedMonths: 0,
+    consecutiveMonths: 0,
+    totalSkippedMonths: 0,
+  };
+  if (!firstMonth) return counters;
+
+  const closeKey = keyFor(closeMonth);
+  const forgivenBefore = keyFor(skipCountFrom) || "";
+
+  for (
+    let month = firstMonth;
+    keyFor(month) <= closeKey;
+    month = addMonths(month, 1)
+  ) {
+    const key = keyFor(month);
+
+    if (paidKeys.has(key)) {
+      counters.consecutiveMonths++;
+      counters.skippedMonths = 0;
+    } else {
+      counters.consecutiveMonths = 0;
+      counters.totalSkippedMonths++;
+      if (key >= forgivenBefore) counters.skippedMonths++;
+    }
+  }
+
+  return counters;
+}
+
+/**
+ * Status after a close
+ * Suspension is only lifted by an officer
+ *
+ * @param {string} current
+ * @param {number} skippedMonths
+ * @param {object} monthRules - Rules for the month being closed
+ * @returns {string}
+ */
+function nextStatus(current, skippedMonths, monthRules) {
+  if (current === "suspended") return "suspended";
+  if (skippedMonths >= monthRules.suspendAfterSkipped) return "suspended";
+  if (skippedMonths >= monthRules.warningAfterSkipped) return "warning";
+  return "active";
+}
+
+/**
+ * SMS a member about a status change (failures are logged, not thrown)
+ *
+ * @param {object} member
+ * @param {string} template
+ * @param {object} params
+ * @param {string} requestedBy
+ */
+async function notify(member, template, params, requestedBy) {
+  try {
+    await smsQueue.sendTemplate({
+      phone: member.phone,
+      template,
+      params: { name: member.name || "Member", ...params },
+      requestedBy,
+    });
+  } catch (error) {
+    console.warn(`${template} SMS failed for ${member.id}:`, error.message);
+  }
+}
+
+/**
+ * Close a month: rebuild every member's counters and move statuses
+ *
+ * @param {string|null} month - Label to close; defaults to last month
+ * @param {string} performedBy - Officer uid or "scheduler"
+ * @returns {Promise<object>} Summary {month, members, active, warning, suspended, changes}
+ */
+async function closeMonth(month, performedBy) {
+  const currentMonth = labelFor(saDate());
+  const closing = month || addMonths(currentMonth, -1);
+
+  if (!parseLabel(closing)) {
+    throw new MemberError(
+      "invalid-argument",
+      "Month must look like 'March 2025'",
+    );
+  }
+  const closeKey = keyFor(closing);
+  if (closeKey >= keyFor(currentMonth)) {
+    throw new MemberError(
+      "failed-precondition",
+      "That month has not ended yet",
+    );
+  }
+
+  const firestore = admin.firestore();
+
+  // Rewinding to an earlier month would undo later counters
+  const latest = await firestore
+    .collection("monthCloses")
+    .orderBy("monthKey", "desc")
+    .limit(1)
+    .get();
+  if (!latest.empty && latest.docs[0].data().monthKey > closeKey) {
+    throw new MemberError(
+      "failed-precondition",
+      `${latest.docs[0].data().month} has already been closed`,
+    );
+  }
+
+  const [versions, membersSnap, verifiedSnap] = await Promise.all([
+    rules.getVersions(),
+    firestore.collection("members").get(),
+    firestore.collection("submissions").where("status", "==", "verified").get(),
+  ]);
+
+  // memberId -> month key -> verified amount
+  const contributions = new Map();
+  verifiedSnap.forEach((doc) => {
+    const submission = doc.data();
+    const key = keyFor(submission.paymentMonth);
+    // Loan repayments and rotation contributions aren't savings
+    if (!submission.memberId || !key) return;
+    if (submission.loanId || submission.rotationId) return;
+
+    if (!contributions.has(submission.memberId)) {
+      contributions.set(submission.memberId, new Map());
+    }
+    const months = contributions.get(submission.memberId);
+    months.set(key, (months.get(key) || 0) + (Number(submission.amount) || 0));
+  });
+
+  const closingRules = rules.forMonth(versions, closing);
+  const summary = {
+    month: closing,
+    members: 0,
+    active: 0,
+    warning: 0,
+    suspended: 0,
+    changes: [],
+  };
+  const changed = [];
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  let batch = firestore.batch();
+  let batchSize = 0;
+
+  for (const doc of membersSnap.docs) {
+    const member = { id: doc.id, ...doc.data() };
+    const currentStatus = member.status || "active";
+    if (!TRACKED_STATUSES.includes(currentStatus)) continue;
+
+    const paidKeys = new Set(
+      [...(contributions.get(member.id) || new Map())]
+        .filter(
+          ([key, amount]) =>
+            amount >= rules.forMonth(versions, key).minimumDeposit,
+        )
+        .map(([key]) => key),
+    );
+    const counters = computeCounters(
+      paidKeys,
+      firstOwedMonth(member, versions),
+      closing,
+      member.skipCountFrom || null,
+    );
+    const status = nextStatus(
+      currentStatus,
+      counters.skippedMonths,
+      closingRules,
+    );
+
+    const update = {
+      ...counters,
+      status,
+      lastClosedMonth: closing,
+      updatedAt: now,
+    };
+    if (status !== currentStatus) {
+      update.previousStatus = currentStatus;
+      update.statusChangedAt = now;
+      changed.push({ member, from: currentStatus, to: status, counters });
+      summary.changes.push({
+        memberId: member.id,
+        from: currentStatus,
+        to: status,
+      });
+    }
+
+    batch.update(doc.ref, update);
+    summary.members++;
+    summary[status]++;
+
+    if (++batchSize === 400) {
+      await batch.commit();
+      batch = firestore.batch();
+      batchSize = 0;
+    }
+  }
+  if (batchSize > 0) await batch.commit();
+
+  for (const { member, from, to, counters } of changed) {
+    await writeAuditLog("member_status_changed", member.id, performedBy, {
+      from,
+      to,
+      month: closing,
+      skippedMonths: counters.skippedMonths,
+    });
+
+    if (STATUS_TEMPLATES[to]) {
+      await notify(
+        member,
+        STATUS_TEMPLATES[to],
+        {
+          skipped: counters.skippedMonths,
+          suspendAfter: closingRules.suspendAfterSkipped,
+        },
+        performedBy,
+      );
+    }
+  }
+
+  await firestore
+    .collection("monthCloses")
+    .doc(closeKey)
+    .set({
+      month: closing,
+      monthKey: closeKey,
+      members: summary.members,
+      active: summary.active,
+      warning: summary.warning,
+      suspended: summary.suspended,
+      changes: summary.changes,
+      closedBy: performedBy,
+      closedAt: now,
+    });
+
+  await writeAuditLog("month_closed", closeKey, performedBy, {
+    month: closing,
+    members: summary.members,
+    statusChanges: summary.changes.length,
+  });
+
+  console.log(
+    `📅 Closed ${closing}: ${summary.active} active, ` +
+      `${summary.warning} warning, ${summary.suspended} suspended`,
+  );
+  return summary;
+}
+
+/**
+ * Lift a suspension
+ * Skips before the next unclosed month are forgiven, so the member
+ * isn't suspended again at the next close
+ *
+ * @param {string} memberId
+ * @param {string} reason - Required, kept on the member and in the audit log
+ * @param {string} performedBy - Officer uid
+ * @returns {Promise<object>} {memberId, skipCountFrom}
+ */
+async function reinstateMember(memberId, reason, performedBy) {
+  const cleanReason = String(reason || "").trim();
+  if (!cleanReason) {
+    throw new MemberError("invalid-argument", "A reason is required");
+  }
+
+  const ref = admin.firestore().collection("members").doc(String(memberId));
+
+  const { member, skipCountFrom } = await admin
+    .firestore()
+    .runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) throw new MemberError("not-found", "Member not found");
+
+      const data = { id: snap.id, ...snap.data() };
+      if (data.status !== "suspended") {
+        throw new MemberError(
+          "failed-precondition",
+          "Member is not suspended",
+        );
+      }
+
+      const fromMonth = data.lastClosedMonth
+        ? addMonths(data.lastClosedMonth, 1)
+        : labelFor(saDate());
+
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      tx.update(ref, {
+        status: "active",
+        previousStatus: "suspended",
+        statusChangedAt: now,
+        skippedMonths: 0,
+        skipCountFrom: fromMonth,
+        reinstatedAt: now,
+        reinstatedBy: performedBy,
+        reinstatementReason: cleanReason,
+        updatedAt: now,
+      });
+
+      return { member: data, skipCountFrom: fromMonth };
+    });
+
+  await writeAuditLog("member_reinstated", memberId, performedBy, {
+    reason: cleanReason,
+    skippedMonths: member.skippedMonths || 0,
+    skipCountFrom,
+  });
+
+  await notify(member, "accountReinstated", {}, performedBy);
+
+  return { memberId: member.id, skipCountFrom };
+}
+
+module.exports = {
+  closeMonth,
+  reinstateMember,
+};
@@ -0,0 +1,88 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - PAYMENT MONTHS
+ * =====================================================
+ *
+ * Submissions label months as "March 2025" (Utils.getCurrentPaymentMonth
+ * on the client). These helpers convert between that label, a sortable
+ * key ("2025-03"), day keys ("2025-03-07") and South African calendar
+ * dates.
+ *
+ * =====================================================
+ */
+
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+/**
+ * Shift to South African time (UTC+2, no daylight saving) so the
+ * UTC getters return the local date
+ * @param {Date} date
+ * @returns {Date}
+ */
+function saDate(date = new Date()) {
+  return new Date(date.getTime() + 2 * 60 * 60 * 1000);
+}
+
+/**
+ * Month label for a date shifted by saDate
+ * @param {Date} date
+ * @returns {string} e.g. "March 2025"
+ */
+function labelFor(date) {
+  return `${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Day key for a date shifted by saDate
+ * @param {Date} date
+ * @returns {string} e.g. "2025-03-07"
+ */
+function dayKeyFor(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a month label
+ * @param {string} label - e.g. "March 2025"
+ * @returns {object|null} {year, month} with month 0-11
+ */
+function parseLabel(label) {
+  const match = /^([A-Z][a-z]+) (\d{4})$/.exec(String(label || "").trim());
+  if (!match || !MONTHS.includes(match[1])) return null;
+  return { year: Number(match[2]), month: MONTHS.indexOf(match[1]) };
+}
+
+/**
+ * Sortable key ("2025-03") for a label, or null if unparseable
+ * @param {string} label
+ * @returns {string|null}
+ */
+function keyFor(label) {
+  const parsed = parseLabel(label);
+  if (!parsed) return null;
+  return `${parsed.year}-${String(parsed.month + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Label a given number of months after another
+ * @param {string} label
+ * @param {number} offset - May be negative
+ * @returns {string}
+ */
+function addMonths(label, offset) {
+  const { year, month } = parseLabel(label);
+  return labelFor(new Date(Date.UTC(year, month + offset, 1)));
+}
+
+module.exports = {
+  MONTHS,
+  saDate,
+  labelFor,
+  dayKeyFor,
+  parseLabel,
+  keyFor,
+  addMonths,
+};
@@ -0,0 +1,167 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - OFFICER ROLES
+ * =====================================================
+ *
+ * Officer identities are Firebase Auth users with custom claims:
+ *   { role: "chairperson" | "secretary" | "treasurer", level: 3 | 2 }
+ *
+ * firestore.rules reads these claims, so only code running with the
+ * Admin SDK (Cloud Functions, bootstrap script) can grant or revoke them.
+ *
+ * Each officer also has an `officers/{uid}` document so the admin
+ * dashboard can list who has access.
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+
+const OFFICER_ROLES = {
+  chairperson: { name: "Chairperson", level: 3 },
+  secretary: { name: "Secretary", level: 2 },
+  treasurer: { name: "Treasurer", level: 2 },
+};
+
+/**
+ * Grant an officer role to an email address
+ * Creates the Auth user if they don't exist yet
+ *
+ * @param {object} invite - {email, name, role}
+ * @param {string} invitedBy - uid of the chairperson (or "bootstrap")
+ * @returns {Promise<object>} {uid, email, role, level, setupLink}
+ */
+async function grantOfficerRole(invite, invitedBy) {
+  const email = String(invite.email || "").trim().toLowerCase();
+  const name = String(invite.name || "").trim();
+  const roleInfo = OFFICER_ROLES[invite.role];
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new Error("A valid email address is required");
+  }
+  if (!name) {
+    throw new Error("Officer name is required");
+  }
+  if (!roleInfo) {
+    throw new Error(`Unknown role: ${invite.role}`);
+  }
+
+  let user;
+  try {
+    user = await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code !== "auth/user-not-found") throw error;
+    user = await admin.auth().createUser({ email, displayName: name });
+  }
+
+  await admin.auth().setCustomUserClaims(user.uid, {
+    role: invite.role,
+    level: roleInfo.level,
+  });
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await admin.firestore().collection("officers").doc(user.uid).set(
+    {
+      uid: user.uid,
+      email: email,
+      name: name,
+      role: invite.role,
+      roleName: roleInfo.name,
+      level: roleInfo.level,
+      status: "active",
+      invitedBy: invitedBy,
+      invitedAt: now,
+      revokedAt: null,
+      revokedBy: null,
+      updatedAt: now,
+    },
+    { merge: true },
+  );
+
+  // The officer sets their own password through this link
+  const setupLink = await admin.auth().generatePasswordResetLink(email);
+
+  await writeAuditLog("officer_invited", user.uid, invitedBy, {
+    email: email,
+    name: name,
+    role: invite.role,
+  });
+
+  return {
+    uid: user.uid,
+    email: email,
+    role: invite.role,
+    level: roleInfo.level,
+    setupLink: setupLink,
+  };
+}
+
+/**
+ * Remove an officer's role and sign them out everywhere
+ *
+ * @param {string} uid - Officer uid
+ * @param {string} revokedBy - uid of the chairperson
+ */
+async function revokeOfficerRole(uid, revokedBy) {
+  if (!uid) throw new Error("Officer uid is required");
+
+  await admin.auth().setCustomUserClaims(uid, null);
+  // No new ID tokens; one already issued keeps its role claim until it
+  // expires (up to an hour). The rules and activeRole() also require an
+  // active officers doc, so marking it revoked below cuts access at once.
+  await admin.auth().revokeRefreshTokens(uid);
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await admin.firestore().collection("officers").doc(uid).set(
+    {
+      status: "revoked",
+      revokedAt: now,
+      revokedBy: revokedBy,
+      updatedAt: now,
+    },
+    { merge: true },
+  );
+
+  await writeAuditLog("officer_revoked", uid, revokedBy, {});
+}
+
+/**
+ * Officer role of a callable's caller, or null
+ * The role claim alone isn't enough: a revoked officer's ID token keeps
+ * it until it expires, so their officers doc must still be active (the
+ * same test as isAdmin() in firestore.rules).
+ *
+ * @param {object|undefined} auth - request.auth of a callable
+ * @returns {Promise<string|null>}
+ */
+async function activeRole(auth) {
+  const role = auth?.token?.role;
+  if (!OFFICER_ROLES[role]) return null;
+
+  const snap = await admin.firestore().collection("officers").doc(auth.uid).get();
+  return snap.exists && snap.data().status === "active" ? role : null;
+}
+
+/**
+ * Write to the shared auditLogs collection
+ * Same shape as Database.createAuditLog on the client
+ */
+async function writeAuditLog(action, entityId, performedBy, details) {
+  await admin.firestore().collection("auditLogs").add({
+    action: action,
+    entityType: "officer",
+    entityId: entityId,
+    details: details,
+    performedBy: performedBy,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    userAgent: "server",
+  });
+}
+
+module.exports = {
+  OFFICER_ROLES,
+  grantOfficerRole,
+  revokeOfficerRole,
+  activeRole,
+  writeAuditLog,
+};
@@ -0,0 +1,155 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - PROOF FILES
+ * =====================================================
+ *
+ * Proof of payment files live in Cloud Storage (js/storage.js):
+ *
+ *   proofs/{uploadId}/original.{ext}  the file as uploaded
+ *   proofs/{uploadId}/thumb.jpg       THUMBNAIL_SIZE px JPEG for lists
+ *
+ * makeThumbnail() runs when an original lands in the bucket, whether
+ * from the submit page or from scripts/migrate-proofs.js. Images are
+ * scaled with sharp; PDFs have their first page rendered with pdf.js
+ * first. Files that can't be decoded get no thumbnail and the admin
+ * list shows an icon for them instead.
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const path = require("path");
+const sharp = require("sharp");
+const { createCanvas } = require("@napi-rs/canvas");
+
+const PROOF_FOLDER = "proofs";
+const THUMBNAIL_NAME = "thumb.jpg";
+const THUMBNAIL_SIZE = 320;
+
+const ORIGINAL_PATTERN = /^proofs\/[^/]+\/original\.[a-z0-9]+$/i;
+
+// Fonts pdf.js falls back to for PDFs that don't embed theirs
+const PDF_FONTS =
+  path.join(
+    path.dirname(require.resolve("pdfjs-dist/package.json")),
+    "standard_fonts",
+  ) + path.sep;
+
+/**
+ * Storage paths for one upload
+ * @param {string} uploadId
+ * @param {string} extension - Without the dot
+ * @returns {{path: string, thumbnailPath: string}}
+ */
+function proofPaths(uploadId, extension) {
+  const folder = `${PROOF_FOLDER}/${uploadId}`;
+  return {
+    path: `${folder}/original.${extension.toLowerCase()}`,
+    thumbnailPath: `${folder}/${THUMBNAIL_NAME}`,
+  };
+}
+
+/**
+ * Metadata that lets the client SDK hand out a download URL
+ * (getDownloadURL needs a token on the object)
+ *
+ * @param {string} contentType
+ * @param {object} custom - Extra custom metadata
+ * @returns {object} Options for File.save()
+ */
+function fileOptions(contentType, custom = {}) {
+  return {
+    contentType: contentType,
+    metadata: {
+      cacheControl: "private, max-age=86400",
+      metadata: {
+        ...custom,
+        firebaseStorageDownloadTokens: crypto.randomUUID(),
+      },
+    },
+  };
+}
+
+/**
+ * Render the first page of a PDF
+ * @param {Buffer} buffer - PDF file
+ * @returns {Promise<Buffer>} PNG, about twice THUMBNAIL_SIZE on its long side
+ */
+async function renderFirstPage(buffer) {
+  // pdf.js only ships as an ES module
+  const pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    standardFontDataUrl: PDF_FONTS,
+  }).promise;
+
+  try {
+    const page = await pdf.getPage(1);
+    const size = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({
+      scale: (THUMBNAIL_SIZE * 2) / Math.max(size.width, size.height),
+    });
+
+    const canvas = createCanvas(
+      Math.ceil(viewport.width),
+      Math.ceil(viewport.height),
+    );
+    await page.render({ canvasContext: canvas.getContext("2d"), viewport })
+      .promise;
+    return canvas.toBuffer("image/png");
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Write the thumbnail for a newly stored original
+ * Triggered on object finalize
+ *
+ * @param {object} object - Storage object metadata
+ */
+async function makeThumbnail(object) {
+  if (!ORIGINAL_PATTERN.test(object.name || "")) return;
+
+  const contentType = object.contentType || "";
+  const isPDF = contentType === "application/pdf";
+  if (!isPDF && !contentType.startsWith("image/")) return;
+
+  const bucket = admin.storage().bucket(object.bucket);
+  const [buffer] = await bucket.file(object.name).download();
+
+  let thumbnail;
+  try {
+    const picture = isPDF ? await renderFirstPage(buffer) : buffer;
+    thumbnail = await sharp(picture)
+      .rotate() // apply EXIF orientation before the metadata is dropped
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  } catch (error) {
+    console.warn(`⚠️ No thumbnail for ${object.name}: ${error.message}`);
+    return;
+  }
+
+  const thumbnailPath = object.name.replace(/original\.[^/]+$/, THUMBNAIL_NAME);
+  await bucket
+    .file(thumbnailPath)
+    .save(thumbnail, fileOptions("image/jpeg", { source: object.name }));
+
+  console.log(`🖼️ Thumbnail written: ${thumbnailPath}`);
+}
+
+module.exports = {
+  PROOF_FOLDER,
+  THUMBNAIL_NAME,
+  ORIGINAL_PATTERN,
+  proofPaths,
+  fileOptions,
+  makeThumbnail,
+};
@@ -0,0 +1,328 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - PAYMENT REMINDERS
+ * =====================================================
+ *
+ * Finds active members with no verified payment for a month and
+ * sends them a reminder SMS:
+ *
+ * - monthEndReminder  on monthEndDays, for NEXT month's contribution
+ * - lateReminder      on lateDays, for THIS month's contribution
+ *
+ * Each member gets at most one of each reminder per payment month
+ * (reminderLog/{memberId}_{template}_{month}), and members who set
+ * reminderOptOut are skipped.
+ *
+ * Officers preview the recipients and cost before sending
+ * (previewReminders / sendReminders). The daily scheduledReminders
+ * run only sends when autoSend is on.
+ *
+ * SETTINGS (settings/reminders, chairperson only):
+ *   monthEndDays  [25, 28]   days of the month
+ *   lateDays      [8, 15]
+ *   autoSend      false
+ *   costPerSms    0.30       Rand per SMS part, for the estimate
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const {
+  SmsError,
+  formatPhoneNumber,
+  ruleParams,
+  renderTemplate,
+} = require("./sms");
+const rules = require("./rules");
+const smsQueue = require("./sms-queue");
+const { saDate, labelFor, parseLabel, addMonths } = require("./months");
+
+const DEFAULT_SETTINGS = {
+  monthEndDays: [25, 28],
+  lateDays: [8, 15],
+  autoSend: false,
+  costPerSms: 0.3,
+};
+
+const REMINDER_TEMPLATES = ["monthEndReminder", "lateReminder"];
+
+// Firestore's ALREADY_EXISTS status code
+const ALREADY_EXISTS = 6;
+
+/**
+ * Reminder settings merged over the defaults
+ * @returns {Promise<object>}
+ */
+async function getSettings() {
+  const snap = await admin
+    .firestore()
+    .collection("settings")
+    .doc("reminders")
+    .get();
+  return { ...DEFAULT_SETTINGS, ...(snap.exists ? snap.data() : {}) };
+}
+
+/**
+ * Which reminder is due on a given day, if any
+ *
+ * @param {Date} date
+ * @param {object} settings
+ * @returns {object|null} {template, month}
+ */
+function reminderFor(date, settings) {
+  const today = saDate(date);
+  const day = today.getUTCDate();
+
+  if (settings.lateDays.includes(day)) {
+    return { template: "lateReminder", month: labelFor(today) };
+  }
+  if (settings.monthEndDays.includes(day)) {
+    return {
+      template: "monthEndReminder",
+      month: addMonths(labelFor(today), 1),
+    };
+  }
+  return null;
+}
+
+/**
+ * Billable SMS parts (multi-part messages carry 153 chars each)
+ * @param {string} message
+ * @returns {number}
+ */
+function smsParts(message) {
+  return message.length <= 160 ? 1 : Math.ceil(message.length / 153);
+}
+
+function reminderLogRef(memberId, template, month) {
+  return admin
+    .firestore()
+    .collection("reminderLog")
+    .doc(`${memberId}_${template}_${month.replace(/\s+/g, "-")}`);
+}
+
+/**
+ * Template parameters for one member
+ * @param {string} template
+ * @param {object} member
+ * @param {string} month
+ * @param {object} monthRules - Rules the month is judged by
+ * @returns {object}
+ */
+function templateParams(template, member, month, monthRules) {
+  const name = member.name || (member.fullName || "").split(" ")[0] || "Member";
+  return template === "lateReminder"
+    ? { name, month, ...ruleParams(monthRules) }
+    : { name, nextMonth: month, ...ruleParams(monthRules) };
+}
+
+/**
+ * Work out who a reminder run would go to
+ *
+ * @param {string} template - monthEndReminder | lateReminder
+ * @param {string} month - Payment month, e.g. "March 2025"
+ * @returns {Promise<object>} {template, month, recipients, skipped, smsCount, estimatedCost}
+ */
+async function buildRun(template, month) {
+  if (!REMINDER_TEMPLATES.includes(template)) {
+    throw new SmsError(
+      "invalid-argument",
+      `Not a reminder template: ${template}`,
+    );
+  }
+  if (!parseLabel(month)) {
+    throw new SmsError("invalid-argument", "Month must look like 'March 2025'");
+  }
+
+  const firestore = admin.firestore();
+  const [settings, monthRules, membersSnap, paidSnap, sentSnap] =
+    await Promise.all([
+      getSettings(),
+      rules.getVersions().then((versions) => rules.forMonth(versions, month)),
+      firestore.collection("members").where("status", "==", "active").get(),
+      firestore
+        .collection("submissions")
+        .where("status", "==", "verified")
+        .where("paymentMonth", "==", month)
+        .get(),
+      firestore
+        .collection("reminderLog")
+        .where("template", "==", template)
+        .where("month", "==", month)
+        .get(),
+    ]);
+
+  // Loan repayments and rotation contributions don't count as the
+  // month's contribution
+  const paid = new Set(
+    paidSnap.docs
+      .filter((doc) => !doc.data().loanId && !doc.data().rotationId)
+      .map((doc) => doc.data().memberId),
+  );
+  const alreadySent = new Set(sentSnap.docs.map((doc) => doc.data().memberId));
+
+  const recipients = [];
+  const skipped = { paid: 0, optedOut: 0, alreadySent: 0, noPhone: 0 };
+
+  membersSnap.forEach((doc) => {
+    const member = doc.data();
+
+    if (paid.has(doc.id)) {
+      skipped.paid++;
+    } else if (member.reminderOptOut) {
+      skipped.optedOut++;
+    } else if (alreadySent.has(doc.id)) {
+      skipped.alreadySent++;
+    } else if (!formatPhoneNumber(member.phone)) {
+      skipped.noPhone++;
+    } else {
+      const params = templateParams(template, member, month, monthRules);
+      recipients.push({
+        memberId: doc.id,
+        name: member.fullName || member.name || "",
+        memberRef: member.memberRef || null,
+        phone: member.phone,
+        params,
+        parts: smsParts(renderTemplate(template, params)),
+      });
+    }
+  });
+
+  const smsCount = recipients.reduce((sum, r) => sum + r.parts, 0);
+
+  return {
+    template,
+    month,
+    recipients,
+    skipped,
+    smsCount,
+    estimatedCost: Math.round(smsCount * settings.costPerSms * 100) / 100,
+  };
+}
+
+/**
+ * Preview a run without sending anything
+ *
+ * @param {string} template
+ * @param {string} month
+ * @returns {Promise<object>} See buildRun (params omitted)
+ */
+async function previewRun(template, month) {
+  const run = await buildRun(template, month);
+  return {
+    ...run,
+    recipients: run.recipients.map(({ params, ...recipient }) => recipient),
+  };
+}
+
+/**
+ * Send a reminder run
+ * Each member's reminderLog slot is claimed before sending, so
+ * overlapping runs (scheduler + officer) never double-send
+ *
+ * @param {string} template
+ * @param {string} month
+ * @param {string} requestedBy - Officer uid or "scheduler"
+ * @returns {Promise<object>} {template, month, sent, queued, failed, estimatedCost}
+ */
+async function sendRun(template, month, requestedBy) {
+  const run = await buildRun(template, month);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  const claimed = [];
+  await Promise.all(
+    run.recipients.map(async (recipient) => {
+      try {
+        await reminderLogRef(recipient.memberId, template, month).create({
+          memberId: recipient.memberId,
+          template,
+          month,
+          status: "claimed",
+          requestedBy,
+          createdAt: now,
+        });
+        claimed.push(recipient);
+      } catch (error) {
+        if (error.code !== ALREADY_EXISTS) throw error;
+      }
+    }),
+  );
+
+  const totals = { sent: 0, queued: 0, failed: 0 };
+
+  for (let i = 0; i < claimed.length; i += 500) {
+    const chunk = claimed.slice(i, i + 500);
+    const { results } = await smsQueue.sendBulk(
+      chunk.map((r) => ({ phone: r.phone, template, params: r.params })),
+      requestedBy,
+    );
+
+    await Promise.all(
+      chunk.map((recipient) => {
+        const phone = formatPhoneNumber(recipient.phone);
+        const result = results.find(
+          (r) => formatPhoneNumber(r.phone) === phone,
+        );
+        const ref = reminderLogRef(recipient.memberId, template, month);
+
+        if (result?.success || result?.status === "queued") {
+          totals[result.status]++;
+          return ref.update({
+            status: result.status,
+            queueId: result.queueId || null,
+          });
+        }
+
+        // Free the slot so a later run can try again
+        totals.failed++;
+        return ref.delete();
+      }),
+    );
+  }
+
+  await admin
+    .firestore()
+    .collection("auditLogs")
+    .add({
+      action: "reminders_sent",
+      entityType: "reminder",
+      entityId: `${template}_${month}`,
+      details: {
+        ...totals,
+        skipped: run.skipped,
+        estimatedCost: run.estimatedCost,
+      },
+      performedBy: requestedBy,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      userAgent: "server",
+    });
+
+  console.log(
+    `📱 ${template} (${month}): ${totals.sent} sent, ` +
+      `${totals.queued} queued, ${totals.failed} failed`,
+  );
+  return { template, month, ...totals, estimatedCost: run.estimatedCost };
+}
+
+/**
+ * Daily scheduler entry point
+ * Sends whichever reminder is due today, if autoSend is on
+ *
+ * @returns {Promise<object|null>}
+ */
+async function runScheduled() {
+  const settings = await getSettings();
+  if (!settings.autoSend) return null;
+
+  const due = reminderFor(new Date(), settings);
+  if (!due) return null;
+
+  return sendRun(due.template, due.month, "scheduler");
+}
+
+module.exports = {
+  REMINDER_TEMPLATES,
+  previewRun,
+  sendRun,
+  runScheduled,
+};
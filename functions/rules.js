@@ -0,0 +1,286 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - FINANCIAL RULES
+ * =====================================================
+ *
+ * The contribution rules live in one versioned document,
+ * settings/rules:
+ *
+ *   versions: [{
+ *     effectiveFrom           "2025-04-01" (always the 1st of a month)
+ *     minimumDeposit          300    Rand per month
+ *     lateFineAmount          50     Rand, first payment after the due day
+ *     paymentDueDay           7      day of the month
+ *     interestEligibilityMin  10000  Rand saved to share in interest
+ *     warningAfterSkipped     2      missed months before a warning
+ *     suspendAfterSkipped     3      missed months before suspension
+ *     loanSavingsMultiple     2      largest loan, times the member's savings
+ *     loanInterestRate        5      percent a month on the reducing balance
+ *     loanMaxMonths           6      longest repayment term
+ *     note, createdBy, createdAt
+ *   }]
+ *
+ * A payment month is judged by the version in force on its 1st, so
+ * changing the fine never re-prices old submissions. New versions can
+ * only start in a future month; saving the same month again replaces
+ * that scheduled version. Until the first save, DEFAULT_RULES apply.
+ *
+ * The browser reads the same document through js/rules.js.
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const { saDate, dayKeyFor, keyFor } = require("./months");
+
+// Keep in step with APP_SETTINGS in js/firebase-config.js
+const DEFAULT_RULES = {
+  minimumDeposit: 300,
+  lateFineAmount: 50,
+  paymentDueDay: 7,
+  interestEligibilityMin: 10000,
+  warningAfterSkipped: 2,
+  suspendAfterSkipped: 3,
+  loanSavingsMultiple: 2,
+  loanInterestRate: 5,
+  loanMaxMonths: 6,
+};
+
+// Applies to everything before the first saved version
+const BASELINE_FROM = "2000-01-01";
+
+// field -> {min, max, integer}
+const LIMITS = {
+  minimumDeposit: { min: 1, max: 100000 },
+  lateFineAmount: { min: 0, max: 10000 },
+  paymentDueDay: { min: 1, max: 28, integer: true },
+  interestEligibilityMin: { min: 0, max: 10000000 },
+  warningAfterSkipped: { min: 1, max: 12, integer: true },
+  suspendAfterSkipped: { min: 1, max: 12, integer: true },
+  loanSavingsMultiple: { min: 0, max: 10 },
+  loanInterestRate: { min: 0, max: 30 },
+  loanMaxMonths: { min: 1, max: 36, integer: true },
+};
+
+/**
+ * Error with a callable error code attached
+ * index.js turns these into HttpsError
+ */
+class RulesError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+async function writeAuditLog(action, entityId, performedBy, details) {
+  await admin.firestore().collection("auditLogs").add({
+    action: action,
+    entityType: "settings",
+    entityId: entityId,
+    details: details,
+    performedBy: performedBy,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    userAgent: "server",
+  });
+}
+
+function rulesRef() {
+  return admin.firestore().collection("settings").doc("rules");
+}
+
+/**
+ * Versions oldest first, starting with the baseline
+ * @param {object|undefined} data - settings/rules document data
+ * @returns {object[]}
+ */
+function normalizeVersions(data) {
+  const saved = Array.isArray(data?.versions) ? data.versions : [];
+  if (!saved.length) {
+    return [{ effectiveFrom: BASELINE_FROM, ...DEFAULT_RULES }];
+  }
+  return [...saved].sort((a, b) =>
+    a.effectiveFrom.localeCompare(b.effectiveFrom),
+  );
+}
+
+/**
+ * All rule versions
+ * @returns {Promise<object[]>} Oldest first
+ */
+async function getVersions() {
+  const snap = await rulesRef().get();
+  return normalizeVersions(snap.exists ? snap.data() : undefined);
+}
+
+/**
+ * Rules in force on a day
+ *
+ * @param {object[]} versions - From getVersions
+ * @param {string} dayKey - e.g. "2025-03-07"
+ * @returns {object}
+ */
+function inForce(versions, dayKey) {
+  let current = versions[0];
+  for (const version of versions) {
+    if (version.effectiveFrom <= dayKey) current = version;
+  }
+  return { ...DEFAULT_RULES, ...current };
+}
+
+/**
+ * Rules a payment month is judged by
+ *
+ * @param {object[]} versions
+ * @param {string} month - Label ("March 2025") or key ("2025-03")
+ * @returns {object}
+ */
+function forMonth(versions, month) {
+  const key = /^\d{4}-\d{2}$/.test(month) ? month : keyFor(month);
+  return inForce(versions, `${key}-01`);
+}
+
+/**
+ * Was a payment made after its month's due day?
+ * Paying ahead for a later month is never late. Same test as
+ * Rules.isLate in js/rules.js (tests/unit/rules.test.js keeps them equal)
+ *
+ * @param {string} dayKey - Payment day, "YYYY-MM-DD"
+ * @param {string} month - Label ("March 2025") or key ("2025-03")
+ * @param {object} monthRules - From forMonth(versions, month)
+ * @returns {boolean}
+ */
+function isLate(dayKey, month, monthRules) {
+  const key = /^\d{4}-\d{2}$/.test(month) ? month : keyFor(month);
+  if (!key || !dayKey) return false;
+
+  const dueDay = String(monthRules.paymentDueDay).padStart(2, "0");
+  return dayKey > `${key}-${dueDay}`;
+}
+
+/**
+ * Rules in force today (South African time)
+ * @returns {Promise<object>}
+ */
+async function current() {
+  return inForce(await getVersions(), dayKeyFor(saDate()));
+}
+
+/**
+ * Check submitted values against LIMITS
+ * @param {object} rules - Complete rule set
+ */
+function validate(rules) {
+  for (const [field, limit] of Object.entries(LIMITS)) {
+    const value = rules[field];
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new RulesError("invalid-argument", `${field} must be a number`);
+    }
+    if (limit.integer && !Number.isInteger(value)) {
+      throw new RulesError("invalid-argument", `${field} must be a whole number`);
+    }
+    if (value < limit.min || value > limit.max) {
+      throw new RulesError(
+        "invalid-argument",
+        `${field} must be between ${limit.min} and ${limit.max}`,
+      );
+    }
+  }
+  if (rules.suspendAfterSkipped <= rules.warningAfterSkipped) {
+    throw new RulesError(
+      "invalid-argument",
+      "Suspension must come after the warning",
+    );
+  }
+}
+
+/**
+ * Schedule a new rules version
+ *
+ * @param {object} changes - Any subset of the DEFAULT_RULES fields;
+ *   the rest carry over from the version it replaces
+ * @param {string} effectiveFrom - Future month key ("2025-04")
+ * @param {string} note - Why the rules changed
+ * @param {string} performedBy - Chairperson uid
+ * @returns {Promise<object>} The saved version
+ */
+async function saveVersion(changes, effectiveFrom, note, performedBy) {
+  const monthKey = String(effectiveFrom || "");
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(monthKey)) {
+    throw new RulesError(
+      "invalid-argument",
+      "Effective month must look like '2025-04'",
+    );
+  }
+  if (monthKey <= dayKeyFor(saDate()).slice(0, 7)) {
+    throw new RulesError(
+      "failed-precondition",
+      "Rule changes can only start from next month",
+    );
+  }
+
+  const updates = {};
+  for (const field of Object.keys(DEFAULT_RULES)) {
+    if (changes?.[field] !== undefined) updates[field] = Number(changes[field]);
+  }
+  if (!Object.keys(updates).length) {
+    throw new RulesError("invalid-argument", "No rule values given");
+  }
+
+  const dayKey = `${monthKey}-01`;
+
+  const { version, previous } = await admin
+    .firestore()
+    .runTransaction(async (tx) => {
+      const snap = await tx.get(rulesRef());
+      const versions = normalizeVersions(snap.exists ? snap.data() : undefined)
+        .filter((v) => v.effectiveFrom !== dayKey);
+
+      const before = inForce(versions, dayKey);
+      const next = {
+        effectiveFrom: dayKey,
+        ...Object.fromEntries(
+          Object.keys(DEFAULT_RULES).map((field) => [field, before[field]]),
+        ),
+        ...updates,
+        note: String(note || "").trim().substring(0, 200),
+        createdBy: performedBy,
+        createdAt: admin.firestore.Timestamp.now(),
+      };
+      validate(next);
+
+      tx.set(rulesRef(), {
+        versions: [...versions, next].sort((a, b) =>
+          a.effectiveFrom.localeCompare(b.effectiveFrom),
+        ),
+        updatedBy: performedBy,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { version: next, previous: before };
+    });
+
+  await writeAuditLog("rules_scheduled", "rules", performedBy, {
+    effectiveFrom: dayKey,
+    changes: Object.fromEntries(
+      Object.keys(updates)
+        .filter((field) => updates[field] !== previous[field])
+        .map((field) => [field, { from: previous[field], to: updates[field] }]),
+    ),
+    note: version.note,
+  });
+
+  console.log(`📐 Rules scheduled from ${dayKey}`);
+  return { ...version, createdAt: version.createdAt.toDate().toISOString() };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RulesError,
+  getVersions,
+  inForce,
+  forMonth,
+  isLate,
+  current,
+  saveVersion,
+};
@@ -0,0 +1,49 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - BOOTSTRAP FIRST CHAIRPERSON
+ * =====================================================
+ *
+ * The chairperson invites every other officer, so the first one has to
+ * be created with the Admin SDK directly.
+ *
+ * USAGE (from the functions/ directory):
+ *   node scripts/bootstrap-chairperson.js email@example.com "Full Name"
+ *
+ * Against production, set GOOGLE_APPLICATION_CREDENTIALS to a service
+ * account key. Against the emulators, set FIREBASE_AUTH_EMULATOR_HOST
+ * and FIRESTORE_EMULATOR_HOST (see README).
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+
+admin.initializeApp({
+  projectId: process.env.GCLOUD_PROJECT || "tahikota-stockvel",
+});
+
+const { grantOfficerRole } = require("../officers");
+
+async function main() {
+  const [email, name] = process.argv.slice(2);
+
+  if (!email || !name) {
+    console.error(
+      'Usage: node scripts/bootstrap-chairperson.js <email> "<full name>"',
+    );
+    process.exit(1);
+  }
+
+  const result = await grantOfficerRole(
+    { email, name, role: "chairperson" },
+    "bootstrap",
+  );
+
+  console.log(`✅ ${email} is now chairperson (uid ${result.uid})`);
+  console.log("Set a password here:", result.setupLink);
+}
+
+main().catch((error) => {
+  console.error("❌ Bootstrap failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,248 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - PROOF FILE MIGRATION
+ * =====================================================
+ *
+ * Moves proofs stored as base64 data URLs inside submission documents
+ * (proofUrl, or the legacy popImage/proofURL/popImageUrl) into Cloud
+ * Storage, and replaces them with a `proofs` reference - the same shape
+ * js/storage.js writes for new uploads. The makeProofThumbnail function
+ * makes thumbnails for the moved images as they land.
+ *
+ * Each document is updated right after its file is saved, so an
+ * interrupted run can simply be started again: moved documents no
+ * longer carry a data URL and are skipped. Documents whose legacy
+ * fields hold different files are listed and left alone.
+ *
+ * USAGE (from the functions/ directory, in a full repo checkout):
+ *   node scripts/migrate-proofs.js             # dry run
+ *   node scripts/migrate-proofs.js --apply     # move the files
+ *
+ * Credentials as for bootstrap-chairperson.js; against the emulators
+ * also set FIREBASE_STORAGE_EMULATOR_HOST. Applied runs are recorded
+ * in schemaMigrations/{runId} with an auditLogs entry.
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const Schema = require("../../js/schema");
+
+admin.initializeApp({
+  projectId: process.env.GCLOUD_PROJECT || "tahikota-stockvel",
+  storageBucket:
+    process.env.STORAGE_BUCKET || "tahikota-stockvel.firebasestorage.app",
+});
+
+const { proofPaths, fileOptions } = require("../proofs");
+
+// Documents read per page (each may hold up to ~1MB of base64)
+const PAGE_SIZE = 25;
+
+const SAMPLE_LIMIT = 20;
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/heic": "heic",
+  "image/heif": "heif",
+  "application/pdf": "pdf",
+};
+
+const PROOF_FIELDS = ["proofUrl", ...Schema.LEGACY_FIELDS.submissions.proofUrl];
+
+/**
+ * @param {string} value
+ * @returns {{contentType: string, buffer: Buffer}|null}
+ */
+function decodeDataUrl(value) {
+  const match = /^data:([^;,]+);base64,(.+)$/s.exec(value);
+  if (!match) return null;
+  return {
+    contentType: match[1].toLowerCase(),
+    buffer: Buffer.from(match[2], "base64"),
+  };
+}
+
+/**
+ * Move one submission's proof
+ *
+ * @param {object} doc - Submission snapshot
+ * @param {boolean} apply
+ * @param {object} report - Updated in place
+ */
+async function migrateSubmission(doc, apply, report) {
+  const data = doc.data();
+  if (Array.isArray(data.proofs) && data.proofs.length) {
+    report.upToDate++;
+    return;
+  }
+
+  const present = PROOF_FIELDS.filter((field) => !Schema.isEmpty(data[field]));
+  const values = [...new Set(present.map((field) => data[field]))];
+
+  if (values.length === 0) {
+    report.noProof++;
+    return;
+  }
+  if (values.length > 1) {
+    report.conflicts.push({ id: doc.id, fields: present });
+    return;
+  }
+
+  const file = decodeDataUrl(values[0]);
+  if (!file) {
+    // Already a URL (e.g. an old Storage link) - readable as it is
+    report.external++;
+    return;
+  }
+
+  if (apply) await moveProof(doc, data, file, present);
+  report.moved++;
+  report.bytes += file.buffer.length;
+}
+
+/**
+ * Save the decoded file and point the submission at it
+ *
+ * @param {object} doc - Submission snapshot
+ * @param {object} data - Its data
+ * @param {object} file - From decodeDataUrl()
+ * @param {string[]} present - Fields holding the data URL
+ */
+async function moveProof(doc, data, file, present) {
+  const extension = EXTENSIONS[file.contentType] || "bin";
+  const { path, thumbnailPath } = proofPaths(
+    crypto.randomBytes(10).toString("hex"),
+    extension,
+  );
+
+  await admin
+    .storage()
+    .bucket()
+    .file(path)
+    .save(
+      file.buffer,
+      fileOptions(file.contentType, {
+        reference: data.reference || "",
+        submissionId: doc.id,
+      }),
+    );
+
+  const update = {
+    proofs: [
+      {
+        backend: "firebase",
+        path: path,
+        thumbnailPath: thumbnailPath,
+        contentType: file.contentType,
+        size: file.buffer.length,
+        name: `${data.reference || doc.id}.${extension}`,
+      },
+    ],
+  };
+  present.forEach((field) => {
+    update[field] = admin.firestore.FieldValue.delete();
+  });
+  await doc.ref.update(update);
+}
+
+async function main() {
+  const apply = process.argv.includes("--apply");
+  console.log(
+    "📦 Proof file migration " +
+      (apply ? "(applying changes)" : "(dry run, nothing written)"),
+  );
+
+  const firestore = admin.firestore();
+  const report = {
+    scanned: 0,
+    upToDate: 0,
+    noProof: 0,
+    external: 0,
+    moved: 0,
+    bytes: 0,
+    conflicts: [],
+    failed: [],
+  };
+
+  let last = null;
+  for (;;) {
+    let query = firestore
+      .collection("submissions")
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      report.scanned++;
+      try {
+        await migrateSubmission(doc, apply, report);
+      } catch (error) {
+        report.failed.push({ id: doc.id, error: error.message });
+      }
+    }
+
+    last = snapshot.docs[snapshot.docs.length - 1];
+    process.stdout.write(`   ${report.scanned} scanned\r`);
+  }
+
+  console.log(
+    `\n   ${report.moved} ${apply ? "moved" : "to move"} ` +
+      `(${(report.bytes / 1024 / 1024).toFixed(1)} MB), ` +
+      `${report.upToDate} already in storage, ${report.external} external URLs, ` +
+      `${report.noProof} without a proof`,
+  );
+  report.conflicts.slice(0, SAMPLE_LIMIT).forEach(({ id, fields }) => {
+    console.log(`   ⚠️ ${id} skipped: ${fields.join(", ")} hold different files`);
+  });
+  report.failed.slice(0, SAMPLE_LIMIT).forEach(({ id, error }) => {
+    console.log(`   ❗ ${id} failed: ${error}`);
+  });
+
+  if (!apply) {
+    console.log("\nRun again with --apply to move these files.");
+    return;
+  }
+
+  const runRef = firestore.collection("schemaMigrations").doc();
+  await runRef.set({
+    kind: "proofs",
+    report: {
+      ...report,
+      conflicts: report.conflicts.slice(0, SAMPLE_LIMIT),
+      failed: report.failed.slice(0, SAMPLE_LIMIT),
+      conflictCount: report.conflicts.length,
+      failedCount: report.failed.length,
+    },
+    ranAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await firestore.collection("auditLogs").add({
+    action: "proofs_migrated",
+    entityType: "schema",
+    entityId: runRef.id,
+    details: {
+      moved: report.moved,
+      bytes: report.bytes,
+      conflicts: report.conflicts.length,
+      failed: report.failed.length,
+    },
+    performedBy: "migration",
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    userAgent: "server",
+  });
+
+  console.log(`\n✅ Done. Report saved to schemaMigrations/${runRef.id}`);
+}
+
+main().catch((error) => {
+  console.error("❌ Migration failed:", error.message);
+  process.exit(1);
+});
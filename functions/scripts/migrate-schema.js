@@ -0,0 +1,273 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - SCHEMA MIGRATION
+ * =====================================================
+ *
+ * Rewrites members and submissions to the canonical shape in
+ * js/schema.js and stamps them with schemaVersion. Documents already at
+ * Schema.VERSION are skipped, so the script is safe to run again.
+ *
+ * Then puts payments approved before the ledger existed onto it
+ * (contribution and fine entries, as an approval would post them).
+ * Submissions already on the ledger are skipped. Each posted entry
+ * sets off projectLedgerEntry, which reworks that member's totals
+ * from all of their entries.
+ *
+ * Without --apply nothing is written; the report shows what would
+ * change. Documents whose old and new fields disagree are never
+ * touched and are listed for an officer to fix by hand.
+ *
+ * USAGE (from the functions/ directory, in a full repo checkout):
+ *   node scripts/migrate-schema.js             # dry run
+ *   node scripts/migrate-schema.js --apply     # write the changes
+ *
+ * Applied runs are recorded in schemaMigrations/{runId} with an
+ * auditLogs entry. Credentials as for bootstrap-chairperson.js.
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const Schema = require("../../js/schema");
+const ledger = require("../ledger");
+
+admin.initializeApp({
+  projectId: process.env.GCLOUD_PROJECT || "tahikota-stockvel",
+});
+
+const COLLECTIONS = ["submissions", "members"];
+const BATCH_LIMIT = 400;
+
+// Examples listed per section of the report
+const SAMPLE_LIMIT = 20;
+
+/**
+ * Migrate one collection
+ *
+ * @param {string} collection
+ * @param {boolean} apply - Write changes
+ * @returns {Promise<object>} Collection report
+ */
+async function migrateCollection(collection, apply) {
+  const firestore = admin.firestore();
+  const snapshot = await firestore.collection(collection).get();
+
+  const report = {
+    scanned: snapshot.size,
+    upToDate: 0,
+    migrated: 0,
+    renamed: {},
+    conflicts: [],
+    invalid: [],
+  };
+
+  let batch = firestore.batch();
+  let batchSize = 0;
+
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    if ((data.schemaVersion || 0) >= Schema.VERSION) {
+      report.upToDate++;
+      continue;
+    }
+
+    const plan = Schema.planMigration(collection, data);
+
+    if (plan.conflicts.length) {
+      report.conflicts.push({ id: doc.id, problems: plan.conflicts });
+      continue;
+    }
+
+    plan.renamed.forEach((rename) => {
+      report.renamed[rename] = (report.renamed[rename] || 0) + 1;
+    });
+
+    // Problems the rename can't fix (missing or mistyped fields)
+    const errors = Schema.validate(collection, {
+      ...plan.result,
+      schemaVersion: Schema.VERSION,
+    });
+    if (errors.length) report.invalid.push({ id: doc.id, problems: errors });
+
+    report.migrated++;
+    if (!apply) continue;
+
+    const update = { ...plan.set, schemaVersion: Schema.VERSION };
+    plan.remove.forEach((field) => {
+      update[field] = admin.firestore.FieldValue.delete();
+    });
+    batch.update(doc.ref, update);
+
+    if (++batchSize === BATCH_LIMIT) {
+      await batch.commit();
+      batch = firestore.batch();
+      batchSize = 0;
+    }
+  }
+  if (batchSize > 0) await batch.commit();
+
+  return report;
+}
+
+/**
+ * Post ledger entries for verified submissions that have none
+ * Loan repayments are left out; Loans.approveRepayment posts those.
+ *
+ * @param {boolean} apply - Write the entries
+ * @returns {Promise<object>} {scanned, posted, onLedger, repayments}
+ */
+async function backfillLedger(apply) {
+  const firestore = admin.firestore();
+  const snapshot = await firestore
+    .collection("submissions")
+    .where("status", "==", "verified")
+    .get();
+
+  const report = {
+    scanned: snapshot.size,
+    posted: 0,
+    onLedger: 0,
+    repayments: 0,
+  };
+
+  for (const doc of snapshot.docs) {
+    const submission = Schema.submission(doc);
+    if (submission.loanId) {
+      report.repayments++;
+      continue;
+    }
+
+    const entries = ledger.approvalEntries(
+      submission,
+      submission.verifiedBy || "backfill",
+    );
+    const refs = entries.map(({ id }) =>
+      firestore.collection("ledgerEntries").doc(id),
+    );
+
+    const posted = await firestore.runTransaction(async (tx) => {
+      const existing = await tx.get(refs[0]);
+      if (existing.exists) return false;
+      if (apply) {
+        entries.forEach(({ data }, index) => {
+          tx.set(refs[index], {
+            ...data,
+            postedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        });
+      }
+      return true;
+    });
+
+    if (posted) report.posted++;
+    else report.onLedger++;
+  }
+
+  return report;
+}
+
+/**
+ * Print a collection report
+ * @param {string} collection
+ * @param {object} report
+ */
+function printReport(collection, report) {
+  console.log(`\n📂 ${collection}`);
+  console.log(
+    `   ${report.scanned} scanned, ${report.upToDate} up to date, ` +
+      `${report.migrated} migrated, ${report.conflicts.length} conflicts`,
+  );
+
+  Object.entries(report.renamed).forEach(([rename, count]) => {
+    console.log(`   ↪ ${rename}: ${count}`);
+  });
+
+  report.conflicts.slice(0, SAMPLE_LIMIT).forEach(({ id, problems }) => {
+    console.log(`   ⚠️ ${id} skipped: ${problems.join("; ")}`);
+  });
+  report.invalid.slice(0, SAMPLE_LIMIT).forEach(({ id, problems }) => {
+    console.log(`   ❗ ${id}: ${problems.join("; ")}`);
+  });
+
+  const hidden =
+    Math.max(report.conflicts.length - SAMPLE_LIMIT, 0) +
+    Math.max(report.invalid.length - SAMPLE_LIMIT, 0);
+  if (hidden > 0) console.log(`   … and ${hidden} more`);
+}
+
+async function main() {
+  const apply = process.argv.includes("--apply");
+  console.log(
+    `🔧 Schema migration to v${Schema.VERSION} ` +
+      (apply ? "(applying changes)" : "(dry run, nothing written)"),
+  );
+  Schema.MIGRATIONS.forEach((m) => {
+    console.log(`   v${m.version}: ${m.description}`);
+  });
+
+  const reports = {};
+  for (const collection of COLLECTIONS) {
+    reports[collection] = await migrateCollection(collection, apply);
+    printReport(collection, reports[collection]);
+  }
+
+  const backfill = await backfillLedger(apply);
+  console.log("\n📒 ledger");
+  console.log(
+    `   ${backfill.scanned} verified, ${backfill.posted} ` +
+      (apply ? "posted" : "to post") +
+      `, ${backfill.onLedger} already on the ledger, ` +
+      `${backfill.repayments} loan repayments`,
+  );
+
+  if (!apply) {
+    console.log("\nRun again with --apply to write these changes.");
+    return;
+  }
+
+  const firestore = admin.firestore();
+  const runRef = firestore.collection("schemaMigrations").doc();
+  const summary = Object.fromEntries(
+    Object.entries(reports).map(([collection, report]) => [
+      collection,
+      {
+        ...report,
+        conflicts: report.conflicts.slice(0, SAMPLE_LIMIT),
+        invalid: report.invalid.slice(0, SAMPLE_LIMIT),
+        conflictCount: report.conflicts.length,
+        invalidCount: report.invalid.length,
+      },
+    ]),
+  );
+
+  await runRef.set({
+    version: Schema.VERSION,
+    collections: summary,
+    ledgerBackfill: backfill,
+    ranAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await firestore.collection("auditLogs").add({
+    action: "schema_migrated",
+    entityType: "schema",
+    entityId: runRef.id,
+    details: {
+      ...Object.fromEntries(
+        Object.entries(reports).map(([collection, report]) => [
+          collection,
+          { migrated: report.migrated, conflicts: report.conflicts.length },
+        ]),
+      ),
+      ledgerPosted: backfill.posted,
+    },
+    performedBy: "migration",
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    userAgent: "server",
+  });
+
+  console.log(`\n✅ Done. Report saved to schemaMigrations/${runRef.id}`);
+}
+
+main().catch((error) => {
+  console.error("❌ Migration failed:", error.message);
+  process.exit(1);
+});
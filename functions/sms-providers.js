@@ -0,0 +1,533 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - SMS PROVIDER ADAPTERS
+ * =====================================================
+ *
+ * One adapter per SMS gateway, all with the same shape:
+ *
+ *   sendBulk(messages)        messages = [{destination, content}]
+ *     -> {success, messages: [{destination, messageId, accepted, error}],
+ *         cost, remainingBalance, outOfCredit, error}
+ *   send(destination, content) -> same as sendBulk with one message
+ *   balance()                 -> {success, balance, currency, error}
+ *   parseDeliveryReport(body) -> [{messageId, destination, status, error}]
+ *                                status: "sent" | "delivered" | "failed"
+ *                                destination: 27XXXXXXXXX or null
+ *
+ * Destinations are already formatted as 27XXXXXXXXX.
+ *
+ * CONFIGURATION (functions/.env):
+ *   smsportal       SMSPORTAL_CLIENT_ID, SMSPORTAL_API_SECRET,
+ *                   SMSPORTAL_TEST_MODE
+ *   bulksms         BULKSMS_TOKEN_ID, BULKSMS_TOKEN_SECRET
+ *   clickatell      CLICKATELL_API_KEY
+ *   africastalking  AT_USERNAME, AT_API_KEY (username "sandbox" uses
+ *                   the sandbox API)
+ *   mock            nothing; messages land in mockSmsOutbox
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+
+/**
+ * Read a required environment variable
+ * @param {string} name
+ * @returns {string}
+ */
+function requireEnv(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`${name} is not configured`);
+  return value;
+}
+
+/**
+ * Basic auth header value
+ * @param {string} user
+ * @param {string} secret
+ * @returns {string}
+ */
+function basicAuth(user, secret) {
+  return `Basic ${Buffer.from(`${user}:${secret}`).toString("base64")}`;
+}
+
+/**
+ * Parse a JSON response body, tolerating empty or non-JSON bodies
+ * @param {Response} response
+ * @returns {Promise<object>}
+ */
+async function readJson(response) {
+  const text = await response.text();
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return { raw: text };
+  }
+}
+
+/**
+ * Shared failure result
+ * @param {string} error
+ * @param {boolean} outOfCredit
+ * @returns {object}
+ */
+function failure(error, outOfCredit = false) {
+  return { success: false, messages: [], error, outOfCredit };
+}
+
+/**
+ * Provider message ID as a string, or null when missing
+ * @param {*} value
+ * @returns {string|null}
+ */
+function receiptId(value) {
+  return value ? String(value) : null;
+}
+
+/**
+ * Normalise a receipt phone number to 27XXXXXXXXX
+ * @param {string} phone
+ * @returns {string|null}
+ */
+function receiptDestination(phone) {
+  return phone ? String(phone).replace(/\D/g, "") : null;
+}
+
+/**
+ * Normalise a provider status to sent / delivered / failed
+ * @param {boolean} delivered
+ * @param {boolean} failed
+ * @returns {string}
+ */
+function receiptStatus(delivered, failed) {
+  if (delivered) return "delivered";
+  if (failed) return "failed";
+  return "sent";
+}
+
+/**
+ * Build a send() from sendBulk()
+ * @param {object} adapter
+ * @returns {object} adapter with send()
+ */
+function withSingleSend(adapter) {
+  return {
+    ...adapter,
+    send(destination, content) {
+      return this.sendBulk([{ destination, content }]);
+    },
+  };
+}
+
+// ==========================================
+// SMSPORTAL
+// ==========================================
+
+const smsportal = withSingleSend({
+  name: "smsportal",
+  baseUrl: "https://rest.smsportal.com/v1",
+
+  authHeader() {
+    return basicAuth(
+      requireEnv("SMSPORTAL_CLIENT_ID"),
+      requireEnv("SMSPORTAL_API_SECRET"),
+    );
+  },
+
+  async sendBulk(messages) {
+    const payload = { messages };
+    if (process.env.SMSPORTAL_TEST_MODE === "true") payload.testMode = true;
+
+    const response = await fetch(`${this.baseUrl}/bulkmessages`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: this.authHeader(),
+        Accept: "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+    const data = await readJson(response);
+
+    if (!response.ok) {
+      const error = data.errorMessage || response.statusText;
+      return failure(error, response.status === 402 || /credit/i.test(error));
+    }
+
+    // SMSPortal returns one eventId per batch; receipts refer to it
+    return {
+      success: true,
+      messages: messages.map((m) => ({
+        destination: m.destination,
+        messageId: String(data.eventId),
+        accepted: true,
+      })),
+      cost: data.cost,
+      remainingBalance: data.remainingBalance,
+    };
+  },
+
+  async balance() {
+    const response = await fetch(`${this.baseUrl}/balance`, {
+      headers: { Authorization: this.authHeader(), Accept: "application/json" },
+    });
+    const data = await readJson(response);
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: data.errorMessage || response.statusText,
+      };
+    }
+    return { success: true, balance: data.balance, currency: "credits" };
+  },
+
+  parseDeliveryReport(body) {
+    const reports = Array.isArray(body) ? body : [body];
+    return reports.map((r) => {
+      const status = String(r.status || r.Status || "").toUpperCase();
+      return {
+        messageId: receiptId(r.eventId || r.EventId || r.messageId || r.MessageId),
+        destination: receiptDestination(r.destination || r.msisdn || r.Msisdn),
+        status: receiptStatus(
+          status === "DELIVERED",
+          /FAIL|REJECT|EXPIRE/.test(status),
+        ),
+        error: r.statusDescription || r.StatusDescription || null,
+      };
+    });
+  },
+});
+
+// ==========================================
+// BULKSMS
+// ==========================================
+
+const bulksms = withSingleSend({
+  name: "bulksms",
+  baseUrl: "https://api.bulksms.com/v1",
+
+  authHeader() {
+    return basicAuth(
+      requireEnv("BULKSMS_TOKEN_ID"),
+      requireEnv("BULKSMS_TOKEN_SECRET"),
+    );
+  },
+
+  async sendBulk(messages) {
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: this.authHeader(),
+      },
+      body: JSON.stringify(
+        messages.map((m) => ({ to: `+${m.destination}`, body: m.content })),
+      ),
+    });
+    const data = await readJson(response);
+
+    if (!response.ok) {
+      const error = data.detail || data.title || response.statusText;
+      return failure(error, /credit/i.test(`${data.type} ${error}`));
+    }
+
+    const sent = Array.isArray(data) ? data : [];
+    return {
+      success: true,
+      messages: sent.map((m) => ({
+        destination: String(m.to).replace(/^\+/, ""),
+        messageId: String(m.id),
+        accepted: m.status?.type !== "FAILED",
+        error:
+          m.status?.type === "FAILED" ? m.status.subtype || "FAILED" : null,
+      })),
+      cost: sent.reduce((sum, m) => sum + (m.creditCost || 0), 0),
+    };
+  },
+
+  async balance() {
+    const response = await fetch(`${this.baseUrl}/profile`, {
+      headers: { Authorization: this.authHeader() },
+    });
+    const data = await readJson(response);
+
+    if (!response.ok) {
+      return { success: false, error: data.detail || response.statusText };
+    }
+    return {
+      success: true,
+      balance: data.credits?.balance,
+      currency: "credits",
+    };
+  },
+
+  // Webhook posts an array of message objects
+  parseDeliveryReport(body) {
+    const reports = Array.isArray(body) ? body : [body];
+    return reports.map((r) => {
+      const type = r.status?.type;
+      return {
+        messageId: receiptId(r.id),
+        destination: receiptDestination(r.to),
+        status: receiptStatus(type === "DELIVERED", type === "FAILED"),
+        error: type === "FAILED" ? r.status?.subtype || null : null,
+      };
+    });
+  },
+});
+
+// ==========================================
+// CLICKATELL (One API)
+// ==========================================
+
+// Clickatell status codes: 4 = received by handset; these are final failures
+const CLICKATELL_FAILED_CODES = [5, 6, 7, 9, 10, 12, 14];
+
+const clickatell = withSingleSend({
+  name: "clickatell",
+  baseUrl: "https://platform.clickatell.com/v1",
+
+  headers() {
+    return {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      Authorization: requireEnv("CLICKATELL_API_KEY"),
+    };
+  },
+
+  async sendBulk(messages) {
+    const response = await fetch(`${this.baseUrl}/message`, {
+      method: "POST",
+      headers: this.headers(),
+      body: JSON.stringify({
+        messages: messages.map((m) => ({
+          channel: "sms",
+          to: m.destination,
+          content: m.content,
+        })),
+      }),
+    });
+    const data = await readJson(response);
+
+    if (!response.ok) {
+      const error = String(
+        data.error?.description || data.error || response.statusText,
+      );
+      return failure(error, /credit|balance/i.test(error));
+    }
+
+    return {
+      success: true,
+      messages: (data.messages || []).map((m) => ({
+        destination: String(m.to),
+        messageId: m.apiMessageId ? String(m.apiMessageId) : null,
+        accepted: m.accepted !== false,
+        error: m.error?.description || null,
+      })),
+    };
+  },
+
+  async balance() {
+    const response = await fetch(`${this.baseUrl}/balance`, {
+      headers: this.headers(),
+    });
+    const data = await readJson(response);
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: data.error?.description || response.statusText,
+      };
+    }
+    return { success: true, balance: data.balance, currency: data.currency };
+  },
+
+  parseDeliveryReport(body) {
+    const reports = Array.isArray(body) ? body : [body];
+    return reports.map((r) => {
+      const code = Number(r.statusCode);
+      const failed = CLICKATELL_FAILED_CODES.includes(code);
+      return {
+        messageId: receiptId(r.messageId || r.apiMessageId),
+        destination: receiptDestination(r.to),
+        status: receiptStatus(code === 4, failed),
+        error: failed ? r.status || r.statusDescription || null : null,
+      };
+    });
+  },
+});
+
+// ==========================================
+// AFRICA'S TALKING
+// ==========================================
+
+// Per-recipient codes: 100-102 accepted; 405 = insufficient balance
+const AT_ACCEPTED_CODES = [100, 101, 102];
+const AT_INSUFFICIENT_BALANCE = 405;
+
+const africastalking = withSingleSend({
+  name: "africastalking",
+
+  baseUrl() {
+    return process.env.AT_USERNAME === "sandbox"
+      ? "https://api.sandbox.africastalking.com/version1"
+      : "https://api.africastalking.com/version1";
+  },
+
+  headers() {
+    return {
+      apiKey: requireEnv("AT_API_KEY"),
+      Accept: "application/json",
+    };
+  },
+
+  // The API takes one message body per request, so group by content
+  async sendBulk(messages) {
+    const byContent = new Map();
+    messages.forEach((m) => {
+      if (!byContent.has(m.content)) byContent.set(m.content, []);
+      byContent.get(m.content).push(`+${m.destination}`);
+    });
+
+    const results = [];
+    let cost = 0;
+
+    for (const [content, recipients] of byContent) {
+      const response = await fetch(`${this.baseUrl()}/messaging`, {
+        method: "POST",
+        headers: {
+          ...this.headers(),
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams({
+          username: requireEnv("AT_USERNAME"),
+          to: recipients.join(","),
+          message: content,
+        }),
+      });
+      const data = await readJson(response);
+
+      if (!response.ok) {
+        return failure(data.raw || response.statusText);
+      }
+
+      (data.SMSMessageData?.Recipients || []).forEach((r) => {
+        results.push({
+          destination: String(r.number).replace(/^\+/, ""),
+          messageId: r.messageId && r.messageId !== "None" ? r.messageId : null,
+          accepted: AT_ACCEPTED_CODES.includes(r.statusCode),
+          error: AT_ACCEPTED_CODES.includes(r.statusCode) ? null : r.status,
+          statusCode: r.statusCode,
+        });
+        cost += parseFloat(String(r.cost || "").replace(/[^\d.]/g, "")) || 0;
+      });
+    }
+
+    const outOfCredit =
+      results.length > 0 &&
+      results.every((r) => r.statusCode === AT_INSUFFICIENT_BALANCE);
+    if (outOfCredit) return failure("Insufficient balance", true);
+
+    const anyAccepted = results.some((r) => r.accepted);
+    return {
+      success: anyAccepted,
+      messages: results.map(({ statusCode, ...r }) => r),
+      cost,
+      error: anyAccepted ? null : results[0]?.error || "No recipients accepted",
+    };
+  },
+
+  async balance() {
+    const username = encodeURIComponent(requireEnv("AT_USERNAME"));
+    const response = await fetch(
+      `${this.baseUrl()}/user?username=${username}`,
+      { headers: this.headers() },
+    );
+    const data = await readJson(response);
+
+    if (!response.ok) {
+      return { success: false, error: data.raw || response.statusText };
+    }
+
+    // "ZAR 123.45"
+    const [currency, amount] = String(data.UserData?.balance || "").split(" ");
+    return { success: true, balance: parseFloat(amount) || 0, currency };
+  },
+
+  // Webhook is a form post: id, status, phoneNumber, failureReason
+  parseDeliveryReport(body) {
+    const status = body.status;
+    return [
+      {
+        messageId: receiptId(body.id),
+        destination: receiptDestination(body.phoneNumber),
+        status: receiptStatus(
+          status === "Success",
+          ["Failed", "Rejected"].includes(status),
+        ),
+        error: body.failureReason || null,
+      },
+    ];
+  },
+});
+
+// ==========================================
+// MOCK (offline)
+// ==========================================
+
+// Records messages in mockSmsOutbox instead of sending them
+const mock = withSingleSend({
+  name: "mock",
+
+  async sendBulk(messages) {
+    const batch = admin.firestore().batch();
+    const sent = messages.map((message) => {
+      const ref = admin.firestore().collection("mockSmsOutbox").doc();
+      batch.set(ref, {
+        ...message,
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      console.log(`📱 [mock] SMS to ${message.destination}: ${message.content}`);
+      return {
+        destination: message.destination,
+        messageId: `mock-${ref.id}`,
+        accepted: true,
+      };
+    });
+    await batch.commit();
+
+    return { success: true, messages: sent, cost: 0, remainingBalance: 1000 };
+  },
+
+  async balance() {
+    return { success: true, balance: 1000, currency: "credits" };
+  },
+
+  // Same shape as the normalised result, for hand-made test receipts
+  parseDeliveryReport(body) {
+    const reports = Array.isArray(body) ? body : [body];
+    return reports.map((r) => ({
+      messageId: receiptId(r.messageId),
+      destination: receiptDestination(r.destination),
+      status: r.status || "delivered",
+      error: r.error || null,
+    }));
+  },
+});
+
+const ADAPTERS = { smsportal, bulksms, clickatell, africastalking, mock };
+
+/**
+ * Look up an adapter by name
+ * @param {string} name
+ * @returns {object|null}
+ */
+function getAdapter(name) {
+  return ADAPTERS[name] || null;
+}
+
+module.exports = {
+  ADAPTERS,
+  getAdapter,
+};
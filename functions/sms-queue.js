@@ -0,0 +1,410 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - SMS QUEUE
+ * =====================================================
+ *
+ * Every outbound SMS gets an smsQueue document that follows it
+ * through to the handset:
+ *
+ *   queued -> sent -> delivered
+ *     ^        |
+ *     └────────┴──> failed (after maxAttempts)
+ *
+ * - The first attempt is made straight away by the caller
+ * - Failed attempts are retried with backoff (retrySmsQueue)
+ * - Provider delivery reports (smsDeliveryReport webhook) move sent
+ *   messages to delivered, or back to queued / failed
+ * - memberId is resolved from the phone number so officers can see
+ *   each member's delivery history
+ *
+ * Password reset codes are never stored, so they get a single
+ * attempt; the member can simply request a new code.
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const sms = require("./sms");
+const { getAdapter } = require("./sms-providers");
+
+// Minutes to wait before attempts 2, 3, 4 and 5
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// An attempt holds a queued message this long before it may be retried
+const LEASE_MINUTES = 2;
+
+function queue() {
+  return admin.firestore().collection("smsQueue");
+}
+
+function minutesFromNow(minutes) {
+  return admin.firestore.Timestamp.fromMillis(
+    Date.now() + minutes * 60 * 1000,
+  );
+}
+
+/**
+ * Status history entry (serverTimestamp is not allowed inside arrays)
+ * @param {string} status
+ * @param {object} details
+ * @returns {object}
+ */
+function historyEvent(status, details = {}) {
+  return { status, at: admin.firestore.Timestamp.now(), ...details };
+}
+
+/**
+ * Member who owns a phone number (members store 0XXXXXXXXX)
+ * @param {string} phone - 27XXXXXXXXX
+ * @returns {Promise<string|null>}
+ */
+async function findMemberId(phone) {
+  const snapshot = await admin
+    .firestore()
+    .collection("members")
+    .where("phone", "in", [`0${phone.substring(2)}`, phone])
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0].id;
+}
+
+/**
+ * Queue entry data for an admitted message
+ *
+ * @param {object} admitted - From sms.admit
+ * @param {string|null} memberId - Owner of the phone number
+ * @returns {object}
+ */
+function newEntry(admitted, memberId) {
+  const secret = sms.SECRET_TEMPLATES.includes(admitted.template);
+
+  return {
+    phone: admitted.phone,
+    memberId: memberId,
+    template: admitted.template,
+    // Reset codes are never stored in plain text
+    params: secret ? null : admitted.params,
+    message: secret ? null : admitted.message,
+    status: "queued",
+    attempts: 0,
+    maxAttempts: secret ? 1 : MAX_ATTEMPTS,
+    provider: null,
+    providerMessageId: null,
+    lastError: null,
+    requestedBy: admitted.requestedBy,
+    // Picked up by retrySmsQueue if the first attempt never finishes
+    nextAttemptAt: minutesFromNow(LEASE_MINUTES),
+    history: [historyEvent("queued")],
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Create the queue entry for an admitted message (see sms.admit)
+ *
+ * @param {object} admitted
+ * @returns {Promise<object>} Entry data plus {ref, message}
+ */
+async function createEntry(admitted) {
+  const ref = queue().doc();
+  const entry = newEntry(admitted, await findMemberId(admitted.phone));
+
+  await ref.set(entry);
+  return { ...entry, ref, message: admitted.message };
+}
+
+/**
+ * Send a batch of queue entries and record the outcome of each
+ *
+ * @param {Array} entries - Entries from createEntry / claim, with message
+ * @returns {Promise<Array>} [{queueId, phone, status, success, error}]
+ */
+async function attempt(entries) {
+  const result = await sms.deliver(
+    entries.map((e) => ({ destination: e.phone, content: e.message })),
+  );
+
+  return Promise.all(
+    entries.map(async (entry, index) => {
+      const sent =
+        result.messages.length === entries.length
+          ? result.messages[index]
+          : result.messages.find((m) => m.destination === entry.phone);
+      const success = result.success && Boolean(sent?.accepted);
+      const error = success ? null : sent?.error || result.error || "Not sent";
+
+      const attempts = entry.attempts + 1;
+      const retry = !success && attempts < entry.maxAttempts;
+      let status = "failed";
+      if (success) status = "sent";
+      else if (retry) status = "queued";
+
+      await entry.ref.update({
+        status,
+        attempts,
+        provider: result.provider,
+        providerMessageId: sent?.messageId || null,
+        lastError: error,
+        nextAttemptAt: retry
+          ? minutesFromNow(RETRY_DELAYS_MINUTES[attempts - 1])
+          : null,
+        history: admin.firestore.FieldValue.arrayUnion(
+          historyEvent(status, { provider: result.provider, error }),
+        ),
+        ...(success && { sentAt: admin.firestore.FieldValue.serverTimestamp() }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      await sms.logSms({
+        queueId: entry.ref.id,
+        attempt: attempts,
+        phone: entry.phone,
+        template: entry.template,
+        // Reset codes are never stored in plain text
+        message: sms.SECRET_TEMPLATES.includes(entry.template)
+          ? null
+          : entry.message,
+        status: success ? "sent" : "failed",
+        provider: result.provider,
+        failedOver: result.failedOver,
+        providerFailures: result.failures,
+        messageId: sent?.messageId || null,
+        cost: entries.length === 1 ? result.cost ?? null : null,
+        remainingBalance: result.remainingBalance ?? null,
+        error,
+        requestedBy: entry.requestedBy,
+      });
+
+      return { queueId: entry.ref.id, phone: entry.phone, status, success, error };
+    }),
+  );
+}
+
+// ==========================================
+// SENDING
+// ==========================================
+
+/**
+ * Queue one templated SMS and make the first attempt
+ * Resolves while a retry is still pending; throws once it has failed
+ *
+ * @param {object} request - {phone, template, params, requestedBy, skipRateLimit}
+ * @returns {Promise<object>} {success, queueId, status}
+ */
+async function sendTemplate(request) {
+  const entry = await createEntry(await sms.admit(request));
+  const [result] = await attempt([entry]);
+
+  if (result.status === "failed") {
+    throw new sms.SmsError("unavailable", result.error || "SMS sending failed");
+  }
+  return { success: true, queueId: result.queueId, status: result.status };
+}
+
+/**
+ * Queue many templated messages and attempt them as one batch
+ * Invalid or rate-limited entries are skipped, not fatal
+ *
+ * @param {Array} messages - [{phone, template, params}]
+ * @param {string} requestedBy
+ * @returns {Promise<object>} {sent, queued, failed, results}
+ */
+async function sendBulk(messages, requestedBy) {
+  const results = [];
+  const entries = [];
+
+  for (const message of messages) {
+    try {
+      entries.push(await createEntry(await sms.admit({ ...message, requestedBy })));
+    } catch (error) {
+      results.push({
+        phone: message.phone,
+        status: "rejected",
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  if (entries.length > 0) {
+    results.push(...(await attempt(entries)));
+  }
+
+  return {
+    sent: results.filter((r) => r.status === "sent").length,
+    queued: results.filter((r) => r.status === "queued").length,
+    failed: results.filter((r) => !r.success && r.status !== "queued").length,
+    results,
+  };
+}
+
+// ==========================================
+// RETRIES
+// ==========================================
+
+/**
+ * Take a due queue entry for this run (so overlapping runs don't
+ * send it twice)
+ *
+ * @param {object} ref
+ * @returns {Promise<object|null>} Entry data plus {ref}, or null
+ */
+function claim(ref) {
+  return admin.firestore().runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.data();
+    const due =
+      data?.status === "queued" &&
+      data.nextAttemptAt &&
+      data.nextAttemptAt.toMillis() <= Date.now();
+    if (!due) return null;
+
+    tx.update(ref, { nextAttemptAt: minutesFromNow(LEASE_MINUTES) });
+    return { ...data, ref };
+  });
+}
+
+/**
+ * Retry queued messages whose backoff has passed
+ *
+ * @param {number} limit - Max entries per run
+ * @returns {Promise<object>} {retried, sent, abandoned}
+ */
+async function retryDue(limit = 100) {
+  // Single-field range query; nextAttemptAt is null once a message
+  // leaves the queue, so no composite index is needed
+  const snapshot = await queue()
+    .where("nextAttemptAt", "<=", admin.firestore.Timestamp.now())
+    .limit(limit)
+    .get();
+
+  const claimed = (
+    await Promise.all(snapshot.docs.map((doc) => claim(doc.ref)))
+  ).filter(Boolean);
+
+  // Without stored content (reset codes) there is nothing to resend
+  const abandoned = claimed.filter((entry) => !entry.message);
+  await Promise.all(
+    abandoned.map((entry) =>
+      entry.ref.update({
+        status: "failed",
+        nextAttemptAt: null,
+        lastError: entry.lastError || "Send did not complete",
+        history: admin.firestore.FieldValue.arrayUnion(
+          historyEvent("failed", { error: "Not retried" }),
+        ),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }),
+    ),
+  );
+
+  const resendable = claimed.filter((entry) => entry.message);
+  const results = resendable.length > 0 ? await attempt(resendable) : [];
+
+  if (results.length > 0) {
+    console.log(`📱 SMS retry: ${results.length} attempted`);
+  }
+  return {
+    retried: results.length,
+    sent: results.filter((r) => r.success).length,
+    abandoned: abandoned.length,
+  };
+}
+
+// ==========================================
+// DELIVERY REPORTS
+// ==========================================
+
+/**
+ * Apply one delivery report to a sent queue entry
+ *
+ * @param {object} ref
+ * @param {object} report - {messageId, status, error}
+ * @returns {Promise<boolean>} Whether the entry changed
+ */
+function applyReceipt(ref, report) {
+  return admin.firestore().runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.data();
+
+    // Late receipts for earlier attempts, and interim "sent" reports,
+    // change nothing
+    if (data?.status !== "sent" || report.status === "sent") return false;
+
+    const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+
+    if (report.status === "delivered") {
+      updates.status = "delivered";
+      updates.deliveredAt = admin.firestore.FieldValue.serverTimestamp();
+    } else {
+      const retry = data.attempts < data.maxAttempts && Boolean(data.message);
+      updates.status = retry ? "queued" : "failed";
+      updates.lastError = report.error || "Delivery failed";
+      updates.nextAttemptAt = retry
+        ? minutesFromNow(RETRY_DELAYS_MINUTES[data.attempts - 1])
+        : null;
+    }
+
+    updates.history = admin.firestore.FieldValue.arrayUnion(
+      historyEvent(updates.status, {
+        provider: data.provider,
+        error: updates.lastError || null,
+        receipt: true,
+      }),
+    );
+
+    tx.update(ref, updates);
+    return true;
+  });
+}
+
+/**
+ * Ingest a provider's delivery report webhook
+ *
+ * @param {string} providerName - Adapter name (from the webhook URL)
+ * @param {object|Array} body - Raw webhook body
+ * @returns {Promise<object>} {received, updated}
+ */
+async function handleDeliveryReport(providerName, body) {
+  const adapter = getAdapter(providerName);
+  if (!adapter) {
+    throw new sms.SmsError(
+      "invalid-argument",
+      `Unknown SMS provider: ${providerName}`,
+    );
+  }
+
+  const reports = adapter.parseDeliveryReport(body || {});
+  let updated = 0;
+
+  for (const report of reports) {
+    if (!report.messageId) continue;
+
+    const snapshot = await queue()
+      .where("providerMessageId", "==", report.messageId)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      const entry = doc.data();
+      if (entry.provider !== adapter.name) continue;
+      // Batch IDs (SMSPortal) cover many numbers
+      if (report.destination && entry.phone !== report.destination) continue;
+
+      if (await applyReceipt(doc.ref, report)) updated++;
+    }
+  }
+
+  return { received: reports.length, updated };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  newEntry,
+  sendTemplate,
+  sendBulk,
+  retryDue,
+  handleDeliveryReport,
+};
@@ -0,0 +1,405 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - SERVER SMS SERVICE
+ * =====================================================
+ *
+ * All SMS leaves from here. The browser asks for a template by name
+ * with parameters (js/sms.js); credentials never reach the client.
+ *
+ * FEATURES:
+ * - Message templates (kept under 160 chars for single SMS billing)
+ * - Per-phone rate limit (smsRateLimits/{phone})
+ * - Every attempt logged to smsLogs
+ * - Provider adapters (sms-providers.js) with failover to a secondary
+ * - Queue, retries and delivery receipts in sms-queue.js
+ *
+ * CONFIGURATION (functions/.env, never committed):
+ *   SMS_PROVIDER=smsportal            # smsportal | bulksms | clickatell |
+ *                                     # africastalking | mock
+ *                                     # (emulators default to mock)
+ *   SMS_FALLBACK_PROVIDER=bulksms     # optional, used when the primary
+ *                                     # errors or runs out of credit
+ *   plus the credentials each adapter needs (see sms-providers.js)
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const { getAdapter } = require("./sms-providers");
+const rules = require("./rules");
+
+// ==========================================
+// TEMPLATES
+// ==========================================
+
+/**
+ * Shorten free text (reasons) so the SMS stays single-part
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function shorten(text, max) {
+  const value = String(text || "");
+  return value.length > max ? value.substring(0, max - 3) + "..." : value;
+}
+
+/**
+ * Day of the month as "7th", "21st"
+ * @param {number} day
+ * @returns {string}
+ */
+function ordinal(day) {
+  const n = Number(day);
+  const suffix =
+    n % 100 >= 11 && n % 100 <= 13
+      ? "th"
+      : { 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+/**
+ * Template parameters quoting a rule set (see rules.js)
+ * @param {object} monthRules
+ * @returns {object} {minimum, fine, dueDay}
+ */
+function ruleParams(monthRules) {
+  return {
+    minimum: monthRules.minimumDeposit,
+    fine: monthRules.lateFineAmount,
+    dueDay: monthRules.paymentDueDay,
+  };
+}
+
+const TEMPLATES = {
+  registration: (p) =>
+    `Welcome to Tshikota Ro Farana, ${p.name}! Ref: ${p.memberRef}. Min R${p.minimum}/month by the ${ordinal(p.dueDay)}. Keep saving! - Tshikota RF`,
+
+  popSubmitted: (p) =>
+    `Hi ${p.name}, R${p.amount} POP for ${p.month} received (${p.reference}). Pending admin approval. - Tshikota RF`,
+
+  paymentApproved: (p) =>
+    `Great news ${p.name}! R${p.amount} for ${p.month} approved. Total saved: R${p.totalSaved}. Keep it up! - Tshikota RF`,
+
+  paymentRejected: (p) =>
+    `Hi ${p.name}, R${p.amount} POP for ${p.month} declined: ${shorten(p.reason, 40)}. Please resubmit. - Tshikota RF`,
+
+  paymentAdjusted: (p) =>
+    `Hi ${p.name}, payment ${p.reference} (${p.month}) was adjusted: ${shorten(p.reason, 30)}. New total: R${p.totalSaved}. - Tshikota RF`,
+
+  lateReminder: (p) =>
+    `Reminder ${p.name}: ${p.month} payment is late. R${p.fine} fine applies after the ${ordinal(p.dueDay)}. Pay now! - Tshikota RF`,
+
+  passwordReset: (p) =>
+    `Your Tshikota Ro Farana reset code: ${p.otp}. Valid for 10 mins. Do not share. - Tshikota RF`,
+
+  interestEligible: (p) =>
+    `Congrats ${p.name}! R${p.totalSaved} saved - you qualify for interest share! - Tshikota RF`,
+
+  monthEndReminder: (p) =>
+    `Hi ${p.name}, ${p.nextMonth} contribution due by the ${ordinal(p.dueDay)}. Min R${p.minimum}. Avoid R${p.fine} late fee! - Tshikota RF`,
+
+  accountWarning: (p) =>
+    `Hi ${p.name}, you have missed ${p.skipped} monthly contributions. Membership is suspended after ${p.suspendAfter} missed months. - Tshikota RF`,
+
+  accountSuspended: (p) =>
+    `Hi ${p.name}, your membership is suspended after ${p.skipped} missed months. Contact an officer to be reinstated. - Tshikota RF`,
+
+  accountReinstated: (p) =>
+    `Welcome back ${p.name}! Your Tshikota Ro Farana membership is active again. Keep saving! - Tshikota RF`,
+
+  loanApproved: (p) =>
+    `Hi ${p.name}, your R${p.amount} loan is approved. ${p.months} payments of R${p.instalment}, first due ${p.firstDue}. - Tshikota RF`,
+
+  loanDeclined: (p) =>
+    `Hi ${p.name}, your R${p.amount} loan application was declined: ${shorten(p.reason, 50)}. - Tshikota RF`,
+
+  loanRepayment: (p) =>
+    `Thanks ${p.name}! R${p.amount} loan repayment approved. Still owing: R${p.balance}. - Tshikota RF`,
+
+  loanDueReminder: (p) =>
+    `Hi ${p.name}, your loan instalment of R${p.amount} is due ${p.dueDate}. Pay and upload your POP. - Tshikota RF`,
+
+  loanArrears: (p) =>
+    `Hi ${p.name}, your loan is R${p.arrears} in arrears (${p.days} days overdue). Please pay or speak to the treasurer. - Tshikota RF`,
+
+  rotationPayout: (p) =>
+    `Hi ${p.name}, your rotation payout of R${p.amount} for ${p.month} has been paid. - Tshikota RF`,
+
+  // Free text (officers only)
+  custom: (p) => String(p.message || ""),
+};
+
+// Templates only the server itself sends, to numbers it looked up:
+// members ask for their own confirmations through sendRegistrationSms
+// and the confirmSubmission trigger (members.js)
+const SYSTEM_TEMPLATES = ["passwordReset", "registration", "popSubmitted"];
+
+// Templates carrying a secret: their text is never stored, so they
+// can't be retried (sms-queue.js)
+const SECRET_TEMPLATES = ["passwordReset"];
+
+// Templates quoting today's rules; the server fills these in so a
+// client can't put its own amounts in our name
+const CURRENT_RULE_TEMPLATES = ["registration"];
+
+// ==========================================
+// RATE LIMITING
+// ==========================================
+
+const RATE_LIMIT = {
+  windowMinutes: 60,
+  maxPerWindow: 5,
+  minGapSeconds: 20,
+};
+
+class SmsError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// ==========================================
+// PHONE NUMBERS
+// ==========================================
+
+/**
+ * Convert SA numbers to 27XXXXXXXXX (same rules as the client)
+ * @param {string} phone
+ * @returns {string|null}
+ */
+function formatPhoneNumber(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (/^0\d{9}$/.test(digits)) return `27${digits.substring(1)}`;
+  if (/^27\d{9}$/.test(digits)) return digits;
+  if (/^[1-9]\d{8}$/.test(digits)) return `27${digits}`;
+  return null;
+}
+
+// ==========================================
+// PROVIDERS
+// ==========================================
+
+/**
+ * Configured adapters in the order they are tried
+ * Primary is SMS_PROVIDER (emulators default to mock), then the
+ * optional SMS_FALLBACK_PROVIDER
+ *
+ * @returns {Array<object>}
+ */
+function getProviderChain() {
+  const fallback =
+    process.env.FUNCTIONS_EMULATOR === "true" ? "mock" : "smsportal";
+  const names = [
+    process.env.SMS_PROVIDER || fallback,
+    process.env.SMS_FALLBACK_PROVIDER,
+  ].filter((name, index, list) => name && list.indexOf(name) === index);
+
+  return names.map((name) => {
+    const adapter = getAdapter(name);
+    if (!adapter) {
+      throw new SmsError("failed-precondition", `Unknown SMS provider: ${name}`);
+    }
+    return adapter;
+  });
+}
+
+/**
+ * Send through the provider chain, failing over when a provider
+ * errors, rejects the batch or is out of credit
+ *
+ * @param {Array} messages - [{destination, content}]
+ * @returns {Promise<object>} Adapter result plus {provider, failedOver}
+ */
+async function deliver(messages) {
+  const chain = getProviderChain();
+  const failures = [];
+
+  for (const adapter of chain) {
+    let result;
+    try {
+      result = await adapter.sendBulk(messages);
+    } catch (error) {
+      result = { success: false, messages: [], error: error.message };
+    }
+
+    if (result.success) {
+      return {
+        ...result,
+        provider: adapter.name,
+        failedOver: failures.length > 0,
+        failures,
+      };
+    }
+
+    console.warn(
+      `⚠️ SMS provider ${adapter.name} failed` +
+        `${result.outOfCredit ? " (out of credit)" : ""}: ${result.error}`,
+    );
+    failures.push({ provider: adapter.name, error: result.error || null });
+  }
+
+  const last = failures[failures.length - 1];
+  return {
+    success: false,
+    messages: [],
+    provider: last.provider,
+    error: last.error,
+    failedOver: failures.length > 1,
+    failures,
+  };
+}
+
+// ==========================================
+// SENDING
+// ==========================================
+
+/**
+ * Render a template with its parameters
+ * @param {string} template
+ * @param {object} params
+ * @returns {string}
+ */
+function renderTemplate(template, params = {}) {
+  const render = TEMPLATES[template];
+  if (!render) {
+    throw new SmsError("invalid-argument", `Unknown SMS template: ${template}`);
+  }
+
+  const message = render(params).trim();
+  if (!message) throw new SmsError("invalid-argument", "Message is empty");
+  if (message.length > 480) {
+    throw new SmsError("invalid-argument", "Message is too long");
+  }
+  return message;
+}
+
+/**
+ * Count a send against the phone's rate limit
+ * Throws resource-exhausted if the phone has had too many messages
+ *
+ * @param {string} phone - Formatted phone (27XXXXXXXXX)
+ */
+async function checkRateLimit(phone) {
+  const ref = admin.firestore().collection("smsRateLimits").doc(phone);
+
+  await admin.firestore().runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const now = Date.now();
+    const data = snap.exists ? snap.data() : {};
+    const windowMs = RATE_LIMIT.windowMinutes * 60 * 1000;
+
+    const windowStart =
+      data.windowStart && now - data.windowStart < windowMs
+        ? data.windowStart
+        : now;
+    const count = windowStart === data.windowStart ? data.count || 0 : 0;
+
+    if (data.lastSentAt && now - data.lastSentAt < RATE_LIMIT.minGapSeconds * 1000) {
+      throw new SmsError(
+        "resource-exhausted",
+        "SMS sent to this number moments ago. Please wait.",
+      );
+    }
+    if (count >= RATE_LIMIT.maxPerWindow) {
+      throw new SmsError(
+        "resource-exhausted",
+        "Too many SMS to this number. Try again later.",
+      );
+    }
+
+    tx.set(ref, { windowStart, count: count + 1, lastSentAt: now });
+  });
+}
+
+/**
+ * Write an smsLogs entry
+ * @param {object} logData
+ */
+async function logSms(logData) {
+  try {
+    await admin
+      .firestore()
+      .collection("smsLogs")
+      .add({
+        ...logData,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      });
+  } catch (error) {
+    // Logging failure shouldn't fail the send
+    console.warn("SMS log failed:", error.message);
+  }
+}
+
+/**
+ * Format, render and rate-limit one request
+ * Rate-limited requests are logged here
+ *
+ * @param {object} request - {phone, template, params, requestedBy, skipRateLimit}
+ * @returns {Promise<object>} {phone, template, params, message, requestedBy}
+ */
+async function admit(request) {
+  const phone = formatPhoneNumber(request.phone);
+  if (!phone) throw new SmsError("invalid-argument", "Invalid phone number");
+
+  const params = CURRENT_RULE_TEMPLATES.includes(request.template)
+    ? { ...request.params, ...ruleParams(await rules.current()) }
+    : request.params || {};
+  const message = renderTemplate(request.template, params);
+  const requestedBy = request.requestedBy || "system";
+
+  if (!request.skipRateLimit) {
+    try {
+      await checkRateLimit(phone);
+    } catch (error) {
+      await logSms({
+        phone,
+        template: request.template,
+        status: "rate_limited",
+        requestedBy,
+      });
+      throw error;
+    }
+  }
+
+  return {
+    phone,
+    template: request.template,
+    params,
+    message,
+    requestedBy,
+  };
+}
+
+/**
+ * Credit balance of every configured provider
+ * @returns {Promise<object>} Primary balance plus {fallback} if configured
+ */
+async function getBalance() {
+  const balances = await Promise.all(
+    getProviderChain().map(async (adapter) => {
+      try {
+        return { provider: adapter.name, ...(await adapter.balance()) };
+      } catch (error) {
+        return { provider: adapter.name, success: false, error: error.message };
+      }
+    }),
+  );
+
+  const [primary, fallback] = balances;
+  return fallback ? { ...primary, fallback } : primary;
+}
+
+module.exports = {
+  TEMPLATES,
+  SYSTEM_TEMPLATES,
+  SECRET_TEMPLATES,
+  SmsError,
+  formatPhoneNumber,
+  ruleParams,
+  renderTemplate,
+  admit,
+  deliver,
+  logSms,
+  getBalance,
+};
@@ -0,0 +1,328 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - CONTRIBUTION STATEMENTS
+ * =====================================================
+ *
+ * A statement is a member's ledger activity for a date range: every
+ * contribution, late fine, reversal, interest share and rejected
+ * submission, with the running savings balance. The figures are worked
+ * out here from `ledgerEntries` and recorded in `statements/{code}`;
+ * the browser (js/statement.js) turns them into the PDF.
+ *
+ * The verification code printed on the PDF lets an officer check a
+ * statement someone hands them (e.g. with a loan application): the
+ * admin dashboard looks the code up and shows the recorded member,
+ * period and totals, which must match the paper.
+ *
+ * Dates are South African calendar days ("2025-03-07").
+ *
+ * =====================================================
+ */
+
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { saDate, dayKeyFor } = require("./months");
+
+// No 0/O or 1/I, so codes survive being read over the phone
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 12;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MEMBER_PREFIX = "member:";
+const FINES_PREFIX = "fines:";
+
+/**
+ * Error with a callable error code attached
+ * index.js turns these into HttpsError
+ */
+class StatementError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+async function writeAuditLog(action, entityId, performedBy, details) {
+  await admin.firestore().collection("auditLogs").add({
+    action: action,
+    entityType: "statement",
+    entityId: entityId,
+    details: details,
+    performedBy: performedBy,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    userAgent: "server",
+  });
+}
+
+// ==========================================
+// CODES
+// ==========================================
+
+/**
+ * @returns {string} CODE_LENGTH characters, e.g. "7KQ2M9XD4PRT"
+ */
+function newCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(
+    bytes,
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length],
+  ).join("");
+}
+
+/**
+ * Code as typed by an officer -> document ID
+ * @param {string} code - e.g. "7kq2-m9xd-4prt"
+ * @returns {string}
+ */
+function normalizeCode(code) {
+  return String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+/**
+ * Code as printed: groups of four
+ * @param {string} code
+ * @returns {string} e.g. "7KQ2-M9XD-4PRT"
+ */
+function formatCode(code) {
+  return code.match(/.{1,4}/g).join("-");
+}
+
+// ==========================================
+// STATEMENT FIGURES
+// ==========================================
+
+function toAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * How an entry changed the member's savings and fines
+ * @param {object} entry - Ledger entry
+ * @param {string} memberId
+ * @returns {{savings: number, fines: number}}
+ */
+function effectOf(entry, memberId) {
+  let savings = 0;
+  let fines = 0;
+
+  (entry.lines || []).forEach((line) => {
+    const change = (line.credit || 0) - (line.debit || 0);
+    if (line.account === `${MEMBER_PREFIX}${memberId}`) savings += change;
+    // An interest payout draws on the fines pool; it isn't a fine
+    if (line.account.startsWith(FINES_PREFIX) && entry.type !== "interest") {
+      fines += change;
+    }
+  });
+
+  return { savings: toAmount(savings), fines: toAmount(fines) };
+}
+
+/**
+ * Work out a statement from a member's ledger entries
+ *
+ * @param {object[]} entries - The member's entries, oldest first
+ * @param {string} memberId
+ * @param {string} from - First day, "YYYY-MM-DD"
+ * @param {string} to - Last day, "YYYY-MM-DD"
+ * @returns {object} {openingBalance, closingBalance, totals, rows}
+ */
+function buildStatement(entries, memberId, from, to) {
+  let balance = 0;
+  const rows = [];
+  const totals = {
+    contributions: 0,
+    fines: 0,
+    reversals: 0,
+    interest: 0,
+    rejected: 0,
+  };
+
+  entries.forEach((entry) => {
+    const posted = entry.postedAt?.toDate?.();
+    if (!posted) return;
+
+    const day = dayKeyFor(saDate(posted));
+    if (day > to) return;
+
+    const effect = effectOf(entry, memberId);
+    balance = toAmount(balance + effect.savings);
+    if (day < from) return;
+
+    // Loans, their repayments and rotation money don't touch savings
+    // (js/loans.js, js/rotation.js)
+    if (!effect.savings && !effect.fines && entry.type !== "rejection") return;
+
+    rows.push({
+      date: day,
+      type: entry.type,
+      reference: entry.reference || "",
+      paymentMonth: entry.paymentMonth || "",
+      description: entry.memo || "",
+      amount: effect.savings,
+      fine: effect.fines,
+      balance: balance,
+    });
+
+    if (entry.type === "contribution") {
+      totals.contributions = toAmount(totals.contributions + effect.savings);
+    } else if (entry.type === "reversal") {
+      totals.reversals = toAmount(totals.reversals + effect.savings);
+    } else if (entry.type === "interest") {
+      totals.interest = toAmount(totals.interest + effect.savings);
+    } else if (entry.type === "rejection") {
+      totals.rejected++;
+    }
+    totals.fines = toAmount(totals.fines + effect.fines);
+  });
+
+  const movement = rows.reduce((sum, row) => sum + row.amount, 0);
+  return {
+    openingBalance: toAmount(balance - movement),
+    closingBalance: balance,
+    totals: totals,
+    rows: rows,
+  };
+}
+
+// ==========================================
+// ISSUE & VERIFY
+// ==========================================
+
+/**
+ * Work out and record a statement
+ *
+ * @param {string} memberId
+ * @param {string} from - First day, "YYYY-MM-DD"
+ * @param {string} to - Last day, "YYYY-MM-DD"
+ * @param {string} requestedBy - Auth uid
+ * @returns {Promise<object>} Statement, with its code, for the PDF
+ */
+async function issueStatement(memberId, from, to, requestedBy) {
+  if (!DAY_PATTERN.test(from || "") || !DAY_PATTERN.test(to || "")) {
+    throw new StatementError("invalid-argument", "Choose a start and end date");
+  }
+  if (from > to) {
+    throw new StatementError(
+      "invalid-argument",
+      "The start date must be before the end date",
+    );
+  }
+  const today = dayKeyFor(saDate());
+  if (from > today) {
+    throw new StatementError("invalid-argument", "The period hasn't started yet");
+  }
+  const until = to > today ? today : to;
+
+  const firestore = admin.firestore();
+  const memberDoc = await firestore.collection("members").doc(memberId).get();
+  if (!memberDoc.exists) {
+    throw new StatementError("not-found", "Member not found");
+  }
+  const member = memberDoc.data();
+
+  const snapshot = await firestore
+    .collection("ledgerEntries")
+    .where("memberId", "==", memberId)
+    .get();
+  const entries = snapshot.docs
+    .map((doc) => doc.data())
+    .sort(
+      (a, b) => (a.postedAt?.toMillis?.() || 0) - (b.postedAt?.toMillis?.() || 0),
+    );
+
+  const statement = buildStatement(entries, memberId, from, until);
+  const memberName =
+    member.fullName || [member.name, member.surname].filter(Boolean).join(" ");
+
+  const record = {
+    memberId: memberId,
+    memberName: memberName,
+    memberRef: member.memberRef || "",
+    from: from,
+    to: until,
+    openingBalance: statement.openingBalance,
+    closingBalance: statement.closingBalance,
+    totals: statement.totals,
+    rowCount: statement.rows.length,
+    // Fingerprint of the lines, in case a dispute needs them compared
+    rowsSha256: crypto
+      .createHash("sha256")
+      .update(JSON.stringify(statement.rows))
+      .digest("hex"),
+    requestedBy: requestedBy,
+    issuedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  // create() fails if the code is taken, so a clash can't overwrite one
+  let code;
+  for (let attempt = 0; !code; attempt++) {
+    const candidate = newCode();
+    try {
+      await firestore.collection("statements").doc(candidate).create(record);
+      code = candidate;
+    } catch (error) {
+      if (error.code !== 6 || attempt >= 2) throw error; // 6 = ALREADY_EXISTS
+    }
+  }
+
+  await writeAuditLog("statement_issued", code, requestedBy, {
+    memberId: memberId,
+    from: from,
+    to: until,
+  });
+
+  return {
+    ...statement,
+    code: formatCode(code),
+    memberName: memberName,
+    memberRef: record.memberRef,
+    from: from,
+    to: until,
+    issuedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Look up a statement by the code printed on it (officers)
+ *
+ * @param {string} code
+ * @param {string} checkedBy - Officer uid
+ * @returns {Promise<object>} The recorded figures
+ */
+async function verifyStatement(code, checkedBy) {
+  const id = normalizeCode(code);
+  if (id.length !== CODE_LENGTH) {
+    throw new StatementError(
+      "invalid-argument",
+      `A statement code has ${CODE_LENGTH} letters and digits`,
+    );
+  }
+
+  const doc = await admin.firestore().collection("statements").doc(id).get();
+  if (!doc.exists) {
+    throw new StatementError("not-found", "No statement has this code");
+  }
+
+  const data = doc.data();
+  await writeAuditLog("statement_verified", id, checkedBy, {
+    memberId: data.memberId,
+  });
+
+  return {
+    ...data,
+    code: formatCode(id),
+    issuedAt: data.issuedAt?.toDate?.().toISOString() || null,
+  };
+}
+
+module.exports = {
+  StatementError,
+  buildStatement,
+  issueStatement,
+  verifyStatement,
+  normalizeCode,
+  formatCode,
+};
@@ -10,8 +10,21 @@ const Admin = (() => {
   // ==========================================
   let currentAdmin = null;
   let pendingSubmissions = [];
+  let verifiedSubmissions = [];
   let allMembers = [];
   let currentSubmission = null;
+  let thumbnailObserver = null;
+  let pendingWatcher = null;
+
+  // POP viewer: attachments of the open submission and how they're shown
+  let viewerProofs = [];
+  let viewerIndex = 0;
+  let viewerZoom = 1;
+  let viewerRotation = 0;
+  let viewerFitWidth = 0;
+
+  const VIEWER_ZOOM_STEP = 1.25;
+  const VIEWER_MAX_ZOOM = 4;
 
   // ==========================================
   // INITIALIZATION
@@ -51,6 +64,95 @@ const Admin = (() => {
       });
     }
 
+    // Invite officer form (chairperson only)
+    const inviteForm = document.getElementById("inviteOfficerForm");
+    if (inviteForm) {
+      inviteForm.addEventListener("submit", handleInviteOfficer);
+    }
+
+    // SMS history modal
+    const closeSmsHistory = document.getElementById("closeSmsHistoryModal");
+    if (closeSmsHistory) {
+      closeSmsHistory.addEventListener("click", () =>
+        App.closeModal("smsHistoryModal"),
+      );
+    }
+    const smsHistoryBackdrop = document.querySelector(
+      "#smsHistoryModal .modal-backdrop",
+    );
+    if (smsHistoryBackdrop) {
+      smsHistoryBackdrop.addEventListener("click", () =>
+        App.closeModal("smsHistoryModal"),
+      );
+    }
+
+    // Month close
+    const closeMonthBtn = document.getElementById("closeMonthBtn");
+    if (closeMonthBtn) {
+      closeMonthBtn.addEventListener("click", handleCloseMonth);
+    }
+
+    // Bank statement import
+    const bankImportForm = document.getElementById("bankImportForm");
+    if (bankImportForm) {
+      bankImportForm.addEventListener("submit", handleBankImport);
+    }
+
+    // Statement verification
+    const statementVerifyForm = document.getElementById("statementVerifyForm");
+    if (statementVerifyForm) {
+      statementVerifyForm.addEventListener("submit", handleVerifyStatement);
+    }
+
+    // Month-end balance check (treasurer and chairperson)
+    const balanceCheckForm = document.getElementById("balanceCheckForm");
+    if (balanceCheckForm) {
+      balanceCheckForm.addEventListener("submit", handleBalanceCheck);
+    }
+
+    // Interest distribution
+    const interestForm = document.getElementById("interestForm");
+    if (interestForm) {
+      interestForm.addEventListener("submit", handleCalculateInterest);
+    }
+
+    // Pool income and expenses
+    const poolForm = document.getElementById("poolTransactionForm");
+    if (poolForm) {
+      poolForm.addEventListener("submit", handleRecordPoolTransaction);
+    }
+
+    // Loan arrears and due-date reminders
+    const loanRemindersBtn = document.getElementById("loanRemindersBtn");
+    if (loanRemindersBtn) {
+      loanRemindersBtn.addEventListener("click", sendLoanReminders);
+    }
+
+    // Rotating payouts
+    const rotationForm = document.getElementById("rotationForm");
+    if (rotationForm) {
+      rotationForm.addEventListener("submit", handleStartRotation);
+    }
+
+    // Reminder preview form
+    const reminderForm = document.getElementById("reminderForm");
+    if (reminderForm) {
+      reminderForm.addEventListener("submit", handlePreviewReminders);
+    }
+
+    // Rules editor (chairperson only)
+    const rulesForm = document.getElementById("rulesForm");
+    if (rulesForm) {
+      rulesForm.addEventListener("submit", handleSaveRules);
+    }
+
+    // New submission notifications
+    const alertsBtn = document.getElementById("pendingAlertsBtn");
+    if (alertsBtn) {
+      alertsBtn.addEventListener("click", togglePendingAlerts);
+      updateAlertsButton();
+    }
+
     // Refresh button
     const refreshBtn = document.getElementById("refreshPending");
     if (refreshBtn) {
@@ -74,6 +176,24 @@ const Admin = (() => {
         }
       });
     }
+
+    // POP viewer toolbar
+    document
+      .getElementById("popPrevBtn")
+      ?.addEventListener("click", () => showAttachment(viewerIndex - 1));
+    document
+      .getElementById("popNextBtn")
+      ?.addEventListener("click", () => showAttachment(viewerIndex + 1));
+    document
+      .getElementById("popZoomInBtn")
+      ?.addEventListener("click", () => zoomViewer(VIEWER_ZOOM_STEP));
+    document
+      .getElementById("popZoomOutBtn")
+      ?.addEventListener("click", () => zoomViewer(1 / VIEWER_ZOOM_STEP));
+    document.getElementById("popRotateBtn")?.addEventListener("click", () => {
+      viewerRotation = (viewerRotation + 90) % 360;
+      applyViewerTransform();
+    });
   }
 
   // ==========================================
@@ -81,7 +201,8 @@ const Admin = (() => {
   // ==========================================
 
   async function checkAdminSession() {
-    const session = Auth.getAdminSession();
+    const hasSession = await Auth.checkAdminSession();
+    const session = hasSession ? Auth.getAdminSession() : null;
 
     if (session && session.authenticated) {
       currentAdmin = session;
@@ -95,12 +216,14 @@ const Admin = (() => {
   async function handleLogin(e) {
     e.preventDefault();
 
-    const codeInput = document.getElementById("adminCode");
-    const code = codeInput.value.trim();
+    const emailInput = document.getElementById("adminEmail");
+    const passwordInput = document.getElementById("adminPassword");
+    const email = emailInput.value.trim();
+    const password = passwordInput.value;
     const loginBtn = document.getElementById("loginBtn");
 
-    if (!code) {
-      App.showToast("Please enter admin code", "warning");
+    if (!email || !password) {
+      App.showToast("Please enter your email and password", "warning");
       return;
     }
 
@@ -109,7 +232,7 @@ const Admin = (() => {
     App.showLoading("Verifying access...", "Please wait");
 
     try {
-      const adminInfo = await Auth.verifyAdminCode(code);
+      const adminInfo = await Auth.signInOfficer(email, password);
 
       if (adminInfo) {
         currentAdmin = Auth.getAdminSession();
@@ -120,8 +243,8 @@ const Admin = (() => {
         loadDashboardData();
       } else {
         App.hideLoading();
-        App.showToast("Invalid admin code", "error");
-        codeInput.classList.add("error");
+        App.showToast("Invalid login or no officer access", "error");
+        passwordInput.classList.add("error");
       }
     } catch (error) {
       console.error("Admin login error:", error);
@@ -134,6 +257,7 @@ const Admin = (() => {
 
   async function handleLogout() {
     if (confirm("Are you sure you want to logout?")) {
+      stopWatchingPending();
       await Auth.signOutAdmin();
       currentAdmin = null;
       App.showToast("Logged out successfully", "info");
@@ -166,6 +290,13 @@ const Admin = (() => {
       roleBadge.textContent = currentAdmin.roleName || "Admin";
       roleBadge.style.display = "inline-block";
     }
+
+    // Only the chairperson manages officers
+    const officersTab = document.getElementById("officersTab");
+    if (officersTab) {
+      officersTab.style.display =
+        currentAdmin?.role === "chairperson" ? "" : "none";
+    }
   }
 
   function switchTab(tabName) {
@@ -184,6 +315,20 @@ const Admin = (() => {
       loadMembers();
     } else if (tabName === "verified") {
       loadVerifiedSubmissions();
+    } else if (tabName === "officers") {
+      loadOfficers();
+    } else if (tabName === "bank") {
+      loadBalanceChecks();
+    } else if (tabName === "interest") {
+      loadInterestDistribution();
+    } else if (tabName === "loans") {
+      loadLoans();
+    } else if (tabName === "rotation") {
+      loadRotation();
+    } else if (tabName === "reminders") {
+      setupReminderForm();
+    } else if (tabName === "rules") {
+      loadRules();
     }
   }
 
@@ -202,6 +347,8 @@ const Admin = (() => {
     } finally {
       App.hideLoading();
     }
+
+    watchPendingSubmissions();
   }
 
   async function loadStats() {
@@ -223,8 +370,8 @@ const Admin = (() => {
         totalMembers = membersSnap.size;
 
         membersSnap.forEach((doc) => {
-          const data = doc.data();
-          totalSavings += data.totalSaved || 0;
+          const data = Schema.member(doc);
+          totalSavings += data.totalSavings || 0;
           totalFines += data.totalFines || 0;
         });
       }
@@ -233,12 +380,18 @@ const Admin = (() => {
       const statMembers = document.getElementById("statTotalMembers");
       const statSavings = document.getElementById("statTotalSavings");
       const statPending = document.getElementById("statPending");
-      const statFines = document.getElementById("statInterestPool");
+      const statPool = document.getElementById("statInterestPool");
 
       if (statMembers) statMembers.textContent = totalMembers;
       if (statSavings)
         statSavings.textContent = Utils.formatCurrency(totalSavings);
-      if (statFines) statFines.textContent = Utils.formatCurrency(totalFines);
+
+      // Fines and income not yet shared out, less expenses
+      if (statPool) {
+        statPool.textContent = Utils.formatCurrency(
+          await PoolTransactions.getNetPool(),
+        );
+      }
 
       // Update chart if exists
       updateSavingsChart(totalSavings, totalFines);
@@ -260,19 +413,7 @@ const Admin = (() => {
         .orderBy("submittedAt", "desc")
         .get();
 
-      pendingSubmissions = [];
-      snapshot.forEach((doc) => {
-        pendingSubmissions.push({ id: doc.id, ...doc.data() });
-      });
-
-      renderPendingList();
-
-      // Update badge
-      const pendingBadge = document.getElementById("pendingBadge");
-      const statPending = document.getElementById("statPending");
-
-      if (pendingBadge) pendingBadge.textContent = pendingSubmissions.length;
-      if (statPending) statPending.textContent = pendingSubmissions.length;
+      showPendingSubmissions(snapshot.docs.map((doc) => Schema.submission(doc)));
     } catch (error) {
       console.error("Pending submissions error:", error);
 
@@ -296,6 +437,123 @@ const Admin = (() => {
     }
   }
 
+  function showPendingSubmissions(submissions) {
+    pendingSubmissions = submissions;
+    renderPendingList();
+
+    // Update badge
+    const pendingBadge = document.getElementById("pendingBadge");
+    const statPending = document.getElementById("statPending");
+
+    if (pendingBadge) pendingBadge.textContent = pendingSubmissions.length;
+    if (statPending) statPending.textContent = pendingSubmissions.length;
+  }
+
+  // ==========================================
+  // NEW SUBMISSION ALERTS
+  // ==========================================
+
+  /**
+   * Keep the pending list live while the dashboard is open, and tell the
+   * officer about submissions that arrive (a local notification when the
+   * page is in the background, a toast when it's in view)
+   */
+  function watchPendingSubmissions() {
+    stopWatchingPending();
+
+    let first = true;
+    pendingWatcher = db
+      .collection("submissions")
+      .where("status", "==", "pending")
+      .onSnapshot(
+        (snapshot) => {
+          const added = snapshot
+            .docChanges()
+            .filter((change) => change.type === "added")
+            .map((change) => Schema.submission(change.doc));
+
+          const submissions = snapshot.docs.map((doc) =>
+            Schema.submission(doc),
+          );
+          submissions.sort(
+            (a, b) =>
+              (b.submittedAt?.toMillis?.() || 0) -
+              (a.submittedAt?.toMillis?.() || 0),
+          );
+          showPendingSubmissions(submissions);
+
+          // The first snapshot is everything already waiting
+          if (!first && added.length) announceNewSubmissions(added);
+          first = false;
+        },
+        (error) => {
+          console.warn("⚠️ Pending listener stopped:", error.message);
+        },
+      );
+  }
+
+  function stopWatchingPending() {
+    if (pendingWatcher) {
+      pendingWatcher();
+      pendingWatcher = null;
+    }
+  }
+
+  function announceNewSubmissions(added) {
+    const [first] = added;
+    const title =
+      added.length === 1
+        ? `New submission from ${first.name}`
+        : `${added.length} new submissions to review`;
+    const body =
+      added.length === 1
+        ? `${Utils.formatCurrency(first.amount)} for ${first.paymentMonth} (${first.reference})`
+        : added.map((submission) => submission.name).join(", ");
+
+    if (document.visibilityState === "visible") {
+      App.showToast(title, "info");
+      return;
+    }
+
+    Pwa.notify(title, {
+      body: body,
+      tag: "pending-submissions",
+      url: "admin-index.html",
+    });
+  }
+
+  async function togglePendingAlerts() {
+    const on = await Pwa.setAlerts(!Pwa.alertsEnabled());
+    updateAlertsButton();
+
+    if (on) {
+      App.showToast("You'll be notified of new submissions", "success");
+    } else if (Pwa.canNotify() && Notification.permission === "denied") {
+      App.showToast(
+        "Notifications are blocked for this site in your browser settings",
+        "warning",
+      );
+    }
+  }
+
+  function updateAlertsButton() {
+    const alertsBtn = document.getElementById("pendingAlertsBtn");
+    if (!alertsBtn) return;
+
+    if (!Pwa.canNotify()) {
+      alertsBtn.style.display = "none";
+      return;
+    }
+
+    const on = Pwa.alertsEnabled();
+    alertsBtn.innerHTML = on
+      ? '<i class="fa-solid fa-bell"></i> Alerts on'
+      : '<i class="fa-regular fa-bell-slash"></i> Alerts off';
+    alertsBtn.title = on
+      ? "Stop notifications for new submissions on this device"
+      : "Get a notification on this device when a submission arrives";
+  }
+
   async function loadMembers() {
     try {
       const snapshot = await db
@@ -305,7 +563,7 @@ const Admin = (() => {
 
       allMembers = [];
       snapshot.forEach((doc) => {
-        allMembers.push({ id: doc.id, ...doc.data() });
+        allMembers.push(Schema.member(doc));
       });
 
       renderMembersList();
@@ -323,17 +581,26 @@ const Admin = (() => {
         .limit(50)
         .get();
 
-      const verified = [];
+      verifiedSubmissions = [];
       snapshot.forEach((doc) => {
-        verified.push({ id: doc.id, ...doc.data() });
+        verifiedSubmissions.push(Schema.submission(doc));
       });
 
-      renderVerifiedList(verified);
+      renderVerifiedList(verifiedSubmissions);
     } catch (error) {
       console.error("Verified submissions error:", error);
     }
   }
 
+  async function loadOfficers() {
+    try {
+      renderOfficersList(await Auth.getOfficers());
+    } catch (error) {
+      console.error("Officers error:", error);
+      App.showToast("Failed to load officers", "error");
+    }
+  }
+
   // ==========================================
   // RENDERING
   // ==========================================
@@ -354,16 +621,24 @@ const Admin = (() => {
     
     pendingList.innerHTML = pendingSubmissions.map(sub => `
         <div class="pending-card" data-id="${sub.id}">
+            <button class="pending-thumb" data-thumb-id="${sub.id}" onclick="Admin.viewPOP('${sub.id}')" title="View POP">
+                <i class="fa-solid ${Storage.isPDF(Storage.proofsOf(sub)[0]) ? 'fa-file-pdf' : 'fa-image'}"></i>
+                ${Storage.proofsOf(sub).length > 1 ? `<span class="pending-thumb-count">${Storage.proofsOf(sub).length}</span>` : ''}
+            </button>
             <div class="pending-info">
                 <div class="pending-member">
                     <i class="fa-solid fa-user"></i>
-                    <span>${sub.name || 'Unknown'}</span>
+                    <span>${Utils.escapeHtml(sub.name || 'Unknown')}</span>
                 </div>
                 <div class="pending-meta">
-                    <span><i class="fa-solid fa-hashtag"></i> ${sub.reference || 'N/A'}</span>
-                    <span><i class="fa-solid fa-calendar"></i> ${sub.paymentMonth || 'Unknown'}</span>
+                    <span><i class="fa-solid fa-hashtag"></i> ${Utils.escapeHtml(sub.reference || 'N/A')}</span>
+                    <span><i class="fa-solid fa-calendar"></i> ${Utils.escapeHtml(sub.paymentMonth || 'Unknown')}</span>
                     <span><i class="fa-solid fa-clock"></i> ${formatTimeAgo(sub.submittedAt)}</span>
+                    ${sub.loanId ? '<span class="loan-tag"><i class="fa-solid fa-hand-holding-dollar"></i> Loan repayment</span>' : ''}
+                    ${sub.rotationId ? '<span class="loan-tag"><i class="fa-solid fa-arrows-rotate"></i> Rotation</span>' : ''}
                     ${sub.isLate ? '<span class="late-tag"><i class="fa-solid fa-triangle-exclamation"></i> Late</span>' : ''}
+                    ${sub.duplicates?.length ? '<span class="duplicate-tag"><i class="fa-solid fa-clone"></i> Possible duplicate</span>' : ''}
+                    ${OCR.compare(sub.ocr, sub).length ? '<span class="late-tag"><i class="fa-solid fa-receipt"></i> Slip differs</span>' : ''}
                 </div>
             </div>
             <div class="pending-amount">
@@ -383,6 +658,43 @@ const Admin = (() => {
             </div>
         </div>
     `).join('');
+
+    observeThumbnails(pendingList);
+}
+
+  /**
+   * Load proof thumbnails as their cards scroll into view
+   * (proof files are only fetched when they're about to be seen)
+   */
+  function observeThumbnails(container) {
+    if (thumbnailObserver) thumbnailObserver.disconnect();
+
+    const thumbs = container.querySelectorAll('[data-thumb-id]');
+    if (!('IntersectionObserver' in window)) {
+        thumbs.forEach(loadThumbnail);
+        return;
+    }
+
+    thumbnailObserver = new IntersectionObserver((entries) => {
+        entries.filter(entry => entry.isIntersecting).forEach(entry => {
+            thumbnailObserver.unobserve(entry.target);
+            loadThumbnail(entry.target);
+        });
+    }, { rootMargin: '200px' });
+
+    thumbs.forEach(thumb => thumbnailObserver.observe(thumb));
+}
+
+  async function loadThumbnail(thumb) {
+    const submission = pendingSubmissions.find(s => s.id === thumb.dataset.thumbId);
+    const url = await Storage.getThumbnailUrl(Storage.proofsOf(submission)[0]).catch(() => null);
+    if (!url) return;
+
+    const img = document.createElement('img');
+    img.alt = 'Proof of payment';
+    // Keep the attachment count badge
+    img.onload = () => thumb.querySelector('i')?.replaceWith(img);
+    img.src = url;
 }
 
   function renderMembersList() {
@@ -405,27 +717,48 @@ const Admin = (() => {
         (member) => `
             <div class="member-card" data-id="${member.id}">
                 <div class="member-avatar">
-                    ${Utils.getInitials(member.fullName || member.name || "U")}
+                    ${Utils.escapeHtml(Utils.getInitials(member.fullName || member.name || "U"))}
                 </div>
                 <div class="member-info">
-                    <div class="member-name">${member.fullName || member.name || "Unknown"}</div>
+                    <div class="member-name">${Utils.escapeHtml(member.fullName || member.name || "Unknown")}</div>
                     <div class="member-details">
-                        <span><i class="fa-solid fa-id-card"></i> ${member.memberRef || "N/A"}</span>
-                        <span><i class="fa-solid fa-phone"></i> ${member.phone || "N/A"}</span>
+                        <span><i class="fa-solid fa-id-card"></i> ${Utils.escapeHtml(member.memberRef || "N/A")}</span>
+                        <span><i class="fa-solid fa-phone"></i> ${Utils.escapeHtml(member.phone || "N/A")}</span>
                     </div>
                 </div>
                 <div class="member-stats">
-                    <div class="member-savings">${Utils.formatCurrency(member.totalSaved || 0)}</div>
-                    <div class="member-status ${member.status === "active" ? "active" : "inactive"}">
+                    <div class="member-savings">${Utils.formatCurrency(member.totalSavings || 0)}</div>
+                    <div class="member-status ${memberStatusClass(member.status)}">
                         ${member.status || "active"}
                     </div>
+                    ${
+                      member.skippedMonths
+                        ? `<div class="member-skipped">${member.skippedMonths} missed</div>`
+                        : ""
+                    }
                 </div>
+                <button class="btn btn-icon" onclick="Admin.viewSmsHistory('${member.id}')" title="SMS history">
+                    <i class="fa-solid fa-comment-sms"></i>
+                </button>
+                ${
+                  member.status === "suspended"
+                    ? `<button class="btn btn-icon" onclick="Admin.reinstateMember('${member.id}')" title="Reinstate">
+                        <i class="fa-solid fa-user-check"></i>
+                    </button>`
+                    : ""
+                }
             </div>
         `,
       )
       .join("");
   }
 
+  function memberStatusClass(status) {
+    if (!status || status === "active") return "active";
+    if (status === "warning") return "warning";
+    return "inactive";
+  }
+
   function renderVerifiedList(verified) {
     const verifiedList = document.getElementById("verifiedList");
     if (!verifiedList) return;
@@ -443,196 +776,2125 @@ const Admin = (() => {
     verifiedList.innerHTML = verified
       .map(
         (sub) => `
-            <div class="verified-card">
+            <div class="verified-card" data-id="${sub.id}">
                 <div class="verified-info">
-                    <span class="verified-member">${sub.memberName || "Unknown"}</span>
-                    <span class="verified-month">${sub.month || "Unknown"}</span>
+                    <span class="verified-member">${Utils.escapeHtml(sub.name || "Unknown")}</span>
+                    <span class="verified-month">${Utils.escapeHtml(sub.paymentMonth || "Unknown")}</span>
+                    ${sub.amendsSubmissionId ? '<span class="amended-tag"><i class="fa-solid fa-pen"></i> Amended</span>' : ""}
+                    ${sub.loanId ? '<span class="loan-tag"><i class="fa-solid fa-hand-holding-dollar"></i> Loan repayment</span>' : ""}
+                    ${sub.rotationId ? '<span class="loan-tag"><i class="fa-solid fa-arrows-rotate"></i> Rotation</span>' : ""}
                 </div>
                 <div class="verified-amount">${Utils.formatCurrency(sub.amount || 0)}</div>
                 <div class="verified-date">${Utils.formatDate(sub.verifiedAt)}</div>
+                <div class="verified-actions">
+                    <button class="btn btn-icon" onclick="Admin.viewPOP('${sub.id}')" title="View POP">
+                        <i class="fa-solid fa-eye"></i>
+                    </button>
+                    ${
+                      sub.loanId || sub.rotationId
+                        ? ""
+                        : `<button class="btn btn-icon" onclick="Admin.amendSubmission('${sub.id}')" title="Amend">
+                        <i class="fa-solid fa-pen"></i>
+                    </button>`
+                    }
+                    <button class="btn btn-icon btn-danger" onclick="Admin.reverseSubmission('${sub.id}')" title="Reverse">
+                        <i class="fa-solid fa-rotate-left"></i>
+                    </button>
+                </div>
             </div>
         `,
       )
       .join("");
   }
 
-  // ==========================================
-  // POP VIEWER
-  // ==========================================
+  function renderOfficersList(officers) {
+    const officersList = document.getElementById("officersList");
+    if (!officersList) return;
 
-  function viewPOP(submissionId) {
-    const submission = pendingSubmissions.find(s => s.id === submissionId);
-    if (!submission) {
-        App.showToast('Submission not found', 'error');
-        return;
-    }
-    
-    if (!submission.proofUrl) {
-        App.showToast('No proof of payment found', 'warning');
-        console.log('Submission data:', submission);
-        return;
-    }
-    
-    currentSubmission = submission;
-    
-    const popViewer = document.getElementById('popViewer');
-    const popImage = document.getElementById('popViewerImage');
-    const popPdf = document.getElementById('popViewerPdf');
-    const popInfo = document.getElementById('popViewerInfo');
-    
-    // Check if it's a PDF (base64 or URL)
-    const isPDF = submission.proofUrl.includes('application/pdf') || 
-                  submission.proofUrl.toLowerCase().endsWith('.pdf');
-    
-    if (popImage && popPdf) {
-        if (isPDF) {
-            // Show PDF viewer, hide image
-            popImage.style.display = 'none';
-            popPdf.style.display = 'block';
-            popPdf.src = submission.proofUrl;
-        } else {
-            // Show image, hide PDF viewer
-            popImage.style.display = 'block';
-            popPdf.style.display = 'none';
-            popImage.src = submission.proofUrl;
-        }
-    } else if (popImage) {
-        // Fallback: just try to show in image tag
-        popImage.src = submission.proofUrl;
+    if (officers.length === 0) {
+      officersList.innerHTML = `
+                <div class="empty-state">
+                    <p>No officers yet</p>
+                </div>
+            `;
+      return;
     }
-    
-    if (popInfo) {
-        popInfo.innerHTML = `
-            <div class="pop-info-row">
-                <span class="pop-info-label">Member</span>
-                <span class="pop-info-value">${submission.memberName || 'Unknown'}</span>
-            </div>
-            <div class="pop-info-row">
-                <span class="pop-info-label">Amount</span>
-                <span class="pop-info-value">${Utils.formatCurrency(submission.amount || 0)}</span>
-            </div>
-            <div class="pop-info-row">
-                <span class="pop-info-label">Month</span>
-                <span class="pop-info-value">${submission.month || 'Unknown'}</span>
-            </div>
-            <div class="pop-info-row">
-                <span class="pop-info-label">Submitted</span>
-                <span class="pop-info-value">${formatTimeAgo(submission.submittedAt)}</span>
+
+    officersList.innerHTML = officers
+      .map(
+        (officer) => `
+            <div class="officer-card" data-id="${officer.id}">
+                <div class="officer-info">
+                    <span class="officer-name">${Utils.escapeHtml(officer.name || "Unknown")}</span>
+                    <span class="officer-email">${Utils.escapeHtml(officer.email || "")}</span>
+                </div>
+                <div class="member-status ${officer.status === "active" ? "active" : "inactive"}">
+                    ${officer.roleName || officer.role} · ${officer.status}
+                </div>
+                ${
+                  officer.status === "active" && officer.id !== currentAdmin?.userId
+                    ? `<button class="btn btn-icon btn-danger" onclick="Admin.revokeOfficer('${officer.id}')" title="Revoke access">
+                        <i class="fa-solid fa-user-slash"></i>
+                    </button>`
+                    : ""
+                }
             </div>
-            ${submission.isLate ? '<div class="pop-info-late"><i class="fa-solid fa-warning"></i> Late Payment - R50 Fine</div>' : ''}
-        `;
-    }
-    
-    if (popViewer) {
-        popViewer.classList.add('active');
-        document.body.style.overflow = 'hidden';
-    }
-    
-    // Set up action buttons
-    const approveBtn = document.getElementById('popApproveBtn');
-    const rejectBtn = document.getElementById('popRejectBtn');
-    
-    if (approveBtn) {
-        approveBtn.onclick = () => {
-            closePOPViewer();
-            approveSubmission(submissionId);
-        };
+        `,
+      )
+      .join("");
+  }
+
+  // ==========================================
+  // MONTH CLOSE & REINSTATEMENT
+  // ==========================================
+
+  async function handleCloseMonth() {
+    const now = new Date();
+    const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    const month = prompt(
+      "Month to close (members with 2 missed months get a warning, 3 are suspended):",
+      `${Utils.getMonthName(lastMonth.getMonth() + 1)} ${lastMonth.getFullYear()}`,
+    );
+    if (!month) return;
+
+    App.showLoading("Closing month...", "Checking every member's payments");
+
+    try {
+      const summary = await Database.closeMonth(month.trim());
+      App.hideLoading();
+      App.showToast(
+        `${summary.month} closed: ${summary.warning} warning, ${summary.suspended} suspended, ${summary.changes.length} changed`,
+        "success",
+      );
+      await loadMembers();
+    } catch (error) {
+      console.error("Close month error:", error);
+      App.hideLoading();
+      App.showToast(error.message || "Failed to close month", "error");
     }
-    
-    if (rejectBtn) {
-        rejectBtn.onclick = () => {
-            closePOPViewer();
-            rejectSubmission(submissionId);
-        };
+  }
+
+  async function reinstateMember(memberId) {
+    const member = allMembers.find((m) => m.id === memberId);
+    const reason = prompt(
+      `Reinstate ${member?.fullName || member?.name || "this member"}? Enter a reason:`,
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      App.showToast("A reason is required", "warning");
+      return;
     }
-}
 
-  function closePOPViewer() {
-    const popViewer = document.getElementById("popViewer");
-    if (popViewer) {
-      popViewer.classList.remove("active");
-      document.body.style.overflow = "";
+    App.showLoading("Reinstating...", "Please wait");
+
+    try {
+      await Database.reinstateMember(memberId, reason.trim());
+      App.hideLoading();
+      App.showToast("Member reinstated", "success");
+      await loadMembers();
+    } catch (error) {
+      console.error("Reinstate error:", error);
+      App.hideLoading();
+      App.showToast(error.message || "Failed to reinstate member", "error");
     }
-    currentSubmission = null;
   }
 
   // ==========================================
-  // ACTIONS
+  // BANK RECONCILIATION
   // ==========================================
 
-  async function approveSubmission(submissionId) {
-    const submission = pendingSubmissions.find((s) => s.id === submissionId);
-    if (!submission) return;
+  let bankReconciliation = null;
 
-    if (
-      !confirm(
-        `Approve ${Utils.formatCurrency(submission.amount)} from ${submission.memberName}?`,
-      )
-    ) {
+  // ==========================================
+  // STATEMENT VERIFICATION
+  // ==========================================
+
+  async function handleVerifyStatement(e) {
+    e.preventDefault();
+
+    const code = document.getElementById("statementCode").value.trim();
+    const container = document.getElementById("statementVerifyResult");
+    if (!code) {
+      App.showToast("Enter the code printed on the statement", "warning");
       return;
     }
 
-    App.showLoading("Processing...", "Approving payment");
+    App.showLoading("Checking statement...", "Looking up the code");
 
     try {
-      // Update submission status
-      await db
-        .collection("submissions")
-        .doc(submissionId)
-        .update({
-          status: "verified",
-          verifiedBy: currentAdmin?.roleName || "Admin",
-          verifiedAt: firebase.firestore.FieldValue.serverTimestamp(),
-        });
-
-      // Update member's total saved
-      if (submission.memberId) {
-        const memberRef = db.collection("members").doc(submission.memberId);
-        await memberRef.update({
-          totalSaved: firebase.firestore.FieldValue.increment(
-            submission.amount || 0,
-          ),
-          lastPaymentDate: firebase.firestore.FieldValue.serverTimestamp(),
-        });
+      const statement = await Statement.verify(code);
+      container.innerHTML = renderStatementResult(statement);
+    } catch (error) {
+      console.error("Verify statement error:", error);
+      if (error.code === "functions/not-found") {
+        container.innerHTML = `
+                <div class="statement-result not-found">
+                    <div class="statement-result-title"><i class="fa-solid fa-circle-xmark"></i> No statement has this code</div>
+                    <div class="bank-muted">Check the code was typed correctly. If it was, this statement was not issued by the stokvel.</div>
+                </div>
+            `;
+      } else {
+        App.showToast(error.message || "Could not check the statement", "error");
       }
-
+    } finally {
       App.hideLoading();
-      App.showToast("Payment approved!", "success");
+    }
+  }
 
-      // Refresh data
-      await loadPendingSubmissions();
-      await loadStats();
+  function renderStatementResult(statement) {
+    const row = (label, value) => `
+                <div class="bank-row"><span class="bank-muted">${label}</span><strong>${Utils.escapeHtml(String(value))}</strong></div>
+            `;
+    const issued = statement.issuedAt
+      ? Utils.formatDate(new Date(statement.issuedAt), "medium")
+      : "Unknown";
+
+    return `
+            <div class="statement-result">
+                <div class="statement-result-title"><i class="fa-solid fa-circle-check"></i> Genuine statement ${Utils.escapeHtml(statement.code)}</div>
+                <div class="bank-muted">Compare these figures with the paper copy; any difference means it was altered.</div>
+                ${row("Member", `${statement.memberName} (${statement.memberRef || "no number"})`)}
+                ${row("Period", `${statement.from} to ${statement.to}`)}
+                ${row("Issued", issued)}
+                ${row("Opening balance", Utils.formatCurrency(statement.openingBalance))}
+                ${row("Contributions", Utils.formatCurrency(statement.totals.contributions))}
+                ${row("Reversals", Utils.formatCurrency(statement.totals.reversals))}
+                ${row("Fines paid", Utils.formatCurrency(statement.totals.fines))}
+                ${statement.totals.interest ? row("Interest", Utils.formatCurrency(statement.totals.interest)) : ""}
+                ${row("Closing balance", Utils.formatCurrency(statement.closingBalance))}
+                ${row("Lines", `${statement.rowCount} (${statement.totals.rejected} rejected)`)}
+            </div>
+        `;
+  }
+
+  async function handleBankImport(e) {
+    e.preventDefault();
+
+    const file = document.getElementById("bankStatementFile").files[0];
+    if (!file) {
+      App.showToast("Choose a statement file", "warning");
+      return;
+    }
+
+    App.showLoading("Reading statement...", "Matching deposits");
+
+    try {
+      const statement = await BankImport.read(file);
+      const deposits = statement.transactions.filter((t) => t.amount > 0);
+      const [pending, reconciled] = await Promise.all([
+        Database.getPendingSubmissions(),
+        BankImport.fetchReconciled(deposits.map((t) => t.id)),
+      ]);
+
+      bankReconciliation = {
+        statement,
+        fileName: file.name,
+        ...BankImport.reconcile(statement.transactions, pending, reconciled),
+      };
+      renderBankReconciliation();
+
+      await Database.createAuditLog({
+        action: "bank_statement_imported",
+        entityType: "bank",
+        entityId: file.name,
+        details: {
+          format: statement.format,
+          account: statement.account,
+          deposits: deposits.length,
+          matched: bankReconciliation.matched.length,
+          confident: bankReconciliation.matched.filter((m) => m.confident)
+            .length,
+        },
+        performedBy: Auth?.currentUser?.uid || "admin",
+      });
     } catch (error) {
-      console.error("Approve error:", error);
+      console.error("Bank import error:", error);
+      App.showToast(error.message || "Failed to read statement", "error");
+    } finally {
       App.hideLoading();
-      App.showToast("Failed to approve", "error");
     }
   }
 
-  async function rejectSubmission(submissionId) {
-    const submission = pendingSubmissions.find((s) => s.id === submissionId);
-    if (!submission) return;
+  function renderBankReconciliation() {
+    const container = document.getElementById("bankReconciliation");
+    if (!container || !bankReconciliation) return;
+
+    const {
+      statement,
+      matched,
+      unmatchedDeposits,
+      unmatchedSubmissions,
+      alreadyReconciled,
+    } = bankReconciliation;
+    const expectedAccount = APP_SETTINGS.bankingDetails?.accountNumber;
+    const wrongAccount =
+      statement.account && expectedAccount && statement.account !== expectedAccount;
+    const confident = matched.filter((m) => m.confident && !m.approved);
+
+    const transactionLine = (t) => `
+                <span>${Utils.escapeHtml(t.date)} · ${Utils.escapeHtml(t.description || "No description")}</span>
+                <span class="bank-amount">${Utils.formatCurrency(t.amount, true)}</span>
+            `;
 
-    const reason = prompt("Reason for rejection (optional):");
+    container.innerHTML = `
+            ${
+              wrongAccount
+                ? `<div class="bank-warning"><i class="fa-solid fa-triangle-exclamation"></i> This statement is for account ${Utils.escapeHtml(statement.account)}, not ${Utils.escapeHtml(expectedAccount)}</div>`
+                : ""
+            }
+            <div class="bank-summary">
+                <div><strong>${matched.length}</strong> matched (${matched.filter((m) => m.confident).length} confident)</div>
+                <div>${unmatchedDeposits.length} unmatched deposits · ${unmatchedSubmissions.length} unmatched submissions</div>
+                ${alreadyReconciled.length ? `<div class="bank-muted">${alreadyReconciled.length} deposits were already used for approvals</div>` : ""}
+            </div>
+            <button class="btn btn-primary btn-block" onclick="Admin.approveConfidentMatches()" ${confident.length === 0 ? "disabled" : ""}>
+                Approve ${confident.length} Confident Match${confident.length === 1 ? "" : "es"}
+            </button>
+
+            <h3 class="bank-bucket-title">Matched</h3>
+            ${
+              matched
+                .map(
+                  (m, index) => `
+                <div class="bank-match ${m.confident ? "confident" : ""}">
+                    <div class="bank-row">${transactionLine(m.transaction)}</div>
+                    <div class="bank-row">
+                        <span>
+                            <a href="#" onclick="Admin.viewPOP('${m.submission.id}'); return false;">${Utils.escapeHtml(m.submission.reference || "N/A")}</a>
+                            · ${Utils.escapeHtml(m.submission.name || "Unknown")} · ${Utils.escapeHtml(m.submission.paymentMonth || "")}
+                        </span>
+                        ${
+                          m.approved
+                            ? '<span class="bank-approved"><i class="fa-solid fa-check"></i> Approved</span>'
+                            : `<button class="btn btn-icon btn-success" onclick="Admin.approveBankMatch(${index})" title="Approve"><i class="fa-solid fa-check"></i></button>`
+                        }
+                    </div>
+                    <div class="bank-reasons">${m.reasons.map((r) => Utils.escapeHtml(r)).join(" · ")}${m.confident ? "" : " · check by hand"}</div>
+                </div>
+            `,
+                )
+                .join("") || '<p class="bank-muted">No matches</p>'
+            }
+
+            <h3 class="bank-bucket-title">Deposits without a submission</h3>
+            ${
+              unmatchedDeposits
+                .map((t) => `<div class="bank-row bank-unmatched">${transactionLine(t)}</div>`)
+                .join("") || '<p class="bank-muted">None</p>'
+            }
+
+            <h3 class="bank-bucket-title">Submissions without a deposit</h3>
+            ${
+              unmatchedSubmissions
+                .map(
+                  (sub) => `
+                <div class="bank-row bank-unmatched">
+                    <span>
+                        <a href="#" onclick="Admin.viewPOP('${sub.id}'); return false;">${Utils.escapeHtml(sub.reference || "N/A")}</a>
+                        · ${Utils.escapeHtml(sub.name || "Unknown")} · ${Utils.escapeHtml(sub.paymentDate || "")}
+                    </span>
+                    <span class="bank-amount">${Utils.formatCurrency(sub.totalAmount || sub.amount || 0, true)}</span>
+                </div>
+            `,
+                )
+                .join("") || '<p class="bank-muted">None</p>'
+            }
+        `;
+  }
+
+  async function approveBankMatch(index) {
+    const match = bankReconciliation?.matched[index];
+    if (!match || match.approved) return;
 
-    if (!confirm(`Reject submission from ${submission.memberName}?`)) {
+    const { transaction, submission } = match;
+    if (
+      !confirm(
+        `Approve ${submission.reference} (${Utils.formatCurrency(submission.amount)} from ${submission.name}) against the deposit of ${transaction.date}?`,
+      )
+    ) {
       return;
     }
 
-    App.showLoading("Processing...", "Rejecting submission");
+    App.showLoading("Processing...", "Approving payment");
 
     try {
-      await db
-        .collection("submissions")
-        .doc(submissionId)
-        .update({
-          status: "rejected",
-          rejectedBy: currentAdmin?.roleName || "Admin",
-          rejectedAt: firebase.firestore.FieldValue.serverTimestamp(),
-          rejectionReason: reason || "Rejected by admin",
-        });
-
-      App.hideLoading();
+      await Database.approveSubmission(submission.id, transaction);
+      match.approved = true;
+      App.showToast("Payment approved!", "success");
+      renderBankReconciliation();
+      await Promise.all([loadPendingSubmissions(), loadStats()]);
+    } catch (error) {
+      console.error("Bank approve error:", error);
+      App.showToast(error.message || "Failed to approve", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  async function approveConfidentMatches() {
+    const matches = (bankReconciliation?.matched || []).filter(
+      (m) => m.confident && !m.approved,
+    );
+    if (matches.length === 0) return;
+
+    const total = matches.reduce((sum, m) => sum + m.transaction.amount, 0);
+    if (
+      !confirm(
+        `Approve ${matches.length} payments totalling ${Utils.formatCurrency(total, true)}?`,
+      )
+    ) {
+      return;
+    }
+
+    App.showLoading("Approving payments...", "Please wait");
+
+    // One at a time: each approval is its own ledger transaction
+    let failed = 0;
+    for (const match of matches) {
+      try {
+        await Database.approveSubmission(match.submission.id, match.transaction);
+        match.approved = true;
+      } catch (error) {
+        console.error("Bank approve error:", match.submission.reference, error);
+        failed++;
+      }
+    }
+
+    App.hideLoading();
+    App.showToast(
+      `${matches.length - failed} approved${failed ? `, ${failed} failed` : ""}`,
+      failed ? "warning" : "success",
+    );
+    renderBankReconciliation();
+    await Promise.all([loadPendingSubmissions(), loadStats()]);
+  }
+
+  // ==========================================
+  // MONTH-END BALANCE CHECK
+  // ==========================================
+
+  let balanceChecks = [];
+
+  async function loadBalanceChecks() {
+    const form = document.getElementById("balanceCheckForm");
+    const historyEl = document.getElementById("balanceCheckHistory");
+    if (!form || !historyEl) return;
+
+    // Only the treasurer and chairperson enter balances
+    form.style.display = Reconciliation.ROLES.includes(currentAdmin?.role)
+      ? ""
+      : "none";
+
+    // Default to last month's statement
+    const monthInput = document.getElementById("balanceMonth");
+    if (!monthInput.value) {
+      const now = new Date();
+      monthInput.value = Rules.dayKey(
+        new Date(now.getFullYear(), now.getMonth() - 1, 1),
+      ).slice(0, 7);
+      monthInput.max = monthInput.value;
+    }
+
+    try {
+      balanceChecks = await Reconciliation.getHistory();
+      renderBalanceHistory();
+    } catch (error) {
+      console.error("Balance checks error:", error);
+      historyEl.innerHTML = `<div class="bank-muted">Couldn't load earlier checks</div>`;
+    }
+  }
+
+  async function handleBalanceCheck(e) {
+    e.preventDefault();
+
+    const month = document.getElementById("balanceMonth").value;
+    const balance = document.getElementById("balanceAmount").value;
+    const note = document.getElementById("balanceNote").value;
+
+    App.showLoading("Checking balance...", "Comparing with the books");
+
+    try {
+      const snapshot = await Reconciliation.record(month, balance, note);
+      renderBalanceCheck(snapshot);
+      App.showToast(
+        snapshot.unexplained === 0
+          ? "Balance reconciled"
+          : `${Utils.formatCurrency(snapshot.unexplained, true)} unexplained`,
+        snapshot.unexplained === 0 ? "success" : "warning",
+      );
+      document.getElementById("balanceAmount").value = "";
+      document.getElementById("balanceNote").value = "";
+      await loadBalanceChecks();
+    } catch (error) {
+      console.error("Balance check error:", error);
+      App.showToast(error.message || "Failed to check the balance", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  function renderBalanceCheck(snapshot) {
+    const container = document.getElementById("balanceCheckResult");
+    if (!container || !snapshot) return;
+
+    const money = (amount) => Utils.formatCurrency(amount, true);
+    const row = (label, value, className = "") => `
+            <div class="bank-row ${className}">
+                <span>${label}</span>
+                <span class="bank-amount">${value}</span>
+            </div>
+        `;
+    const { books, liveTotals } = snapshot;
+    const [year, month] = snapshot.month.split("-");
+
+    container.innerHTML = `
+            <div class="bank-summary balance-check${snapshot.unexplained === 0 ? " balanced" : ""}">
+                <strong>${Utils.getMonthName(Number(month))} ${year} · ${Utils.escapeHtml(snapshot.monthEnd)}</strong>
+                ${row("Bank statement", money(snapshot.bankBalance))}
+                ${row("Member savings", money(books.savings), "bank-muted")}
+                ${row("Fines", money(books.fines), "bank-muted")}
+                ${row("Interest and income less expenses", money(books.netIncome), "bank-muted")}
+                ${books.loans ? row("Less loans paid out", money(books.loans), "bank-muted") : ""}
+                ${books.rotation ? row("Rotation contributions not yet paid out", money(books.rotation), "bank-muted") : ""}
+                ${books.payouts ? row("Less rotation payouts", money(books.payouts), "bank-muted") : ""}
+                ${row("Expected from the books", money(books.expected))}
+                ${row("<strong>Difference</strong>", money(snapshot.variance))}
+                ${snapshot.causes
+                  .map((cause) =>
+                    row(
+                      `${Utils.escapeHtml(cause.label)} (${cause.count})`,
+                      money(cause.amount),
+                      "bank-muted",
+                    ),
+                  )
+                  .join("")}
+                ${row("<strong>Unexplained</strong>", money(snapshot.unexplained))}
+                ${snapshot.note ? `<div class="bank-muted">${Utils.escapeHtml(snapshot.note)}</div>` : ""}
+            </div>
+            ${
+              liveTotals.drift !== 0
+                ? `<div class="bank-warning"><i class="fa-solid fa-triangle-exclamation"></i> Dashboard totals are ${money(liveTotals.drift)} off the ledger. Recalculate member stats to fix them.</div>`
+                : ""
+            }
+        `;
+  }
+
+  function renderBalanceHistory() {
+    const historyEl = document.getElementById("balanceCheckHistory");
+    if (!historyEl) return;
+
+    if (balanceChecks.length === 0) {
+      historyEl.innerHTML = `<div class="bank-muted">No balance checks yet</div>`;
+      return;
+    }
+
+    historyEl.innerHTML = `
+            ${balanceChecks
+              .map(
+                (check, index) => `
+                <div class="bank-unmatched">
+                    <div class="bank-row">
+                        <span>${Utils.escapeHtml(check.month)} · bank ${Utils.formatCurrency(check.bankBalance, true)}</span>
+                        <button class="btn btn-ghost btn-sm" onclick="Admin.viewBalanceCheck(${index})">View</button>
+                    </div>
+                    <div class="bank-muted">
+                        Difference ${Utils.formatCurrency(check.variance, true)} ·
+                        unexplained ${Utils.formatCurrency(check.unexplained, true)} ·
+                        ${formatTimeAgo(check.preparedAt)}
+                    </div>
+                </div>
+            `,
+              )
+              .join("")}
+            <button class="btn btn-ghost btn-block" onclick="Admin.downloadBalanceChecks()">
+                <i class="fa-solid fa-download"></i> Download for the AGM (CSV)
+            </button>
+        `;
+  }
+
+  function viewBalanceCheck(index) {
+    renderBalanceCheck(balanceChecks[index]);
+    document.getElementById("balanceCheckResult")?.scrollIntoView({
+      behavior: "smooth",
+    });
+  }
+
+  function downloadBalanceChecks() {
+    if (balanceChecks.length) Reconciliation.download(balanceChecks);
+  }
+
+  // ==========================================
+  // INTEREST DISTRIBUTION
+  // ==========================================
+
+  const INTEREST_STATUS_LABELS = {
+    draft: "Draft",
+    approved: "Approved - posting",
+    posted: "Posted",
+  };
+
+  let interestDistribution = null;
+
+  function setupInterestForm() {
+    const yearSelect = document.getElementById("interestYear");
+    const methodSelect = document.getElementById("interestMethod");
+    if (!yearSelect || yearSelect.options.length > 0) return;
+
+    // Pools are shared out after year end, so last year comes first
+    // until December
+    const now = new Date();
+    const thisYear = now.getFullYear();
+    for (let year = thisYear; year > thisYear - 5; year--) {
+      yearSelect.add(new Option(String(year), String(year)));
+    }
+    yearSelect.value = String(now.getMonth() === 11 ? thisYear : thisYear - 1);
+
+    Object.entries(Interest.METHODS).forEach(([method, label]) => {
+      methodSelect.add(new Option(label, method));
+    });
+    methodSelect.value = "timeweighted";
+
+    yearSelect.addEventListener("change", loadInterestDistribution);
+  }
+
+  async function loadInterestDistribution() {
+    const container = document.getElementById("interestSheet");
+    if (!container) return;
+
+    setupInterestForm();
+    const year = Number(document.getElementById("interestYear").value);
+
+    // Default cut-off: 31 December, or today while the year is running
+    const cutoffInput = document.getElementById("interestCutoff");
+    const today = Rules.dayKey(new Date());
+    const yearEnd = `${year}-12-31`;
+    cutoffInput.max = today;
+    cutoffInput.value = yearEnd < today ? yearEnd : today;
+
+    container.innerHTML = `<div class="skeleton skeleton-card"></div>`;
+    loadPoolTransactions();
+
+    try {
+      interestDistribution = await Interest.getDistribution(year);
+      if (interestDistribution) {
+        document.getElementById("interestMethod").value =
+          interestDistribution.method;
+        cutoffInput.value = interestDistribution.cutoff;
+        renderInterestSheet();
+        return;
+      }
+
+      const pool = await Interest.getPool(year);
+      setInterestFormLocked(false);
+      container.innerHTML = `
+            <div class="interest-summary">
+                <div><strong>${Utils.formatCurrency(pool.total, true)}</strong> in the ${year} pool</div>
+                <div>${poolBreakdown(pool)}</div>
+                <div class="interest-muted">No distribution yet. Calculate one to review it.</div>
+            </div>
+        `;
+    } catch (error) {
+      console.error("Interest distribution error:", error);
+      container.innerHTML = `<div class="empty-state"><p>Couldn't load the ${year} distribution</p></div>`;
+    }
+  }
+
+  /**
+   * "R 500.00 fines · R 80.00 bank interest · R 0.00 other income · R 25.00 expenses"
+   */
+  function poolBreakdown(pool) {
+    const money = (amount) => Utils.formatCurrency(amount, true);
+    return [
+      `${money(pool.fines)} fines`,
+      `${money(pool.bankInterest)} bank interest`,
+      pool.otherIncome ? `${money(pool.otherIncome)} other income` : "",
+      pool.loanInterest ? `${money(pool.loanInterest)} loan interest` : "",
+      `${money(pool.expenses || 0)} expenses`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  function setInterestFormLocked(locked) {
+    const form = document.getElementById("interestForm");
+    if (!form) return;
+    form.querySelectorAll("input, select, button").forEach((field) => {
+      // The year stays selectable so other years can be viewed
+      if (field.id !== "interestYear") field.disabled = locked;
+    });
+  }
+
+  async function handleCalculateInterest(e) {
+    e.preventDefault();
+
+    const year = Number(document.getElementById("interestYear").value);
+    const method = document.getElementById("interestMethod").value;
+    const cutoff = document.getElementById("interestCutoff").value;
+    if (!cutoff) {
+      App.showToast("Choose a cut-off date", "warning");
+      return;
+    }
+
+    App.showLoading("Calculating...", "Working out each member's share");
+
+    try {
+      interestDistribution = await Interest.prepare(year, method, cutoff);
+      renderInterestSheet();
+      App.showToast("Draft saved for review", "success");
+    } catch (error) {
+      console.error("Interest calculation error:", error);
+      App.showToast(error.message || "Failed to calculate", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  function renderInterestSheet() {
+    const container = document.getElementById("interestSheet");
+    const distribution = interestDistribution;
+    if (!container || !distribution) return;
+
+    const { year, pool, totals, allocations, excluded } = distribution;
+    const isDraft = distribution.status === Interest.STATUSES.DRAFT;
+    const isChairperson = currentAdmin?.role === "chairperson";
+    const money = (amount) => Utils.formatCurrency(amount, true);
+
+    setInterestFormLocked(!isDraft);
+
+    let actions = "";
+    if (isDraft && isChairperson) {
+      actions = `
+            <button class="btn btn-primary btn-block" onclick="Admin.approveInterestDistribution()">
+                Approve &amp; Post ${money(totals.amount)}
+            </button>
+            <button class="btn btn-ghost btn-block" onclick="Admin.discardInterestDistribution()">
+                Discard Draft
+            </button>
+        `;
+    } else if (isDraft) {
+      actions = `<div class="interest-muted">The chairperson approves the distribution.</div>`;
+    } else if (distribution.status === Interest.STATUSES.APPROVED) {
+      actions = `
+            <button class="btn btn-primary btn-block" onclick="Admin.postInterestDistribution()">
+                Finish Posting
+            </button>
+        `;
+    }
+
+    container.innerHTML = `
+            <div class="interest-summary">
+                <div class="interest-summary-header">
+                    <strong>${year} pool: ${money(pool.total)}</strong>
+                    <span class="interest-status ${distribution.status}">${INTEREST_STATUS_LABELS[distribution.status] || distribution.status}</span>
+                </div>
+                <div>${poolBreakdown(pool)}</div>
+                <div>${Utils.escapeHtml(Interest.METHODS[distribution.method] || distribution.method)} · savings on ${Utils.escapeHtml(distribution.cutoff)} of ${Utils.formatCurrency(distribution.threshold)} or more</div>
+                <div class="interest-muted">
+                    ${totals.members} member${totals.members === 1 ? "" : "s"} qualify · ${excluded.length} below the threshold
+                    ${distribution.postedAt ? ` · posted ${formatTimeAgo(distribution.postedAt)}` : ""}
+                </div>
+            </div>
+            ${isDraft ? `<div class="bank-warning">Check the sheet before approving: once approved it can't be changed.</div>` : ""}
+            <div class="interest-table-wrap">
+                <table class="interest-table">
+                    <thead>
+                        <tr>
+                            <th>Member</th>
+                            <th>Savings</th>
+                            <th>Avg. Balance</th>
+                            <th>Share</th>
+                            <th>Fines</th>
+                            <th>Net Income</th>
+                            <th>Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${allocations
+                          .map(
+                            (a) => `
+                            <tr>
+                                <td>${Utils.escapeHtml(a.name)}<span class="interest-muted">${Utils.escapeHtml(a.memberRef)}</span></td>
+                                <td>${money(a.balance)}</td>
+                                <td>${money(a.averageBalance)}</td>
+                                <td>${a.sharePercent}%</td>
+                                <td>${money(a.fines)}</td>
+                                <td>${money(a.interest)}</td>
+                                <td><strong>${money(a.amount)}</strong></td>
+                            </tr>
+                        `,
+                          )
+                          .join("")}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td colspan="4">Total</td>
+                            <td>${money(totals.fines)}</td>
+                            <td>${money(totals.interest)}</td>
+                            <td><strong>${money(totals.amount)}</strong></td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+            <button class="btn btn-ghost btn-block" onclick="Admin.downloadInterestDistribution()">
+                <i class="fa-solid fa-download"></i> Download CSV
+            </button>
+            ${actions}
+        `;
+  }
+
+  async function approveInterestDistribution() {
+    const distribution = interestDistribution;
+    if (!distribution) return;
+
+    if (
+      !confirm(
+        `Approve and post ${Utils.formatCurrency(distribution.totals.amount, true)} to ${distribution.totals.members} members? The ${distribution.year} distribution can't be changed afterwards.`,
+      )
+    ) {
+      return;
+    }
+
+    App.showLoading("Posting interest...", "Crediting each member");
+
+    try {
+      const result = await Interest.approve(distribution.year);
+      App.showToast(`${result.posted} members credited`, "success");
+    } catch (error) {
+      console.error("Interest approval error:", error);
+      App.showToast(error.message || "Failed to approve", "error");
+    } finally {
+      App.hideLoading();
+      await Promise.all([loadInterestDistribution(), loadStats()]);
+    }
+  }
+
+  async function postInterestDistribution() {
+    if (!interestDistribution) return;
+
+    App.showLoading("Posting interest...", "Crediting the remaining members");
+
+    try {
+      const result = await Interest.post(interestDistribution.year);
+      App.showToast(
+        `${result.posted} credited, ${result.skipped} already done`,
+        "success",
+      );
+    } catch (error) {
+      console.error("Interest posting error:", error);
+      App.showToast(error.message || "Failed to post", "error");
+    } finally {
+      App.hideLoading();
+      await Promise.all([loadInterestDistribution(), loadStats()]);
+    }
+  }
+
+  async function discardInterestDistribution() {
+    if (!interestDistribution) return;
+    if (!confirm(`Discard the ${interestDistribution.year} draft?`)) return;
+
+    try {
+      await Interest.discard(interestDistribution.year);
+      App.showToast("Draft discarded", "success");
+      await loadInterestDistribution();
+    } catch (error) {
+      console.error("Discard interest draft error:", error);
+      App.showToast(error.message || "Failed to discard", "error");
+    }
+  }
+
+  function downloadInterestDistribution() {
+    if (interestDistribution) Interest.download(interestDistribution);
+  }
+
+  // ==========================================
+  // POOL INCOME & EXPENSES
+  // ==========================================
+
+  let poolTransactions = [];
+
+  function setupPoolTransactionForm() {
+    const categorySelect = document.getElementById("poolCategory");
+    if (!categorySelect || categorySelect.options.length > 0) return;
+
+    Object.entries(PoolTransactions.CATEGORIES).forEach(([key, category]) => {
+      categorySelect.add(new Option(category.label, key));
+    });
+
+    const dateInput = document.getElementById("poolDate");
+    dateInput.max = Rules.dayKey(new Date());
+    dateInput.value = dateInput.max;
+  }
+
+  async function loadPoolTransactions() {
+    const list = document.getElementById("poolTransactionList");
+    if (!list) return;
+
+    setupPoolTransactionForm();
+    const year = Number(document.getElementById("interestYear").value);
+
+    try {
+      poolTransactions = await PoolTransactions.getForYear(year);
+      renderPoolTransactions(year);
+    } catch (error) {
+      console.error("Pool transactions error:", error);
+      list.innerHTML = `<div class="empty-state"><p>Couldn't load ${year} income and expenses</p></div>`;
+    }
+  }
+
+  function renderPoolTransactions(year) {
+    const list = document.getElementById("poolTransactionList");
+    if (!list) return;
+
+    if (poolTransactions.length === 0) {
+      list.innerHTML = `<div class="bank-muted">Nothing recorded for ${year} yet</div>`;
+      return;
+    }
+
+    list.innerHTML = poolTransactions
+      .map((t) => {
+        const category = PoolTransactions.CATEGORIES[t.category];
+        const reversed = t.status === PoolTransactions.STATUSES.REVERSED;
+        const sign = t.kind === "expense" ? "-" : "+";
+        return `
+            <div class="pool-transaction ${t.kind}${reversed ? " reversed" : ""}">
+                <div class="bank-row">
+                    <span>${Utils.escapeHtml(t.date)} · ${Utils.escapeHtml(category?.label || t.category)}</span>
+                    <span class="bank-amount">${sign}${Utils.formatCurrency(t.amount, true)}</span>
+                </div>
+                <div class="bank-muted">
+                    ${Utils.escapeHtml(t.description)}${t.reference ? ` · Ref ${Utils.escapeHtml(t.reference)}` : ""}
+                </div>
+                <div class="pool-transaction-actions">
+                    ${(t.documents || [])
+                      .map(
+                        (doc, index) => `
+                        <button class="btn btn-ghost btn-sm" onclick="Admin.openPoolDocument('${t.id}', ${index})">
+                            <i class="fa-solid fa-paperclip"></i> ${Utils.escapeHtml(doc.name || `Document ${index + 1}`)}
+                        </button>
+                    `,
+                      )
+                      .join("")}
+                    ${(t.documents || []).length === 0 ? `<span class="bank-muted">No documents</span>` : ""}
+                    ${
+                      reversed
+                        ? `<span class="bank-muted">Reversed: ${Utils.escapeHtml(t.reversalReason || "")}</span>`
+                        : `<button class="btn btn-ghost btn-sm" onclick="Admin.reversePoolTransaction('${t.id}')">Reverse</button>`
+                    }
+                </div>
+            </div>
+        `;
+      })
+      .join("");
+  }
+
+  async function handleRecordPoolTransaction(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const details = {
+      category: document.getElementById("poolCategory").value,
+      amount: Number(document.getElementById("poolAmount").value),
+      date: document.getElementById("poolDate").value,
+      description: document.getElementById("poolDescription").value,
+      reference: document.getElementById("poolReference").value,
+    };
+    const picked = Array.from(document.getElementById("poolDocuments").files);
+
+    if (
+      picked.length === 0 &&
+      !confirm("Record this without a supporting document?")
+    ) {
+      return;
+    }
+
+    App.showLoading("Recording...", "Uploading documents");
+
+    try {
+      const files = await Promise.all(
+        picked.map((file) => Storage.prepareFile(file)),
+      );
+      const transaction = await PoolTransactions.record(details, files);
+
+      App.showToast(
+        `${PoolTransactions.CATEGORIES[transaction.category].label} recorded for ${transaction.year}`,
+        "success",
+      );
+      form.reset();
+      document.getElementById("poolDate").value = Rules.dayKey(new Date());
+
+      // The pool year follows the date
+      document.getElementById("interestYear").value = String(transaction.year);
+      await Promise.all([loadInterestDistribution(), loadStats()]);
+    } catch (error) {
+      console.error("Record pool transaction error:", error);
+      App.showToast(error.message || "Failed to record", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  async function reversePoolTransaction(transactionId) {
+    const transaction = poolTransactions.find((t) => t.id === transactionId);
+    if (!transaction) return;
+
+    const reason = prompt(
+      `Reverse ${Utils.formatCurrency(transaction.amount, true)} ${PoolTransactions.CATEGORIES[transaction.category]?.label.toLowerCase() || ""}? Reason:`,
+    );
+    if (reason === null) return;
+
+    App.showLoading("Reversing...", "Please wait");
+
+    try {
+      await PoolTransactions.reverse(transactionId, reason);
+      App.showToast("Entry reversed", "success");
+      await Promise.all([loadInterestDistribution(), loadStats()]);
+    } catch (error) {
+      console.error("Reverse pool transaction error:", error);
+      App.showToast(error.message || "Failed to reverse", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  async function openPoolDocument(transactionId, index) {
+    const transaction = poolTransactions.find((t) => t.id === transactionId);
+    const doc = transaction?.documents?.[index];
+    if (!doc) return;
+
+    // Open the tab now: browsers block windows opened after an await
+    const tab = window.open("", "_blank");
+    try {
+      const url = await Storage.getProofUrl(doc);
+      if (tab) tab.location.href = url;
+      else window.location.href = url;
+    } catch (error) {
+      tab?.close();
+      App.showToast("Couldn't open the document", "error");
+    }
+  }
+
+  // ==========================================
+  // MEMBER LOANS
+  // ==========================================
+
+  let loans = [];
+
+  async function loadLoans() {
+    const summary = document.getElementById("loansSummary");
+    if (!summary) return;
+
+    try {
+      loans = await Loans.getAll();
+      renderLoans();
+    } catch (error) {
+      console.error("Loans error:", error);
+      summary.innerHTML = `<div class="bank-muted">Couldn't load loans</div>`;
+    }
+  }
+
+  function renderLoans() {
+    const money = (amount) => Utils.formatCurrency(amount, true);
+    const row = (label, value, className = "") => `
+            <div class="bank-row ${className}">
+                <span>${label}</span>
+                <span class="bank-amount">${value}</span>
+            </div>
+        `;
+    const canDecide = Loans.ROLES.includes(currentAdmin?.role);
+    const { APPLIED, ACTIVE } = Loans.STATUSES;
+
+    const applications = loans.filter((loan) => loan.status === APPLIED);
+    const active = loans
+      .filter((loan) => loan.status === ACTIVE)
+      .map((loan) => ({ loan, position: Loans.position(loan) }))
+      // Most overdue first
+      .sort((a, b) => b.position.daysOverdue - a.position.daysOverdue);
+    const closed = loans.filter((loan) => ![APPLIED, ACTIVE].includes(loan.status));
+
+    const sum = (list, pick) =>
+      Ledger.toAmount(list.reduce((total, item) => total + pick(item), 0));
+    const inArrears = active.filter(({ position }) => position.arrears > 0);
+
+    document.getElementById("loansSummary").innerHTML = `
+            ${row("Owed on active loans", money(sum(active, ({ position }) => position.balance)))}
+            ${row(`In arrears (${inArrears.length})`, money(sum(inArrears, ({ position }) => position.arrears)), "bank-muted")}
+            ${row(`Waiting for approval (${applications.length})`, money(sum(applications, (loan) => loan.amount)), "bank-muted")}
+        `;
+
+    document.getElementById("loanApplications").innerHTML = applications.length
+      ? applications
+          .map(
+            (loan) => `
+            <div class="loan-card">
+                <div class="bank-row">
+                    <span><strong>${Utils.escapeHtml(loan.name)}</strong> · ${loan.months} months</span>
+                    <span class="bank-amount">${money(loan.amount)}</span>
+                </div>
+                <div class="bank-muted">
+                    Applied ${formatTimeAgo(loan.appliedAt)}${loan.purpose ? ` · ${Utils.escapeHtml(loan.purpose)}` : ""}
+                </div>
+                ${
+                  canDecide
+                    ? `<div class="loan-actions">
+                    <button class="btn btn-ghost btn-sm" onclick="Admin.rejectLoan('${loan.id}')">Decline</button>
+                    <button class="btn btn-secondary btn-sm" onclick="Admin.approveLoan('${loan.id}')">Approve</button>
+                </div>`
+                    : `<div class="bank-muted">The treasurer or chairperson decides applications</div>`
+                }
+            </div>
+        `,
+          )
+          .join("")
+      : `<div class="bank-muted">No applications waiting</div>`;
+
+    document.getElementById("activeLoans").innerHTML = active.length
+      ? active
+          .map(
+            ({ loan, position }) => `
+            <div class="loan-card${position.arrears > 0 ? " arrears" : ""}">
+                <div class="bank-row">
+                    <span><strong>${Utils.escapeHtml(loan.name)}</strong> · ${money(loan.amount)} at ${loan.interestRate}% a month</span>
+                    <span class="bank-amount">${money(position.balance)}</span>
+                </div>
+                <div class="bank-muted">
+                    ${
+                      position.arrears > 0
+                        ? `<span class="loan-arrears">${money(position.arrears)} overdue · ${position.daysOverdue} days</span>`
+                        : position.nextDue
+                          ? `Next ${money(position.nextDue.outstanding)} due ${Utils.formatDate(position.nextDue.dueDate, "medium")}`
+                          : ""
+                    }
+                </div>
+                ${loanScheduleTable(position)}
+            </div>
+        `,
+          )
+          .join("")
+      : `<div class="bank-muted">No loans being repaid</div>`;
+
+    document.getElementById("closedLoans").innerHTML = closed.length
+      ? closed
+          .map(
+            (loan) => `
+            <div class="bank-row">
+                <span>${Utils.escapeHtml(loan.name)} · ${Loans.STATUS_LABELS[loan.status] || loan.status}${loan.rejectionReason ? `: ${Utils.escapeHtml(loan.rejectionReason)}` : ""}</span>
+                <span class="bank-amount">${money(loan.amount)}</span>
+            </div>
+        `,
+          )
+          .join("")
+      : `<div class="bank-muted">No closed loans yet</div>`;
+  }
+
+  function loanScheduleTable(position) {
+    const money = (amount) => Utils.formatCurrency(amount, true);
+    return `
+            <details class="loan-schedule">
+                <summary>Repayment schedule</summary>
+                <div class="interest-table-wrap">
+                    <table class="interest-table">
+                        <thead>
+                            <tr><th>Due</th><th>Interest</th><th>Capital</th><th>Instalment</th><th>Owing</th><th>Status</th></tr>
+                        </thead>
+                        <tbody>
+                            ${position.rows
+                              .map(
+                                (r) => `
+                                <tr class="loan-row ${r.status}">
+                                    <td>${Utils.formatDate(r.dueDate, "short")}</td>
+                                    <td>${money(r.interest)}</td>
+                                    <td>${money(r.principal)}</td>
+                                    <td>${money(r.instalment)}</td>
+                                    <td>${money(r.outstanding)}</td>
+                                    <td>${Loans.INSTALMENT_LABELS[r.status]}</td>
+                                </tr>
+                            `,
+                              )
+                              .join("")}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        `;
+  }
+
+  async function approveLoan(loanId) {
+    const loan = loans.find((l) => l.id === loanId);
+    if (!loan) return;
+
+    const disbursedOn = prompt(
+      `Approve ${Utils.formatCurrency(loan.amount, true)} for ${loan.name}? Date paid out (YYYY-MM-DD):`,
+      Rules.dayKey(new Date()),
+    );
+    if (disbursedOn === null) return;
+
+    App.showLoading("Approving loan...", "Working out the schedule");
+
+    try {
+      const approved = await Loans.approve(loanId, disbursedOn.trim());
+      App.showToast(
+        `Loan approved: ${approved.months} payments of ${Utils.formatCurrency(approved.schedule[0].instalment, true)}`,
+        "success",
+      );
+      await Promise.all([loadLoans(), loadStats()]);
+    } catch (error) {
+      console.error("Approve loan error:", error);
+      App.showToast(error.message || "Failed to approve", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  async function rejectLoan(loanId) {
+    const loan = loans.find((l) => l.id === loanId);
+    if (!loan) return;
+
+    const reason = prompt(`Decline ${loan.name}'s loan application? Reason:`);
+    if (reason === null) return;
+
+    App.showLoading("Declining...", "Please wait");
+
+    try {
+      await Loans.reject(loanId, reason);
+      App.showToast("Application declined", "success");
+      await loadLoans();
+    } catch (error) {
+      console.error("Decline loan error:", error);
+      App.showToast(error.message || "Failed to decline", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  async function sendLoanReminders() {
+    const due = Loans.reminders(loans);
+    if (due.length === 0) {
+      App.showToast("No loan reminders are due today", "info");
+      return;
+    }
+
+    const arrears = due.filter((r) => r.template === "loanArrears").length;
+    if (
+      !confirm(
+        `Send ${due.length} loan reminder SMS (${arrears} in arrears, ${due.length - arrears} due soon)?`,
+      )
+    ) {
+      return;
+    }
+
+    App.showLoading("Sending reminders...", `${due.length} members`);
+
+    try {
+      const result = await Loans.sendReminders(loans);
+      App.showToast(
+        `${result.sent} sent${result.failed ? `, ${result.failed} failed` : ""}`,
+        result.failed ? "warning" : "success",
+      );
+    } catch (error) {
+      console.error("Loan reminders error:", error);
+      App.showToast(error.message || "Failed to send reminders", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  // ==========================================
+  // ROTATING PAYOUTS
+  // ==========================================
+
+  let rotations = [];
+  let rotationArrears = {};
+
+  async function loadRotation() {
+    const container = document.getElementById("activeRotations");
+    if (!container) return;
+
+    try {
+      const [all, members] = await Promise.all([
+        Rotation.getAll(),
+        Database.getMembers(),
+      ]);
+      rotations = all;
+
+      // Who can be paid next, per active rotation
+      const active = rotations.filter(
+        (rotation) => rotation.status === Rotation.STATUSES.ACTIVE,
+      );
+      const arrears = await Promise.all(
+        active.map((rotation) => Rotation.eligibility(rotation)),
+      );
+      rotationArrears = Object.fromEntries(
+        active.map((rotation, i) => [rotation.id, arrears[i]]),
+      );
+
+      renderRotations();
+      setupRotationForm(members);
+    } catch (error) {
+      console.error("Rotation error:", error);
+      container.innerHTML = `<div class="bank-muted">Couldn't load rotations</div>`;
+    }
+  }
+
+  function setupRotationForm(members) {
+    const form = document.getElementById("rotationForm");
+    if (!form) return;
+
+    form.style.display = Rotation.ROLES.includes(currentAdmin?.role)
+      ? ""
+      : "none";
+
+    const method = document.getElementById("rotationMethod");
+    if (!method.options.length) {
+      method.innerHTML = Object.entries(Rotation.METHODS)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join("");
+    }
+
+    const start = document.getElementById("rotationStart");
+    if (!start.value) {
+      start.value = Rules.dayKey(new Date()).slice(0, 7);
+    }
+
+    // Suspended members can't join
+    document.getElementById("rotationMembers").innerHTML = members
+      .map(
+        (member) => `
+            <label class="rotation-member">
+                <input type="checkbox" value="${member.id}" ${member.status === "suspended" ? "disabled" : "checked"} />
+                ${Utils.escapeHtml(member.fullName || member.name || "Unknown")}
+                <span class="bank-muted">${Utils.escapeHtml(member.memberRef || "")}</span>
+            </label>
+        `,
+      )
+      .join("");
+  }
+
+  function renderRotations() {
+    const money = (amount) => Utils.formatCurrency(amount, true);
+    const active = rotations.filter(
+      (rotation) => rotation.status === Rotation.STATUSES.ACTIVE,
+    );
+    const past = rotations.filter(
+      (rotation) => rotation.status !== Rotation.STATUSES.ACTIVE,
+    );
+
+    document.getElementById("activeRotations").innerHTML = active.length
+      ? active.map(rotationCard).join("")
+      : `<div class="bank-muted">No rotation running. Start one below to pay each month's pot to one member.</div>`;
+
+    document.getElementById("pastRotations").innerHTML = past.length
+      ? past
+          .map(
+            (rotation) => `
+            <details class="rotation-card">
+                <summary class="bank-row">
+                    <span>${Utils.escapeHtml(rotation.name)} · ${rotation.roster.length} members</span>
+                    <span class="bank-amount">${money(Rotation.pot(rotation))} a month</span>
+                </summary>
+                ${rotationQueueTable(rotation)}
+            </details>
+        `,
+          )
+          .join("")
+      : `<div class="bank-muted">No completed rotations yet</div>`;
+  }
+
+  function rotationCard(rotation) {
+    const money = (amount) => Utils.formatCurrency(amount, true);
+    const month = Rotation.nextMonth(rotation);
+    const paidCount = Object.keys(rotation.payouts || {}).length;
+
+    return `
+            <div class="rotation-card">
+                <div class="bank-row">
+                    <span><strong>${Utils.escapeHtml(rotation.name)}</strong> · ${Rotation.METHODS[rotation.method]}</span>
+                    <span class="bank-amount">${money(Rotation.pot(rotation))} a month</span>
+                </div>
+                <div class="bank-muted">
+                    ${money(rotation.contribution)} each from ${rotation.roster.length} members ·
+                    ${paidCount} of ${rotation.roster.length} paid · next: ${Rotation.monthLabel(month)}
+                </div>
+                ${rotationQueueTable(rotation)}
+            </div>
+        `;
+  }
+
+  function rotationQueueTable(rotation) {
+    const money = (amount) => Utils.formatCurrency(amount, true);
+    const canPay = Rotation.ROLES.includes(currentAdmin?.role);
+    const nextMonth = Rotation.nextMonth(rotation);
+    const due = nextMonth && nextMonth <= Rules.dayKey(new Date()).slice(0, 7);
+    const arrears = rotationArrears[rotation.id] || {};
+
+    // Ordered and draw: the first waiting member who is up to date
+    // takes the next pot. Auction: any member who is up to date may bid.
+    const waiting = Rotation.waiting(rotation);
+    const nextUp = waiting.find((member) => !arrears[member.memberId]?.length);
+    const payable = (memberId) =>
+      canPay &&
+      due &&
+      !arrears[memberId]?.length &&
+      (rotation.method === "auction" || memberId === nextUp?.memberId);
+
+    const status = (memberId) =>
+      arrears[memberId]?.length
+        ? `<span class="loan-arrears" title="${Utils.escapeHtml(arrears[memberId].join("; "))}">In arrears</span>`
+        : payable(memberId)
+          ? `<button class="btn btn-secondary btn-sm" onclick="Admin.recordRotationPayout('${rotation.id}', '${memberId}')">Pay ${Rotation.monthLabel(nextMonth)}</button>`
+          : "Waiting";
+
+    const rows = Rotation.queue(rotation).map((slot) => {
+      if (slot.payout) {
+        return `
+                                <tr class="loan-row paid">
+                                    <td>${slot.position}</td>
+                                    <td>${Rotation.monthLabel(slot.month)}</td>
+                                    <td>${Utils.escapeHtml(slot.name)}</td>
+                                    <td>Paid ${money(slot.payout.amount)}${slot.payout.bid ? ` (bid ${money(slot.payout.bid)})` : ""} on ${Utils.formatDate(slot.payout.paidOn, "short")}</td>
+                                </tr>
+                            `;
+      }
+      return `
+                                <tr class="loan-row">
+                                    <td>${slot.position}</td>
+                                    <td>${Rotation.monthLabel(slot.month)}</td>
+                                    <td>${slot.memberId ? Utils.escapeHtml(slot.name) : "Auction"}</td>
+                                    <td>${slot.memberId ? status(slot.memberId) : ""}</td>
+                                </tr>
+                            `;
+    });
+
+    // Auction: the members still bidding
+    const bidders =
+      rotation.method === "auction" && waiting.length
+        ? `
+                <h4 class="bank-bucket-title">Still waiting</h4>
+                ${waiting
+                  .map(
+                    (member) => `
+                    <div class="bank-row">
+                        <span>${Utils.escapeHtml(member.name)}</span>
+                        <span>${status(member.memberId)}</span>
+                    </div>
+                `,
+                  )
+                  .join("")}
+            `
+        : "";
+
+    return `
+                <div class="interest-table-wrap">
+                    <table class="interest-table">
+                        <thead>
+                            <tr><th>#</th><th>Month</th><th>Member</th><th>Status</th></tr>
+                        </thead>
+                        <tbody>
+                            ${rows.join("")}
+                        </tbody>
+                    </table>
+                </div>
+                ${bidders}
+        `;
+  }
+
+  async function handleStartRotation(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const details = {
+      name: document.getElementById("rotationName").value,
+      method: document.getElementById("rotationMethod").value,
+      startMonth: document.getElementById("rotationStart").value,
+      contribution: Number(document.getElementById("rotationContribution").value),
+      memberIds: Array.from(
+        document.querySelectorAll("#rotationMembers input:checked"),
+      ).map((input) => input.value),
+    };
+
+    if (
+      !confirm(
+        `Start "${details.name}" with ${details.memberIds.length} members (${Rotation.METHODS[details.method]})? The order can't be changed afterwards.`,
+      )
+    ) {
+      return;
+    }
+
+    App.showLoading("Starting rotation...", "Setting the order");
+
+    try {
+      const rotation = await Rotation.start(details);
+      App.showToast(
+        `${rotation.name} started: ${rotation.roster[0].name} is first in line`,
+        "success",
+      );
+      form.reset();
+      await loadRotation();
+    } catch (error) {
+      console.error("Start rotation error:", error);
+      App.showToast(error.message || "Failed to start rotation", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  async function recordRotationPayout(rotationId, memberId) {
+    const rotation = rotations.find((r) => r.id === rotationId);
+    const member = rotation?.roster.find((m) => m.memberId === memberId);
+    if (!member) return;
+
+    const month = Rotation.monthLabel(Rotation.nextMonth(rotation));
+    const pot = Rotation.pot(rotation);
+
+    let bid = 0;
+    if (rotation.method === "auction") {
+      const answer = prompt(
+        `${member.name}'s winning bid for the ${month} pot of ${Utils.formatCurrency(pot, true)} (R):`,
+        "0",
+      );
+      if (answer === null) return;
+      bid = Number(answer);
+    }
+
+    const amount = prompt(
+      `Amount paid to ${member.name} for ${month} (R):`,
+      String(Ledger.toAmount(pot - bid)),
+    );
+    if (amount === null) return;
+
+    const paidOn = prompt("Date paid (YYYY-MM-DD):", Rules.dayKey(new Date()));
+    if (paidOn === null) return;
+
+    App.showLoading("Recording payout...", "Checking arrears");
+
+    try {
+      const payout = await Rotation.recordPayout(rotationId, {
+        memberId: memberId,
+        amount: Number(amount),
+        bid: bid,
+        paidOn: paidOn.trim(),
+      });
+      App.showToast(
+        `${Utils.formatCurrency(payout.amount, true)} paid to ${payout.name} for ${month}`,
+        "success",
+      );
+      await Promise.all([loadRotation(), loadStats()]);
+    } catch (error) {
+      console.error("Rotation payout error:", error);
+      App.showToast(error.message || "Failed to record payout", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  // ==========================================
+  // PAYMENT REMINDERS
+  // ==========================================
+
+  let reminderPreview = null;
+
+  function setupReminderForm() {
+    const monthSelect = document.getElementById("reminderMonth");
+    const templateSelect = document.getElementById("reminderTemplate");
+    if (!monthSelect || monthSelect.options.length > 0) return;
+
+    Utils.generateMonthOptions(2, false).forEach((opt) => {
+      monthSelect.add(new Option(opt.label, opt.value));
+    });
+
+    // Late in the month, remind about next month; otherwise chase this one
+    const lateInMonth = new Date().getDate() > 20;
+    monthSelect.selectedIndex = lateInMonth ? 1 : 0;
+    templateSelect.value = lateInMonth ? "monthEndReminder" : "lateReminder";
+  }
+
+  async function handlePreviewReminders(e) {
+    e.preventDefault();
+
+    const template = document.getElementById("reminderTemplate").value;
+    const month = document.getElementById("reminderMonth").value;
+
+    App.showLoading("Building preview...", "Checking payments");
+
+    try {
+      reminderPreview = await SMS.previewReminders(template, month);
+      renderReminderPreview(reminderPreview);
+    } catch (error) {
+      console.error("Reminder preview error:", error);
+      App.showToast(error.message || "Failed to build preview", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  function renderReminderPreview(preview) {
+    const container = document.getElementById("reminderPreview");
+    if (!container) return;
+
+    const { recipients, skipped } = preview;
+
+    container.innerHTML = `
+            <div class="reminder-summary">
+                <div><strong>${recipients.length}</strong> members to remind for ${Utils.escapeHtml(preview.month)}</div>
+                <div>${preview.smsCount} SMS · est. ${Utils.formatCurrency(preview.estimatedCost, true)}</div>
+                <div class="reminder-skipped">
+                    Skipped: ${skipped.paid} paid · ${skipped.optedOut} opted out ·
+                    ${skipped.alreadySent} already reminded · ${skipped.noPhone} no valid phone
+                </div>
+            </div>
+            ${recipients
+              .map(
+                (r) => `
+                <div class="reminder-recipient">
+                    <span>${Utils.escapeHtml(r.name || "Unknown")}</span>
+                    <span class="reminder-recipient-meta">${Utils.escapeHtml(r.memberRef || "")} · ${Utils.escapeHtml(r.phone)}</span>
+                </div>
+            `,
+              )
+              .join("")}
+            <button class="btn btn-primary btn-block" onclick="Admin.sendReminders()" ${recipients.length === 0 ? "disabled" : ""}>
+                Send ${recipients.length} Reminder${recipients.length === 1 ? "" : "s"}
+            </button>
+        `;
+  }
+
+  async function sendReminders() {
+    if (!reminderPreview || reminderPreview.recipients.length === 0) return;
+
+    const { template, month, recipients, estimatedCost } = reminderPreview;
+    if (
+      !confirm(
+        `Send ${recipients.length} reminders for ${month}? Estimated cost ${Utils.formatCurrency(estimatedCost, true)}.`,
+      )
+    ) {
+      return;
+    }
+
+    App.showLoading("Sending reminders...", "Please wait");
+
+    try {
+      const result = await SMS.sendReminders(template, month);
+      App.showToast(
+        `${result.sent} sent, ${result.queued} queued, ${result.failed} failed`,
+        result.failed > 0 ? "warning" : "success",
+      );
+
+      // Refresh so the list reflects who has now been reminded
+      reminderPreview = await SMS.previewReminders(template, month);
+      renderReminderPreview(reminderPreview);
+    } catch (error) {
+      console.error("Send reminders error:", error);
+      App.showToast(error.message || "Failed to send reminders", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  // ==========================================
+  // FINANCIAL RULES
+  // ==========================================
+
+  const RULE_STATE_LABELS = {
+    current: "In force",
+    scheduled: "Scheduled",
+    past: "Past",
+  };
+
+  /**
+   * "2025-04-01" -> "April 2025" (the baseline reads "Default")
+   */
+  function ruleMonthLabel(effectiveFrom) {
+    if (effectiveFrom === Rules.BASELINE_FROM) return "Default";
+    const [year, month] = effectiveFrom.split("-");
+    return `${Utils.getMonthName(Number(month))} ${year}`;
+  }
+
+  async function loadRules() {
+    try {
+      const versions = await Rules.versions(true);
+      renderRuleVersions(versions);
+      setupRulesForm(versions);
+    } catch (error) {
+      console.error("Rules error:", error);
+      App.showToast("Failed to load rules", "error");
+    }
+  }
+
+  function renderRuleVersions(versions) {
+    const container = document.getElementById("rulesVersions");
+    if (!container) return;
+
+    const today = Rules.dayKey(new Date());
+    const current = Rules.inForce(versions, today);
+
+    container.innerHTML = [...versions]
+      .reverse()
+      .map((version) => {
+        const state =
+          version.effectiveFrom > today
+            ? "scheduled"
+            : version.effectiveFrom === current.effectiveFrom
+              ? "current"
+              : "past";
+
+        return `
+            <div class="rules-version ${state}">
+                <div class="rules-version-header">
+                    <strong>From ${ruleMonthLabel(version.effectiveFrom)}</strong>
+                    <span class="rules-version-state">${RULE_STATE_LABELS[state]}</span>
+                </div>
+                <div class="rules-version-values">
+                    ${Object.entries(Rules.FIELDS)
+                      .map(
+                        ([field, label]) =>
+                          `<span>${label}: <strong>${Rules.format(field, version[field])}</strong></span>`,
+                      )
+                      .join("")}
+                </div>
+                ${version.note ? `<div class="rules-version-note">${Utils.escapeHtml(version.note)}</div>` : ""}
+            </div>
+        `;
+      })
+      .join("");
+  }
+
+  function setupRulesForm(versions) {
+    const form = document.getElementById("rulesForm");
+    if (!form) return;
+
+    // Only the chairperson changes the rules
+    const isChairperson = currentAdmin?.role === "chairperson";
+    form.style.display = isChairperson ? "" : "none";
+    if (!isChairperson) return;
+
+    // Start from the newest version, scheduled or not
+    const latest = versions[versions.length - 1];
+    document.getElementById("rulesFields").innerHTML = Object.entries(
+      Rules.FIELDS,
+    )
+      .map(([field, label]) => {
+        // Days and month counts are whole numbers; amounts allow cents
+        const step =
+          field === "paymentDueDay" ||
+          field.endsWith("Skipped") ||
+          field.endsWith("Months")
+            ? "1"
+            : "0.01";
+        return `
+            <div class="form-group">
+                <label for="rule_${field}" class="form-label">${label}</label>
+                <input type="number" id="rule_${field}" class="form-input"
+                    min="0" step="${step}" value="${latest[field]}" required />
+            </div>
+        `;
+      })
+      .join("");
+
+    // Changes start next month at the earliest
+    const now = new Date();
+    const nextMonth = Rules.dayKey(
+      new Date(now.getFullYear(), now.getMonth() + 1, 1),
+    ).slice(0, 7);
+    const effectiveInput = document.getElementById("rulesEffectiveFrom");
+    effectiveInput.min = nextMonth;
+    if (!effectiveInput.value || effectiveInput.value < nextMonth) {
+      effectiveInput.value = nextMonth;
+    }
+  }
+
+  async function handleSaveRules(e) {
+    e.preventDefault();
+
+    const values = {};
+    for (const field of Object.keys(Rules.FIELDS)) {
+      const value = document.getElementById(`rule_${field}`).value;
+      if (value === "" || isNaN(Number(value))) {
+        App.showToast(`${Rules.FIELDS[field]} is required`, "warning");
+        return;
+      }
+      values[field] = Number(value);
+    }
+
+    const effectiveFrom = document.getElementById("rulesEffectiveFrom").value;
+    const note = document.getElementById("rulesNote").value.trim();
+    if (!effectiveFrom) {
+      App.showToast("Choose the month the rules start", "warning");
+      return;
+    }
+
+    const monthLabel = ruleMonthLabel(`${effectiveFrom}-01`);
+    if (
+      !confirm(
+        `Apply these rules from ${monthLabel}? Earlier months keep the rules they were judged by.`,
+      )
+    ) {
+      return;
+    }
+
+    App.showLoading("Saving rules...", "Please wait");
+
+    try {
+      await Rules.save(values, effectiveFrom, note);
+      App.showToast(`Rules scheduled from ${monthLabel}`, "success");
+      document.getElementById("rulesNote").value = "";
+      await loadRules();
+    } catch (error) {
+      console.error("Save rules error:", error);
+      App.showToast(error.message || "Failed to save rules", "error");
+    } finally {
+      App.hideLoading();
+    }
+  }
+
+  // ==========================================
+  // SMS DELIVERY HISTORY
+  // ==========================================
+
+  const SMS_STATUS_LABELS = {
+    queued: "Queued",
+    sent: "Sent",
+    delivered: "Delivered",
+    failed: "Failed",
+  };
+
+  async function viewSmsHistory(memberId) {
+    const member = allMembers.find((m) => m.id === memberId);
+    const title = document.getElementById("smsHistoryTitle");
+    const list = document.getElementById("smsHistoryList");
+    if (!list) return;
+
+    if (title) {
+      title.textContent = `SMS History - ${member?.fullName || member?.name || "Member"}`;
+    }
+    list.innerHTML = `<div class="skeleton skeleton-card"></div>`;
+    App.openModal("smsHistoryModal");
+
+    const history = await SMS.getDeliveryHistory(memberId);
+
+    if (history.length === 0) {
+      list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fa-solid fa-comment-slash" style="font-size: 3rem; color: var(--neutral-400);"></i>
+                    <p>No SMS sent to this member yet</p>
+                </div>
+            `;
+      return;
+    }
+
+    list.innerHTML = history
+      .map(
+        (entry) => `
+            <div class="sms-history-item">
+                <div class="sms-history-info">
+                    <span class="sms-history-template">${Utils.escapeHtml(entry.template || "sms")}</span>
+                    <span class="sms-history-meta">
+                        ${formatTimeAgo(entry.createdAt)} · ${entry.attempts || 0}/${entry.maxAttempts || 1} attempts${entry.provider ? ` · ${Utils.escapeHtml(entry.provider)}` : ""}
+                    </span>
+                    ${
+                      entry.lastError && entry.status !== "delivered"
+                        ? `<span class="sms-history-error">${Utils.escapeHtml(entry.lastError)}</span>`
+                        : ""
+                    }
+                </div>
+                <span class="sms-status ${entry.status}">
+                    ${SMS_STATUS_LABELS[entry.status] || entry.status}
+                </span>
+            </div>
+        `,
+      )
+      .join("");
+  }
+
+  // ==========================================
+  // POP VIEWER
+  // ==========================================
+
+  async function viewPOP(submissionId) {
+    // Duplicate links can point at submissions not in either list
+    const submission = pendingSubmissions.find(s => s.id === submissionId) ||
+                       verifiedSubmissions.find(s => s.id === submissionId) ||
+                       await Database.getSubmission(submissionId).catch(() => null);
+    if (!submission) {
+        App.showToast('Submission not found', 'error');
+        return;
+    }
+    
+    if (!Storage.hasProof(submission)) {
+        App.showToast('No proof of payment found', 'warning');
+        console.log('Submission data:', submission);
+        return;
+    }
+    
+    currentSubmission = submission;
+    
+    const popViewer = document.getElementById('popViewer');
+    const popInfo = document.getElementById('popViewerInfo');
+    
+    viewerProofs = Storage.proofsOf(submission);
+    await showAttachment(0);
+    
+    if (popInfo) {
+        popInfo.innerHTML = `
+            <div class="pop-info-row">
+                <span class="pop-info-label">Member</span>
+                <span class="pop-info-value">${Utils.escapeHtml(submission.name || 'Unknown')}</span>
+            </div>
+            <div class="pop-info-row">
+                <span class="pop-info-label">Amount</span>
+                <span class="pop-info-value">${Utils.formatCurrency(submission.amount || 0)}</span>
+            </div>
+            <div class="pop-info-row">
+                <span class="pop-info-label">Month</span>
+                <span class="pop-info-value">${Utils.escapeHtml(submission.paymentMonth || 'Unknown')}</span>
+            </div>
+            ${viewerProofs.length > 1 ? `
+            <div class="pop-info-row">
+                <span class="pop-info-label">Attachments</span>
+                <span class="pop-info-value">${viewerProofs.length}</span>
+            </div>` : ''}
+            <div class="pop-info-row">
+                <span class="pop-info-label">Submitted</span>
+                <span class="pop-info-value">${formatTimeAgo(submission.submittedAt)}</span>
+            </div>
+            ${submission.status !== 'pending' ? `
+            <div class="pop-info-row">
+                <span class="pop-info-label">Status</span>
+                <span class="pop-info-value">${Utils.escapeHtml(submission.status || 'Unknown')}</span>
+            </div>` : ''}
+            ${submission.isLate ? `<div class="pop-info-late"><i class="fa-solid fa-warning"></i> Late Payment - ${Utils.formatCurrency(submission.fineAmount || 0)} Fine</div>` : ''}
+            ${renderSlipReading(submission)}
+            ${renderDuplicates(submission)}
+        `;
+    }
+    
+    if (popViewer) {
+        popViewer.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+    
+    // Set up action buttons
+    const approveBtn = document.getElementById('popApproveBtn');
+    const rejectBtn = document.getElementById('popRejectBtn');
+    const canDecide = submission.status === 'pending';
+    
+    if (approveBtn) {
+        approveBtn.style.display = canDecide ? '' : 'none';
+        approveBtn.onclick = () => {
+            closePOPViewer();
+            approveSubmission(submissionId);
+        };
+    }
+    
+    if (rejectBtn) {
+        rejectBtn.style.display = canDecide ? '' : 'none';
+        rejectBtn.onclick = () => {
+            closePOPViewer();
+            rejectSubmission(submissionId);
+        };
+    }
+}
+
+  /**
+   * What OCR read off the slip when it was submitted, and where it
+   * disagrees with what the member typed
+   */
+  function renderSlipReading(submission) {
+    const slip = submission.ocr;
+    if (!slip) return '';
+
+    const mismatches = OCR.compare(slip, submission);
+    const shown = [
+        slip.amount ? Utils.formatCurrency(slip.amount, true) : null,
+        slip.paymentDate ? Utils.formatDate(slip.paymentDate) : null,
+        slip.reference ? Utils.escapeHtml(slip.reference) : null,
+    ].filter(Boolean);
+
+    return `
+        <div class="pop-info-row">
+            <span class="pop-info-label">Slip says (OCR)</span>
+            <span class="pop-info-value">${shown.join(' · ') || 'Unreadable'}</span>
+        </div>
+        ${mismatches.map(m => `
+            <div class="pop-info-mismatch">
+                <i class="fa-solid fa-triangle-exclamation"></i>
+                ${m.field === 'amount'
+                    ? `Slip shows ${Utils.formatCurrency(m.slip, true)}, member entered ${Utils.formatCurrency(m.typed, true)}`
+                    : `Slip dated ${Utils.formatDate(m.slip)}, member entered ${Utils.formatDate(m.typed)}`}
+            </div>
+        `).join('')}
+    `;
+}
+
+  /**
+   * Earlier submissions with the same proof, as links into the viewer
+   * Filled in by the checkDuplicateProof function after submission
+   */
+  function renderDuplicates(submission) {
+    const duplicates = submission.duplicates || [];
+    if (duplicates.length === 0) return '';
+
+    return `
+        <div class="pop-duplicates">
+            <div class="pop-duplicates-title">
+                <i class="fa-solid fa-clone"></i> Possible duplicate proof
+            </div>
+            ${duplicates.map(d => `
+                <button type="button" class="pop-duplicate-link" onclick="Admin.viewPOP('${d.submissionId}')">
+                    <span>
+                        ${Utils.escapeHtml(d.reference || 'Unknown')} · ${Utils.escapeHtml(d.paymentMonth || 'Unknown')}
+                        ${d.phone && d.phone !== submission.phone ? ` · ${Utils.escapeHtml(d.phone)}` : ''}
+                    </span>
+                    <span class="pop-duplicate-match">${d.match === 'exact' ? 'Same file' : 'Similar image'}</span>
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+  /**
+   * Show one attachment of the open submission
+   * Images get zoom and rotate; PDFs use the browser's own viewer,
+   * which pages through the document.
+   */
+  async function showAttachment(index) {
+    if (index < 0 || index >= viewerProofs.length) return;
+    viewerIndex = index;
+    viewerZoom = 1;
+    viewerRotation = 0;
+
+    const proof = viewerProofs[index];
+    const isPDF = Storage.isPDF(proof);
+    const popImage = document.getElementById("popViewerImage");
+    const popPdf = document.getElementById("popViewerPdf");
+
+    document.getElementById("popPageLabel").textContent =
+      `${index + 1} / ${viewerProofs.length}`;
+    document.getElementById("popPrevBtn").disabled = index === 0;
+    document.getElementById("popNextBtn").disabled =
+      index === viewerProofs.length - 1;
+    document.getElementById("popRotateBtn").disabled = isPDF;
+
+    let url;
+    try {
+      url = await Storage.getProofUrl(proof);
+    } catch (error) {
+      console.error("Proof file error:", error);
+      App.showToast("Could not load proof of payment", "error");
+      return;
+    }
+    // Another attachment was picked while this one loaded
+    if (viewerProofs[viewerIndex] !== proof) return;
+
+    document.getElementById("popOpenBtn").href = url;
+    popImage.style.display = isPDF ? "none" : "block";
+    popPdf.style.display = isPDF ? "block" : "none";
+
+    if (isPDF) {
+      popImage.removeAttribute("src");
+      popPdf.src = url;
+    } else {
+      popPdf.removeAttribute("src");
+      popImage.src = url;
+    }
+    applyViewerTransform();
+  }
+
+  function zoomViewer(factor) {
+    // Width the image has when fitted to the viewer
+    if (viewerZoom === 1) {
+      viewerFitWidth = document.getElementById("popViewerImage").clientWidth;
+    }
+    viewerZoom = Math.min(VIEWER_MAX_ZOOM, Math.max(1, viewerZoom * factor));
+    applyViewerTransform();
+  }
+
+  function applyViewerTransform() {
+    const popImage = document.getElementById("popViewerImage");
+    const content = document.getElementById("popViewerContent");
+    const zoomed = viewerZoom > 1 && viewerFitWidth > 0;
+
+    // Zoom by size so the enlarged image can be scrolled
+    popImage.style.maxWidth = zoomed ? "none" : "";
+    popImage.style.maxHeight = zoomed ? "none" : "";
+    popImage.style.width = zoomed ? `${viewerFitWidth * viewerZoom}px` : "";
+    popImage.style.transform = viewerRotation
+      ? `rotate(${viewerRotation}deg)`
+      : "";
+    content?.classList.toggle("zoomed", zoomed);
+
+    const isPDF = Storage.isPDF(viewerProofs[viewerIndex]);
+    document.getElementById("popZoomOutBtn").disabled = isPDF || viewerZoom <= 1;
+    document.getElementById("popZoomInBtn").disabled =
+      isPDF || viewerZoom >= VIEWER_MAX_ZOOM;
+  }
+
+  function closePOPViewer() {
+    const popViewer = document.getElementById("popViewer");
+    if (popViewer) {
+      popViewer.classList.remove("active");
+      document.body.style.overflow = "";
+    }
+    currentSubmission = null;
+    viewerProofs = [];
+    document.getElementById("popViewerPdf")?.removeAttribute("src");
+  }
+
+  // ==========================================
+  // ACTIONS
+  // ==========================================
+
+  async function approveSubmission(submissionId) {
+    const submission = pendingSubmissions.find((s) => s.id === submissionId);
+    if (!submission) return;
+
+    const warning = submission.duplicates?.length
+      ? "This proof matches an earlier submission. "
+      : "";
+    if (
+      !confirm(
+        `${warning}Approve ${Utils.formatCurrency(submission.amount)} from ${submission.name}?`,
+      )
+    ) {
+      return;
+    }
+
+    App.showLoading("Processing...", "Approving payment");
+
+    try {
+      // Posts to the ledger and updates totals in one transaction
+      await Database.approveSubmission(submissionId);
+
+      App.hideLoading();
+      App.showToast("Payment approved!", "success");
+
+      // Refresh data
+      await loadPendingSubmissions();
+      await loadStats();
+    } catch (error) {
+      console.error("Approve error:", error);
+      App.hideLoading();
+      App.showToast(error.message || "Failed to approve", "error");
+    }
+  }
+
+  async function rejectSubmission(submissionId) {
+    const submission = pendingSubmissions.find((s) => s.id === submissionId);
+    if (!submission) return;
+
+    const reason = prompt("Reason for rejection (optional):");
+
+    if (!confirm(`Reject submission from ${submission.name}?`)) {
+      return;
+    }
+
+    App.showLoading("Processing...", "Rejecting submission");
+
+    try {
+      await Database.rejectSubmission(
+        submissionId,
+        reason || "Rejected by admin",
+      );
+
+      App.hideLoading();
       App.showToast("Submission rejected", "info");
 
       // Refresh
@@ -640,7 +2902,157 @@ const Admin = (() => {
     } catch (error) {
       console.error("Reject error:", error);
       App.hideLoading();
-      App.showToast("Failed to reject", "error");
+      App.showToast(error.message || "Failed to reject", "error");
+    }
+  }
+
+  async function reverseSubmission(submissionId) {
+    const submission = verifiedSubmissions.find((s) => s.id === submissionId);
+    if (!submission) return;
+
+    const reason = prompt("Reason for reversing this payment (required):");
+    if (reason === null) return;
+    if (!reason.trim()) {
+      App.showToast("A reason is required", "error");
+      return;
+    }
+
+    if (
+      !confirm(
+        `Reverse ${Utils.formatCurrency(submission.amount)} from ${submission.name}? This takes the money off their savings.`,
+      )
+    ) {
+      return;
+    }
+
+    App.showLoading("Processing...", "Reversing payment");
+
+    try {
+      await Database.reverseSubmission(submissionId, reason);
+
+      App.hideLoading();
+      App.showToast("Payment reversed", "info");
+
+      await loadVerifiedSubmissions();
+      await loadStats();
+    } catch (error) {
+      console.error("Reverse error:", error);
+      App.hideLoading();
+      App.showToast(error.message || "Failed to reverse", "error");
+    }
+  }
+
+  async function amendSubmission(submissionId) {
+    const submission = verifiedSubmissions.find((s) => s.id === submissionId);
+    if (!submission) return;
+
+    const amountInput = prompt("Correct amount (R):", submission.amount);
+    if (amountInput === null) return;
+    const monthInput = prompt(
+      "Correct payment month (e.g. January 2026):",
+      submission.paymentMonth,
+    );
+    if (monthInput === null) return;
+    const fineInput = prompt("Late fine (R):", submission.fineAmount || 0);
+    if (fineInput === null) return;
+    const reason = prompt("Reason for the amendment (required):");
+    if (reason === null) return;
+    if (!reason.trim()) {
+      App.showToast("A reason is required", "error");
+      return;
+    }
+
+    const changes = {
+      amount: parseFloat(amountInput),
+      paymentMonth: monthInput.trim(),
+      fineAmount: parseFloat(fineInput) || 0,
+    };
+
+    if (
+      !confirm(
+        `Amend ${submission.reference} to ${Utils.formatCurrency(changes.amount)} for ${changes.paymentMonth}?`,
+      )
+    ) {
+      return;
+    }
+
+    App.showLoading("Processing...", "Amending payment");
+
+    try {
+      const result = await Database.amendSubmission(
+        submissionId,
+        changes,
+        reason,
+      );
+
+      App.hideLoading();
+      App.showToast(`Payment amended (${result.reference})`, "success");
+
+      await loadVerifiedSubmissions();
+      await loadStats();
+    } catch (error) {
+      console.error("Amend error:", error);
+      App.hideLoading();
+      App.showToast(error.message || "Failed to amend", "error");
+    }
+  }
+
+  async function handleInviteOfficer(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const invite = {
+      name: document.getElementById("officerName").value.trim(),
+      email: document.getElementById("officerEmail").value.trim(),
+      role: document.getElementById("officerRole").value,
+    };
+
+    if (!invite.name || !invite.email) {
+      App.showToast("Name and email are required", "warning");
+      return;
+    }
+
+    App.showLoading("Processing...", "Inviting officer");
+
+    try {
+      const result = await Auth.inviteOfficer(invite);
+
+      App.hideLoading();
+      App.showToast(`${invite.name} invited`, "success");
+      form.reset();
+
+      // No email sender is configured, so the chairperson passes this on
+      prompt(
+        `Send this link to ${invite.name} so they can set a password:`,
+        result.setupLink,
+      );
+
+      await loadOfficers();
+    } catch (error) {
+      console.error("Invite error:", error);
+      App.hideLoading();
+      App.showToast(error.message || "Failed to invite officer", "error");
+    }
+  }
+
+  async function revokeOfficer(uid) {
+    if (!confirm("Revoke this officer's access? They will be signed out.")) {
+      return;
+    }
+
+    App.showLoading("Processing...", "Revoking access");
+
+    try {
+      await Auth.revokeOfficer(uid);
+
+      App.hideLoading();
+      App.showToast("Access revoked", "info");
+
+      await loadOfficers();
+    } catch (error) {
+      console.error("Revoke error:", error);
+      App.hideLoading();
+      App.showToast(error.message || "Failed to revoke access", "error");
     }
   }
 
@@ -704,6 +3116,25 @@ const Admin = (() => {
     viewPOP,
     approveSubmission,
     rejectSubmission,
+    reverseSubmission,
+    amendSubmission,
+    revokeOfficer,
+    viewSmsHistory,
+    reinstateMember,
+    sendReminders,
+    approveBankMatch,
+    approveConfidentMatches,
+    viewBalanceCheck,
+    downloadBalanceChecks,
+    approveInterestDistribution,
+    postInterestDistribution,
+    discardInterestDistribution,
+    downloadInterestDistribution,
+    reversePoolTransaction,
+    openPoolDocument,
+    approveLoan,
+    rejectLoan,
+    recordRotationPayout,
     loadPendingSubmissions,
     closePOPViewer,
   };
@@ -24,17 +24,6 @@ const App = {
     this.initToastContainer();
 
     try {
-      const params = new URLSearchParams(window.location.search);
-      const urlAdminCode = params.get("adminCode");
-
-      if (urlAdminCode) {
-        const result = await Auth.verifyAdminCode(urlAdminCode);
-        if (result) {
-          this.showAdminDashboard();
-          return;
-        }
-      }
-
       const hasSession = await Auth.checkAdminSession();
       if (hasSession) {
         this.showAdminDashboard();
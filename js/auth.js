@@ -7,8 +7,13 @@
  *
  * AUTHENTICATION TYPES:
  * - Anonymous auth for Firebase access
- * - Admin code verification for admin panel
- * - Phone + Password for member login
+ * - Email + Password for officers (role in Firebase Auth custom claims)
+ * - Phone + Password (or SMS code) for members, exchanged by Cloud
+ *   Functions for a custom token carrying a {memberId} claim
+ *
+ * OFFICER ROLES:
+ * - Claims {role, level} are set by Cloud Functions (functions/officers.js)
+ * - firestore.rules checks the claims; the local session is display only
  *
  * SESSION MANAGEMENT:
  * - Admin session: 24 hours
@@ -35,18 +40,21 @@ const Auth = {
   },
 
   /**
-   * Admin codes for different roles
-   * Each role has specific access levels
+   * Officer roles and their access levels
+   * Must match OFFICER_ROLES in functions/officers.js
    */
-  ADMIN_CODES: {
-    VIC2026: { role: "chairperson", name: "Chairperson", level: 3 },
-    KAT2026: { role: "secretary", name: "Secretary", level: 2 },
-    MBA2026: { role: "treasurer", name: "Treasurer", level: 2 },
+  OFFICER_ROLES: {
+    chairperson: { name: "Chairperson", level: 3 },
+    secretary: { name: "Secretary", level: 2 },
+    treasurer: { name: "Treasurer", level: 2 },
   },
 
   // Current Firebase user reference
   currentUser: null,
 
+  // Resolves once Firebase has restored any persisted sign-in
+  _readyPromise: null,
+
   /**
    * ==========================================
    * INITIALIZATION
@@ -66,11 +74,7 @@ const Auth = {
       });
 
       // Sign in anonymously if not already signed in
-      if (!firebase.auth().currentUser) {
-        await this.signInAnonymously();
-      } else {
-        this.currentUser = firebase.auth().currentUser;
-      }
+      await this.signInAnonymously();
 
       return true;
     } catch (error) {
@@ -79,12 +83,39 @@ const Auth = {
     }
   },
 
+  /**
+   * Wait for Firebase to restore the persisted user
+   * currentUser is null until then, even for a signed-in officer
+   *
+   * @returns {Promise<object|null>} Firebase user or null
+   */
+  authReady() {
+    if (!this._readyPromise) {
+      this._readyPromise = new Promise((resolve) => {
+        const unsubscribe = firebase.auth().onAuthStateChanged((user) => {
+          unsubscribe();
+          this.currentUser = user;
+          resolve(user);
+        });
+      });
+    }
+    return this._readyPromise;
+  },
+
   /**
    * Sign in anonymously
    * Required for Firestore access
+   * Keeps an existing (officer or anonymous) user instead of replacing it
    */
   async signInAnonymously() {
     try {
+      await this.authReady();
+      const existingUser = firebase.auth().currentUser;
+      if (existingUser) {
+        this.currentUser = existingUser;
+        return existingUser;
+      }
+
       const result = await firebase.auth().signInAnonymously();
       this.currentUser = result.user;
       console.log("✅ Anonymous auth successful");
@@ -102,26 +133,28 @@ const Auth = {
    */
 
   /**
-   * Verify admin code
+   * Sign in an officer with email and password
+   * Access is granted only if the account carries an officer role claim
    *
-   * @param {string} code - Admin code to verify
-   * @returns {Promise<boolean>} Whether code is valid
+   * @param {string} email - Officer email
+   * @param {string} password - Officer password
+   * @returns {Promise<object|false>} Role info or false if not an officer
    */
-  async verifyAdminCode(code) {
+  async signInOfficer(email, password) {
     try {
-      if (!code) return false;
+      if (!email || !password) return false;
 
-      // Normalize code (uppercase, trim whitespace)
-      const normalizedCode = code.toUpperCase().trim();
+      const result = await firebase
+        .auth()
+        .signInWithEmailAndPassword(email.trim(), password);
+      this.currentUser = result.user;
 
-      // Check against hardcoded admin codes
-      const adminInfo = this.ADMIN_CODES[normalizedCode];
+      // Force refresh so newly granted claims are picked up
+      const adminInfo = await this.getOfficerClaims(true);
 
       if (adminInfo) {
-        // Valid admin code - create session
         this.setAdminSession(adminInfo);
 
-        // Log successful login
         await this.logAdminAction("admin_login", {
           role: adminInfo.role,
           name: adminInfo.name,
@@ -132,18 +165,43 @@ const Auth = {
         return adminInfo;
       }
 
-      // Invalid code - log failed attempt
+      // Valid account but no officer role (e.g. revoked)
       await this.logAdminAction("admin_login_failed", {
+        email: email.trim(),
         success: false,
       });
+      await firebase.auth().signOut();
+      this.currentUser = null;
 
       return false;
     } catch (error) {
-      console.error("Admin verification error:", error);
+      console.error("Officer sign-in error:", error);
       return false;
     }
   },
 
+  /**
+   * Read the officer role from the current user's ID token
+   *
+   * @param {boolean} forceRefresh - Fetch a fresh token from Firebase
+   * @returns {Promise<object|null>} {role, name, level, email} or null
+   */
+  async getOfficerClaims(forceRefresh = false) {
+    const user = firebase.auth().currentUser;
+    if (!user || user.isAnonymous) return null;
+
+    const token = await user.getIdTokenResult(forceRefresh);
+    const roleInfo = this.OFFICER_ROLES[token.claims.role];
+    if (!roleInfo) return null;
+
+    return {
+      role: token.claims.role,
+      name: roleInfo.name,
+      level: token.claims.level || roleInfo.level,
+      email: user.email,
+    };
+  },
+
   /**
    * Check if admin session is valid
    *
@@ -162,6 +220,14 @@ const Auth = {
         return false;
       }
 
+      // The Firebase user must still be the officer who signed in
+      const user = await this.authReady();
+      const claims = await this.getOfficerClaims();
+      if (!user || user.uid !== session.userId || !claims) {
+        this.clearAdminSession();
+        return false;
+      }
+
       return true;
     } catch (error) {
       console.error("Check admin session error:", error);
@@ -179,6 +245,7 @@ const Auth = {
       role: adminInfo.role || "admin",
       roleName: adminInfo.name || "Admin",
       level: adminInfo.level || 1,
+      email: adminInfo.email || null,
       timestamp: Date.now(),
       userId: this.currentUser?.uid,
     });
@@ -221,34 +288,52 @@ const Auth = {
   async signOutAdmin() {
     await this.logAdminAction("admin_logout", {});
     this.clearAdminSession();
+    await firebase.auth().signOut();
+    this.currentUser = null;
   },
 
   /**
-   * Update admin code
+   * ==========================================
+   * OFFICER MANAGEMENT (Chairperson only)
+   * ==========================================
+   */
+
+  /**
+   * List officers (active and revoked)
    *
-   * @param {string} newCode - New admin code
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Array>} Officer records
    */
-  async updateAdminCode(newCode) {
-    try {
-      if (!newCode || newCode.length < 6) {
-        throw new Error("Admin code must be at least 6 characters");
-      }
+  async getOfficers() {
+    const snapshot = await db.collection("officers").orderBy("name").get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  },
 
-      await db.collection("settings").doc("admin").update({
-        adminCode: newCode,
-        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-      });
+  /**
+   * Invite an officer
+   * The Cloud Function creates the account, sets the role claim and
+   * returns a link the new officer uses to choose a password
+   *
+   * @param {object} invite - {email, name, role}
+   * @returns {Promise<object>} {uid, email, role, level, setupLink}
+   */
+  async inviteOfficer(invite) {
+    if (!functions) throw new Error("Cloud Functions SDK not loaded");
 
-      await this.logAdminAction("admin_code_changed", {});
-      return true;
-    } catch (error) {
-      console.error("Update admin code error:", error);
-      throw error;
-    }
+    const result = await functions.httpsCallable("inviteOfficer")(invite);
+    return result.data;
+  },
+
+  /**
+   * Revoke an officer's access
+   *
+   * @param {string} uid - Officer uid
+   */
+  async revokeOfficer(uid) {
+    if (!functions) throw new Error("Cloud Functions SDK not loaded");
+
+    await functions.httpsCallable("revokeOfficer")({ uid });
   },
 
-  
 
   /**
    * ==========================================
@@ -257,58 +342,104 @@ const Auth = {
    */
 
   /**
-   * Look up member by phone
-   * Used for various member operations
+   * Sign a member in with phone + password
+   * The password is checked server-side; the browser only gets a token
    *
-   * @param {string} name - Member name (optional, for fuzzy matching)
    * @param {string} phone - Phone number
-   * @returns {Promise<object|null>} Member data or null
+   * @param {string} password - Password
+   * @returns {Promise<{success: boolean, memberId?: string, error?: string, code?: string}>}
    */
-  async lookupMember(name, phone) {
-    try {
-      const normalizedPhone = phone.replace(/[\s-]/g, "");
+  async signInMember(phone, password) {
+    return this.callMemberFunction("memberSignIn", { phone, password });
+  },
 
-      const snapshot = await db
-        .collection("members")
-        .where("phone", "==", normalizedPhone)
-        .limit(1)
-        .get();
+  /**
+   * Send a password reset code by SMS
+   *
+   * @param {string} phone - Registered phone number
+   * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+   */
+  async requestPasswordOtp(phone) {
+    return this.callMemberFunction("requestPasswordOtp", { phone });
+  },
 
-      if (snapshot.empty) {
-        return null;
-      }
+  /**
+   * Sign a member in with a password reset code
+   *
+   * @param {string} phone - Phone the code was sent to
+   * @param {string} otp - 6-digit code
+   * @returns {Promise<{success: boolean, memberId?: string, error?: string}>}
+   */
+  async verifyPasswordOtp(phone, otp) {
+    return this.callMemberFunction("verifyPasswordOtp", { phone, otp });
+  },
 
-      const memberDoc = snapshot.docs[0];
-      const memberData = memberDoc.data();
-
-      // If name provided, do fuzzy matching
-      if (name) {
-        const normalizedName = name.toLowerCase().trim();
-        const storedName = (memberData.fullName || memberData.name || "")
-          .toLowerCase()
-          .trim();
-
-        // Check if names are similar enough
-        if (
-          !storedName.includes(normalizedName) &&
-          !normalizedName.includes(storedName)
-        ) {
-          // Names don't match - could be different person with same phone
-          // For now, trust phone number as primary identifier
-          console.warn("Name mismatch for phone:", normalizedPhone);
-        }
+  /**
+   * Call a member Cloud Function and sign in with the token it returns
+   *
+   * @param {string} name - Callable function name
+   * @param {object} data - Request data
+   * @returns {Promise<object>} {success, ...result} or {success: false, error, code}
+   */
+  async callMemberFunction(name, data) {
+    try {
+      if (!functions) throw new Error("Cloud Functions SDK not loaded");
+
+      const result = await functions.httpsCallable(name)(data);
+      const { token, ...rest } = result.data || {};
+
+      if (token) {
+        await this.signInWithToken(token);
       }
 
+      return { success: true, ...rest };
+    } catch (error) {
+      console.error(`${name} error:`, error);
       return {
-        id: memberDoc.id,
-        ...memberData,
+        success: false,
+        // Callable errors carry codes like "functions/not-found"
+        code: (error.code || "").replace("functions/", ""),
+        error: error.message || "Something went wrong. Please try again.",
       };
-    } catch (error) {
-      console.error("Lookup member error:", error);
-      return null;
     }
   },
 
+  /**
+   * Sign in with a custom token minted by Cloud Functions
+   *
+   * @param {string} token - Firebase custom token
+   * @returns {Promise<object>} Firebase user
+   */
+  async signInWithToken(token) {
+    const result = await firebase.auth().signInWithCustomToken(token);
+    this.currentUser = result.user;
+    return result.user;
+  },
+
+  /**
+   * Member ID of the signed-in member (from the token claim)
+   *
+   * @returns {Promise<string|null>} Member ID or null
+   */
+  async getMemberId() {
+    await this.authReady();
+    const user = firebase.auth().currentUser;
+    if (!user || user.isAnonymous) return null;
+
+    const token = await user.getIdTokenResult();
+    return token.claims.memberId || null;
+  },
+
+  /**
+   * Sign a member out and fall back to anonymous access
+   */
+  async signOutMember() {
+    this.clearMemberSession();
+    await firebase.auth().signOut();
+    this.currentUser = null;
+    await this.signInAnonymously();
+  },
+
   /**
    * Get member session
    *
@@ -382,6 +513,7 @@ const Auth = {
         action,
         details,
         userId: this.currentUser?.uid,
+        performedBy: this.currentUser?.uid,
         timestamp: firebase.firestore.FieldValue.serverTimestamp(),
         userAgent: navigator.userAgent,
         // Don't store IP - privacy concern
@@ -424,25 +556,6 @@ const Auth = {
     this.clearMemberSession();
     console.log("All sessions cleared");
   },
-
-  /**
-   * Reset admin code to default (console utility)
-   * Usage: Auth.resetAdminCode()
-   */
-  async resetAdminCode() {
-    try {
-      const defaultCode = APP_SETTINGS?.defaultAdminCode || "TSHIKOTA2024";
-      await db.collection("settings").doc("admin").set({
-        adminCode: defaultCode,
-        resetAt: firebase.firestore.FieldValue.serverTimestamp(),
-      });
-      console.log("Admin code reset to default");
-      return true;
-    } catch (error) {
-      console.error("Reset admin code error:", error);
-      return false;
-    }
-  },
 };
 
 // Export for use
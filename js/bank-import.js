@@ -0,0 +1,460 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - BANK STATEMENT IMPORT
+ * =====================================================
+ *
+ * Reads a statement export of the stokvel account
+ * (APP_SETTINGS.bankingDetails) and matches its deposits to pending
+ * submissions.
+ *
+ * FORMATS:
+ * - FNB CSV  Any rows before the "Date, Amount, Balance, Description"
+ *            header are account details; debits are negative
+ * - OFX/QFX  <STMTTRN> blocks (SGML or XML flavour)
+ *
+ * MATCHING (one deposit per submission, best score first):
+ * - amount     must equal the submission's total (amount + fine) or amount
+ * - date       within DATE_WINDOW_DAYS of the payment date
+ * - reference  TRF reference, bank reference or member ref in the
+ *              description
+ * - name       words of the member's name in the description
+ *
+ * A match is confident when the reference or name agrees and no other
+ * submission scores as well for the same deposit. Deposits that were
+ * already used for an approval are listed separately; approvals claim
+ * them in `bankTransactions` (see Database.approveSubmission).
+ *
+ * =====================================================
+ */
+
+const BankImport = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  COLLECTION: "bankTransactions",
+
+  // Days either side of the payment date a deposit may clear
+  DATE_WINDOW_DAYS: 3,
+
+  // Shortest name word or reference worth matching on
+  MIN_TOKEN_LENGTH: 3,
+
+  MONTHS_SHORT: [
+    "jan", "feb", "mar", "apr", "may", "jun",
+    "jul", "aug", "sep", "oct", "nov", "dec",
+  ],
+
+  /**
+   * ==========================================
+   * PARSING
+   * ==========================================
+   */
+
+  /**
+   * Parse a statement file
+   *
+   * @param {File} file - .csv, .ofx or .qfx
+   * @returns {Promise<object>} {format, account, transactions}
+   *   transactions: [{id, date, amount, description, balance}]
+   */
+  async read(file) {
+    const text = await file.text();
+    return this.parse(text);
+  },
+
+  /**
+   * Parse statement text, detecting the format
+   * @param {string} text
+   * @returns {object} {format, account, transactions}
+   */
+  parse(text) {
+    const statement = /<OFX>|OFXHEADER/i.test(text)
+      ? this.parseOfx(text)
+      : this.parseCsv(text);
+
+    if (statement.transactions.length === 0) {
+      throw new Error("No transactions found in this statement");
+    }
+    return statement;
+  },
+
+  /**
+   * FNB CSV export
+   * @param {string} text
+   * @returns {object}
+   */
+  parseCsv(text) {
+    const rows = text
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .map((line) => this.splitCsvLine(line));
+
+    const headerIndex = rows.findIndex((row) => {
+      const cells = row.map((cell) => cell.toLowerCase());
+      return (
+        cells.some((c) => c.includes("date")) &&
+        cells.some((c) => c.includes("amount"))
+      );
+    });
+    if (headerIndex === -1) {
+      throw new Error("Could not find the Date and Amount columns");
+    }
+
+    const header = rows[headerIndex].map((cell) => cell.toLowerCase());
+    const column = (name) => header.findIndex((c) => c.includes(name));
+    const dateCol = column("date");
+    const amountCol = column("amount");
+    const balanceCol = column("balance");
+    const textCols = header
+      .map((cell, i) => (/description|reference|details/.test(cell) ? i : -1))
+      .filter((i) => i !== -1);
+
+    // Account number from the details rows above the header
+    let account = null;
+    rows.slice(0, headerIndex).forEach((row) => {
+      const number = row.find((cell) => /^\d{9,12}$/.test(cell.trim()));
+      if (number && !account) account = number.trim();
+    });
+
+    const seen = new Map();
+    const transactions = [];
+
+    rows.slice(headerIndex + 1).forEach((row) => {
+      const date = this.parseDate(row[dateCol]);
+      const amount = this.parseAmount(row[amountCol]);
+      if (!date || amount === null) return;
+
+      const description = textCols
+        .map((i) => (row[i] || "").trim())
+        .filter(Boolean)
+        .join(" ");
+      const balance =
+        balanceCol === -1 ? null : this.parseAmount(row[balanceCol]);
+
+      // Identical rows (same day, amount, text, balance) stay distinct
+      const key = [date, amount, description, balance].join("|");
+      const occurrence = (seen.get(key) || 0) + 1;
+      seen.set(key, occurrence);
+
+      transactions.push({
+        id: `csv-${date}-${Math.round(amount * 100)}-${this.hash(`${key}|${occurrence}`)}`,
+        date,
+        amount,
+        description,
+        balance,
+      });
+    });
+
+    return { format: "csv", account, transactions };
+  },
+
+  /**
+   * Split one CSV line, honouring quoted fields
+   * @param {string} line
+   * @returns {string[]}
+   */
+  splitCsvLine(line) {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        cells.push(cell.trim());
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  },
+
+  /**
+   * OFX / QFX export
+   * @param {string} text
+   * @returns {object}
+   */
+  parseOfx(text) {
+    const tag = (block, name) => {
+      const match = new RegExp(`<${name}>([^<\\r\\n]*)`, "i").exec(block);
+      return match ? match[1].trim() : "";
+    };
+
+    const account = tag(text, "ACCTID") || null;
+    const transactions = [];
+    const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+    blocks.forEach((block) => {
+      const posted = tag(block, "DTPOSTED");
+      const date = /^\d{8}/.test(posted)
+        ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`
+        : null;
+      const amount = this.parseAmount(tag(block, "TRNAMT"));
+      if (!date || amount === null) return;
+
+      const fitId = tag(block, "FITID");
+      const description = [tag(block, "NAME"), tag(block, "MEMO")]
+        .filter(Boolean)
+        .join(" ");
+
+      transactions.push({
+        id: fitId
+          ? `ofx-${account || "acct"}-${fitId}`.replace(/[^A-Za-z0-9_-]/g, "_")
+          : `ofx-${date}-${Math.round(amount * 100)}-${this.hash(block)}`,
+        date,
+        amount,
+        description,
+        balance: null,
+      });
+    });
+
+    return { format: "ofx", account, transactions };
+  },
+
+  /**
+   * Statement date to "2025-03-07"
+   * Accepts 2025/03/07, 2025-03-07, 07/03/2025 and 07 Mar 2025
+   *
+   * @param {string} value
+   * @returns {string|null}
+   */
+  parseDate(value) {
+    const text = String(value || "").trim();
+    const pad = (n) => String(n).padStart(2, "0");
+    let match;
+
+    if ((match = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/.exec(text))) {
+      return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+    }
+    if ((match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})/.exec(text))) {
+      // South African statements are day first
+      return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+    }
+    if ((match = /^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4})/.exec(text))) {
+      const month = this.MONTHS_SHORT.indexOf(match[2].toLowerCase());
+      if (month !== -1) return `${match[3]}-${pad(month + 1)}-${pad(match[1])}`;
+    }
+    return null;
+  },
+
+  /**
+   * Statement amount to a number
+   * Handles "1 500.00", "R300", "-300.00" and "300.00 Dr"
+   *
+   * @param {string} value
+   * @returns {number|null}
+   */
+  parseAmount(value) {
+    const text = String(value || "").trim();
+    if (!text) return null;
+
+    const debit = /dr$/i.test(text);
+    const number = parseFloat(text.replace(/[^0-9.-]/g, ""));
+    if (!Number.isFinite(number)) return null;
+
+    return Math.round((debit ? -Math.abs(number) : number) * 100) / 100;
+  },
+
+  /**
+   * Short stable hash (FNV-1a) for building transaction IDs
+   * @param {string} text
+   * @returns {string} 8 hex chars
+   */
+  hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, "0");
+  },
+
+  /**
+   * ==========================================
+   * MATCHING
+   * ==========================================
+   */
+
+  /**
+   * Match deposits to pending submissions
+   *
+   * @param {Array} transactions - From parse()
+   * @param {Array} submissions - Pending submissions
+   * @param {Set<string>} reconciled - Transaction IDs already used
+   * @returns {object} {matched, unmatchedDeposits, unmatchedSubmissions,
+   *   alreadyReconciled}
+   */
+  reconcile(transactions, submissions, reconciled = new Set()) {
+    const deposits = transactions.filter((t) => t.amount > 0);
+    const alreadyReconciled = deposits.filter((t) => reconciled.has(t.id));
+    const open = deposits.filter((t) => !reconciled.has(t.id));
+
+    // Every plausible pairing, best first
+    const candidates = [];
+    open.forEach((transaction) => {
+      submissions.forEach((submission) => {
+        const score = this.scoreMatch(transaction, submission);
+        if (score) candidates.push({ transaction, submission, ...score });
+      });
+    });
+    candidates.sort((a, b) => b.score - a.score || a.days - b.days);
+
+    const usedTransactions = new Set();
+    const usedSubmissions = new Set();
+    const matched = [];
+
+    candidates.forEach((candidate) => {
+      if (
+        usedTransactions.has(candidate.transaction.id) ||
+        usedSubmissions.has(candidate.submission.id)
+      ) {
+        return;
+      }
+      usedTransactions.add(candidate.transaction.id);
+      usedSubmissions.add(candidate.submission.id);
+
+      // Two submissions equally good for one deposit need a human
+      const rivals = candidates.filter(
+        (c) =>
+          c.transaction.id === candidate.transaction.id &&
+          c.submission.id !== candidate.submission.id &&
+          c.score === candidate.score,
+      );
+      const identified = candidate.reasons.some(
+        (r) => r === "reference" || r === "name",
+      );
+
+      matched.push({
+        ...candidate,
+        confident: identified && rivals.length === 0,
+      });
+    });
+
+    return {
+      matched,
+      unmatchedDeposits: open.filter((t) => !usedTransactions.has(t.id)),
+      unmatchedSubmissions: submissions.filter(
+        (s) => !usedSubmissions.has(s.id),
+      ),
+      alreadyReconciled,
+    };
+  },
+
+  /**
+   * Score one deposit against one submission
+   *
+   * @param {object} transaction
+   * @param {object} submission
+   * @returns {object|null} {score, days, reasons} or null if impossible
+   */
+  scoreMatch(transaction, submission) {
+    const cents = (value) => Math.round((Number(value) || 0) * 100);
+    const paid = cents(transaction.amount);
+    if (paid !== cents(submission.totalAmount) && paid !== cents(submission.amount)) {
+      return null;
+    }
+
+    const paymentDay =
+      submission.paymentDate ||
+      (submission.submittedAt?.toDate
+        ? Rules.dayKey(submission.submittedAt.toDate())
+        : null);
+    if (!paymentDay) return null;
+
+    const days = Math.abs(
+      (Date.parse(transaction.date) - Date.parse(paymentDay)) / 86400000,
+    );
+    if (!(days <= this.DATE_WINDOW_DAYS)) return null;
+
+    const reasons = ["amount", days === 0 ? "same day" : `${days} day(s) apart`];
+    let score = 50 + (this.DATE_WINDOW_DAYS - days) * 5;
+
+    const compactText = this.compact(transaction.description);
+    const references = [
+      submission.reference,
+      submission.bankReference,
+      submission.memberRef,
+    ]
+      .map((ref) => this.compact(ref))
+      .filter((ref) => ref.length >= this.MIN_TOKEN_LENGTH);
+    if (references.some((ref) => compactText.includes(ref))) {
+      reasons.push("reference");
+      score += 40;
+    }
+
+    const words = new Set(this.words(transaction.description));
+    const nameHits = this.words(submission.name).filter((w) => words.has(w));
+    if (nameHits.length) {
+      reasons.push("name");
+      score += 15 * nameHits.length;
+    }
+
+    return { score, days, reasons };
+  },
+
+  /**
+   * "TRF-00012" -> "TRF00012"
+   * @param {string} text
+   * @returns {string}
+   */
+  compact(text) {
+    return String(text || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  },
+
+  /**
+   * Upper-case words long enough to identify someone
+   * @param {string} text
+   * @returns {string[]}
+   */
+  words(text) {
+    return String(text || "")
+      .toUpperCase()
+      .split(/[^A-Z0-9]+/)
+      .filter((w) => w.length >= this.MIN_TOKEN_LENGTH);
+  },
+
+  /**
+   * ==========================================
+   * FIRESTORE
+   * ==========================================
+   */
+
+  /**
+   * Which of these transactions were already used for an approval?
+   * @param {string[]} ids
+   * @returns {Promise<Set<string>>}
+   */
+  async fetchReconciled(ids) {
+    const found = new Set();
+    const fieldPath = firebase.firestore.FieldPath.documentId();
+
+    // "in" queries take at most 30 values
+    for (let i = 0; i < ids.length; i += 30) {
+      const snapshot = await db
+        .collection(this.COLLECTION)
+        .where(fieldPath, "in", ids.slice(i, i + 30))
+        .get();
+      snapshot.forEach((doc) => found.add(doc.id));
+    }
+    return found;
+  },
+};
+
+// Export for use
+window.BankImport = BankImport;
@@ -11,42 +11,40 @@
  *    - nextOfKin: Emergency contacts linked to members
  *    - auditLogs: Every action logged with who/what/when
  *    - smsLogs: SMS history for debugging
+ *    - ledgerEntries: Double-entry postings (see ledger.js)
+ *    - bankTransactions: Statement deposits claimed by approvals
+ *    - interestDistributions: Year-end interest pool runs (see interest.js)
+ *    - poolTransactions: Bank interest, charges and other pool income/expenses
+ *    - reconciliations: Month-end bank balance checks (see reconciliation.js)
  *
  * 2. REALTIME DATABASE (Live Totals + Quick Stats)
  *    - /stokvel/totals: Overall stokvel statistics
  *    - /stokvel/members/{id}: Individual member totals
  *    - /stokvel/monthly/{year}/{month}: Monthly summaries
  *    - /stokvel/interestPool/{year}: Interest pool by year
+ *    Read-only here: Cloud Functions work them out from the ledger and
+ *    submission statuses (functions/ledger.js, database.rules.json)
  *
  * WHY THIS ARCHITECTURE?
+ * - Ledger: Source of truth for money; totals are projections of it
  * - Firestore: Complex queries, audit trail, data integrity
  * - Realtime DB: Instant sync to frontend, live counters
  * - Math accuracy: Atomic transactions prevent race conditions
  * - Audit: Every change tracked with timestamp and user
  *
  * FINANCIAL RULES (South African Rands - ZAR):
- * - Minimum contribution: R300/month
- * - Late fee: R50 (after 7th of month)
- * - Interest eligibility: R10,000+ total savings
- * - Payment deadline: 7th of each month
+ * Minimum deposit, late fine, due day and interest threshold come from
+ * Rules (js/rules.js). Defaults: R300/month, R50 fine after the 7th,
+ * R10,000+ saved for interest.
+ *
+ * FIELD NAMES:
+ * Documents are read through Schema (js/schema.js), which maps legacy
+ * field names to the canonical ones. New submissions are built with
+ * Schema.createSubmission().
  *
  * =====================================================
  */
 
-// ==========================================
-// CONFIGURATION CONSTANTS
-// ==========================================
-// APP_SETTINGS is defined in firebase-config.js
-// Using window.APP_SETTINGS for fallback
-const DB_SETTINGS = window.APP_SETTINGS || {
-  minimumContribution: 300,
-  lateFee: 50,
-  paymentDeadlineDay: 7,
-  interestEligibilityMin: 10000,
-  currency: "ZAR",
-  currencySymbol: "R",
-};
-
 // ==========================================
 // DATABASE REFERENCES
 // ==========================================
@@ -81,54 +79,60 @@ const Database = {
    * LATE PAYMENT CHECKER
    * ==========================================
    *
-   * Rule: First payment after the 7th = R50 fine
+   * Rule: First payment after the month's due day = late fine
    * Subsequent payments in same month = NO fine
+   * Due day and fine are the rules in force for the payment month
    */
 
   /**
    * Check if this is a late first payment for the month
    * @param {string} memberId - Member ID
    * @param {string} month - Payment month (e.g., "February 2026")
-   * @returns {Promise<{isLate: boolean, isFirstPayment: boolean, fineAmount: number}>}
+   * @param {Date|string} paymentDate - When the money was paid
+   * @returns {Promise<{isLate: boolean, isFirstPayment: boolean, fineAmount: number, rulesEffectiveFrom: string}>}
    */
-  async checkLatePayment(memberId, month) {
-    try {
-      const today = new Date();
-      const dayOfMonth = today.getDate();
-
-      // Grace period: 1st - 7th of the month
-      const isPastGracePeriod = dayOfMonth > 7;
+  async checkLatePayment(memberId, month, paymentDate = new Date()) {
+    const rules = await Rules.forMonth(month);
+    const onTime = {
+      isLate: false,
+      isFirstPayment: true,
+      fineAmount: 0,
+      rulesEffectiveFrom: rules.effectiveFrom,
+    };
 
-      // If we're within grace period, no fine
-      if (!isPastGracePeriod) {
-        console.log("✅ Within grace period (1st-7th)");
-        return { isLate: false, isFirstPayment: true, fineAmount: 0 };
+    try {
+      // Grace period: up to the due day of the payment month
+      if (!Rules.isLate(paymentDate, month, rules)) {
+        console.log(`✅ Within grace period (due day ${rules.paymentDueDay})`);
+        return onTime;
       }
 
       // Check if member has already made a VERIFIED payment this month
+      // (loan repayments and rotation contributions don't count)
       const snapshot = await db
         .collection("submissions")
         .where("memberId", "==", memberId)
-        .where("month", "==", month)
+        .where("paymentMonth", "==", month)
         .where("status", "==", "verified")
-        .limit(1)
         .get();
 
-      const hasVerifiedPaymentThisMonth = !snapshot.empty;
+      const hasVerifiedPaymentThisMonth = snapshot.docs.some(
+        (doc) => !doc.data().loanId && !doc.data().rotationId,
+      );
 
       if (hasVerifiedPaymentThisMonth) {
         // Already paid this month, no fine on additional payments
         console.log("✅ Already has verified payment this month - no fine");
-        return { isLate: false, isFirstPayment: false, fineAmount: 0 };
+        return { ...onTime, isFirstPayment: false };
       } else {
-        // First payment and it's after the 7th - LATE!
-        console.log("⚠️ Late first payment - R50 fine applies");
-        return { isLate: true, isFirstPayment: true, fineAmount: 50 };
+        // First payment and it's after the due day - LATE!
+        console.log(`⚠️ Late first payment - R${rules.lateFineAmount} fine applies`);
+        return { ...onTime, isLate: true, fineAmount: rules.lateFineAmount };
       }
     } catch (error) {
       console.error("Check late payment error:", error);
       // On error, don't apply fine (benefit of doubt)
-      return { isLate: false, isFirstPayment: true, fineAmount: 0 };
+      return onTime;
     }
   },
 
@@ -138,136 +142,28 @@ const Database = {
 
   /**
    * Register a new member
-   * Creates record in Firestore + initializes in Realtime DB
+   * Runs in Cloud Functions (functions/members.js): duplicate checks need
+   * to search all members, which the security rules don't allow here.
+   * The new member is signed in with the returned custom token.
    *
    * @param {object} memberData - Registration data
    * @returns {Promise<{memberId: string, memberRef: string}>}
    */
   async registerMember(memberData) {
-    const firestore = getFirestore();
-    const rtdb = getRealtimeDB();
-
     try {
       console.log("📝 Registering new member...");
 
-      // Normalize phone number
-      const normalizedPhone = memberData.phone.replace(/[\s-]/g, "");
-
-      // Check if already registered
-      const existing = await this.getMemberByPhone(normalizedPhone);
-      if (existing) {
-        throw new Error("This phone number is already registered.");
-      }
-
-      // Check ID number uniqueness
-      const existingId = await this.getMemberByIdNumber(memberData.idNumber);
-      if (existingId) {
-        throw new Error("This ID number is already registered.");
-      }
-
-      // Generate unique member reference (TRF-MXXXX)
-      const memberRef = await this.generateMemberRef();
-
-      // Hash password
-      const passwordHash = await this.hashPassword(memberData.password);
-
-      // Current timestamp
-      const now = firebase.firestore.FieldValue.serverTimestamp();
-
-      // ─────────────────────────────────────────────
-      // FIRESTORE: Create full member record
-      // ─────────────────────────────────────────────
-      const memberDoc = {
-        // Personal Information
-        name: memberData.name.trim(),
-        surname: memberData.surname?.trim() || "",
-        fullName:
-          `${memberData.name.trim()} ${memberData.surname?.trim() || ""}`.trim(),
-        dateOfBirth: memberData.dateOfBirth,
-        idNumber: memberData.idNumber,
-        phone: normalizedPhone,
-        email: memberData.email?.trim().toLowerCase() || "",
-
-        // Authentication
-        passwordHash: passwordHash,
-
-        // Reference & Status
-        memberRef: memberRef,
-        status: "active",
-        registrationComplete: false,
-
-        // Financial Summary (initialized to 0)
-        totalSavings: 0,
-        totalFines: 0,
-        submissionCount: 0,
-        verifiedCount: 0,
-        pendingCount: 0,
-        rejectedCount: 0,
-
-        // Tracking
-        skippedMonths: 0,
-        consecutiveMonths: 0,
-        lastPaymentDate: null,
-        lastPaymentMonth: null,
-
-        // Interest Eligibility
-        qualifiesForInterest: false,
-
-        // Audit Fields
-        createdAt: now,
-        updatedAt: now,
-        createdBy: "registration",
-      };
-
-      const docRef = await firestore.collection("members").add(memberDoc);
-      const memberId = docRef.id;
-
-      console.log("✅ Firestore member created:", memberId);
-
-      // ─────────────────────────────────────────────
-      // REALTIME DB: Initialize member stats
-      // ─────────────────────────────────────────────
-      await rtdb.ref(`stokvel/members/${memberId}`).set({
-        name: memberDoc.fullName,
-        memberRef: memberRef,
-        phone: normalizedPhone,
-        totalSavings: 0,
-        totalFines: 0,
-        submissionCount: 0,
-        verifiedCount: 0,
-        pendingCount: 0,
-        qualifiesForInterest: false,
-        lastUpdated: firebase.database.ServerValue.TIMESTAMP,
-      });
+      if (!functions) throw new Error("Cloud Functions SDK not loaded");
 
-      // ─────────────────────────────────────────────
-      // REALTIME DB: Increment total members count
-      // ─────────────────────────────────────────────
-      await rtdb.ref("stokvel/totals/totalMembers").transaction((current) => {
-        return (current || 0) + 1;
+      const result = await functions.httpsCallable("registerMember")({
+        ...memberData,
+        phone: memberData.phone.replace(/[\s-]/g, ""),
       });
+      const { memberId, memberRef, token } = result.data;
 
-      // Update last modified timestamp
-      await rtdb
-        .ref("stokvel/totals/lastUpdated")
-        .set(firebase.database.ServerValue.TIMESTAMP);
-
-      console.log("✅ Realtime DB member initialized");
+      await Auth.signInWithToken(token);
 
-      // ─────────────────────────────────────────────
-      // AUDIT LOG: Record registration
-      // ─────────────────────────────────────────────
-      await this.createAuditLog({
-        action: "member_registered",
-        entityType: "member",
-        entityId: memberId,
-        details: {
-          memberRef: memberRef,
-          name: memberDoc.fullName,
-          phone: normalizedPhone,
-        },
-        performedBy: "system",
-      });
+      console.log("✅ Member registered:", memberRef);
 
       return {
         memberId: memberId,
@@ -279,26 +175,6 @@ const Database = {
     }
   },
 
-  /**
-   * Generate unique member reference (TRF-MXXXX)
-   * Uses atomic transaction to ensure uniqueness
-   *
-   * @returns {Promise<string>}
-   */
-  async generateMemberRef() {
-    const rtdb = getRealtimeDB();
-
-    // Get next member number from Realtime DB (atomic)
-    const result = await rtdb
-      .ref("stokvel/counters/memberNumber")
-      .transaction((current) => {
-        return (current || 1000) + 1;
-      });
-
-    const memberNumber = result.snapshot.val();
-    return `TRF-M${memberNumber}`;
-  },
-
   /**
    * Save next of kin and mark registration complete
    *
@@ -372,21 +248,6 @@ const Database = {
 
       await batch.commit();
 
-      // Audit log
-      await this.createAuditLog({
-        action: "registration_completed",
-        entityType: "member",
-        entityId: memberId,
-        details: {
-          nextOfKinCount: [
-            kinData.primary,
-            kinData.secondary,
-            kinData.tertiary,
-          ].filter(Boolean).length,
-        },
-        performedBy: "system",
-      });
-
       console.log("✅ Next of kin saved, registration complete");
     } catch (error) {
       console.error("❌ Save next of kin error:", error);
@@ -400,6 +261,8 @@ const Database = {
 
   /**
    * Get member by phone number
+   * Officers only - members can't search other members' records
+   *
    * @param {string} phone
    * @returns {Promise<object|null>}
    */
@@ -415,12 +278,13 @@ const Database = {
 
     if (snapshot.empty) return null;
 
-    const doc = snapshot.docs[0];
-    return { id: doc.id, ...doc.data() };
+    return Schema.member(snapshot.docs[0]);
   },
 
   /**
    * Get member by ID number
+   * Officers only - members can't search other members' records
+   *
    * @param {string} idNumber
    * @returns {Promise<object|null>}
    */
@@ -435,8 +299,7 @@ const Database = {
 
     if (snapshot.empty) return null;
 
-    const doc = snapshot.docs[0];
-    return { id: doc.id, ...doc.data() };
+    return Schema.member(snapshot.docs[0]);
   },
 
   /**
@@ -450,7 +313,7 @@ const Database = {
     const doc = await firestore.collection("members").doc(memberId).get();
     if (!doc.exists) return null;
 
-    return { id: doc.id, ...doc.data() };
+    return Schema.member(doc);
   },
 
   /**
@@ -462,10 +325,7 @@ const Database = {
 
     const snapshot = await firestore.collection("members").get();
 
-    const members = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const members = snapshot.docs.map((doc) => Schema.member(doc));
 
     // Sort by name in JavaScript (avoids needing index)
     members.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
@@ -475,36 +335,19 @@ const Database = {
 
   /**
    * Verify member password for login
+   * Signs the member in (custom token) and loads their record
+   *
    * @param {string} phone
    * @param {string} password
    * @returns {Promise<object|null>} Member if valid, null if not
    */
   async verifyMemberLogin(phone, password) {
-    try {
-      const member = await this.getMemberByPhone(phone);
-      if (!member) return null;
-
-      const passwordHash = await this.hashPassword(password);
-      if (member.passwordHash !== passwordHash) return null;
-
-      // Log successful login
-      await this.createAuditLog({
-        action: "member_login",
-        entityType: "member",
-        entityId: member.id,
-        details: { phone: phone },
-        performedBy: member.id,
-      });
-
-      return member;
-    } catch (error) {
-      console.error("Login verification error:", error);
-      return null;
-    }
+    const result = await this.authenticateMember(phone, password);
+    return result.success ? result.member : null;
   },
 
   /**
-   * Authenticate member (wrapper for verifyMemberLogin)
+   * Authenticate member
    * Returns object with success flag for view-account.js compatibility
    *
    * @param {string} phone
@@ -513,29 +356,23 @@ const Database = {
    */
   async authenticateMember(phone, password) {
     try {
-      const member = await this.verifyMemberLogin(phone, password);
+      const result = await Auth.signInMember(phone, password);
 
-      if (member) {
+      if (!result.success) {
         return {
-          success: true,
-          member: member,
+          success: false,
+          error:
+            result.code === "internal"
+              ? "Login failed. Please try again later."
+              : result.error,
         };
-      } else {
-        // Check if phone exists to give better error
-        const existingMember = await this.getMemberByPhone(phone);
-
-        if (!existingMember) {
-          return {
-            success: false,
-            error: "Phone number not registered. Please register first.",
-          };
-        } else {
-          return {
-            success: false,
-            error: "Incorrect password. Please try again.",
-          };
-        }
       }
+
+      const member = await this.getMember(result.memberId);
+      return {
+        success: true,
+        member: member,
+      };
     } catch (error) {
       console.error("Authentication error:", error);
       return {
@@ -545,6 +382,78 @@ const Database = {
     }
   },
 
+  /**
+   * Set a new password for the signed-in member
+   * Hashed and saved by the setMemberPassword function (members can't
+   * write passwordHash themselves); it writes the audit log too
+   *
+   * @param {string} memberId
+   * @param {string} newPassword
+   */
+  async updatePassword(memberId, newPassword) {
+    if (!newPassword || newPassword.length < 6) {
+      throw new Error("Password must be at least 6 characters");
+    }
+
+    try {
+      await functions.httpsCallable("setMemberPassword")({
+        password: newPassword,
+      });
+    } catch (error) {
+      throw new Error(error.message || "Could not change the password");
+    }
+    console.log("🔑 Password changed for", memberId);
+  },
+
+  /**
+   * Opt the signed-in member in or out of SMS payment reminders
+   *
+   * @param {string} memberId
+   * @param {boolean} optOut
+   */
+  async setReminderOptOut(memberId, optOut) {
+    const firestore = getFirestore();
+
+    await firestore
+      .collection("members")
+      .doc(memberId)
+      .update({
+        reminderOptOut: Boolean(optOut),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+  },
+
+  /**
+   * Close a month: rebuild skip/streak counters and apply the
+   * 3-month suspension rule (officers only, runs server-side)
+   *
+   * @param {string} [month] - e.g. "March 2025"; defaults to last month
+   * @returns {Promise<object>} {month, members, active, warning, suspended, changes}
+   */
+  async closeMonth(month) {
+    if (!functions) throw new Error("Cloud Functions SDK not loaded");
+
+    const result = await functions.httpsCallable("closeMonth")({ month });
+    return result.data;
+  },
+
+  /**
+   * Lift a member's suspension (officers only)
+   *
+   * @param {string} memberId
+   * @param {string} reason - Required
+   * @returns {Promise<object>} {memberId, skipCountFrom}
+   */
+  async reinstateMember(memberId, reason) {
+    if (!functions) throw new Error("Cloud Functions SDK not loaded");
+
+    const result = await functions.httpsCallable("reinstateMember")({
+      memberId,
+      reason,
+    });
+    return result.data;
+  },
+
   /**
    * Get next of kin for a member
    * @param {string} memberId
@@ -576,12 +485,13 @@ const Database = {
    * Submit proof of payment (POP)
    * Creates submission record and updates pending counts
    *
-   * @param {object} submissionData
+   * @param {object} submissionData - name, phone, amount, paymentMonth,
+   *   paymentDate, paymentMethod, notes, proofs, ocr, bankReference,
+   *   loanId, rotationId (see Schema.createSubmission)
    * @returns {Promise<string>} Submission reference
    */
   async submitPOP(submissionData) {
     const firestore = getFirestore();
-    const rtdb = getRealtimeDB();
 
     try {
       console.log("📤 Submitting POP...");
@@ -589,86 +499,108 @@ const Database = {
       const normalizedPhone = submissionData.phone.replace(/[\s-]/g, "");
       const now = firebase.firestore.FieldValue.serverTimestamp();
 
-      // Get linked member
-      const member = await this.getMemberByPhone(normalizedPhone);
+      // Signed-in members are linked here; guest submissions are matched
+      // to a member by phone server-side (linkSubmission function)
+      const signedInMemberId = await Auth.getMemberId();
+      const member = signedInMemberId
+        ? await this.getMember(signedInMemberId)
+        : null;
+
+      // Loan repayments: only for the signed-in member's active loan
+      const loanId = submissionData.loanId || null;
+      if (loanId) {
+        const loan = member ? await Loans.get(loanId) : null;
+        if (!loan || loan.memberId !== member.id) {
+          throw new Error("Sign in to pay towards your loan");
+        }
+        if (loan.status !== Loans.STATUSES.ACTIVE) {
+          throw new Error("This loan is not being repaid");
+        }
+      }
+
+      // Rotation contributions: only into a running rotation the
+      // signed-in member is on
+      const rotationId = (!loanId && submissionData.rotationId) || null;
+      if (rotationId) {
+        const rotationDoc = member ? await Rotation.ref(rotationId).get() : null;
+        if (!rotationDoc?.exists || !Rotation.isOn(rotationDoc.data(), member.id)) {
+          throw new Error("Sign in to pay into your rotation");
+        }
+        if (rotationDoc.data().status !== Rotation.STATUSES.ACTIVE) {
+          throw new Error("This rotation has finished");
+        }
+      }
 
       // Generate submission reference (TRF-XXXXX)
       const reference = await this.generateSubmissionRef();
 
-      // Check for late payment using the proper rule
-      // First payment after 7th = R50 fine
+      // Check for late payment under the payment month's rules
+      // First payment after the due day = late fine
       // Subsequent payments in same month = NO fine
+      const paymentDate = submissionData.paymentDate || new Date();
       let isLate = false;
       let fineAmount = 0;
       let isFirstPayment = true;
-
-      if (member) {
+      let rulesEffectiveFrom = null;
+
+      if (loanId || rotationId) {
+        // Late fines are for savings; arrears are tracked on the loan or
+        // rotation
+        rulesEffectiveFrom = (await Rules.forMonth(submissionData.paymentMonth))
+          .effectiveFrom;
+      } else if (member) {
         const lateCheck = await this.checkLatePayment(
           member.id,
           submissionData.paymentMonth,
+          paymentDate,
         );
         isLate = lateCheck.isLate;
         fineAmount = lateCheck.fineAmount;
         isFirstPayment = lateCheck.isFirstPayment;
+        rulesEffectiveFrom = lateCheck.rulesEffectiveFrom;
         console.log("📅 Late payment check:", lateCheck);
       } else {
-        // No member found, check date manually
-        const paymentDate = submissionData.paymentDate
-          ? new Date(submissionData.paymentDate)
-          : new Date();
-        isLate = paymentDate.getDate() > APP_SETTINGS.paymentDeadlineDay;
-        fineAmount = isLate ? APP_SETTINGS.lateFee : 0;
+        // No member found, check date only
+        const rules = await Rules.forMonth(submissionData.paymentMonth);
+        isLate = Rules.isLate(paymentDate, submissionData.paymentMonth, rules);
+        fineAmount = isLate ? rules.lateFineAmount : 0;
+        rulesEffectiveFrom = rules.effectiveFrom;
       }
 
       // Validate amount
+      // Below-minimum amounts are allowed: part payments add up, and
+      // month close checks the month's total against the minimum
       const amount = parseFloat(submissionData.amount);
-      if (isNaN(amount) || amount < APP_SETTINGS.minimumContribution) {
-        throw new Error(
-          `Minimum contribution is R${APP_SETTINGS.minimumContribution}`,
-        );
+      if (isNaN(amount) || amount <= 0) {
+        throw new Error("Amount must be greater than 0");
       }
 
       // ─────────────────────────────────────────────
       // FIRESTORE: Create submission record
       // ─────────────────────────────────────────────
-      const submissionDoc = {
-        // Reference
-        reference: reference,
-
-        // Member Details
-        memberId: member?.id || null,
-        memberRef: member?.memberRef || null,
-        name: submissionData.name.trim(),
-        phone: normalizedPhone,
-
-        // Payment Details
-        amount: amount,
-        fineAmount: fineAmount,
-        totalAmount: amount + fineAmount,
-        paymentMonth: submissionData.paymentMonth,
-        paymentDate:
-          submissionData.paymentDate || new Date().toISOString().split("T")[0],
-        isLate: isLate,
-
-        // Proof of Payment
-        popImage: submissionData.popImage || null,
-        popImageUrl: submissionData.popImageUrl || null,
-        bankReference: submissionData.bankReference || "",
-
-        // Status
-        status: "pending",
-        rejectionReason: null,
-
-        // Timestamps
-        submittedAt: now,
-        verifiedAt: null,
-        rejectedAt: null,
-
-        // Audit
-        verifiedBy: null,
-        rejectedBy: null,
-        updatedAt: now,
-      };
+      const submissionDoc = Schema.createSubmission(
+        {
+          reference: reference,
+          memberId: member?.id,
+          memberRef: member?.memberRef,
+          name: submissionData.name,
+          phone: normalizedPhone,
+          amount: amount,
+          fineAmount: fineAmount,
+          paymentMonth: submissionData.paymentMonth,
+          paymentDate: submissionData.paymentDate,
+          paymentMethod: submissionData.paymentMethod,
+          notes: submissionData.notes,
+          isLate: isLate,
+          rulesEffectiveFrom: rulesEffectiveFrom,
+          proofs: submissionData.proofs,
+          ocr: submissionData.ocr,
+          bankReference: submissionData.bankReference,
+          loanId: loanId,
+          rotationId: rotationId,
+        },
+        now,
+      );
 
       const docRef = await firestore
         .collection("submissions")
@@ -677,76 +609,12 @@ const Database = {
 
       console.log("✅ Firestore submission created:", reference);
 
-      // ─────────────────────────────────────────────
-      // FIRESTORE: Update member submission count
-      // ─────────────────────────────────────────────
-      if (member?.id) {
-        await firestore
-          .collection("members")
-          .doc(member.id)
-          .update({
-            submissionCount: firebase.firestore.FieldValue.increment(1),
-            pendingCount: firebase.firestore.FieldValue.increment(1),
-            updatedAt: now,
-          });
-      }
-
-      // ─────────────────────────────────────────────
-      // REALTIME DB: Update totals (atomic transactions)
-      // ─────────────────────────────────────────────
-      const totalsRef = rtdb.ref("stokvel/totals");
-      await totalsRef
-        .child("pendingSubmissions")
-        .transaction((val) => (val || 0) + 1);
-      await totalsRef
-        .child("totalSubmissions")
-        .transaction((val) => (val || 0) + 1);
-      await totalsRef
-        .child("lastUpdated")
-        .set(firebase.database.ServerValue.TIMESTAMP);
-
-      // Update member in Realtime DB
-      if (member?.id) {
-        const memberRtRef = rtdb.ref(`stokvel/members/${member.id}`);
-        await memberRtRef
-          .child("submissionCount")
-          .transaction((val) => (val || 0) + 1);
-        await memberRtRef
-          .child("pendingCount")
-          .transaction((val) => (val || 0) + 1);
-        await memberRtRef
-          .child("lastUpdated")
-          .set(firebase.database.ServerValue.TIMESTAMP);
-      }
-
-      // ─────────────────────────────────────────────
-      // AUDIT LOG
-      // ─────────────────────────────────────────────
-      await this.createAuditLog({
-        action: "pop_submitted",
-        entityType: "submission",
-        entityId: submissionId,
-        details: {
-          reference: reference,
-          amount: amount,
-          fineAmount: fineAmount,
-          paymentMonth: submissionData.paymentMonth,
-          isLate: isLate,
-          memberId: member?.id || null,
-        },
-        performedBy: member?.id || "guest",
-      });
+      // Member counts are bumped server-side when the submission is
+      // linked, and the Realtime DB counts follow its status
+      // (functions/ledger.js countSubmission)
 
-      // ─────────────────────────────────────────────
-      // SEND SMS CONFIRMATION (non-blocking)
-      // ─────────────────────────────────────────────
-      this.sendSMSNonBlocking("popConfirmation", {
-        phone: normalizedPhone,
-        name: submissionData.name,
-        amount: amount,
-        month: submissionData.paymentMonth,
-        reference: reference,
-      });
+      // The pop_submitted audit log and "POP received" SMS are written
+      // server-side (linkSubmission, confirmSubmission)
 
       return reference;
     } catch (error) {
@@ -789,7 +657,7 @@ const Database = {
       .get();
     if (!doc.exists) return null;
 
-    return { id: doc.id, ...doc.data() };
+    return Schema.submission(doc);
   },
 
   /**
@@ -804,10 +672,7 @@ const Database = {
       .where("status", "==", "pending")
       .get();
 
-    const submissions = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const submissions = snapshot.docs.map((doc) => Schema.submission(doc));
 
     // Sort by submittedAt descending (in JS to avoid index)
     submissions.sort((a, b) => {
@@ -821,22 +686,20 @@ const Database = {
 
   /**
    * Get submissions for a member
-   * @param {string} phone
+   * Queried by memberId so the security rules can scope it to the owner
+   *
+   * @param {string} memberId
    * @returns {Promise<Array>}
    */
-  async getMemberSubmissions(phone) {
+  async getMemberSubmissions(memberId) {
     const firestore = getFirestore();
-    const normalizedPhone = phone.replace(/[\s-]/g, "");
 
     const snapshot = await firestore
       .collection("submissions")
-      .where("phone", "==", normalizedPhone)
+      .where("memberId", "==", memberId)
       .get();
 
-    const submissions = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const submissions = snapshot.docs.map((doc) => Schema.submission(doc));
 
     // Sort by submittedAt descending
     submissions.sort((a, b) => {
@@ -870,10 +733,7 @@ const Database = {
 
     const snapshot = await query.get();
 
-    const submissions = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const submissions = snapshot.docs.map((doc) => Schema.submission(doc));
 
     // Sort by verifiedAt descending
     submissions.sort((a, b) => {
@@ -891,179 +751,169 @@ const Database = {
 
   /**
    * Approve a submission
-   * Updates all related records and totals atomically
+   * Posts to the ledger and updates all related records atomically
    *
    * MATH ACCURACY:
-   * - All increments use atomic transactions
-   * - Firestore batch ensures consistency
-   * - Realtime DB transactions prevent race conditions
+   * - Status check, ledger postings and member counts run in one
+   *   Firestore transaction, so two officers approving at once cannot
+   *   overwrite each other (the loser retries and sees "already processed")
+   * - Member money totals and the Realtime DB figures are worked out
+   *   from the ledger on the server (functions/ledger.js), never added
+   *   to here
+   * - Ledger entry IDs are derived from the submission, so a submission
+   *   can never be posted twice
+   * - A bank transaction (from BankImport) is claimed in the same
+   *   transaction, so one deposit can never approve two submissions
    *
    * @param {string} submissionId
+   * @param {object|null} bankTransaction - Matched statement line
+   *   {id, date, amount, description}
    */
-  async approveSubmission(submissionId) {
+  async approveSubmission(submissionId, bankTransaction = null) {
     const firestore = getFirestore();
-    const rtdb = getRealtimeDB();
+
+    const pending = await this.getSubmission(submissionId);
+    if (pending?.loanId) {
+      return Loans.approveRepayment(submissionId, bankTransaction);
+    }
 
     try {
       console.log("✅ Approving submission:", submissionId);
 
-      // Get submission
-      const submission = await this.getSubmission(submissionId);
-      if (!submission) throw new Error("Submission not found");
-      if (submission.status !== "pending")
-        throw new Error("Submission already processed");
-
-      const now = firebase.firestore.FieldValue.serverTimestamp();
-      const batch = firestore.batch();
-
-      // Calculate amounts
-      const amount = submission.amount || 0;
-      const fineAmount = submission.fineAmount || 0;
-      const totalAmount = amount + fineAmount;
-
-      // Get payment year for interest pool
-      const paymentYear = this.extractYearFromMonth(submission.paymentMonth);
-
-      // ─────────────────────────────────────────────
-      // FIRESTORE: Update submission status
-      // ─────────────────────────────────────────────
+      const performedBy = Auth?.currentUser?.uid || "admin";
       const submissionRef = firestore
         .collection("submissions")
         .doc(submissionId);
-      batch.update(submissionRef, {
-        status: "verified",
-        verifiedAt: now,
-        verifiedBy: Auth?.currentUser?.uid || "admin",
-        updatedAt: now,
-      });
+      const bankTransactionRef = bankTransaction
+        ? firestore.collection("bankTransactions").doc(bankTransaction.id)
+        : null;
 
       // ─────────────────────────────────────────────
-      // FIRESTORE: Update member totals
+      // FIRESTORE TRANSACTION: Status + ledger + member totals
       // ─────────────────────────────────────────────
-      let member = null;
-      if (submission.memberId) {
-        member = await this.getMember(submission.memberId);
+      const result = await firestore.runTransaction(async (tx) => {
+        // All reads must happen before any writes
+        const submissionSnap = await tx.get(submissionRef);
+        if (!submissionSnap.exists) throw new Error("Submission not found");
+
+        const submission = Schema.submission(submissionSnap);
+        if (submission.status !== "pending")
+          throw new Error("Submission already processed");
+
+        let member = null;
+        const memberRef = submission.memberId
+          ? firestore.collection("members").doc(submission.memberId)
+          : null;
+        if (memberRef) {
+          const memberSnap = await tx.get(memberRef);
+          if (memberSnap.exists) {
+            member = Schema.member(memberSnap);
+          }
+        }
 
-        if (member) {
-          const memberRef = firestore
-            .collection("members")
-            .doc(submission.memberId);
+        if (submission.rotationId) {
+          const rotationSnap = await tx.get(Rotation.ref(submission.rotationId));
+          if (
+            !rotationSnap.exists ||
+            !Rotation.isOn(rotationSnap.data(), submission.memberId)
+          ) {
+            throw new Error("This member isn't on the rotation paid into");
+          }
+        }
+
+        const entries = Ledger.approvalEntries(submission, performedBy);
+        for (const entry of entries) {
+          const entrySnap = await tx.get(Ledger.ref(entry.id));
+          if (entrySnap.exists)
+            throw new Error("Submission already posted to ledger");
+        }
+
+        if (bankTransactionRef) {
+          const bankSnap = await tx.get(bankTransactionRef);
+          if (bankSnap.exists) {
+            throw new Error(
+              `Bank deposit already matched to ${bankSnap.data().reference}`,
+            );
+          }
+        }
+
+        const now = firebase.firestore.FieldValue.serverTimestamp();
+        const amount = Ledger.toAmount(submission.amount);
+        const fineAmount = Ledger.toAmount(submission.fineAmount);
+        const paymentYear = this.extractYearFromMonth(submission.paymentMonth);
+
+        // Submission status
+        tx.update(submissionRef, {
+          status: "verified",
+          verifiedAt: now,
+          verifiedBy: performedBy,
+          bankTransactionId: bankTransaction?.id || null,
+          updatedAt: now,
+        });
+
+        // Claim the bank deposit
+        if (bankTransactionRef) {
+          tx.set(bankTransactionRef, {
+            date: bankTransaction.date,
+            amount: Ledger.toAmount(bankTransaction.amount),
+            description: bankTransaction.description || "",
+            submissionId: submissionId,
+            reference: submission.reference,
+            matchedBy: performedBy,
+            matchedAt: now,
+          });
+        }
 
-          // Calculate new totals
-          const newTotalSavings = (member.totalSavings || 0) + amount;
-          const newTotalFines = (member.totalFines || 0) + fineAmount;
-          const qualifiesForInterest =
-            newTotalSavings >= APP_SETTINGS.interestEligibilityMin;
+        // Ledger postings
+        entries.forEach((entry) => Ledger.post(tx, entry));
 
-          batch.update(memberRef, {
-            totalSavings: newTotalSavings,
-            totalFines: newTotalFines,
+        // Member counts; money totals follow from the ledger
+        // (functions/ledger.js). The new balance is only for the SMS;
+        // rotation contributions don't add to savings.
+        const saved = submission.rotationId ? 0 : amount;
+        let newTotalSavings = saved;
+        if (member) {
+          newTotalSavings = Ledger.toAmount((member.totalSavings || 0) + saved);
+
+          tx.update(memberRef, {
             verifiedCount: firebase.firestore.FieldValue.increment(1),
             pendingCount: firebase.firestore.FieldValue.increment(-1),
             lastPaymentDate: now,
             lastPaymentMonth: submission.paymentMonth,
-            qualifiesForInterest: qualifiesForInterest,
-            consecutiveMonths: firebase.firestore.FieldValue.increment(1),
+            // consecutiveMonths / skippedMonths are rebuilt by the
+            // month-close job (functions/month-close.js)
             updatedAt: now,
           });
         }
-      }
-
-      // ─────────────────────────────────────────────
-      // FIRESTORE: Update interest pool (fines go here)
-      // ─────────────────────────────────────────────
-      if (fineAmount > 0) {
-        const poolRef = firestore
-          .collection("interestPool")
-          .doc(paymentYear.toString());
-
-        // Use set with merge to create if not exists
-        batch.set(
-          poolRef,
-          {
-            year: paymentYear,
-            totalFines: firebase.firestore.FieldValue.increment(fineAmount),
-            fineCount: firebase.firestore.FieldValue.increment(1),
-            updatedAt: now,
-          },
-          { merge: true },
-        );
-      }
-
-      // Commit all Firestore changes atomically
-      await batch.commit();
-      console.log("✅ Firestore updated");
-
-      // ─────────────────────────────────────────────
-      // REALTIME DB: Update all totals (atomic transactions)
-      // ─────────────────────────────────────────────
 
-      // Global totals
-      const totalsRef = rtdb.ref("stokvel/totals");
-      await totalsRef
-        .child("totalSavings")
-        .transaction((val) => (val || 0) + amount);
-      await totalsRef
-        .child("totalFines")
-        .transaction((val) => (val || 0) + fineAmount);
-      await totalsRef
-        .child("pendingSubmissions")
-        .transaction((val) => Math.max((val || 0) - 1, 0));
-      await totalsRef
-        .child("approvedSubmissions")
-        .transaction((val) => (val || 0) + 1);
-      await totalsRef
-        .child("lastUpdated")
-        .set(firebase.database.ServerValue.TIMESTAMP);
-
-      // Member totals in Realtime DB
-      if (submission.memberId && member) {
-        const memberRtRef = rtdb.ref(`stokvel/members/${submission.memberId}`);
-        const newTotal = (member.totalSavings || 0) + amount;
-
-        await memberRtRef.update({
-          totalSavings: newTotal,
-          totalFines: (member.totalFines || 0) + fineAmount,
-          verifiedCount: (member.verifiedCount || 0) + 1,
-          pendingCount: Math.max((member.pendingCount || 0) - 1, 0),
-          qualifiesForInterest: newTotal >= APP_SETTINGS.interestEligibilityMin,
-          lastPaymentMonth: submission.paymentMonth,
-          lastUpdated: firebase.database.ServerValue.TIMESTAMP,
-        });
-      }
+        // Interest pool (fines go here)
+        if (fineAmount > 0) {
+          tx.set(
+            firestore.collection("interestPool").doc(paymentYear.toString()),
+            {
+              year: paymentYear,
+              totalFines: firebase.firestore.FieldValue.increment(fineAmount),
+              fineCount: firebase.firestore.FieldValue.increment(1),
+              updatedAt: now,
+            },
+            { merge: true },
+          );
+        }
 
-      // Interest pool in Realtime DB
-      if (fineAmount > 0) {
-        const poolRtRef = rtdb.ref(`stokvel/interestPool/${paymentYear}`);
-        await poolRtRef
-          .child("totalFines")
-          .transaction((val) => (val || 0) + fineAmount);
-        await poolRtRef.child("fineCount").transaction((val) => (val || 0) + 1);
-        await poolRtRef
-          .child("lastUpdated")
-          .set(firebase.database.ServerValue.TIMESTAMP);
-      }
+        return {
+          submission,
+          member,
+          amount,
+          fineAmount,
+          newTotalSavings,
+        };
+      });
 
-      // Monthly stats
-      const monthYear = submission.paymentMonth || "Unknown";
-      const monthName = monthYear.split(" ")[0] || "Unknown";
-      const monthRef = rtdb.ref(`stokvel/monthly/${paymentYear}/${monthName}`);
-      await monthRef
-        .child("totalCollected")
-        .transaction((val) => (val || 0) + totalAmount);
-      await monthRef
-        .child("approvedCount")
-        .transaction((val) => (val || 0) + 1);
-      if (fineAmount > 0) {
-        await monthRef
-          .child("latePayments")
-          .transaction((val) => (val || 0) + 1);
-        await monthRef
-          .child("finesCollected")
-          .transaction((val) => (val || 0) + fineAmount);
-      }
+      const { submission, amount, fineAmount } = result;
 
-      console.log("✅ Realtime DB updated");
+      // The Realtime DB totals follow from the ledger entries and the
+      // new status (functions/ledger.js)
+      console.log("✅ Firestore + ledger updated");
 
       // ─────────────────────────────────────────────
       // AUDIT LOG
@@ -1079,23 +929,20 @@ const Database = {
           memberId: submission.memberId,
           memberName: submission.name,
           paymentMonth: submission.paymentMonth,
+          bankTransactionId: bankTransaction?.id || null,
         },
-        performedBy: Auth?.currentUser?.uid || "admin",
+        performedBy: performedBy,
       });
 
       // ─────────────────────────────────────────────
       // SEND APPROVAL SMS (non-blocking)
       // ─────────────────────────────────────────────
-      const updatedMemberSavings = member
-        ? (member.totalSavings || 0) + amount
-        : amount;
-
       this.sendSMSNonBlocking("approval", {
         phone: submission.phone,
         name: submission.name,
         amount: amount,
         month: submission.paymentMonth,
-        totalSaved: updatedMemberSavings,
+        totalSaved: result.newTotalSavings,
       });
 
       console.log("✅ Submission approved:", submission.reference);
@@ -1113,72 +960,51 @@ const Database = {
    */
   async rejectSubmission(submissionId, reason = "") {
     const firestore = getFirestore();
-    const rtdb = getRealtimeDB();
 
     try {
       console.log("⛔ Rejecting submission:", submissionId);
 
-      const submission = await this.getSubmission(submissionId);
-      if (!submission) throw new Error("Submission not found");
-      if (submission.status !== "pending")
-        throw new Error("Submission already processed");
-
-      const now = firebase.firestore.FieldValue.serverTimestamp();
-      const batch = firestore.batch();
-
-      // ─────────────────────────────────────────────
-      // FIRESTORE: Update submission status
-      // ─────────────────────────────────────────────
+      const performedBy = Auth?.currentUser?.uid || "admin";
       const submissionRef = firestore
         .collection("submissions")
         .doc(submissionId);
-      batch.update(submissionRef, {
-        status: "rejected",
-        rejectionReason: reason || "No reason provided",
-        rejectedAt: now,
-        rejectedBy: Auth?.currentUser?.uid || "admin",
-        updatedAt: now,
-      });
 
       // ─────────────────────────────────────────────
-      // FIRESTORE: Update member counts
+      // FIRESTORE TRANSACTION: Status + ledger memo + member counts
       // ─────────────────────────────────────────────
-      if (submission.memberId) {
-        const memberRef = firestore
-          .collection("members")
-          .doc(submission.memberId);
-        batch.update(memberRef, {
-          pendingCount: firebase.firestore.FieldValue.increment(-1),
-          rejectedCount: firebase.firestore.FieldValue.increment(1),
+      const submission = await firestore.runTransaction(async (tx) => {
+        const submissionSnap = await tx.get(submissionRef);
+        if (!submissionSnap.exists) throw new Error("Submission not found");
+
+        const submission = Schema.submission(submissionSnap);
+        if (submission.status !== "pending")
+          throw new Error("Submission already processed");
+
+        const now = firebase.firestore.FieldValue.serverTimestamp();
+
+        tx.update(submissionRef, {
+          status: "rejected",
+          rejectionReason: reason || "No reason provided",
+          rejectedAt: now,
+          rejectedBy: performedBy,
           updatedAt: now,
         });
-      }
 
-      await batch.commit();
+        Ledger.post(tx, Ledger.rejectionEntry(submission, reason, performedBy));
 
-      // ─────────────────────────────────────────────
-      // REALTIME DB: Update totals
-      // ─────────────────────────────────────────────
-      const totalsRef = rtdb.ref("stokvel/totals");
-      await totalsRef
-        .child("pendingSubmissions")
-        .transaction((val) => Math.max((val || 0) - 1, 0));
-      await totalsRef
-        .child("rejectedSubmissions")
-        .transaction((val) => (val || 0) + 1);
-      await totalsRef
-        .child("lastUpdated")
-        .set(firebase.database.ServerValue.TIMESTAMP);
-
-      if (submission.memberId) {
-        const memberRtRef = rtdb.ref(`stokvel/members/${submission.memberId}`);
-        await memberRtRef
-          .child("pendingCount")
-          .transaction((val) => Math.max((val || 0) - 1, 0));
-        await memberRtRef
-          .child("lastUpdated")
-          .set(firebase.database.ServerValue.TIMESTAMP);
-      }
+        if (submission.memberId) {
+          const memberRef = firestore
+            .collection("members")
+            .doc(submission.memberId);
+          tx.update(memberRef, {
+            pendingCount: firebase.firestore.FieldValue.increment(-1),
+            rejectedCount: firebase.firestore.FieldValue.increment(1),
+            updatedAt: now,
+          });
+        }
+
+        return submission;
+      });
 
       // ─────────────────────────────────────────────
       // AUDIT LOG
@@ -1193,7 +1019,7 @@ const Database = {
           memberId: submission.memberId,
           memberName: submission.name,
         },
-        performedBy: Auth?.currentUser?.uid || "admin",
+        performedBy: performedBy,
       });
 
       // ─────────────────────────────────────────────
@@ -1214,6 +1040,459 @@ const Database = {
     }
   },
 
+  // ==========================================
+  // SUBMISSION REVERSAL/AMENDMENT
+  // ==========================================
+
+  /**
+   * Read a verified submission and its ledger postings inside a transaction
+   * Shared by reverseSubmission and amendSubmission
+   *
+   * @param {object} tx - Firestore transaction
+   * @param {string} submissionId
+   * @returns {Promise<object>} {submissionRef, submission, memberRef, member, entries}
+   */
+  async readPostedSubmission(tx, submissionId) {
+    const firestore = getFirestore();
+    const submissionRef = firestore.collection("submissions").doc(submissionId);
+
+    const submissionSnap = await tx.get(submissionRef);
+    if (!submissionSnap.exists) throw new Error("Submission not found");
+
+    const submission = Schema.submission(submissionSnap);
+    if (submission.status !== "verified")
+      throw new Error("Only verified payments can be reversed or amended");
+    if (submission.loanId)
+      throw new Error(
+        "Loan repayments can't be amended; reverse it and ask the member to resubmit",
+      );
+
+    let member = null;
+    const memberRef = submission.memberId
+      ? firestore.collection("members").doc(submission.memberId)
+      : null;
+    if (memberRef) {
+      const memberSnap = await tx.get(memberRef);
+      if (memberSnap.exists) {
+        member = Schema.member(memberSnap);
+      }
+    }
+
+    // Original postings (fine entry only exists for late payments)
+    const entries = [];
+    for (const type of [Ledger.ENTRY_TYPES.CONTRIBUTION, Ledger.ENTRY_TYPES.FINE]) {
+      const entrySnap = await tx.get(
+        Ledger.ref(Ledger.entryId(submission.id, type)),
+      );
+      if (entrySnap.exists) {
+        entries.push({ id: entrySnap.id, ...entrySnap.data() });
+      }
+    }
+
+    if (!entries.some((e) => e.type === Ledger.ENTRY_TYPES.CONTRIBUTION)) {
+      throw new Error(
+        "Payment is not on the ledger yet. Run functions/scripts/migrate-schema.js --apply first.",
+      );
+    }
+
+    for (const entry of entries) {
+      const reversalSnap = await tx.get(
+        Ledger.ref(Ledger.reversalId(entry.id)),
+      );
+      if (reversalSnap.exists)
+        throw new Error("Payment has already been reversed");
+    }
+
+    return { submissionRef, submission, memberRef, member, entries };
+  },
+
+  /**
+   * Refuse to move fines out of a pool year that has been shared out
+   * Once a year's interest run is approved, members have been (or are
+   * being) credited with those fines; taking one back would leave the
+   * pool paying out money it no longer has.
+   *
+   * @param {object} tx - Firestore transaction (read only, before writes)
+   * @param {number} year - Pool year the fine belongs to
+   */
+  async assertFinesOpen(tx, year) {
+    const distribution = await tx.get(Interest.ref(year));
+    if (
+      distribution.exists &&
+      distribution.data().status !== Interest.STATUSES.DRAFT
+    ) {
+      throw new Error(
+        `The ${year} fines have already been shared out as interest`,
+      );
+    }
+  },
+
+  /**
+   * Reverse a verified submission
+   * Posts compensating ledger entries and takes the money back out of
+   * the member and interest pool totals (the Realtime DB follows on the
+   * server)
+   *
+   * The original submission and its postings are never edited; the
+   * submission is marked "reversed" and linked to its reversal entries.
+   *
+   * @param {string} submissionId
+   * @param {string} reason - Why the payment is being reversed (required)
+   * @returns {Promise<object>} {submission, reversalEntryIds}
+   */
+  async reverseSubmission(submissionId, reason = "") {
+    const firestore = getFirestore();
+
+    if (!reason || !reason.trim()) {
+      throw new Error("A reason is required to reverse a payment");
+    }
+    reason = reason.trim();
+
+    const posted = await this.getSubmission(submissionId);
+    if (posted?.loanId) {
+      return Loans.reverseRepayment(submissionId, reason);
+    }
+
+    try {
+      console.log("↩️ Reversing submission:", submissionId);
+
+      const performedBy = Auth?.currentUser?.uid || "admin";
+
+      // ─────────────────────────────────────────────
+      // FIRESTORE TRANSACTION: Reversal entries + status + member totals
+      // ─────────────────────────────────────────────
+      const result = await firestore.runTransaction(async (tx) => {
+        const { submissionRef, submission, memberRef, member, entries } =
+          await this.readPostedSubmission(tx, submissionId);
+
+        const reversals = entries.map((entry) =>
+          Ledger.reversalEntry(entry, reason, performedBy),
+        );
+
+        const now = firebase.firestore.FieldValue.serverTimestamp();
+        const amount = Ledger.toAmount(submission.amount);
+        const fineAmount = Ledger.toAmount(submission.fineAmount);
+        const paymentYear = this.extractYearFromMonth(submission.paymentMonth);
+
+        if (fineAmount > 0) {
+          await this.assertFinesOpen(tx, paymentYear);
+        }
+
+        tx.update(submissionRef, {
+          status: "reversed",
+          reversalReason: reason,
+          reversedAt: now,
+          reversedBy: performedBy,
+          reversalEntryIds: reversals.map((r) => r.id),
+          updatedAt: now,
+        });
+
+        reversals.forEach((entry) => Ledger.post(tx, entry));
+
+        // Free the bank deposit so it can approve the right payment
+        if (submission.bankTransactionId) {
+          tx.delete(
+            firestore
+              .collection("bankTransactions")
+              .doc(submission.bankTransactionId),
+          );
+        }
+
+        let newTotalSavings = 0;
+        if (member) {
+          newTotalSavings = Ledger.toAmount(
+            (member.totalSavings || 0) - (submission.rotationId ? 0 : amount),
+          );
+
+          tx.update(memberRef, {
+            verifiedCount: firebase.firestore.FieldValue.increment(-1),
+            reversedCount: firebase.firestore.FieldValue.increment(1),
+            updatedAt: now,
+          });
+        }
+
+        if (fineAmount > 0) {
+          tx.set(
+            firestore.collection("interestPool").doc(paymentYear.toString()),
+            {
+              year: paymentYear,
+              totalFines: firebase.firestore.FieldValue.increment(-fineAmount),
+              fineCount: firebase.firestore.FieldValue.increment(-1),
+              updatedAt: now,
+            },
+            { merge: true },
+          );
+        }
+
+        return {
+          submission,
+          member,
+          amount,
+          fineAmount,
+          newTotalSavings,
+          reversalEntryIds: reversals.map((r) => r.id),
+        };
+      });
+
+      const { submission, amount, fineAmount } = result;
+
+      // ─────────────────────────────────────────────
+      // AUDIT LOG
+      // ─────────────────────────────────────────────
+      await this.createAuditLog({
+        action: "submission_reversed",
+        entityType: "submission",
+        entityId: submissionId,
+        details: {
+          reference: submission.reference,
+          amount: amount,
+          fineAmount: fineAmount,
+          memberId: submission.memberId,
+          memberName: submission.name,
+          paymentMonth: submission.paymentMonth,
+          reason: reason,
+          reversalEntryIds: result.reversalEntryIds,
+        },
+        performedBy: performedBy,
+      });
+
+      this.sendSMSNonBlocking("adjustment", {
+        phone: submission.phone,
+        name: submission.name,
+        reference: submission.reference,
+        month: submission.paymentMonth,
+        reason: reason,
+        totalSaved: result.newTotalSavings,
+      });
+
+      console.log("↩️ Submission reversed:", submission.reference);
+
+      return {
+        submission: { ...submission, status: "reversed" },
+        reversalEntryIds: result.reversalEntryIds,
+      };
+    } catch (error) {
+      console.error("❌ Reverse submission error:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Amend a verified submission (wrong amount, month or fine)
+   *
+   * The original is reversed and a corrected, already-verified submission
+   * is created in the same transaction. Both documents point at each
+   * other (amendedBySubmissionId / amendsSubmissionId) so the audit trail
+   * can be followed in either direction.
+   *
+   * @param {string} submissionId
+   * @param {object} changes - {amount, paymentMonth, fineAmount} (any subset)
+   * @param {string} reason - Why the payment is being amended (required)
+   * @returns {Promise<object>} {submissionId, reference}
+   */
+  async amendSubmission(submissionId, changes = {}, reason = "") {
+    const firestore = getFirestore();
+
+    if (!reason || !reason.trim()) {
+      throw new Error("A reason is required to amend a payment");
+    }
+    reason = reason.trim();
+
+    if (changes.amount !== undefined && !(Number(changes.amount) > 0)) {
+      throw new Error("Amended amount must be greater than zero");
+    }
+    if (changes.fineAmount !== undefined && Number(changes.fineAmount) < 0) {
+      throw new Error("Fine cannot be negative");
+    }
+    if (
+      changes.paymentMonth !== undefined &&
+      !/^[A-Z][a-z]+ \d{4}$/.test(changes.paymentMonth)
+    ) {
+      throw new Error('Payment month must look like "January 2026"');
+    }
+
+    try {
+      console.log("✏️ Amending submission:", submissionId);
+
+      const performedBy = Auth?.currentUser?.uid || "admin";
+      const reference = await this.generateSubmissionRef();
+      const amendedRef = firestore.collection("submissions").doc();
+
+      // ─────────────────────────────────────────────
+      // FIRESTORE TRANSACTION: Reverse original + post corrected copy
+      // ─────────────────────────────────────────────
+      const result = await firestore.runTransaction(async (tx) => {
+        const {
+          submissionRef,
+          submission: original,
+          memberRef,
+          member,
+          entries,
+        } = await this.readPostedSubmission(tx, submissionId);
+        if (original.rotationId) {
+          throw new Error(
+            "Rotation contributions can't be amended; reverse it and ask the member to resubmit",
+          );
+        }
+
+        const before = {
+          amount: Ledger.toAmount(original.amount),
+          fineAmount: Ledger.toAmount(original.fineAmount),
+          paymentMonth: original.paymentMonth,
+        };
+        const after = {
+          amount:
+            changes.amount !== undefined
+              ? Ledger.toAmount(changes.amount)
+              : before.amount,
+          fineAmount:
+            changes.fineAmount !== undefined
+              ? Ledger.toAmount(changes.fineAmount)
+              : before.fineAmount,
+          paymentMonth: changes.paymentMonth || before.paymentMonth,
+        };
+
+        if (
+          after.amount === before.amount &&
+          after.fineAmount === before.fineAmount &&
+          after.paymentMonth === before.paymentMonth
+        ) {
+          throw new Error("Nothing to amend");
+        }
+
+        // Fines leave one pool year and join another only if they change
+        const beforeYear = this.extractYearFromMonth(before.paymentMonth);
+        const afterYear = this.extractYearFromMonth(after.paymentMonth);
+        if (
+          after.fineAmount !== before.fineAmount ||
+          afterYear !== beforeYear
+        ) {
+          if (before.fineAmount > 0) await this.assertFinesOpen(tx, beforeYear);
+          if (after.fineAmount > 0) await this.assertFinesOpen(tx, afterYear);
+        }
+
+        const now = firebase.firestore.FieldValue.serverTimestamp();
+        const { id, ...originalData } = original;
+
+        const amended = {
+          ...originalData,
+          reference: reference,
+          amount: after.amount,
+          fineAmount: after.fineAmount,
+          totalAmount: Ledger.toAmount(after.amount + after.fineAmount),
+          paymentMonth: after.paymentMonth,
+          isLate: after.fineAmount > 0,
+          status: "verified",
+          verifiedAt: now,
+          verifiedBy: performedBy,
+          amendsSubmissionId: original.id,
+          amendmentReason: reason,
+          updatedAt: now,
+          // Copied from the normalized original, so always canonical
+          schemaVersion: Schema.VERSION,
+        };
+
+        const reversals = entries.map((entry) =>
+          Ledger.reversalEntry(entry, reason, performedBy),
+        );
+        const postings = Ledger.approvalEntries(
+          { id: amendedRef.id, ...amended },
+          performedBy,
+        );
+
+        tx.update(submissionRef, {
+          status: "reversed",
+          reversalReason: reason,
+          reversedAt: now,
+          reversedBy: performedBy,
+          reversalEntryIds: reversals.map((r) => r.id),
+          amendedBySubmissionId: amendedRef.id,
+          updatedAt: now,
+        });
+        tx.set(amendedRef, amended);
+
+        reversals.forEach((entry) => Ledger.post(tx, entry));
+        postings.forEach((entry) => Ledger.post(tx, entry));
+
+        let newTotalSavings = 0;
+        if (member) {
+          newTotalSavings = Ledger.toAmount(
+            (member.totalSavings || 0) - before.amount + after.amount,
+          );
+
+          // verifiedCount is unchanged: one verified payment swapped for another
+          tx.update(memberRef, {
+            submissionCount: firebase.firestore.FieldValue.increment(1),
+            reversedCount: firebase.firestore.FieldValue.increment(1),
+            updatedAt: now,
+          });
+        }
+
+        // Interest pool fines can move between years when the month changes
+        const poolChanges = [
+          { data: before, sign: -1 },
+          { data: after, sign: 1 },
+        ];
+        poolChanges.forEach(({ data, sign }) => {
+          if (data.fineAmount <= 0) return;
+          const year = this.extractYearFromMonth(data.paymentMonth);
+          tx.set(
+            firestore.collection("interestPool").doc(year.toString()),
+            {
+              year: year,
+              totalFines: firebase.firestore.FieldValue.increment(
+                sign * data.fineAmount,
+              ),
+              fineCount: firebase.firestore.FieldValue.increment(sign),
+              updatedAt: now,
+            },
+            { merge: true },
+          );
+        });
+
+        return { original, member, before, after, newTotalSavings };
+      });
+
+      const { original, before, after } = result;
+
+      // ─────────────────────────────────────────────
+      // AUDIT LOG
+      // ─────────────────────────────────────────────
+      await this.createAuditLog({
+        action: "submission_amended",
+        entityType: "submission",
+        entityId: submissionId,
+        details: {
+          reference: original.reference,
+          amendedSubmissionId: amendedRef.id,
+          amendedReference: reference,
+          memberId: original.memberId,
+          memberName: original.name,
+          before: before,
+          after: after,
+          reason: reason,
+        },
+        performedBy: performedBy,
+      });
+
+      this.sendSMSNonBlocking("adjustment", {
+        phone: original.phone,
+        name: original.name,
+        reference: original.reference,
+        month: after.paymentMonth,
+        reason: reason,
+        totalSaved: result.newTotalSavings,
+      });
+
+      console.log("✏️ Submission amended:", original.reference, "→", reference);
+
+      return { submissionId: amendedRef.id, reference };
+    } catch (error) {
+      console.error("❌ Amend submission error:", error);
+      throw error;
+    }
+  },
+
   // ==========================================
   // REALTIME DATABASE LISTENERS (Frontend)
   // ==========================================
@@ -1238,7 +1517,24 @@ const Database = {
         pendingSubmissions: data.pendingSubmissions || 0,
         approvedSubmissions: data.approvedSubmissions || 0,
         rejectedSubmissions: data.rejectedSubmissions || 0,
+        reversedSubmissions: data.reversedSubmissions || 0,
         totalSubmissions: data.totalSubmissions || 0,
+        bankInterest: data.bankInterest || 0,
+        expenses: data.expenses || 0,
+        interestPaid: data.interestPaid || 0,
+        loanInterest: data.loanInterest || 0,
+        loansOutstanding: data.loansOutstanding || 0,
+        rotationContributions: data.rotationContributions || 0,
+        rotationPayouts: data.rotationPayouts || 0,
+        // Fines and income not yet shared out, less expenses
+        netPool: Ledger.toAmount(
+          (data.totalFines || 0) +
+            (data.bankInterest || 0) +
+            (data.otherIncome || 0) +
+            (data.loanInterest || 0) -
+            (data.expenses || 0) -
+            (data.interestPaid || 0),
+        ),
         lastUpdated: data.lastUpdated || null,
       });
     });
@@ -1295,7 +1591,16 @@ const Database = {
         totalFines: data.totalFines || 0,
         fineCount: data.fineCount || 0,
         bankInterest: data.bankInterest || 0,
-        totalPool: (data.totalFines || 0) + (data.bankInterest || 0),
+        otherIncome: data.otherIncome || 0,
+        loanInterest: data.loanInterest || 0,
+        expenses: data.expenses || 0,
+        totalPool: Ledger.toAmount(
+          (data.totalFines || 0) +
+            (data.bankInterest || 0) +
+            (data.otherIncome || 0) +
+            (data.loanInterest || 0) -
+            (data.expenses || 0),
+        ),
         lastUpdated: data.lastUpdated || null,
       });
     });
@@ -1343,18 +1648,20 @@ const Database = {
    * Get comprehensive member stats
    * Combines Firestore details with Realtime DB totals
    *
-   * @param {string} phone
+   * @param {string} memberId
    * @returns {Promise<object>}
    */
-  async getMemberStats(phone) {
+  async getMemberStats(memberId) {
     try {
-      const normalizedPhone = phone.replace(/[\s-]/g, "");
+      const member = await this.getMember(memberId);
+      if (!member) return null;
 
       // Get real-time stats from Realtime DB
       const realtimeStats = await this.getMemberRealtimeStats(member.id);
+      const { interestEligibilityMin } = await Rules.current();
 
       // Get recent submissions from Firestore
-      const submissions = await this.getMemberSubmissions(phone);
+      const submissions = await this.getMemberSubmissions(member.id);
 
       // Use Realtime DB values as source of truth for totals
       const totalSavings =
@@ -1374,14 +1681,14 @@ const Database = {
         verifiedCount: realtimeStats.verifiedCount ?? member.verifiedCount ?? 0,
         pendingCount: realtimeStats.pendingCount ?? member.pendingCount ?? 0,
         rejectedCount: member.rejectedCount ?? 0,
+        reversedCount: member.reversedCount ?? 0,
 
         // Interest eligibility
-        qualifiesForInterest:
-          totalSavings >= APP_SETTINGS.interestEligibilityMin,
-        interestThreshold: APP_SETTINGS.interestEligibilityMin,
+        qualifiesForInterest: totalSavings >= interestEligibilityMin,
+        interestThreshold: interestEligibilityMin,
         interestProgress: Math.min(
           100,
-          (totalSavings / APP_SETTINGS.interestEligibilityMin) * 100,
+          (totalSavings / interestEligibilityMin) * 100,
         ),
 
         // Recent submissions (from Firestore - full details)
@@ -1404,7 +1711,9 @@ const Database = {
 
   /**
    * Create audit log entry
-   * All actions are logged for accountability
+   * All officer actions are logged for accountability; firestore.rules
+   * only takes entries from an officer, as performedBy. Member actions
+   * are logged by the Cloud Functions.
    *
    * @param {object} logData
    */
@@ -1467,19 +1776,6 @@ const Database = {
   // UTILITY FUNCTIONS
   // ==========================================
 
-  /**
-   * Hash password using SHA-256
-   * @param {string} password
-   * @returns {Promise<string>}
-   */
-  async hashPassword(password) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password);
-    const hashBuffer = await crypto.subtle.digest("SHA-256", data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
-  },
-
   /**
    * Extract year from payment month string
    * @param {string} paymentMonth - e.g., "January 2024"
@@ -1509,33 +1805,68 @@ const Database = {
         }
 
         switch (type) {
-          case "popConfirmation":
-            await SMS.sendPOPConfirmation(
+          case "approval":
+            await SMS.sendApprovalNotification(
               data.phone,
               data.name,
               data.amount,
               data.month,
-              data.reference,
+              data.totalSaved,
             );
             break;
-          case "approval":
-            await SMS.sendApprovalNotification(
+          case "rejection":
+            await SMS.sendRejectionNotification(
               data.phone,
               data.name,
               data.amount,
               data.month,
+              data.reason,
+            );
+            break;
+          case "adjustment":
+            await SMS.sendAdjustmentNotification(
+              data.phone,
+              data.name,
+              data.reference,
+              data.month,
+              data.reason,
               data.totalSaved,
             );
             break;
-          case "rejection":
-            await SMS.sendRejectionNotification(
+          case "loanApproved":
+            await SMS.sendLoanApproved(
+              data.phone,
+              data.name,
+              data.amount,
+              data.months,
+              data.instalment,
+              data.firstDue,
+            );
+            break;
+          case "loanDeclined":
+            await SMS.sendLoanDeclined(
               data.phone,
               data.name,
               data.amount,
-              data.month,
               data.reason,
             );
             break;
+          case "loanRepayment":
+            await SMS.sendLoanRepayment(
+              data.phone,
+              data.name,
+              data.amount,
+              data.balance,
+            );
+            break;
+          case "rotationPayout":
+            await SMS.sendRotationPayout(
+              data.phone,
+              data.name,
+              data.amount,
+              data.month,
+            );
+            break;
           default:
             console.warn("Unknown SMS type:", type);
         }
@@ -1546,115 +1877,35 @@ const Database = {
   },
 
   /**
-   * Initialize Realtime Database structure
-   * Call once on first setup to create the structure
+   * Rebuild a member's totals from the ledger
+   * Money comes from ledger entries, counts from submission statuses.
+   * Only Cloud Functions write the Realtime DB (database.rules.json).
+   *
+   * @param {string} memberId
+   * @returns {Promise<object>} {members}
    */
-  async initializeRealtimeDB() {
-    const rtdb = getRealtimeDB();
-
-    const defaultStructure = {
-      totals: {
-        totalMembers: 0,
-        totalSavings: 0,
-        totalFines: 0,
-        pendingSubmissions: 0,
-        approvedSubmissions: 0,
-        rejectedSubmissions: 0,
-        totalSubmissions: 0,
-        lastUpdated: firebase.database.ServerValue.TIMESTAMP,
-      },
-      counters: {
-        memberNumber: 1000,
-        submissionNumber: 10000,
-      },
-      members: {},
-      interestPool: {},
-      monthly: {},
-    };
-
-    // Only set if doesn't exist
-    const snapshot = await rtdb.ref("stokvel/totals").once("value");
-    if (!snapshot.exists()) {
-      await rtdb.ref("stokvel").set(defaultStructure);
-      console.log("✅ Realtime DB initialized with default structure");
-    } else {
-      console.log("ℹ️ Realtime DB already initialized");
-    }
+  async recalculateMemberStats(memberId) {
+    const result = await functions.httpsCallable("rebuildTotals")({
+      memberId,
+    });
+    console.log(`✅ Recalculated ${memberId}`);
+    return result.data;
   },
 
   /**
-   * Sync Firestore data to Realtime DB
-   * Use if data gets out of sync
+   * Rebuild every member and the stokvel totals from the ledger
+   *
+   * @returns {Promise<object>} {members, totals}
    */
-  async syncDataToRealtimeDB() {
-    const firestore = getFirestore();
-    const rtdb = getRealtimeDB();
+  async recalculateAllMemberStats() {
+    console.log("🔄 Recalculating all members from ledger...");
 
-    console.log("🔄 Syncing Firestore to Realtime DB...");
-
-    try {
-      // Get all members
-      const members = await this.getMembers();
-
-      let totalSavings = 0;
-      let totalFines = 0;
-
-      // Sync each member
-      for (const member of members) {
-        totalSavings += member.totalSavings || 0;
-        totalFines += member.totalFines || 0;
-
-        await rtdb.ref(`stokvel/members/${member.id}`).set({
-          name: member.fullName || member.name,
-          memberRef: member.memberRef,
-          phone: member.phone,
-          totalSavings: member.totalSavings || 0,
-          totalFines: member.totalFines || 0,
-          submissionCount: member.submissionCount || 0,
-          verifiedCount: member.verifiedCount || 0,
-          pendingCount: member.pendingCount || 0,
-          qualifiesForInterest:
-            (member.totalSavings || 0) >= APP_SETTINGS.interestEligibilityMin,
-          lastPaymentMonth: member.lastPaymentMonth || null,
-          lastUpdated: firebase.database.ServerValue.TIMESTAMP,
-        });
-      }
+    const result = await functions.httpsCallable("rebuildTotals")({});
 
-      // Count submissions
-      const pendingSnapshot = await firestore
-        .collection("submissions")
-        .where("status", "==", "pending")
-        .get();
-      const approvedSnapshot = await firestore
-        .collection("submissions")
-        .where("status", "==", "verified")
-        .get();
-      const rejectedSnapshot = await firestore
-        .collection("submissions")
-        .where("status", "==", "rejected")
-        .get();
-
-      // Update totals
-      await rtdb.ref("stokvel/totals").set({
-        totalMembers: members.length,
-        totalSavings: totalSavings,
-        totalFines: totalFines,
-        pendingSubmissions: pendingSnapshot.size,
-        approvedSubmissions: approvedSnapshot.size,
-        rejectedSubmissions: rejectedSnapshot.size,
-        totalSubmissions:
-          pendingSnapshot.size + approvedSnapshot.size + rejectedSnapshot.size,
-        lastUpdated: firebase.database.ServerValue.TIMESTAMP,
-      });
-
-      console.log("✅ Sync complete");
-      console.log(`   Members: ${members.length}`);
-      console.log(`   Total Savings: R${totalSavings}`);
-      console.log(`   Total Fines: R${totalFines}`);
-    } catch (error) {
-      console.error("❌ Sync error:", error);
-      throw error;
-    }
+    console.log("✅ Recalculation complete");
+    console.log(`   Members: ${result.data.members}`);
+    console.log(`   Total Savings: R${result.data.totals.totalSavings || 0}`);
+    return result.data;
   },
 };
 
@@ -27,6 +27,23 @@ const rtdb = firebase.database();
 // Initialize Auth
 const auth = firebase.auth();
 
+// Initialize Functions (only pages that load the functions SDK)
+const functions = firebase.functions ? firebase.functions() : null;
+
+// Initialize Storage (proof of payment files, see js/storage.js)
+const storage = firebase.storage ? firebase.storage() : null;
+
+// Local emulators (firebase emulators:start, served on localhost)
+const USE_EMULATORS = window.location.hostname === "localhost";
+if (USE_EMULATORS) {
+    db.useEmulator("localhost", 8080);
+    rtdb.useEmulator("localhost", 9000);
+    auth.useEmulator("http://localhost:9099");
+    if (functions) functions.useEmulator("localhost", 5001);
+    if (storage) storage.useEmulator("localhost", 9199);
+    console.log('🧪 Using Firebase emulators');
+}
+
 // Enable offline persistence
 db.enablePersistence({ synchronizeTabs: true })
     .catch((err) => {
@@ -34,12 +51,19 @@ db.enablePersistence({ synchronizeTabs: true })
     });
 
 // App Settings
+// The financial rules below are only defaults: the rules in force
+// come from settings/rules via Rules (js/rules.js)
 const APP_SETTINGS = {
     stokvelName: "Tshikota Ro Farana",
     minimumDeposit: 300,
     lateFineAmount: 50,
     paymentDueDay: 7,
     interestEligibilityMin: 10000,
+    warningAfterSkipped: 2,
+    suspendAfterSkipped: 3,
+    loanSavingsMultiple: 2,
+    loanInterestRate: 5,
+    loanMaxMonths: 6,
     bankingDetails: {
         bankName: "FNB",
         accountName: "Stokvel",
@@ -47,6 +71,8 @@ const APP_SETTINGS = {
         branchCode: "250655",
         reference: "Name + Month"
     },
+    // Blob store for proof of payment files (Storage.registerBackend)
+    proofStorage: "firebase",
     currency: "ZAR",
     currencySymbol: "R"
 };
@@ -56,5 +82,7 @@ window.APP_SETTINGS = APP_SETTINGS;
 window.db = db;
 window.rtdb = rtdb;
 window.auth = auth;
+window.functions = functions;
+window.storage = storage;
 
 console.log('🔥 Firebase initialized for', APP_SETTINGS.stokvelName);
\ No newline at end of file
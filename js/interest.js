@@ -0,0 +1,514 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - INTEREST POOL DISTRIBUTION
+ * =====================================================
+ *
+ * At year end the interest pool - that year's late fines plus the bank
+ * interest, loan interest (loans.js) and other income, less the
+ * expenses, recorded in `interestPool/{year}` (see
+ * pool-transactions.js) - is shared out among the members who qualify
+ * for interest.
+ *
+ * RUN (one per pool year, `interestDistributions/{year}`):
+ * 1. draft     An officer picks a method and cut-off date; the sheet is
+ *              worked out and saved for review. Recalculating replaces it.
+ * 2. approved  The chairperson approves the sheet; from here it is
+ *              locked (firestore.rules refuses changes to allocations)
+ * 3. posted    Each share is posted to the ledger and member records.
+ *              Posting is resumable: entries already made are skipped.
+ *
+ * ELIGIBILITY:
+ * Members whose savings at the end of the cut-off day reach the rules'
+ * interest threshold (Rules.interestEligibilityMin on that day).
+ *
+ * METHODS:
+ * - equal         Same share for everyone eligible
+ * - prorata       In proportion to savings at the cut-off
+ * - timeweighted  In proportion to the average daily balance from
+ *                 1 January to the cut-off (Utils.averageDailyBalance)
+ *
+ * Shares are worked out in cents; the cents left over after rounding
+ * go to the largest remainders, so the sheet always adds up to the pool.
+ * Each share is split into the part paid from fines and the rest (net
+ * income), which is negative when the year's expenses exceed its income.
+ *
+ * =====================================================
+ */
+
+const Interest = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  COLLECTION: "interestDistributions",
+
+  METHODS: {
+    equal: "Equal shares",
+    prorata: "Pro-rata by savings",
+    timeweighted: "Time-weighted average balance",
+  },
+
+  STATUSES: {
+    DRAFT: "draft",
+    APPROVED: "approved",
+    POSTED: "posted",
+  },
+
+  // Ledger entries per posting transaction, under the 500-write limit
+  POST_BATCH_SIZE: 200,
+
+  /**
+   * ==========================================
+   * LOOKUPS
+   * ==========================================
+   */
+
+  /**
+   * @param {number} year
+   * @returns {firebase.firestore.DocumentReference}
+   */
+  ref(year) {
+    return db.collection(this.COLLECTION).doc(String(year));
+  },
+
+  /**
+   * Money in a year's interest pool
+   * @param {number} year
+   * @returns {Promise<object>} {fines, bankInterest, otherIncome,
+   *   loanInterest, expenses, income (net of expenses), total}
+   */
+  async getPool(year) {
+    const doc = await db.collection("interestPool").doc(String(year)).get();
+    const data = doc.exists ? doc.data() : {};
+
+    const fines = Ledger.toAmount(data.totalFines);
+    const bankInterest = Ledger.toAmount(data.bankInterest);
+    const otherIncome = Ledger.toAmount(data.otherIncome);
+    const loanInterest = Ledger.toAmount(data.loanInterest);
+    const expenses = Ledger.toAmount(data.expenses);
+    const income = Ledger.toAmount(
+      bankInterest + otherIncome + loanInterest - expenses,
+    );
+    return {
+      fines: fines,
+      bankInterest: bankInterest,
+      otherIncome: otherIncome,
+      loanInterest: loanInterest,
+      expenses: expenses,
+      income: income,
+      total: Ledger.toAmount(fines + income),
+    };
+  },
+
+  /**
+   * The saved run for a year, if there is one
+   * @param {number} year
+   * @returns {Promise<object|null>}
+   */
+  async getDistribution(year) {
+    const doc = await this.ref(year).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  },
+
+  /**
+   * ==========================================
+   * CALCULATION
+   * ==========================================
+   */
+
+  /**
+   * Split an amount in proportion to weights, to the cent
+   *
+   * @param {number} amount - Rand
+   * @param {number[]} weights - Non-negative, at least one above zero
+   * @returns {number[]} Rand per weight; adds up to amount exactly
+   */
+  allocate(amount, weights) {
+    const cents = Math.round(amount * 100);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (cents <= 0 || totalWeight <= 0) return weights.map(() => 0);
+
+    const exact = weights.map((weight) => (cents * weight) / totalWeight);
+    const shares = exact.map(Math.floor);
+    let left = cents - shares.reduce((sum, share) => sum + share, 0);
+
+    // Leftover cents to the largest remainders (earlier rows win ties)
+    exact
+      .map((value, index) => ({ index, remainder: value - shares[index] }))
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+      .forEach(({ index }) => {
+        if (left > 0) {
+          shares[index]++;
+          left--;
+        }
+      });
+
+    return shares.map((share) => share / 100);
+  },
+
+  /**
+   * Each member's savings movements up to the end of the cut-off day
+   *
+   * @param {Array} entries - Ledger entries
+   * @param {string} cutoff - "YYYY-MM-DD"
+   * @returns {object} memberId -> [{date, amount}]
+   */
+  savingsMovements(entries, cutoff) {
+    const prefix = Ledger.ACCOUNTS.MEMBER_PREFIX;
+    const movements = {};
+
+    entries.forEach((entry) => {
+      const posted = entry.postedAt?.toDate?.();
+      if (!posted) return;
+
+      const date = Rules.dayKey(posted);
+      if (date > cutoff) return;
+
+      (entry.lines || []).forEach((line) => {
+        if (!line.account.startsWith(prefix)) return;
+        const memberId = line.account.substring(prefix.length);
+        if (!movements[memberId]) movements[memberId] = [];
+        movements[memberId].push({
+          date: date,
+          amount: (line.credit || 0) - (line.debit || 0),
+        });
+      });
+    });
+
+    return movements;
+  },
+
+  /**
+   * Work out the distribution sheet for a year
+   *
+   * @param {number} year - Pool year
+   * @param {string} method - Key of METHODS
+   * @param {string} cutoff - Eligibility date, "YYYY-MM-DD"
+   * @returns {Promise<object>} Sheet: {year, method, cutoff, threshold,
+   *   pool, allocations, excluded, totals}
+   */
+  async calculate(year, method, cutoff) {
+    if (!this.METHODS[method]) {
+      throw new Error("Choose how to share the pool");
+    }
+    const start = `${year}-01-01`;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(cutoff || "") || cutoff < start) {
+      throw new Error(`The cut-off date must be in or after ${year}`);
+    }
+    if (cutoff > Rules.dayKey(new Date())) {
+      throw new Error("The cut-off date can't be in the future");
+    }
+
+    const [pool, members, entries, rules] = await Promise.all([
+      this.getPool(year),
+      Database.getMembers(),
+      Ledger.getEntries(),
+      Rules.forDate(cutoff),
+    ]);
+    if (pool.total <= 0) {
+      throw new Error(`The ${year} interest pool is empty`);
+    }
+
+    const threshold = rules.interestEligibilityMin;
+    const movements = this.savingsMovements(entries, cutoff);
+
+    const eligible = [];
+    const excluded = [];
+    members.forEach((member) => {
+      const list = movements[member.id] || [];
+      const balance = Ledger.toAmount(
+        list.reduce((sum, movement) => sum + movement.amount, 0),
+      );
+      const row = {
+        memberId: member.id,
+        name: member.fullName || member.name || "Unknown",
+        memberRef: member.memberRef || "",
+        balance: balance,
+        averageBalance: Utils.averageDailyBalance(list, start, cutoff),
+      };
+      (balance >= threshold ? eligible : excluded).push(row);
+    });
+
+    if (eligible.length === 0) {
+      throw new Error(
+        `No member had ${Utils.formatCurrency(threshold)} saved on ${cutoff}`,
+      );
+    }
+
+    const weights = eligible.map((row) => {
+      if (method === "equal") return 1;
+      return Math.max(method === "prorata" ? row.balance : row.averageBalance, 0);
+    });
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) {
+      throw new Error("No eligible member has a balance to weight by");
+    }
+
+    const shares = this.allocate(pool.total, weights);
+    const fineShares = this.allocate(pool.fines, weights);
+
+    const allocations = eligible.map((row, index) => ({
+      ...row,
+      weight: Utils.round(weights[index], 2),
+      sharePercent: Utils.calculatePercentage(weights[index], totalWeight, 2),
+      fines: fineShares[index],
+      interest: Ledger.toAmount(shares[index] - fineShares[index]),
+      amount: shares[index],
+    }));
+
+    return {
+      year: Number(year),
+      method: method,
+      cutoff: cutoff,
+      threshold: threshold,
+      pool: pool,
+      allocations: allocations,
+      excluded: excluded.map(({ memberId, name, memberRef, balance }) => ({
+        memberId,
+        name,
+        memberRef,
+        balance,
+      })),
+      totals: {
+        members: allocations.length,
+        fines: pool.fines,
+        interest: pool.income,
+        amount: pool.total,
+      },
+    };
+  },
+
+  /**
+   * ==========================================
+   * RUN LIFECYCLE
+   * ==========================================
+   */
+
+  /**
+   * Work out a sheet and save it as the year's draft
+   *
+   * @param {number} year
+   * @param {string} method
+   * @param {string} cutoff
+   * @returns {Promise<object>} Saved run
+   */
+  async prepare(year, method, cutoff) {
+    const existing = await this.getDistribution(year);
+    if (existing && existing.status !== this.STATUSES.DRAFT) {
+      throw new Error(`The ${year} distribution is already approved`);
+    }
+
+    const sheet = await this.calculate(year, method, cutoff);
+    const uid = Auth.currentUser?.uid || "admin";
+
+    await this.ref(year).set({
+      ...sheet,
+      status: this.STATUSES.DRAFT,
+      preparedBy: uid,
+      preparedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+
+    await Database.createAuditLog({
+      action: "interest_distribution_prepared",
+      entityType: "interestDistribution",
+      entityId: String(year),
+      details: {
+        method: method,
+        cutoff: cutoff,
+        pool: sheet.pool.total,
+        members: sheet.totals.members,
+      },
+      performedBy: uid,
+    });
+
+    console.log(`✅ ${year} distribution drafted: ${sheet.totals.members} members`);
+    return this.getDistribution(year);
+  },
+
+  /**
+   * Approve a draft (chairperson) and post it
+   *
+   * @param {number} year
+   * @returns {Promise<{posted: number, skipped: number}>}
+   */
+  async approve(year) {
+    const uid = Auth.currentUser?.uid || "admin";
+    const ref = this.ref(year);
+
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw new Error(`No ${year} distribution to approve`);
+      if (doc.data().status !== this.STATUSES.DRAFT) {
+        throw new Error(`The ${year} distribution is already approved`);
+      }
+
+      tx.update(ref, {
+        status: this.STATUSES.APPROVED,
+        approvedBy: uid,
+        approvedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    await Database.createAuditLog({
+      action: "interest_distribution_approved",
+      entityType: "interestDistribution",
+      entityId: String(year),
+      details: {},
+      performedBy: uid,
+    });
+
+    return this.post(year);
+  },
+
+  /**
+   * Post an approved run's shares to the ledger
+   * Member totals follow from the entries (functions/ledger.js)
+   * Safe to run again after an interruption, or from two tabs at once:
+   * shares already posted are skipped
+   *
+   * @param {number} year
+   * @returns {Promise<{posted: number, skipped: number}>}
+   */
+  async post(year) {
+    const distribution = await this.getDistribution(year);
+    if (!distribution || distribution.status === this.STATUSES.DRAFT) {
+      throw new Error(`The ${year} distribution hasn't been approved`);
+    }
+
+    const uid = Auth.currentUser?.uid || "admin";
+
+    const shares = distribution.allocations
+      .filter((allocation) => allocation.amount > 0)
+      .map((allocation) => ({
+        allocation,
+        entry: Ledger.interestEntry(allocation, distribution.year, uid),
+      }));
+
+    // Each chunk checks and writes its entries in one transaction, so a
+    // share posted by an earlier or simultaneous run is skipped, never
+    // posted (or counted in the totals) twice
+    const pending = [];
+    for (let i = 0; i < shares.length; i += this.POST_BATCH_SIZE) {
+      const chunk = shares.slice(i, i + this.POST_BATCH_SIZE);
+
+      const posted = await db.runTransaction(async (tx) => {
+        const docs = await Promise.all(
+          chunk.map(({ entry }) => tx.get(Ledger.ref(entry.id))),
+        );
+        const fresh = chunk.filter((_, index) => !docs[index].exists);
+        fresh.forEach(({ entry }) => Ledger.post(tx, entry));
+        return fresh;
+      });
+      pending.push(...posted);
+    }
+
+    // The Realtime DB totals follow from each entry (functions/ledger.js)
+    const total = Ledger.toAmount(
+      pending.reduce((sum, { allocation }) => sum + allocation.amount, 0),
+    );
+
+    if (distribution.status !== this.STATUSES.POSTED) {
+      await this.ref(year).update({
+        status: this.STATUSES.POSTED,
+        postedBy: uid,
+        postedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      await db.collection("interestPool").doc(String(year)).set(
+        {
+          distributedAmount: distribution.totals.amount,
+          distributedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true },
+      );
+    }
+
+    const skipped = distribution.allocations.length - pending.length;
+    await Database.createAuditLog({
+      action: "interest_distribution_posted",
+      entityType: "interestDistribution",
+      entityId: String(year),
+      details: { posted: pending.length, skipped: skipped, amount: total },
+      performedBy: uid,
+    });
+
+    console.log(`✅ ${year} interest posted: ${pending.length} shares, R${total}`);
+    return { posted: pending.length, skipped: skipped };
+  },
+
+  /**
+   * Delete a draft so the year can start over
+   * @param {number} year
+   */
+  async discard(year) {
+    const distribution = await this.getDistribution(year);
+    if (!distribution) return;
+    if (distribution.status !== this.STATUSES.DRAFT) {
+      throw new Error(`The ${year} distribution is locked`);
+    }
+    await this.ref(year).delete();
+  },
+
+  /**
+   * ==========================================
+   * EXPORT
+   * ==========================================
+   */
+
+  /**
+   * The sheet as CSV, for sharing with members before approval
+   * @param {object} distribution
+   * @returns {string}
+   */
+  toCsv(distribution) {
+    const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+    const rows = [
+      [
+        "Member",
+        "Member Ref",
+        "Savings at Cut-off",
+        "Average Balance",
+        "Share %",
+        "From Fines",
+        "From Net Income",
+        "Total",
+      ],
+      ...distribution.allocations.map((a) => [
+        a.name,
+        a.memberRef,
+        a.balance.toFixed(2),
+        a.averageBalance.toFixed(2),
+        a.sharePercent,
+        a.fines.toFixed(2),
+        a.interest.toFixed(2),
+        a.amount.toFixed(2),
+      ]),
+      [
+        "Total",
+        "",
+        "",
+        "",
+        "100",
+        distribution.totals.fines.toFixed(2),
+        distribution.totals.interest.toFixed(2),
+        distribution.totals.amount.toFixed(2),
+      ],
+    ];
+    return rows.map((row) => row.map(quote).join(",")).join("\r\n");
+  },
+
+  /**
+   * Save the sheet as a CSV file
+   * @param {object} distribution
+   */
+  download(distribution) {
+    Utils.downloadFile(
+      this.toCsv(distribution),
+      `interest-distribution-${distribution.year}.csv`,
+    );
+  },
+};
+
+// Export for use
+window.Interest = Interest;
@@ -0,0 +1,709 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - DOUBLE-ENTRY LEDGER
+ * =====================================================
+ *
+ * Every rand that moves through the stokvel is recorded in the
+ * `ledgerEntries` collection. Each document is one journal entry made
+ * of debit/credit lines that always balance.
+ *
+ * ACCOUNTS:
+ * - pool          Cash held in the stokvel bank account (asset)
+ * - member:{id}   Savings owed to a member (liability)
+ * - fines:{year}  Late fines collected for that year's interest pool
+ * - interest:{year} Bank interest and other income for that year's
+ *                 interest pool, less bank charges and other expenses
+ * - suspense      Money received on guest submissions (no member linked)
+ * - loan:{id}     Principal a member still owes on a loan (asset)
+ * - rotation:{id} Contributions to a rotation, less the pots paid out
+ *                 (see rotation.js)
+ *
+ * ENTRY TYPES:
+ * - contribution  Approved deposit: Dr pool / Cr member (Cr rotation for
+ *                 a rotation contribution)
+ * - fine          Late fine on an approved deposit: Dr pool / Cr fines
+ * - rejection     Declined submission (memo only, no lines)
+ * - reversal      Mirror image of an earlier entry
+ * - interest      Year-end share of the interest pool:
+ *                 Dr fines / Dr interest / Cr member (see interest.js)
+ * - income        Bank interest or other income: Dr pool / Cr interest
+ * - expense       Bank charges, SMS costs etc.: Dr interest / Cr pool
+ *                 (see pool-transactions.js)
+ * - loan          Loan paid out to a member: Dr loan / Cr pool
+ * - repayment     Loan repayment: Dr pool / Cr loan (principal) /
+ *                 Cr interest (loan interest, see loans.js)
+ * - payout        Rotation pot paid to a member: Dr rotation / Cr pool
+ *
+ * RULES:
+ * - Entries are immutable; mistakes are corrected with a reversal
+ * - firestore.rules checks each entry's lines add up and use known accounts
+ * - Member totals are worked out from the entries on the server
+ *   (functions/ledger.js)
+ * - Entry IDs are derived from the submission so nothing posts twice
+ * - Member and stokvel totals are projections of these entries
+ *
+ * =====================================================
+ */
+
+const Ledger = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  COLLECTION: "ledgerEntries",
+
+  ENTRY_TYPES: {
+    CONTRIBUTION: "contribution",
+    FINE: "fine",
+    REJECTION: "rejection",
+    REVERSAL: "reversal",
+    INTEREST: "interest",
+    INCOME: "income",
+    EXPENSE: "expense",
+    LOAN: "loan",
+    REPAYMENT: "repayment",
+    PAYOUT: "payout",
+  },
+
+  ACCOUNTS: {
+    POOL: "pool",
+    SUSPENSE: "suspense",
+    MEMBER_PREFIX: "member:",
+    FINES_PREFIX: "fines:",
+    INTEREST_PREFIX: "interest:",
+    LOAN_PREFIX: "loan:",
+    ROTATION_PREFIX: "rotation:",
+  },
+
+  // Account names and line count firestore.rules accepts
+  ACCOUNT_PATTERN: /^(pool|suspense|(member|fines|interest|loan|rotation):[A-Za-z0-9_-]+)$/,
+  MAX_LINES: 4,
+
+  /**
+   * ==========================================
+   * ACCOUNT HELPERS
+   * ==========================================
+   */
+
+  /**
+   * Savings account for a member
+   * @param {string} memberId
+   * @returns {string}
+   */
+  memberAccount(memberId) {
+    return `${this.ACCOUNTS.MEMBER_PREFIX}${memberId}`;
+  },
+
+  /**
+   * Fines account for a payment year
+   * @param {number} year
+   * @returns {string}
+   */
+  finesAccount(year) {
+    return `${this.ACCOUNTS.FINES_PREFIX}${year}`;
+  },
+
+  /**
+   * Bank interest account for a year
+   * @param {number} year
+   * @returns {string}
+   */
+  interestAccount(year) {
+    return `${this.ACCOUNTS.INTEREST_PREFIX}${year}`;
+  },
+
+  /**
+   * Principal account for a loan
+   * @param {string} loanId
+   * @returns {string}
+   */
+  loanAccount(loanId) {
+    return `${this.ACCOUNTS.LOAN_PREFIX}${loanId}`;
+  },
+
+  /**
+   * Account a rotation's contributions are held in until paid out
+   * @param {string} rotationId
+   * @returns {string}
+   */
+  rotationAccount(rotationId) {
+    return `${this.ACCOUNTS.ROTATION_PREFIX}${rotationId}`;
+  },
+
+  /**
+   * Round an amount to cents
+   * @param {number} value
+   * @returns {number}
+   */
+  toAmount(value) {
+    const amount = Number(value) || 0;
+    return Math.round(amount * 100) / 100;
+  },
+
+  /**
+   * ==========================================
+   * ENTRY BUILDERS
+   * ==========================================
+   */
+
+  /**
+   * Deterministic entry ID for a submission posting
+   * Prevents the same submission being posted twice
+   *
+   * @param {string} submissionId
+   * @param {string} type - Entry type
+   * @returns {string}
+   */
+  entryId(submissionId, type) {
+    return `${submissionId}_${type}`;
+  },
+
+  /**
+   * ID of the reversal that undoes an entry
+   * Deterministic, so an entry can only ever be reversed once
+   *
+   * @param {string} entryId - Original entry ID
+   * @returns {string}
+   */
+  reversalId(entryId) {
+    return `${entryId}_${this.ENTRY_TYPES.REVERSAL}`;
+  },
+
+  /**
+   * Build a journal entry and check that it balances
+   *
+   * @param {object} entry - {type, lines, submissionId, memberId, ...}
+   * @returns {object} Entry data ready to write
+   */
+  buildEntry(entry) {
+    const lines = (entry.lines || []).map((line) => ({
+      account: line.account,
+      debit: this.toAmount(line.debit),
+      credit: this.toAmount(line.credit),
+    }));
+
+    if (lines.length > this.MAX_LINES) {
+      throw new Error(`Ledger entry has more than ${this.MAX_LINES} lines`);
+    }
+
+    lines.forEach((line) => {
+      if (!line.account) {
+        throw new Error("Ledger line is missing an account");
+      }
+      if (!this.ACCOUNT_PATTERN.test(line.account)) {
+        throw new Error(`Unknown ledger account ${line.account}`);
+      }
+      if (line.debit < 0 || line.credit < 0) {
+        throw new Error(`Negative amount on ledger account ${line.account}`);
+      }
+    });
+
+    const totalDebit = this.toAmount(
+      lines.reduce((sum, line) => sum + line.debit, 0),
+    );
+    const totalCredit = this.toAmount(
+      lines.reduce((sum, line) => sum + line.credit, 0),
+    );
+
+    if (totalDebit !== totalCredit) {
+      throw new Error(
+        `Unbalanced ledger entry: debits R${totalDebit} != credits R${totalCredit}`,
+      );
+    }
+
+    return {
+      type: entry.type,
+      submissionId: entry.submissionId || null,
+      memberId: entry.memberId || null,
+      reference: entry.reference || null,
+      paymentMonth: entry.paymentMonth || null,
+      year: entry.year || null,
+      lines: lines,
+      // Flat account list so entries can be queried with array-contains
+      accounts: [...new Set(lines.map((line) => line.account))],
+      totalDebit: totalDebit,
+      totalCredit: totalCredit,
+      memo: entry.memo || "",
+      reversesEntryId: entry.reversesEntryId || null,
+      postedBy: entry.postedBy || "system",
+    };
+  },
+
+  /**
+   * Build the entries posted when a submission is approved
+   *
+   * @param {object} submission - Submission with id
+   * @param {string} postedBy - Officer uid
+   * @returns {Array<{id: string, data: object}>}
+   */
+  approvalEntries(submission, postedBy) {
+    const amount = this.toAmount(submission.amount);
+    const fineAmount = this.toAmount(submission.fineAmount);
+    const year = Database.extractYearFromMonth(submission.paymentMonth);
+
+    const common = {
+      submissionId: submission.id,
+      memberId: submission.memberId || null,
+      reference: submission.reference || null,
+      paymentMonth: submission.paymentMonth || null,
+      year: year,
+      postedBy: postedBy,
+    };
+
+    // Rotation contributions are held for the pot, not saved; guest
+    // submissions have no member account yet
+    const savingsAccount = submission.rotationId
+      ? this.rotationAccount(submission.rotationId)
+      : submission.memberId
+        ? this.memberAccount(submission.memberId)
+        : this.ACCOUNTS.SUSPENSE;
+
+    const entries = [
+      {
+        id: this.entryId(submission.id, this.ENTRY_TYPES.CONTRIBUTION),
+        data: this.buildEntry({
+          ...common,
+          type: this.ENTRY_TYPES.CONTRIBUTION,
+          memo: submission.rotationId
+            ? `Rotation contribution for ${submission.paymentMonth}`
+            : `Contribution for ${submission.paymentMonth}`,
+          lines: [
+            { account: this.ACCOUNTS.POOL, debit: amount },
+            { account: savingsAccount, credit: amount },
+          ],
+        }),
+      },
+    ];
+
+    if (fineAmount > 0) {
+      entries.push({
+        id: this.entryId(submission.id, this.ENTRY_TYPES.FINE),
+        data: this.buildEntry({
+          ...common,
+          type: this.ENTRY_TYPES.FINE,
+          memo: `Late fine for ${submission.paymentMonth}`,
+          lines: [
+            { account: this.ACCOUNTS.POOL, debit: fineAmount },
+            { account: this.finesAccount(year), credit: fineAmount },
+          ],
+        }),
+      });
+    }
+
+    return entries;
+  },
+
+  /**
+   * Build the memo entry posted when a submission is rejected
+   * No money moves, but the decision is kept alongside the postings
+   *
+   * @param {object} submission - Submission with id
+   * @param {string} reason - Rejection reason
+   * @param {string} postedBy - Officer uid
+   * @returns {{id: string, data: object}}
+   */
+  rejectionEntry(submission, reason, postedBy) {
+    return {
+      id: this.entryId(submission.id, this.ENTRY_TYPES.REJECTION),
+      data: this.buildEntry({
+        type: this.ENTRY_TYPES.REJECTION,
+        submissionId: submission.id,
+        memberId: submission.memberId || null,
+        reference: submission.reference || null,
+        paymentMonth: submission.paymentMonth || null,
+        year: Database.extractYearFromMonth(submission.paymentMonth),
+        memo: `Rejected R${this.toAmount(submission.amount)}: ${reason || "No reason provided"}`,
+        lines: [],
+        postedBy: postedBy,
+      }),
+    };
+  },
+
+  /**
+   * Build a reversal that mirrors an earlier entry (debits <-> credits)
+   *
+   * @param {object} original - Original entry with id
+   * @param {string} reason - Why the entry is being reversed
+   * @param {string} postedBy - Officer uid
+   * @returns {{id: string, data: object}}
+   */
+  reversalEntry(original, reason, postedBy) {
+    return {
+      id: this.reversalId(original.id),
+      data: this.buildEntry({
+        type: this.ENTRY_TYPES.REVERSAL,
+        submissionId: original.submissionId,
+        memberId: original.memberId,
+        reference: original.reference,
+        paymentMonth: original.paymentMonth,
+        year: original.year,
+        memo: `Reversal of ${original.type}: ${reason}`,
+        reversesEntryId: original.id,
+        lines: (original.lines || []).map((line) => ({
+          account: line.account,
+          debit: line.credit,
+          credit: line.debit,
+        })),
+        postedBy: postedBy,
+      }),
+    };
+  },
+
+  /**
+   * Build the entry that pays a member their share of a year's
+   * interest pool. One per member per year.
+   * When the year's expenses outweigh its income, the interest part is
+   * negative and is credited back to the interest account.
+   *
+   * @param {object} allocation - {memberId, fines, interest, amount}
+   * @param {number} year - Pool year
+   * @param {string} postedBy - Officer uid
+   * @returns {{id: string, data: object}}
+   */
+  interestEntry(allocation, year, postedBy) {
+    const interest = this.toAmount(allocation.interest);
+    return {
+      id: `${this.ENTRY_TYPES.INTEREST}_${year}_${allocation.memberId}`,
+      data: this.buildEntry({
+        type: this.ENTRY_TYPES.INTEREST,
+        memberId: allocation.memberId,
+        year: year,
+        memo: `Interest pool share for ${year}`,
+        lines: [
+          { account: this.finesAccount(year), debit: allocation.fines },
+          interest >= 0
+            ? { account: this.interestAccount(year), debit: interest }
+            : { account: this.interestAccount(year), credit: -interest },
+          { account: this.memberAccount(allocation.memberId), credit: allocation.amount },
+        ].filter((line) => line.debit > 0 || line.credit > 0),
+        postedBy: postedBy,
+      }),
+    };
+  },
+
+  /**
+   * Build the entry for pool income or an expense
+   *
+   * @param {object} transaction - Pool transaction with id
+   *   ({kind, amount, year, category, description, reference})
+   * @param {string} postedBy - Officer uid
+   * @returns {{id: string, data: object}}
+   */
+  poolEntry(transaction, postedBy) {
+    const type =
+      transaction.kind === "income"
+        ? this.ENTRY_TYPES.INCOME
+        : this.ENTRY_TYPES.EXPENSE;
+    const amount = this.toAmount(transaction.amount);
+    const poolSide = type === this.ENTRY_TYPES.INCOME ? "debit" : "credit";
+    const interestSide = poolSide === "debit" ? "credit" : "debit";
+
+    return {
+      id: this.entryId(transaction.id, type),
+      data: this.buildEntry({
+        type: type,
+        reference: transaction.reference || null,
+        year: transaction.year,
+        memo: transaction.description,
+        lines: [
+          { account: this.ACCOUNTS.POOL, [poolSide]: amount },
+          { account: this.interestAccount(transaction.year), [interestSide]: amount },
+        ],
+        postedBy: postedBy,
+      }),
+    };
+  },
+
+  /**
+   * Build the entry that pays out an approved loan
+   *
+   * @param {object} loan - Loan with id ({memberId, amount, months})
+   * @param {number} year - Year the money left the account
+   * @param {string} postedBy - Officer uid
+   * @returns {{id: string, data: object}}
+   */
+  loanEntry(loan, year, postedBy) {
+    const amount = this.toAmount(loan.amount);
+    return {
+      id: `${this.ENTRY_TYPES.LOAN}_${loan.id}`,
+      data: this.buildEntry({
+        type: this.ENTRY_TYPES.LOAN,
+        memberId: loan.memberId,
+        year: year,
+        memo: `Loan of R${amount} over ${loan.months} months`,
+        lines: [
+          { account: this.loanAccount(loan.id), debit: amount },
+          { account: this.ACCOUNTS.POOL, credit: amount },
+        ],
+        postedBy: postedBy,
+      }),
+    };
+  },
+
+  /**
+   * Build the entry for a loan repayment submission
+   * The interest part is income for that year's interest pool
+   *
+   * @param {object} submission - Submission with id and loanId
+   * @param {{principal: number, interest: number}} split - From Loans.splitPayment
+   * @param {number} year - Interest pool year
+   * @param {string} postedBy - Officer uid
+   * @returns {{id: string, data: object}}
+   */
+  repaymentEntry(submission, split, year, postedBy) {
+    return {
+      id: this.entryId(submission.id, this.ENTRY_TYPES.REPAYMENT),
+      data: this.buildEntry({
+        type: this.ENTRY_TYPES.REPAYMENT,
+        submissionId: submission.id,
+        memberId: submission.memberId,
+        reference: submission.reference || null,
+        paymentMonth: submission.paymentMonth || null,
+        year: year,
+        memo: `Loan repayment for ${submission.paymentMonth}`,
+        lines: [
+          { account: this.ACCOUNTS.POOL, debit: submission.amount },
+          { account: this.loanAccount(submission.loanId), credit: split.principal },
+          { account: this.interestAccount(year), credit: split.interest },
+        ].filter((line) => line.debit > 0 || line.credit > 0),
+        postedBy: postedBy,
+      }),
+    };
+  },
+
+  /**
+   * Build the entry for a rotation payout
+   *
+   * @param {object} rotation - Rotation with id
+   * @param {object} payout - {month "YYYY-MM", memberId, name, amount, bid}
+   * @param {string} postedBy - Officer uid
+   * @returns {{id: string, data: object}}
+   */
+  payoutEntry(rotation, payout, postedBy) {
+    const amount = this.toAmount(payout.amount);
+    return {
+      id: `${this.ENTRY_TYPES.PAYOUT}_${rotation.id}_${payout.month}`,
+      data: this.buildEntry({
+        type: this.ENTRY_TYPES.PAYOUT,
+        memberId: payout.memberId,
+        reference: payout.reference || null,
+        year: Number(payout.month.slice(0, 4)),
+        memo: `${rotation.name} payout for ${payout.month} to ${payout.name}`,
+        lines: [
+          { account: this.rotationAccount(rotation.id), debit: amount },
+          { account: this.ACCOUNTS.POOL, credit: amount },
+        ],
+        postedBy: postedBy,
+      }),
+    };
+  },
+
+  /**
+   * ==========================================
+   * POSTING
+   * ==========================================
+   */
+
+  /**
+   * Get a ledger entry document reference
+   * @param {string} entryId
+   * @returns {firebase.firestore.DocumentReference}
+   */
+  ref(entryId) {
+    return db.collection(this.COLLECTION).doc(entryId);
+  },
+
+  /**
+   * Write an entry inside a Firestore transaction or batch
+   * Caller is responsible for checking the entry does not already exist
+   *
+   * @param {firebase.firestore.Transaction|firebase.firestore.WriteBatch} writer
+   * @param {{id: string, data: object}} entry
+   */
+  post(writer, entry) {
+    writer.set(this.ref(entry.id), {
+      ...entry.data,
+      postedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+  },
+
+  /**
+   * ==========================================
+   * QUERIES & PROJECTIONS
+   * ==========================================
+   */
+
+  /**
+   * Get ledger entries with optional filters
+   *
+   * @param {object} filters - {memberId, submissionId, account, type}
+   * @returns {Promise<Array>}
+   */
+  async getEntries(filters = {}) {
+    let query = db.collection(this.COLLECTION);
+
+    if (filters.memberId) {
+      query = query.where("memberId", "==", filters.memberId);
+    }
+    if (filters.submissionId) {
+      query = query.where("submissionId", "==", filters.submissionId);
+    }
+    if (filters.account) {
+      query = query.where("accounts", "array-contains", filters.account);
+    }
+    if (filters.type) {
+      query = query.where("type", "==", filters.type);
+    }
+
+    const snapshot = await query.get();
+
+    const entries = snapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    // Sort by postedAt ascending (in JS to avoid index)
+    entries.sort((a, b) => {
+      const dateA = a.postedAt?.toDate?.() || new Date(0);
+      const dateB = b.postedAt?.toDate?.() || new Date(0);
+      return dateA - dateB;
+    });
+
+    return entries;
+  },
+
+  /**
+   * Sum debits and credits per account
+   *
+   * @param {Array} entries - Ledger entries
+   * @returns {object} {account: {debit, credit}}
+   */
+  summarize(entries) {
+    const accounts = {};
+
+    entries.forEach((entry) => {
+      (entry.lines || []).forEach((line) => {
+        if (!accounts[line.account]) {
+          accounts[line.account] = { debit: 0, credit: 0 };
+        }
+        accounts[line.account].debit = this.toAmount(
+          accounts[line.account].debit + (line.debit || 0),
+        );
+        accounts[line.account].credit = this.toAmount(
+          accounts[line.account].credit + (line.credit || 0),
+        );
+      });
+    });
+
+    return accounts;
+  },
+
+  /**
+   * Credit balance of an account (liabilities and income)
+   *
+   * @param {object} summary - Output of summarize()
+   * @param {string} account
+   * @returns {number}
+   */
+  creditBalance(summary, account) {
+    const totals = summary[account] || { debit: 0, credit: 0 };
+    return this.toAmount(totals.credit - totals.debit);
+  },
+
+  /**
+   * Project a member's financial totals from the ledger
+   *
+   * @param {string} memberId
+   * @returns {Promise<{totalSavings: number, totalFines: number, totalInterest: number}>}
+   */
+  async projectMember(memberId) {
+    const entries = await this.getEntries({ memberId: memberId });
+    const summary = this.summarize(entries);
+
+    // Interest payouts draw on the fines accounts but aren't fines paid
+    const isInterest = (entry) => entry.type === this.ENTRY_TYPES.INTEREST;
+    const finesSummary = this.summarize(entries.filter((e) => !isInterest(e)));
+    const interestSummary = this.summarize(entries.filter(isInterest));
+
+    // Fines the member has paid, across all years
+    const totalFines = Object.keys(finesSummary)
+      .filter((account) => account.startsWith(this.ACCOUNTS.FINES_PREFIX))
+      .reduce((sum, account) => sum + this.creditBalance(finesSummary, account), 0);
+
+    return {
+      totalSavings: this.creditBalance(summary, this.memberAccount(memberId)),
+      totalFines: this.toAmount(totalFines),
+      totalInterest: this.creditBalance(
+        interestSummary,
+        this.memberAccount(memberId),
+      ),
+    };
+  },
+
+  /**
+   * Project stokvel-wide totals from the whole ledger
+   *
+   * @returns {Promise<object>} {totalSavings, totalFines, finesByYear,
+   *   suspense, loansOutstanding, rotationContributions, rotationPayouts, pool}
+   */
+  async projectStokvel() {
+    const entries = await this.getEntries();
+    const summary = this.summarize(entries);
+
+    // Fines collected, before any were paid out as interest
+    const finesSummary = this.summarize(
+      entries.filter((entry) => entry.type !== this.ENTRY_TYPES.INTEREST),
+    );
+
+    let totalSavings = 0;
+    let totalFines = 0;
+    let loansOutstanding = 0;
+    let rotationHeld = 0;
+    const finesByYear = {};
+
+    // Pots paid out; the rest of the rotation accounts' movement is
+    // contributions and their reversals
+    const rotationPayouts = entries
+      .filter((entry) => entry.type === this.ENTRY_TYPES.PAYOUT)
+      .reduce((sum, entry) => sum + entry.totalDebit, 0);
+
+    Object.keys(summary).forEach((account) => {
+      if (account.startsWith(this.ACCOUNTS.MEMBER_PREFIX)) {
+        totalSavings += this.creditBalance(summary, account);
+      } else if (account.startsWith(this.ACCOUNTS.LOAN_PREFIX)) {
+        loansOutstanding -= this.creditBalance(summary, account);
+      } else if (account.startsWith(this.ACCOUNTS.ROTATION_PREFIX)) {
+        rotationHeld += this.creditBalance(summary, account);
+      }
+    });
+
+    Object.keys(finesSummary).forEach((account) => {
+      if (account.startsWith(this.ACCOUNTS.FINES_PREFIX)) {
+        const year = account.substring(this.ACCOUNTS.FINES_PREFIX.length);
+        finesByYear[year] = this.creditBalance(finesSummary, account);
+        totalFines += finesByYear[year];
+      }
+    });
+
+    const suspense = this.creditBalance(summary, this.ACCOUNTS.SUSPENSE);
+    const poolTotals = summary[this.ACCOUNTS.POOL] || { debit: 0, credit: 0 };
+
+    return {
+      // Guest money is still savings held by the stokvel
+      totalSavings: this.toAmount(totalSavings + suspense),
+      totalFines: this.toAmount(totalFines),
+      finesByYear: finesByYear,
+      suspense: suspense,
+      loansOutstanding: this.toAmount(loansOutstanding),
+      rotationContributions: this.toAmount(rotationHeld + rotationPayouts),
+      rotationPayouts: this.toAmount(rotationPayouts),
+      pool: this.toAmount(poolTotals.debit - poolTotals.credit),
+      entryCount: entries.length,
+    };
+  },
+};
+
+// Export for use
+window.Ledger = Ledger;
@@ -0,0 +1,964 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - MEMBER LOANS
+ * =====================================================
+ *
+ * Members borrow from the pool and pay it back, with interest, in
+ * monthly instalments.
+ *
+ * LIFECYCLE (`loans/{id}`):
+ * 1. applied    The member applies from their account page
+ * 2. active     The treasurer or chairperson approves it against the
+ *               rules in force on the payout day and the money is paid
+ *               out; the repayment schedule is fixed from then on
+ * 3. paid       The last instalment has been approved
+ * (or rejected by an officer, or cancelled by the member while waiting)
+ *
+ * LIMITS (settings/rules, see js/rules.js):
+ * - loanSavingsMultiple  Largest loan, times the member's savings
+ *                        (0 turns lending off)
+ * - loanInterestRate     Percent a month on the reducing balance
+ * - loanMaxMonths        Longest repayment term
+ * One open loan (applied or active) per member; suspended members
+ * can't borrow.
+ *
+ * SCHEDULE:
+ * Equal instalments (Utils.calculateLoanInstalment), due on the rules'
+ * payment due day from the month after the payout. The last
+ * instalment takes the rounding. Paying early doesn't reduce the
+ * interest.
+ *
+ * REPAYMENTS:
+ * Members submit proof of payment as usual, tagged with the loan
+ * (submission.loanId). Approving it (Database.approveSubmission hands
+ * over to approveRepayment) pays the oldest instalment first, interest
+ * before principal. The interest is income for the current year's
+ * interest pool (`interestPool/{year}.loanInterest`). Instalments past
+ * their due day and not fully paid are arrears.
+ *
+ * LEDGER (js/ledger.js):
+ * - loan       Dr loan:{id} / Cr pool
+ * - repayment  Dr pool / Cr loan:{id} / Cr interest:{year}
+ *
+ * =====================================================
+ */
+
+const Loans = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  COLLECTION: "loans",
+
+  // Who may approve or decline (firestore.rules has the same list)
+  ROLES: ["chairperson", "treasurer"],
+
+  STATUSES: {
+    APPLIED: "applied",
+    ACTIVE: "active",
+    PAID: "paid",
+    REJECTED: "rejected",
+    CANCELLED: "cancelled",
+  },
+
+  STATUS_LABELS: {
+    applied: "Waiting for approval",
+    active: "Active",
+    paid: "Paid off",
+    rejected: "Declined",
+    cancelled: "Cancelled",
+  },
+
+  INSTALMENT_LABELS: {
+    paid: "Paid",
+    overdue: "Overdue",
+    partial: "Part paid",
+    upcoming: "Upcoming",
+  },
+
+  // Days before an instalment falls due that its reminder goes out
+  REMINDER_DAYS: 3,
+
+  /**
+   * ==========================================
+   * DATES
+   * ==========================================
+   */
+
+  /**
+   * Due date of the nth instalment
+   * @param {string} startDay - Payout day, "YYYY-MM-DD"
+   * @param {number} n - Instalment number, from 1
+   * @param {number} dueDay - Day of the month
+   * @returns {string} "YYYY-MM-DD"
+   */
+  dueDate(startDay, n, dueDay) {
+    const [year, month] = startDay.split("-").map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + n, dueDay));
+    return date.toISOString().slice(0, 10);
+  },
+
+  /**
+   * Whole days from one day to another
+   * @param {string} from - "YYYY-MM-DD"
+   * @param {string} to - "YYYY-MM-DD"
+   * @returns {number}
+   */
+  daysBetween(from, to) {
+    const dayNumber = (key) => {
+      const [year, month, day] = key.split("-").map(Number);
+      return Date.UTC(year, month - 1, day) / 86400000;
+    };
+    return dayNumber(to) - dayNumber(from);
+  },
+
+  /**
+   * ==========================================
+   * CALCULATION
+   * ==========================================
+   */
+
+  /**
+   * Largest loan a member may take
+   * @param {number} totalSavings
+   * @param {object} rules - From Rules.forDate()
+   * @returns {number}
+   */
+  limitFor(totalSavings, rules) {
+    return Utils.round((totalSavings || 0) * (rules.loanSavingsMultiple || 0));
+  },
+
+  /**
+   * Check a loan against the limits
+   * Throws with the reason when it doesn't fit
+   *
+   * @param {object} loan - {amount, months}
+   * @param {object} member - Member doc
+   * @param {object} rules - Rules in force
+   * @param {Array} openLoans - The member's other applied/active loans
+   * @returns {{amount: number, months: number}} Cleaned values
+   */
+  checkLimits(loan, member, rules, openLoans = []) {
+    const amount = Utils.round(Number(loan.amount) || 0);
+    const months = Number(loan.months);
+    const limit = this.limitFor(member.totalSavings, rules);
+
+    if (!(amount > 0)) throw new Error("Enter an amount above R0");
+    if (!Number.isInteger(months) || months < 1) {
+      throw new Error("Choose how many months to pay it back over");
+    }
+    if (months > rules.loanMaxMonths) {
+      throw new Error(`Loans are paid back over ${rules.loanMaxMonths} months at most`);
+    }
+    if (member.status === "suspended") {
+      throw new Error("Suspended members can't take loans");
+    }
+    if (openLoans.length) {
+      throw new Error("There is already an open loan for this member");
+    }
+    if (amount > limit) {
+      throw new Error(
+        `The limit is ${Utils.formatCurrency(limit, true)} (${rules.loanSavingsMultiple}x savings)`,
+      );
+    }
+
+    return { amount, months };
+  },
+
+  /**
+   * Repayment schedule with interest on the reducing balance
+   *
+   * @param {number} amount - Principal
+   * @param {number} ratePercent - Monthly interest rate, e.g. 5
+   * @param {number} months - Number of instalments
+   * @param {string} startDay - Payout day, "YYYY-MM-DD"
+   * @param {number} dueDay - Day of the month instalments fall due
+   * @returns {Array} [{number, dueDate, principal, interest, instalment}]
+   */
+  buildSchedule(amount, ratePercent, months, startDay, dueDay) {
+    const rate = (ratePercent || 0) / 100;
+    const instalment = Utils.calculateLoanInstalment(amount, rate, months);
+
+    const rows = [];
+    let balance = Utils.round(amount);
+    for (let n = 1; n <= months; n++) {
+      const interest = Utils.round(balance * rate);
+      const principal =
+        n === months ? balance : Math.min(balance, Utils.round(instalment - interest));
+      balance = Utils.round(balance - principal);
+
+      rows.push({
+        number: n,
+        dueDate: this.dueDate(startDay, n, dueDay),
+        principal: principal,
+        interest: interest,
+        instalment: Utils.round(principal + interest),
+      });
+    }
+    return rows;
+  },
+
+  /**
+   * Totals of a schedule
+   * @param {Array} schedule
+   * @returns {{interest: number, repayable: number}}
+   */
+  scheduleTotals(schedule) {
+    const sum = (key) =>
+      Utils.round(schedule.reduce((total, row) => total + row[key], 0));
+    return { interest: sum("interest"), repayable: sum("instalment") };
+  },
+
+  /**
+   * Spread what has been repaid over the schedule, oldest first
+   *
+   * @param {Array} schedule
+   * @param {{principal: number, interest: number}} repaid
+   * @param {string} today - "YYYY-MM-DD"
+   * @returns {Array} Schedule rows with paidPrincipal, paidInterest,
+   *   outstanding and status (see INSTALMENT_LABELS)
+   */
+  allocate(schedule, repaid, today) {
+    let interestLeft = repaid.interest || 0;
+    let principalLeft = repaid.principal || 0;
+
+    return schedule.map((row) => {
+      const paidInterest = Utils.round(Math.min(row.interest, interestLeft));
+      const paidPrincipal = Utils.round(Math.min(row.principal, principalLeft));
+      interestLeft = Utils.round(interestLeft - paidInterest);
+      principalLeft = Utils.round(principalLeft - paidPrincipal);
+
+      const outstanding = Utils.round(row.instalment - paidInterest - paidPrincipal);
+      let status = "upcoming";
+      if (outstanding <= 0) status = "paid";
+      else if (row.dueDate < today) status = "overdue";
+      else if (paidInterest + paidPrincipal > 0) status = "partial";
+
+      return { ...row, paidInterest, paidPrincipal, outstanding, status };
+    });
+  },
+
+  /**
+   * Split a payment into interest and principal
+   * Each instalment's interest is paid before its principal
+   *
+   * @param {Array} schedule
+   * @param {{principal: number, interest: number}} repaid - Before this payment
+   * @param {number} amount
+   * @returns {{principal: number, interest: number}}
+   */
+  splitPayment(schedule, repaid, amount) {
+    let left = Utils.round(amount);
+    let principal = 0;
+    let interest = 0;
+
+    for (const row of this.allocate(schedule, repaid, "")) {
+      const interestPart = Math.min(Utils.round(row.interest - row.paidInterest), left);
+      left = Utils.round(left - interestPart);
+      const principalPart = Math.min(Utils.round(row.principal - row.paidPrincipal), left);
+      left = Utils.round(left - principalPart);
+
+      interest += interestPart;
+      principal += principalPart;
+    }
+
+    if (left > 0) {
+      const balance = Utils.round(amount - left);
+      throw new Error(
+        `${Utils.formatCurrency(amount, true)} is more than the ${Utils.formatCurrency(balance, true)} left on the loan`,
+      );
+    }
+
+    return { principal: Utils.round(principal), interest: Utils.round(interest) };
+  },
+
+  /**
+   * Where a loan stands today
+   *
+   * @param {object} loan
+   * @param {string} today - "YYYY-MM-DD"
+   * @returns {object} {rows, balance, arrears, overdueCount, daysOverdue, nextDue}
+   */
+  position(loan, today = Rules.dayKey(new Date())) {
+    const rows = this.allocate(
+      loan.schedule || [],
+      { principal: loan.principalRepaid, interest: loan.interestRepaid },
+      today,
+    );
+    const overdue = rows.filter((row) => row.status === "overdue");
+    const sum = (list) =>
+      Utils.round(list.reduce((total, row) => total + row.outstanding, 0));
+
+    return {
+      rows: rows,
+      balance: sum(rows),
+      arrears: sum(overdue),
+      overdueCount: overdue.length,
+      daysOverdue: overdue.length ? this.daysBetween(overdue[0].dueDate, today) : 0,
+      nextDue: rows.find((row) => row.outstanding > 0 && row.dueDate >= today) || null,
+    };
+  },
+
+  /**
+   * ==========================================
+   * QUERIES
+   * ==========================================
+   */
+
+  /**
+   * @param {string} loanId
+   * @returns {firebase.firestore.DocumentReference}
+   */
+  ref(loanId) {
+    return db.collection(this.COLLECTION).doc(loanId);
+  },
+
+  /**
+   * @param {string} loanId
+   * @returns {Promise<object|null>}
+   */
+  async get(loanId) {
+    const doc = await this.ref(loanId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  },
+
+  /**
+   * A member's loans, newest first
+   * Queried by memberId so the security rules can scope it to the owner
+   *
+   * @param {string} memberId
+   * @returns {Promise<Array>}
+   */
+  async getForMember(memberId) {
+    const snapshot = await db
+      .collection(this.COLLECTION)
+      .where("memberId", "==", memberId)
+      .get();
+    return this.newestFirst(snapshot);
+  },
+
+  /**
+   * Every loan, newest first (officers)
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    const snapshot = await db.collection(this.COLLECTION).get();
+    return this.newestFirst(snapshot);
+  },
+
+  newestFirst(snapshot) {
+    const loans = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+    // Sort in JS to avoid a composite index
+    loans.sort((a, b) => {
+      const dateA = a.appliedAt?.toDate?.() || new Date(0);
+      const dateB = b.appliedAt?.toDate?.() || new Date(0);
+      return dateB - dateA;
+    });
+    return loans;
+  },
+
+  /**
+   * Loans that are applied for or still being repaid
+   * @param {Array} loans
+   * @returns {Array}
+   */
+  openLoans(loans) {
+    return loans.filter((loan) =>
+      [this.STATUSES.APPLIED, this.STATUSES.ACTIVE].includes(loan.status),
+    );
+  },
+
+  /**
+   * ==========================================
+   * APPLYING (member)
+   * ==========================================
+   */
+
+  /**
+   * Apply for a loan
+   *
+   * @param {object} member - The signed-in member's record
+   * @param {object} details - {amount, months, purpose}
+   * @returns {Promise<object>} The application
+   */
+  async apply(member, details) {
+    const [rules, loans] = await Promise.all([
+      Rules.current(),
+      this.getForMember(member.id),
+    ]);
+    const { amount, months } = this.checkLimits(
+      details,
+      member,
+      rules,
+      this.openLoans(loans),
+    );
+
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+    const application = {
+      memberId: member.id,
+      memberRef: member.memberRef || null,
+      name: member.fullName || member.name || "",
+      phone: member.phone || "",
+      amount: amount,
+      months: months,
+      purpose: String(details.purpose || "").trim().substring(0, 200),
+      status: this.STATUSES.APPLIED,
+      appliedAt: now,
+      updatedAt: now,
+    };
+    // Logged by the auditLoanApplication function
+    const ref = await db.collection(this.COLLECTION).add(application);
+
+    console.log(`✅ Loan application for R${amount} over ${months} months`);
+    return { id: ref.id, ...application };
+  },
+
+  /**
+   * Withdraw an application that hasn't been decided yet
+   * @param {string} loanId
+   */
+  async cancel(loanId) {
+    const loan = await this.get(loanId);
+    if (!loan) throw new Error("Loan not found");
+    if (loan.status !== this.STATUSES.APPLIED) {
+      throw new Error("Only a waiting application can be cancelled");
+    }
+
+    await this.ref(loanId).update({
+      status: this.STATUSES.CANCELLED,
+      cancelledAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+  },
+
+  /**
+   * ==========================================
+   * DECISIONS (treasurer / chairperson)
+   * ==========================================
+   */
+
+  /**
+   * Approve an application and record the payout
+   * The limits are checked again against the member's savings now and
+   * the rules in force on the payout day
+   *
+   * @param {string} loanId
+   * @param {string} disbursedOn - Payout day, "YYYY-MM-DD"
+   * @returns {Promise<object>} The active loan
+   */
+  async approve(loanId, disbursedOn) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(disbursedOn || "")) {
+      throw new Error("Enter the payout date");
+    }
+    if (disbursedOn > Rules.dayKey(new Date())) {
+      throw new Error("The payout date can't be in the future");
+    }
+
+    const uid = Auth.currentUser?.uid || "admin";
+    const loanBefore = await this.get(loanId);
+    if (!loanBefore) throw new Error("Loan not found");
+
+    const [rules, memberLoans] = await Promise.all([
+      Rules.forDate(disbursedOn),
+      this.getForMember(loanBefore.memberId),
+    ]);
+    const otherOpen = this.openLoans(memberLoans).filter((l) => l.id !== loanId);
+    const year = Number(disbursedOn.slice(0, 4));
+
+    const loan = await db.runTransaction(async (tx) => {
+      const loanDoc = await tx.get(this.ref(loanId));
+      const data = { id: loanDoc.id, ...loanDoc.data() };
+      if (data.status !== this.STATUSES.APPLIED) {
+        throw new Error("This application has already been decided");
+      }
+
+      const memberDoc = await tx.get(db.collection("members").doc(data.memberId));
+      if (!memberDoc.exists) throw new Error("Member not found");
+
+      // Pay out, post and schedule the checked values, never the raw
+      // application, so all three agree to the cent
+      const { amount, months } = this.checkLimits(
+        data,
+        Schema.member(memberDoc),
+        rules,
+        otherOpen,
+      );
+      const checked = { ...data, amount, months };
+
+      const entry = Ledger.loanEntry(checked, year, uid);
+      const entryDoc = await tx.get(Ledger.ref(entry.id));
+      if (entryDoc.exists) throw new Error("Loan already posted to ledger");
+
+      const schedule = this.buildSchedule(
+        amount,
+        rules.loanInterestRate,
+        months,
+        disbursedOn,
+        rules.paymentDueDay,
+      );
+      const totals = this.scheduleTotals(schedule);
+      const now = firebase.firestore.FieldValue.serverTimestamp();
+
+      const approval = {
+        amount: amount,
+        months: months,
+        status: this.STATUSES.ACTIVE,
+        interestRate: rules.loanInterestRate,
+        disbursedOn: disbursedOn,
+        schedule: schedule,
+        totalInterest: totals.interest,
+        totalRepayable: totals.repayable,
+        principalRepaid: 0,
+        interestRepaid: 0,
+        balance: totals.repayable,
+        ledgerEntryId: entry.id,
+        approvedBy: uid,
+        approvedAt: now,
+        updatedAt: now,
+      };
+      tx.update(this.ref(loanId), approval);
+      Ledger.post(tx, entry);
+
+      return { ...checked, ...approval };
+    });
+
+    await Database.createAuditLog({
+      action: "loan_approved",
+      entityType: "loan",
+      entityId: loanId,
+      details: {
+        memberId: loan.memberId,
+        amount: loan.amount,
+        months: loan.months,
+        interestRate: loan.interestRate,
+        totalRepayable: loan.totalRepayable,
+        disbursedOn: disbursedOn,
+      },
+      performedBy: uid,
+    });
+
+    Database.sendSMSNonBlocking("loanApproved", {
+      phone: loan.phone,
+      name: loan.name,
+      amount: loan.amount,
+      months: loan.months,
+      instalment: loan.schedule[0].instalment,
+      firstDue: Utils.formatDate(loan.schedule[0].dueDate, "medium"),
+    });
+
+    console.log(`✅ Loan of R${loan.amount} approved for ${loan.name}`);
+    return loan;
+  },
+
+  /**
+   * Decline an application
+   * @param {string} loanId
+   * @param {string} reason
+   */
+  async reject(loanId, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error("A reason is required to decline a loan");
+    }
+
+    const uid = Auth.currentUser?.uid || "admin";
+    const loan = await db.runTransaction(async (tx) => {
+      const loanDoc = await tx.get(this.ref(loanId));
+      if (!loanDoc.exists) throw new Error("Loan not found");
+
+      const data = { id: loanDoc.id, ...loanDoc.data() };
+      if (data.status !== this.STATUSES.APPLIED) {
+        throw new Error("This application has already been decided");
+      }
+
+      const now = firebase.firestore.FieldValue.serverTimestamp();
+      tx.update(this.ref(loanId), {
+        status: this.STATUSES.REJECTED,
+        rejectionReason: reason.trim(),
+        rejectedBy: uid,
+        rejectedAt: now,
+        updatedAt: now,
+      });
+      return data;
+    });
+
+    await Database.createAuditLog({
+      action: "loan_rejected",
+      entityType: "loan",
+      entityId: loanId,
+      details: { memberId: loan.memberId, amount: loan.amount, reason: reason.trim() },
+      performedBy: uid,
+    });
+
+    Database.sendSMSNonBlocking("loanDeclined", {
+      phone: loan.phone,
+      name: loan.name,
+      amount: loan.amount,
+      reason: reason.trim(),
+    });
+  },
+
+  /**
+   * ==========================================
+   * REPAYMENTS
+   * ==========================================
+   */
+
+  /**
+   * Approve a loan repayment submission
+   * Called by Database.approveSubmission for submissions with a loanId
+   *
+   * @param {string} submissionId
+   * @param {object|null} bankTransaction - Matched statement line
+   *   {id, date, amount, description}
+   */
+  async approveRepayment(submissionId, bankTransaction = null) {
+    const uid = Auth?.currentUser?.uid || "admin";
+    const year = Number(Rules.dayKey(new Date()).slice(0, 4));
+    const submissionRef = db.collection("submissions").doc(submissionId);
+    const bankTransactionRef = bankTransaction
+      ? db.collection("bankTransactions").doc(bankTransaction.id)
+      : null;
+
+    const result = await db.runTransaction(async (tx) => {
+      // All reads must happen before any writes
+      const submissionDoc = await tx.get(submissionRef);
+      if (!submissionDoc.exists) throw new Error("Submission not found");
+
+      const submission = Schema.submission(submissionDoc);
+      if (submission.status !== "pending") {
+        throw new Error("Submission already processed");
+      }
+
+      const loanDoc = await tx.get(this.ref(submission.loanId));
+      if (!loanDoc.exists) throw new Error("Loan not found");
+      const loan = { id: loanDoc.id, ...loanDoc.data() };
+      if (loan.memberId !== submission.memberId) {
+        throw new Error("This payment was not made by the borrower");
+      }
+      if (loan.status !== this.STATUSES.ACTIVE) {
+        throw new Error(`The loan is ${this.STATUS_LABELS[loan.status].toLowerCase()}`);
+      }
+
+      const amount = Ledger.toAmount(submission.amount);
+      const split = this.splitPayment(
+        loan.schedule,
+        { principal: loan.principalRepaid, interest: loan.interestRepaid },
+        amount,
+      );
+      const entry = Ledger.repaymentEntry(submission, split, year, uid);
+      const entryDoc = await tx.get(Ledger.ref(entry.id));
+      if (entryDoc.exists) throw new Error("Submission already posted to ledger");
+
+      if (bankTransactionRef) {
+        const bankDoc = await tx.get(bankTransactionRef);
+        if (bankDoc.exists) {
+          throw new Error(`Bank deposit already matched to ${bankDoc.data().reference}`);
+        }
+      }
+
+      const now = firebase.firestore.FieldValue.serverTimestamp();
+      const principalRepaid = Ledger.toAmount((loan.principalRepaid || 0) + split.principal);
+      const interestRepaid = Ledger.toAmount((loan.interestRepaid || 0) + split.interest);
+      const balance = Ledger.toAmount(loan.totalRepayable - principalRepaid - interestRepaid);
+
+      tx.update(submissionRef, {
+        status: "verified",
+        verifiedAt: now,
+        verifiedBy: uid,
+        bankTransactionId: bankTransaction?.id || null,
+        updatedAt: now,
+      });
+
+      if (bankTransactionRef) {
+        tx.set(bankTransactionRef, {
+          date: bankTransaction.date,
+          amount: Ledger.toAmount(bankTransaction.amount),
+          description: bankTransaction.description || "",
+          submissionId: submissionId,
+          reference: submission.reference,
+          matchedBy: uid,
+          matchedAt: now,
+        });
+      }
+
+      Ledger.post(tx, entry);
+
+      tx.update(this.ref(loan.id), {
+        principalRepaid: principalRepaid,
+        interestRepaid: interestRepaid,
+        balance: balance,
+        status: balance > 0 ? this.STATUSES.ACTIVE : this.STATUSES.PAID,
+        paidAt: balance > 0 ? null : now,
+        lastRepaymentAt: now,
+        updatedAt: now,
+      });
+
+      tx.update(db.collection("members").doc(submission.memberId), {
+        verifiedCount: firebase.firestore.FieldValue.increment(1),
+        pendingCount: firebase.firestore.FieldValue.increment(-1),
+        updatedAt: now,
+      });
+
+      if (split.interest > 0) {
+        tx.set(
+          db.collection("interestPool").doc(String(year)),
+          {
+            year: year,
+            loanInterest: firebase.firestore.FieldValue.increment(split.interest),
+            updatedAt: now,
+          },
+          { merge: true },
+        );
+      }
+
+      return { submission, loan, split, balance };
+    });
+
+    const { submission, split, balance } = result;
+
+    await Database.createAuditLog({
+      action: "loan_repayment_approved",
+      entityType: "submission",
+      entityId: submissionId,
+      details: {
+        reference: submission.reference,
+        loanId: submission.loanId,
+        amount: submission.amount,
+        principal: split.principal,
+        interest: split.interest,
+        balance: balance,
+        memberId: submission.memberId,
+        bankTransactionId: bankTransaction?.id || null,
+      },
+      performedBy: uid,
+    });
+
+    Database.sendSMSNonBlocking("loanRepayment", {
+      phone: submission.phone,
+      name: submission.name,
+      amount: submission.amount,
+      balance: balance,
+    });
+
+    console.log(`✅ Loan repayment approved: ${submission.reference}`);
+  },
+
+  /**
+   * Reverse an approved loan repayment
+   * Called by Database.reverseSubmission for submissions with a loanId
+   *
+   * @param {string} submissionId
+   * @param {string} reason
+   * @returns {Promise<object>} {submission, reversalEntryIds}
+   */
+  async reverseRepayment(submissionId, reason) {
+    const uid = Auth?.currentUser?.uid || "admin";
+    const submissionRef = db.collection("submissions").doc(submissionId);
+
+    const result = await db.runTransaction(async (tx) => {
+      const submissionDoc = await tx.get(submissionRef);
+      if (!submissionDoc.exists) throw new Error("Submission not found");
+
+      const submission = Schema.submission(submissionDoc);
+      if (submission.status !== "verified") {
+        throw new Error("Only verified payments can be reversed or amended");
+      }
+
+      const originalDoc = await tx.get(
+        Ledger.ref(Ledger.entryId(submission.id, Ledger.ENTRY_TYPES.REPAYMENT)),
+      );
+      if (!originalDoc.exists) throw new Error("Repayment is not on the ledger");
+      const original = { id: originalDoc.id, ...originalDoc.data() };
+
+      const reversal = Ledger.reversalEntry(original, reason, uid);
+      const reversalDoc = await tx.get(Ledger.ref(reversal.id));
+      if (reversalDoc.exists) throw new Error("Payment has already been reversed");
+
+      const distribution = await tx.get(Interest.ref(original.year));
+      if (
+        distribution.exists &&
+        distribution.data().status !== Interest.STATUSES.DRAFT
+      ) {
+        throw new Error(`The ${original.year} pool has already been shared out`);
+      }
+
+      const loanDoc = await tx.get(this.ref(submission.loanId));
+      if (!loanDoc.exists) throw new Error("Loan not found");
+      const loan = { id: loanDoc.id, ...loanDoc.data() };
+
+      // The split as it was posted
+      const credited = (account) =>
+        Ledger.toAmount(
+          original.lines
+            .filter((line) => line.account === account)
+            .reduce((sum, line) => sum + line.credit, 0),
+        );
+      const split = {
+        principal: credited(Ledger.loanAccount(loan.id)),
+        interest: credited(Ledger.interestAccount(original.year)),
+      };
+
+      const now = firebase.firestore.FieldValue.serverTimestamp();
+      const principalRepaid = Ledger.toAmount(loan.principalRepaid - split.principal);
+      const interestRepaid = Ledger.toAmount(loan.interestRepaid - split.interest);
+      const balance = Ledger.toAmount(loan.totalRepayable - principalRepaid - interestRepaid);
+
+      tx.update(submissionRef, {
+        status: "reversed",
+        reversalReason: reason,
+        reversedAt: now,
+        reversedBy: uid,
+        reversalEntryIds: [reversal.id],
+        updatedAt: now,
+      });
+
+      Ledger.post(tx, reversal);
+
+      // Free the bank deposit so it can approve the right payment
+      if (submission.bankTransactionId) {
+        tx.delete(db.collection("bankTransactions").doc(submission.bankTransactionId));
+      }
+
+      tx.update(this.ref(loan.id), {
+        principalRepaid: principalRepaid,
+        interestRepaid: interestRepaid,
+        balance: balance,
+        status: this.STATUSES.ACTIVE,
+        paidAt: null,
+        updatedAt: now,
+      });
+
+      tx.update(db.collection("members").doc(submission.memberId), {
+        verifiedCount: firebase.firestore.FieldValue.increment(-1),
+        reversedCount: firebase.firestore.FieldValue.increment(1),
+        updatedAt: now,
+      });
+
+      if (split.interest > 0) {
+        tx.set(
+          db.collection("interestPool").doc(String(original.year)),
+          {
+            year: original.year,
+            loanInterest: firebase.firestore.FieldValue.increment(-split.interest),
+            updatedAt: now,
+          },
+          { merge: true },
+        );
+      }
+
+      return { submission, split, reversalId: reversal.id };
+    });
+
+    const { submission, split } = result;
+
+    await Database.createAuditLog({
+      action: "loan_repayment_reversed",
+      entityType: "submission",
+      entityId: submissionId,
+      details: {
+        reference: submission.reference,
+        loanId: submission.loanId,
+        amount: submission.amount,
+        principal: split.principal,
+        interest: split.interest,
+        reason: reason,
+      },
+      performedBy: uid,
+    });
+
+    console.log(`↩️ Loan repayment reversed: ${submission.reference}`);
+    return {
+      submission: { ...submission, status: "reversed" },
+      reversalEntryIds: [result.reversalId],
+    };
+  },
+
+  /**
+   * ==========================================
+   * REMINDERS
+   * ==========================================
+   */
+
+  /**
+   * Who a loan reminder would go to today
+   * Loans in arrears get loanArrears; loans with an instalment due in
+   * the next REMINDER_DAYS days get loanDueReminder
+   *
+   * @param {Array} loans
+   * @param {string} today - "YYYY-MM-DD"
+   * @returns {Array} [{loanId, name, phone, template, params}]
+   */
+  reminders(loans, today = Rules.dayKey(new Date())) {
+    const firstName = (name) => String(name || "").split(" ")[0] || "Member";
+
+    return loans
+      .filter((loan) => loan.status === this.STATUSES.ACTIVE)
+      .map((loan) => {
+        const position = this.position(loan, today);
+        const base = { loanId: loan.id, name: loan.name, phone: loan.phone };
+
+        if (position.arrears > 0) {
+          return {
+            ...base,
+            template: "loanArrears",
+            params: {
+              name: firstName(loan.name),
+              arrears: position.arrears,
+              days: position.daysOverdue,
+            },
+          };
+        }
+
+        const next = position.nextDue;
+        if (next && this.daysBetween(today, next.dueDate) <= this.REMINDER_DAYS) {
+          return {
+            ...base,
+            template: "loanDueReminder",
+            params: {
+              name: firstName(loan.name),
+              amount: next.outstanding,
+              dueDate: Utils.formatDate(next.dueDate, "medium"),
+            },
+          };
+        }
+        return null;
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Send today's loan reminders (officers)
+   * @param {Array} loans
+   * @returns {Promise<object>} sendBulkSMS result
+   */
+  async sendReminders(loans) {
+    const recipients = this.reminders(loans);
+    if (!recipients.length) throw new Error("No loan reminders are due today");
+
+    const result = await SMS.sendBulkSMS(
+      recipients.map((r) => ({ phone: r.phone, template: r.template, params: r.params })),
+    );
+    if (!result.success) throw new Error(result.error || "Reminders not sent");
+
+    await Database.createAuditLog({
+      action: "loan_reminders_sent",
+      entityType: "loan",
+      entityId: Rules.dayKey(new Date()),
+      details: {
+        arrears: recipients.filter((r) => r.template === "loanArrears").length,
+        due: recipients.filter((r) => r.template === "loanDueReminder").length,
+        sent: result.sent,
+        failed: result.failed,
+      },
+      performedBy: Auth.currentUser?.uid || "admin",
+    });
+
+    return result;
+  },
+};
+
+// Export for use
+window.Loans = Loans;
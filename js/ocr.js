@@ -0,0 +1,330 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - SLIP READING (OCR)
+ * =====================================================
+ *
+ * Reads the amount, payment date and bank reference off a proof of
+ * payment image, entirely in the browser. The engine is Tesseract
+ * (WebAssembly), served from our own hosting under vendor/tesseract/ -
+ * slips never leave the device for reading:
+ *
+ *   vendor/tesseract/tesseract.min.js   tesseract.js 5.1.1 (dist/)
+ *   vendor/tesseract/worker.min.js      tesseract.js 5.1.1 (dist/)
+ *   vendor/tesseract/core/              tesseract.js-core 5.1.1 (*.wasm.js)
+ *   vendor/tesseract/lang/eng.traineddata.gz
+ *
+ * Versions are pinned in package.json and copied by scripts/vendor.js.
+ *
+ * The engine is only downloaded when a slip is read. If reading fails,
+ * callers get null and carry on - OCR is a cross-check, never a
+ * requirement. If the engine itself won't load (files missing from the
+ * deploy, see scripts/vendor.js), loadError says why so the page can
+ * tell the member their slip wasn't checked.
+ *
+ * compare() is used by the submit page (live hints) and the POP viewer
+ * (mismatch warning for officers).
+ *
+ * =====================================================
+ */
+
+const OCR = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  VENDOR_PATH: "vendor/tesseract/",
+  LANGUAGE: "eng",
+
+  // Tesseract.OEM.LSTM_ONLY
+  ENGINE_MODE: 1,
+
+  MONTHS: [
+    "jan", "feb", "mar", "apr", "may", "jun",
+    "jul", "aug", "sep", "oct", "nov", "dec",
+  ],
+
+  // Promise of the Tesseract worker, shared by every read on the page
+  _worker: null,
+
+  // Why the engine couldn't be loaded, or null
+  loadError: null,
+
+  /**
+   * ==========================================
+   * READING
+   * ==========================================
+   */
+
+  /**
+   * Can this file be read? (images only - not PDF or HEIC)
+   * @param {File} file
+   * @returns {boolean}
+   */
+  canRead(file) {
+    return /^image\/(jpe?g|png|gif|webp)$/i.test(file?.type || "");
+  },
+
+  /**
+   * Read a slip
+   *
+   * @param {File|Blob|string} image - File or data URL
+   * @returns {Promise<object|null>} {amount, paymentDate, reference,
+   *   confidence} or null when the slip couldn't be read
+   */
+  async readSlip(image) {
+    try {
+      const worker = await this.worker();
+      const { data } = await worker.recognize(image);
+      const slip = {
+        ...this.extract(data.text || ""),
+        confidence: Math.round(data.confidence || 0),
+      };
+      console.log("🔎 Slip read:", slip);
+      return slip;
+    } catch (error) {
+      console.warn("⚠️ Could not read slip:", error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Start (or reuse) the Tesseract worker
+   * @returns {Promise<object>}
+   */
+  worker() {
+    if (!this._worker) {
+      this._worker = this.startWorker();
+      this._worker.then(
+        () => {
+          this.loadError = null;
+        },
+        (error) => {
+          console.error("❌ Slip reader failed to load:", error.message);
+          this.loadError = error.message;
+          // Let the next read try again instead of caching the failure
+          this._worker = null;
+        },
+      );
+    }
+    return this._worker;
+  },
+
+  async startWorker() {
+    if (!window.Tesseract) {
+      await this.loadScript(this.url("tesseract.min.js"));
+    }
+    return Tesseract.createWorker(this.LANGUAGE, this.ENGINE_MODE, {
+      // Absolute URLs: the worker resolves paths against its own location
+      workerPath: this.url("worker.min.js"),
+      corePath: this.url("core"),
+      langPath: this.url("lang"),
+      workerBlobURL: false,
+    });
+  },
+
+  /**
+   * @param {string} file - Path inside VENDOR_PATH
+   * @returns {string} Absolute URL
+   */
+  url(file) {
+    return new URL(this.VENDOR_PATH + file, document.baseURI).href;
+  },
+
+  loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.head.appendChild(script);
+    });
+  },
+
+  /**
+   * ==========================================
+   * EXTRACTION
+   * ==========================================
+   */
+
+  /**
+   * Pull the payment details out of slip text
+   * @param {string} text - OCR output
+   * @returns {object} {amount, paymentDate, reference} (null when not found)
+   */
+  extract(text) {
+    const lines = text
+      .split(/\r?\n/)
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+
+    return {
+      amount: this.findAmount(lines),
+      paymentDate: this.findDate(lines),
+      reference: this.findReference(lines),
+    };
+  },
+
+  /**
+   * Amount paid: a Rand figure, preferring lines labelled amount/paid/total
+   * @param {string[]} lines
+   * @returns {number|null}
+   */
+  findAmount(lines) {
+    const money = /(?:R|ZAR)\s?(\d{1,3}(?:[ ,]\d{3})*(?:[.,]\d{2})?|\d+(?:[.,]\d{2})?)\b/gi;
+    const labelled = lines.filter((l) => /amount|paid|total|payment/i.test(l));
+
+    for (const group of [labelled, lines]) {
+      for (const line of group) {
+        const match = money.exec(line);
+        money.lastIndex = 0;
+        if (match) return this.parseAmount(match[1]);
+      }
+    }
+
+    // Labelled figure without a currency sign, e.g. "Amount: 300.00"
+    for (const line of labelled) {
+      const match = /(\d{1,3}(?:[ ,]\d{3})*[.,]\d{2})\b/.exec(line);
+      if (match) return this.parseAmount(match[1]);
+    }
+    return null;
+  },
+
+  /**
+   * "1 500,00" / "1,500.00" / "300" -> number
+   * @param {string} value
+   * @returns {number|null}
+   */
+  parseAmount(value) {
+    let text = value.replace(/\s/g, "");
+    // A trailing ",dd" is a decimal comma; other commas group thousands
+    text = /,\d{2}$/.test(text)
+      ? text.replace(/\./g, "").replace(",", ".")
+      : text.replace(/,/g, "");
+    const amount = parseFloat(text);
+    return Number.isFinite(amount) && amount > 0
+      ? Math.round(amount * 100) / 100
+      : null;
+  },
+
+  /**
+   * Payment date, preferring lines labelled date
+   * @param {string[]} lines
+   * @returns {string|null} "2025-03-07"
+   */
+  findDate(lines) {
+    const labelled = lines.filter((l) => /date/i.test(l));
+    for (const line of [...labelled, ...lines]) {
+      const date = this.parseDate(line);
+      if (date) return date;
+    }
+    return null;
+  },
+
+  /**
+   * First date in a line
+   * Handles 2025-03-07, 07/03/2025 (day first), 7 March 2025 and
+   * March 7, 2025
+   *
+   * @param {string} line
+   * @returns {string|null}
+   */
+  parseDate(line) {
+    const build = (year, month, day) => {
+      const y = Number(year);
+      const m = Number(month);
+      const d = Number(day);
+      if (y < 2000 || m < 1 || m > 12 || d < 1 || d > 31) return null;
+      return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+    };
+    const monthOf = (name) =>
+      this.MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+    let match;
+
+    if ((match = /\b(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})\b/.exec(line))) {
+      return build(match[1], match[2], match[3]);
+    }
+    if ((match = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/.exec(line))) {
+      return build(match[3], match[2], match[1]);
+    }
+    if ((match = /\b(\d{1,2}) ([A-Za-z]{3,9})\.? (\d{4})\b/.exec(line))) {
+      const month = monthOf(match[2]);
+      if (month) return build(match[3], month, match[1]);
+    }
+    if ((match = /\b([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})\b/.exec(line))) {
+      const month = monthOf(match[1]);
+      if (month) return build(match[3], month, match[2]);
+    }
+    return null;
+  },
+
+  /**
+   * Reference the payer typed at the bank
+   * @param {string[]} lines
+   * @returns {string|null}
+   */
+  findReference(lines) {
+    for (let i = 0; i < lines.length; i++) {
+      const match =
+        /\b(?:beneficiary |recipient |their |payment )?ref(?:erence)?(?: no\.?| number)?\b\s*[:.-]?\s*(.*)$/i.exec(
+          lines[i],
+        );
+      if (!match) continue;
+
+      // The value is sometimes on the line below its label
+      const value = (match[1] || lines[i + 1] || "").trim();
+      if (value) return value.substring(0, 40);
+    }
+    return null;
+  },
+
+  /**
+   * ==========================================
+   * CROSS-CHECK
+   * ==========================================
+   */
+
+  /**
+   * Where does the slip disagree with what was typed?
+   *
+   * @param {object|null} slip - From readSlip()
+   * @param {object} typed - {amount, totalAmount, paymentDate}
+   * @returns {Array<{field: string, slip: *, typed: *}>}
+   */
+  compare(slip, typed) {
+    const mismatches = [];
+    if (!slip) return mismatches;
+
+    const cents = (value) => Math.round((Number(value) || 0) * 100);
+    if (
+      slip.amount &&
+      typed.amount &&
+      cents(slip.amount) !== cents(typed.amount) &&
+      cents(slip.amount) !== cents(typed.totalAmount)
+    ) {
+      mismatches.push({
+        field: "amount",
+        slip: slip.amount,
+        typed: Number(typed.amount),
+      });
+    }
+
+    if (
+      slip.paymentDate &&
+      typed.paymentDate &&
+      slip.paymentDate !== typed.paymentDate
+    ) {
+      mismatches.push({
+        field: "paymentDate",
+        slip: slip.paymentDate,
+        typed: typed.paymentDate,
+      });
+    }
+
+    return mismatches;
+  },
+};
+
+// Export for use
+window.OCR = OCR;
@@ -0,0 +1,296 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - POOL INCOME & EXPENSES
+ * =====================================================
+ *
+ * Money that moves through the stokvel account without belonging to a
+ * member: bank interest credited each month, bank charges, SMS costs
+ * and other income or expenses. Each is recorded by an officer in
+ * `poolTransactions` with its supporting documents (bank statement,
+ * invoice), and is counted in that year's interest pool.
+ *
+ * CATEGORIES (the key is also the `interestPool/{year}` field):
+ * - bankInterest   income
+ * - otherIncome    income
+ * - bankCharges    expense
+ * - smsCosts       expense
+ * - otherExpenses  expense
+ *
+ * RECORDING (one batch):
+ * - poolTransactions/{id}  The transaction and its documents
+ * - ledgerEntries          income: Dr pool / Cr interest:{year}
+ *                          expense: Dr interest:{year} / Cr pool
+ * - interestPool/{year}    Category total, plus `expenses` for expenses
+ * The Realtime DB pool and stokvel totals follow from the ledger entry
+ * (functions/ledger.js).
+ *
+ * Mistakes are reversed, never edited. A year whose pool has been
+ * approved for distribution (js/interest.js) is closed: later items
+ * are recorded in the current year.
+ *
+ * Documents are stored like payment proofs (Storage.uploadProofs).
+ *
+ * =====================================================
+ */
+
+const PoolTransactions = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  COLLECTION: "poolTransactions",
+
+  CATEGORIES: {
+    bankInterest: { label: "Bank interest", kind: "income" },
+    otherIncome: { label: "Other income", kind: "income" },
+    bankCharges: { label: "Bank charges", kind: "expense" },
+    smsCosts: { label: "SMS costs", kind: "expense" },
+    otherExpenses: { label: "Other expense", kind: "expense" },
+  },
+
+  STATUSES: {
+    RECORDED: "recorded",
+    REVERSED: "reversed",
+  },
+
+  /**
+   * ==========================================
+   * QUERIES
+   * ==========================================
+   */
+
+  /**
+   * A year's transactions, newest first
+   * @param {number} year
+   * @returns {Promise<Array>}
+   */
+  async getForYear(year) {
+    const snapshot = await db
+      .collection(this.COLLECTION)
+      .where("year", "==", Number(year))
+      .get();
+
+    const transactions = snapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    // Sort in JS to avoid a composite index
+    transactions.sort(
+      (a, b) => b.date.localeCompare(a.date) || b.id.localeCompare(a.id),
+    );
+    return transactions;
+  },
+
+  /**
+   * Net pool across every year: fines and income, less expenses and
+   * what has already been shared out
+   * @returns {Promise<number>}
+   */
+  async getNetPool() {
+    const snapshot = await db.collection("interestPool").get();
+
+    const net = snapshot.docs.reduce((sum, doc) => {
+      const pool = doc.data();
+      return (
+        sum +
+        (pool.totalFines || 0) +
+        (pool.bankInterest || 0) +
+        (pool.otherIncome || 0) +
+        (pool.loanInterest || 0) -
+        (pool.expenses || 0) -
+        (pool.distributedAmount || 0)
+      );
+    }, 0);
+
+    return Ledger.toAmount(net);
+  },
+
+  /**
+   * ==========================================
+   * RECORDING
+   * ==========================================
+   */
+
+  /**
+   * Record pool income or an expense
+   *
+   * @param {object} details - {category, amount, date ("YYYY-MM-DD"),
+   *   description, reference}
+   * @param {File[]} files - Supporting documents
+   * @param {Function} onProgress - Upload progress (0-100)
+   * @returns {Promise<object>} The recorded transaction
+   */
+  async record(details, files = [], onProgress = null) {
+    const category = this.CATEGORIES[details.category];
+    const amount = Ledger.toAmount(details.amount);
+    const date = details.date || "";
+    const description =
+      (details.description || "").trim() || category?.label || "";
+
+    if (!category) throw new Error("Choose a category");
+    if (!(amount > 0)) throw new Error("Enter an amount above R0");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error("Choose a date");
+    if (date > Rules.dayKey(new Date())) {
+      throw new Error("The date can't be in the future");
+    }
+
+    const year = Number(date.slice(0, 4));
+    const distribution = await Interest.getDistribution(year);
+    if (distribution && distribution.status !== Interest.STATUSES.DRAFT) {
+      throw new Error(
+        `The ${year} pool has been shared out; record this in the current year`,
+      );
+    }
+
+    const ref = db.collection(this.COLLECTION).doc();
+    const documents = files.length
+      ? await Storage.uploadProofs(files, ref.id, onProgress)
+      : [];
+
+    const uid = Auth.currentUser?.uid || "admin";
+    const transaction = {
+      id: ref.id,
+      category: details.category,
+      kind: category.kind,
+      amount: amount,
+      date: date,
+      year: year,
+      description: description,
+      reference: (details.reference || "").trim(),
+    };
+    const entry = Ledger.poolEntry(transaction, uid);
+
+    const batch = db.batch();
+    batch.set(ref, {
+      ...transaction,
+      documents: documents,
+      status: this.STATUSES.RECORDED,
+      ledgerEntryId: entry.id,
+      recordedBy: uid,
+      recordedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+    Ledger.post(batch, entry);
+    batch.set(
+      db.collection("interestPool").doc(String(year)),
+      this.poolChange(transaction, 1),
+      { merge: true },
+    );
+    await batch.commit();
+
+    await Database.createAuditLog({
+      action: "pool_transaction_recorded",
+      entityType: "poolTransaction",
+      entityId: ref.id,
+      details: {
+        category: transaction.category,
+        amount: amount,
+        date: date,
+        documents: documents.length,
+      },
+      performedBy: uid,
+    });
+
+    console.log(`✅ ${category.label} of R${amount} recorded for ${year}`);
+    return { ...transaction, documents };
+  },
+
+  /**
+   * Reverse a recorded transaction (it was captured wrongly)
+   *
+   * @param {string} transactionId
+   * @param {string} reason
+   */
+  async reverse(transactionId, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error("A reason is required to reverse an entry");
+    }
+
+    const uid = Auth.currentUser?.uid || "admin";
+    const ref = db.collection(this.COLLECTION).doc(transactionId);
+
+    const transaction = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) throw new Error("Entry not found");
+
+      const data = { id: doc.id, ...doc.data() };
+      if (data.status !== this.STATUSES.RECORDED) {
+        throw new Error("This entry has already been reversed");
+      }
+
+      const distribution = await tx.get(Interest.ref(data.year));
+      if (
+        distribution.exists &&
+        distribution.data().status !== Interest.STATUSES.DRAFT
+      ) {
+        throw new Error(`The ${data.year} pool has already been shared out`);
+      }
+
+      const originalDoc = await tx.get(Ledger.ref(data.ledgerEntryId));
+      if (!originalDoc.exists) throw new Error("Ledger entry not found");
+      const reversal = Ledger.reversalEntry(
+        { id: originalDoc.id, ...originalDoc.data() },
+        reason.trim(),
+        uid,
+      );
+
+      Ledger.post(tx, reversal);
+      tx.update(ref, {
+        status: this.STATUSES.REVERSED,
+        reversedBy: uid,
+        reversedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        reversalReason: reason.trim(),
+      });
+      tx.set(
+        db.collection("interestPool").doc(String(data.year)),
+        this.poolChange(data, -1),
+        { merge: true },
+      );
+
+      return data;
+    });
+
+    await Database.createAuditLog({
+      action: "pool_transaction_reversed",
+      entityType: "poolTransaction",
+      entityId: transactionId,
+      details: {
+        category: transaction.category,
+        amount: transaction.amount,
+        reason: reason.trim(),
+      },
+      performedBy: uid,
+    });
+  },
+
+  /**
+   * ==========================================
+   * TOTALS
+   * ==========================================
+   */
+
+  /**
+   * Fields to merge into `interestPool/{year}`
+   *
+   * @param {object} transaction - {category, kind, amount, year}
+   * @param {number} sign - 1 to add, -1 to take back out
+   * @returns {object}
+   */
+  poolChange(transaction, sign) {
+    const increment = firebase.firestore.FieldValue.increment;
+    const amount = sign * transaction.amount;
+
+    const change = {
+      year: transaction.year,
+      [transaction.category]: increment(amount),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    };
+    if (transaction.kind === "expense") change.expenses = increment(amount);
+    return change;
+  },
+};
+
+// Export for use
+window.PoolTransactions = PoolTransactions;
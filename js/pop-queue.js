@@ -0,0 +1,338 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - OFFLINE POP QUEUE
+ * =====================================================
+ *
+ * Lets a member submit proof of payment without a data connection.
+ * Submitting needs the network throughout (file upload, reference
+ * number, Realtime DB totals), so when the phone is offline the submit
+ * page stores the whole submission - form fields, slip reading and
+ * the proof files themselves - in IndexedDB instead.
+ *
+ * The queue is sent, oldest first, whenever a page that loads this
+ * module is open and online:
+ *   - on page load
+ *   - when the browser comes back online
+ *   - when the service worker (sw.js) gets a Background Sync event,
+ *     which browsers fire once connectivity returns
+ *
+ * A submission only gets its TRF reference once it is sent. Entries
+ * that fail for reasons other than connectivity are retried up to
+ * MAX_ATTEMPTS times, then kept as "failed" for the member to see.
+ *
+ * Pages listen with PopQueue.onChange() to show "waiting to send".
+ *
+ * =====================================================
+ */
+
+const PopQueue = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  DB_NAME: "tshikota-offline",
+  DB_VERSION: 1,
+  STORE: "popQueue",
+
+  SYNC_TAG: "pop-queue",
+
+  MAX_ATTEMPTS: 5,
+
+  // How long to wait for the Realtime DB connection before giving up
+  CONNECT_TIMEOUT: 5000,
+
+  // Error codes that mean "no connection", not "rejected"
+  NETWORK_ERRORS: [
+    "unavailable",
+    "deadline-exceeded",
+    "auth/network-request-failed",
+    "storage/retry-limit-exceeded",
+    "storage/canceled",
+  ],
+
+  _db: null,
+  _flushing: null,
+  _listeners: [],
+
+  /**
+   * ==========================================
+   * SETUP
+   * ==========================================
+   */
+
+  /**
+   * Start sending queued submissions
+   * Call once per page, after App.init(). The service worker itself is
+   * registered by js/pwa.js.
+   */
+  init() {
+    window.addEventListener("online", () => this.flush());
+
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.addEventListener("message", (event) => {
+        if (event.data?.type === "pop-queue-flush") this.flush();
+      });
+    }
+
+    this.flush();
+  },
+
+  /**
+   * Open (or create) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.STORE, { keyPath: "id" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    return this._db;
+  },
+
+  /**
+   * Run one request against the queue store
+   * @param {string} mode - "readonly" | "readwrite"
+   * @param {Function} action - (store) => IDBRequest
+   * @returns {Promise<*>} The request's result
+   */
+  async run(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE, mode);
+      const request = action(tx.objectStore(this.STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  },
+
+  /**
+   * ==========================================
+   * QUEUE
+   * ==========================================
+   */
+
+  /**
+   * Store a submission to send later
+   *
+   * @param {object} submissionData - As for Database.submitPOP, without proofs
+   * @param {File[]} files - Proof files, main slip first
+   * @returns {Promise<object>} The queue entry
+   */
+  async add(submissionData, files) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      data: submissionData,
+      // Blobs are stored as-is; File names/types are kept alongside
+      files: files.map((file) => ({
+        blob: file,
+        name: file.name,
+        type: file.type,
+        lastModified: file.lastModified,
+      })),
+      status: "waiting",
+      attempts: 0,
+      lastError: null,
+      queuedAt: Date.now(),
+    };
+
+    await this.run("readwrite", (store) => store.put(entry));
+    console.log("📥 POP queued until back online:", entry.id);
+
+    this.requestSync();
+    this.emit();
+    return entry;
+  },
+
+  /**
+   * Every queued submission, oldest first
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    const entries = await this.run("readonly", (store) => store.getAll());
+    return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+  },
+
+  async remove(id) {
+    await this.run("readwrite", (store) => store.delete(id));
+    this.emit();
+  },
+
+  async save(entry) {
+    await this.run("readwrite", (store) => store.put(entry));
+    this.emit();
+  },
+
+  /**
+   * Ask the service worker to wake us when the connection is back
+   */
+  async requestSync() {
+    try {
+      const registration = await navigator.serviceWorker?.ready;
+      await registration?.sync?.register(this.SYNC_TAG);
+    } catch (error) {
+      // No Background Sync (Safari, Firefox): the online event covers it
+    }
+  },
+
+  /**
+   * ==========================================
+   * SENDING
+   * ==========================================
+   */
+
+  /**
+   * Send every waiting submission
+   * Only one flush runs at a time; later calls share it. Other open tabs
+   * wait on a Web Lock so an entry is never sent twice.
+   *
+   * @returns {Promise<number>} Submissions sent
+   */
+  flush() {
+    if (!this._flushing) {
+      const sending = navigator.locks
+        ? navigator.locks.request(this.SYNC_TAG, () => this.sendAll())
+        : this.sendAll();
+      this._flushing = sending.finally(() => {
+        this._flushing = null;
+      });
+    }
+    return this._flushing;
+  },
+
+  async sendAll() {
+    let sent = 0;
+    let entries;
+    try {
+      entries = await this.list();
+    } catch (error) {
+      console.warn("⚠️ Offline queue unavailable:", error.message);
+      return sent;
+    }
+
+    const waiting = entries.filter((entry) => entry.status === "waiting");
+    if (!waiting.length || !(await this.isConnected())) return sent;
+
+    for (const entry of waiting) {
+      try {
+        const reference = await this.send(entry);
+        await this.remove(entry.id);
+        sent++;
+        this.emit({ sent: entry, reference });
+      } catch (error) {
+        if (this.isNetworkError(error)) {
+          console.log("📴 Still offline, keeping queued POPs");
+          break;
+        }
+        entry.attempts++;
+        entry.lastError = error.message;
+        if (entry.attempts >= this.MAX_ATTEMPTS) entry.status = "failed";
+        await this.save(entry);
+      }
+    }
+
+    return sent;
+  },
+
+  /**
+   * Upload the files and create the submission
+   * @param {object} entry
+   * @returns {Promise<string>} Submission reference
+   */
+  async send(entry) {
+    // Uploads need a user; a page that just loaded may not have one yet
+    if (!(await Auth.authReady())) await Auth.signInAnonymously();
+
+    const files = entry.files.map(
+      (f) =>
+        new File([f.blob], f.name, {
+          type: f.type,
+          lastModified: f.lastModified,
+        }),
+    );
+    const proofs = await Storage.uploadProofs(files, "queued");
+    const reference = await Database.submitPOP({ ...entry.data, proofs });
+
+    console.log(`📤 Queued POP sent: ${reference}`);
+    return reference;
+  },
+
+  /**
+   * Is there a live connection to Firebase?
+   * navigator.onLine only knows about the network interface, so this
+   * waits briefly for the Realtime DB connection as well.
+   *
+   * @returns {Promise<boolean>}
+   */
+  isConnected() {
+    if (!navigator.onLine) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+      const ref = rtdb.ref(".info/connected");
+      let timer = null;
+
+      function listener(snapshot) {
+        if (snapshot.val() === true) done(true);
+      }
+      function done(connected) {
+        clearTimeout(timer);
+        ref.off("value", listener);
+        resolve(connected);
+      }
+
+      timer = setTimeout(() => done(false), this.CONNECT_TIMEOUT);
+      ref.on("value", listener);
+    });
+  },
+
+  /**
+   * Did this fail for lack of a connection?
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isNetworkError(error) {
+    return (
+      !navigator.onLine ||
+      this.NETWORK_ERRORS.includes(error?.code) ||
+      /network|offline|failed to fetch/i.test(error?.message || "")
+    );
+  },
+
+  /**
+   * ==========================================
+   * LISTENERS
+   * ==========================================
+   */
+
+  /**
+   * Be told when the queue changes
+   * @param {Function} listener - ({sent, reference}) when a queued
+   *   submission goes through, () for any other change
+   */
+  onChange(listener) {
+    this._listeners.push(listener);
+  },
+
+  emit(event = {}) {
+    this._listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error("PopQueue listener error:", error);
+      }
+    });
+  },
+};
+
+// Export for use
+window.PopQueue = PopQueue;
@@ -0,0 +1,179 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - INSTALLABLE APP
+ * =====================================================
+ *
+ * Loaded on every page (including index.html, which has no other
+ * scripts) and starts itself:
+ * - Registers the service worker (sw.js), which caches the app shell
+ *   and makes the site installable with manifest.webmanifest (members)
+ *   or admin.webmanifest (officers)
+ * - Shows an "Update" banner when a new version has been downloaded;
+ *   the page reloads onto it only when the user says so
+ * - Local notifications for officers (Pwa.notify), shown through the
+ *   service worker so they work with the admin page in the background
+ *
+ * =====================================================
+ */
+
+const Pwa = {
+  WORKER: "sw.js",
+
+  // Officer's choice to get new-submission notifications on this device
+  ALERTS_KEY: "tshikota_pending_alerts",
+
+  _registration: null,
+  _updating: false,
+
+  /**
+   * Register the service worker and watch for updates
+   */
+  init() {
+    if (!("serviceWorker" in navigator)) return;
+
+    navigator.serviceWorker
+      .register(this.WORKER)
+      .then((registration) => {
+        this._registration = registration;
+        this.watchForUpdates(registration);
+      })
+      .catch((error) => {
+        console.warn("⚠️ Service worker not registered:", error.message);
+      });
+
+    // The new worker took over after "Update": load the new version
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (this._updating) window.location.reload();
+    });
+  },
+
+  /**
+   * ==========================================
+   * UPDATES
+   * ==========================================
+   */
+
+  /**
+   * @param {ServiceWorkerRegistration} registration
+   */
+  watchForUpdates(registration) {
+    // No controller means this is the first install, not an update
+    if (!navigator.serviceWorker.controller) return;
+
+    if (registration.waiting) {
+      this.showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed") this.showUpdatePrompt(worker);
+      });
+    });
+  },
+
+  /**
+   * Offer to switch to the downloaded version
+   * @param {ServiceWorker} worker - The waiting worker
+   */
+  showUpdatePrompt(worker) {
+    if (document.getElementById("updateBanner")) return;
+
+    const banner = document.createElement("div");
+    banner.id = "updateBanner";
+    banner.className = "update-banner";
+    banner.setAttribute("role", "status");
+    banner.innerHTML = `
+      <span class="update-banner-message">A new version of the app is ready.</span>
+      <button type="button" class="update-banner-action">Update</button>
+      <button type="button" class="update-banner-close" aria-label="Later">&times;</button>
+    `;
+
+    banner
+      .querySelector(".update-banner-action")
+      .addEventListener("click", () => {
+        this._updating = true;
+        worker.postMessage({ type: "skip-waiting" });
+      });
+    banner
+      .querySelector(".update-banner-close")
+      .addEventListener("click", () => banner.remove());
+
+    document.body.appendChild(banner);
+  },
+
+  /**
+   * ==========================================
+   * NOTIFICATIONS
+   * ==========================================
+   */
+
+  canNotify() {
+    return "Notification" in window && "serviceWorker" in navigator;
+  },
+
+  /**
+   * Has the officer turned alerts on here (and not blocked them)?
+   * @returns {boolean}
+   */
+  alertsEnabled() {
+    return (
+      this.canNotify() &&
+      Notification.permission === "granted" &&
+      localStorage.getItem(this.ALERTS_KEY) === "on"
+    );
+  },
+
+  /**
+   * Turn alerts on (asking for permission) or off
+   * Must be called from a click: browsers only ask in response to one
+   *
+   * @param {boolean} on
+   * @returns {Promise<boolean>} Whether alerts are now on
+   */
+  async setAlerts(on) {
+    if (!on) {
+      localStorage.removeItem(this.ALERTS_KEY);
+      return false;
+    }
+    if (!this.canNotify()) return false;
+
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") return false;
+
+    localStorage.setItem(this.ALERTS_KEY, "on");
+    return true;
+  },
+
+  /**
+   * Show a local notification, if alerts are on
+   *
+   * @param {string} title
+   * @param {object} options - body, tag, url (opened on click)
+   * @returns {Promise<boolean>} Whether it was shown
+   */
+  async notify(title, { body = "", tag, url } = {}) {
+    if (!this.alertsEnabled()) return false;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.showNotification(title, {
+        body: body,
+        tag: tag,
+        icon: "assets/logo/logo.tshikota.jpeg",
+        badge: "assets/favicon.svg",
+        data: { url: url || window.location.pathname },
+      });
+      return true;
+    } catch (error) {
+      console.warn("⚠️ Notification not shown:", error.message);
+      return false;
+    }
+  },
+};
+
+// Start once the page has loaded
+document.addEventListener("DOMContentLoaded", () => Pwa.init());
+
+// Export for use
+window.Pwa = Pwa;
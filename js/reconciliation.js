@@ -0,0 +1,409 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - MONTH-END BALANCE CHECK
+ * =====================================================
+ *
+ * The treasurer enters the closing balance of the stokvel account
+ * (APP_SETTINGS.bankingDetails) from the month's FNB statement. It is
+ * compared with what the books say should be there at the end of that
+ * day, and the difference is broken down into its likely causes.
+ *
+ * BOOKS (ledger entries posted by the end of the month):
+ * - savings     Member savings (contributions, reversals, interest paid)
+ * - fines       Late fines not yet shared out
+ * - netIncome   Bank, loan and other income less expenses
+ * - loans       Loan principal paid out and not yet repaid
+ * - rotation    Rotation contributions not yet paid out (js/rotation.js)
+ * Expected balance = savings + fines + netIncome + rotation - loans
+ * Checks saved before rotation contributions had their own account
+ * have payouts (pots paid out) in place of rotation.
+ *
+ * LIKELY CAUSES of a difference (bank - expected):
+ * - pending     Paid by month end but not approved by then: in the
+ *               bank, not yet in the books
+ * - guests      Approved guest payments still in suspense: in the bank,
+ *               not yet credited to a member
+ * - reversals   Reversed payments (not amendments): the money stays in
+ *               the bank until it is refunded
+ * Whatever is left over is unexplained.
+ *
+ * The live Realtime DB totals are checked against the ledger too; a
+ * drift means increments went missing (run Database.recalculateAllMemberStats).
+ *
+ * Every check is kept in `reconciliations` for the AGM.
+ *
+ * =====================================================
+ */
+
+const Reconciliation = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  COLLECTION: "reconciliations",
+
+  // Who may enter balances (firestore.rules has the same list)
+  ROLES: ["chairperson", "treasurer"],
+
+  CAUSES: {
+    pending: "Paid but not yet approved",
+    guests: "Guest payments not linked to a member",
+    reversals: "Reversed payments not yet refunded",
+  },
+
+  /**
+   * ==========================================
+   * DATES
+   * ==========================================
+   */
+
+  /**
+   * Last day of a month
+   * @param {string} month - "YYYY-MM"
+   * @returns {string} "YYYY-MM-DD"
+   */
+  monthEnd(month) {
+    const [year, m] = month.split("-").map(Number);
+    const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+    return `${month}-${String(lastDay).padStart(2, "0")}`;
+  },
+
+  /**
+   * Calendar day of a Firestore timestamp, or null
+   * @param {object} timestamp
+   * @returns {string|null}
+   */
+  dayOf(timestamp) {
+    const date = timestamp?.toDate?.();
+    return date ? Rules.dayKey(date) : null;
+  },
+
+  /**
+   * ==========================================
+   * CALCULATION
+   * ==========================================
+   */
+
+  /**
+   * What the books say at the end of a day
+   *
+   * @param {Array} entries - Ledger entries
+   * @param {string} day - "YYYY-MM-DD"
+   * @returns {object} {savings, fines, netIncome, loans, rotation,
+   *   suspense, pool, expected}
+   */
+  books(entries, day) {
+    const summary = Ledger.summarize(
+      entries.filter((entry) => {
+        const posted = this.dayOf(entry.postedAt);
+        return posted && posted <= day;
+      }),
+    );
+
+    const {
+      MEMBER_PREFIX,
+      FINES_PREFIX,
+      INTEREST_PREFIX,
+      LOAN_PREFIX,
+      ROTATION_PREFIX,
+    } = Ledger.ACCOUNTS;
+    const totalFor = (prefix) =>
+      Ledger.toAmount(
+        Object.keys(summary)
+          .filter((account) => account.startsWith(prefix))
+          .reduce((sum, account) => sum + Ledger.creditBalance(summary, account), 0),
+      );
+
+    const savings = totalFor(MEMBER_PREFIX);
+    const fines = totalFor(FINES_PREFIX);
+    const netIncome = totalFor(INTEREST_PREFIX);
+    // Loan accounts carry a debit balance: money out of the bank
+    const loans = Ledger.toAmount(-totalFor(LOAN_PREFIX));
+    const rotation = totalFor(ROTATION_PREFIX);
+    const pool = summary[Ledger.ACCOUNTS.POOL] || { debit: 0, credit: 0 };
+
+    return {
+      savings: savings,
+      fines: fines,
+      netIncome: netIncome,
+      loans: loans,
+      rotation: rotation,
+      suspense: Ledger.creditBalance(summary, Ledger.ACCOUNTS.SUSPENSE),
+      pool: Ledger.toAmount(pool.debit - pool.credit),
+      expected: Ledger.toAmount(savings + fines + netIncome + rotation - loans),
+    };
+  },
+
+  /**
+   * Submissions that explain part of a difference
+   *
+   * @param {Array} submissions - All submissions
+   * @param {string} day - Month end, "YYYY-MM-DD"
+   * @returns {{pending: object, reversals: object}} Each {count, amount}
+   */
+  submissionCauses(submissions, day) {
+    const causes = {
+      pending: { count: 0, amount: 0 },
+      reversals: { count: 0, amount: 0 },
+    };
+    const add = (cause, submission) => {
+      causes[cause].count++;
+      causes[cause].amount = Ledger.toAmount(
+        causes[cause].amount +
+          (submission.amount || 0) +
+          (submission.fineAmount || 0),
+      );
+    };
+
+    submissions.forEach((submission) => {
+      const paid = submission.paymentDate || this.dayOf(submission.submittedAt);
+      if (!paid || paid > day) return;
+
+      const verified = this.dayOf(submission.verifiedAt);
+      const reversed = this.dayOf(submission.reversedAt);
+
+      // Corrected copies of amended payments carry the amendment date
+      const approvedLater =
+        verified && verified > day && !submission.amendsSubmissionId;
+
+      if (submission.status === "pending" || approvedLater) {
+        add("pending", submission);
+      } else if (
+        submission.status === "reversed" &&
+        reversed &&
+        reversed <= day &&
+        !submission.amendedBySubmissionId
+      ) {
+        add("reversals", submission);
+      }
+    });
+
+    return causes;
+  },
+
+  /**
+   * Compare the live Realtime DB totals with the ledger as it is now
+   *
+   * @param {object} totals - stokvel/totals
+   * @param {object} books - books() for today
+   * @returns {{live: number, ledger: number, drift: number}}
+   */
+  liveDrift(totals, books) {
+    // Interest paid moves fines and income into savings, so it is
+    // counted in totalSavings and must not be counted twice
+    const live = Ledger.toAmount(
+      (totals.totalSavings || 0) +
+        (totals.totalFines || 0) +
+        (totals.bankInterest || 0) +
+        (totals.otherIncome || 0) +
+        (totals.loanInterest || 0) +
+        (totals.rotationContributions || 0) -
+        (totals.expenses || 0) -
+        (totals.interestPaid || 0) -
+        (totals.loansOutstanding || 0) -
+        (totals.rotationPayouts || 0),
+    );
+    return {
+      live: live,
+      ledger: books.pool,
+      drift: Ledger.toAmount(live - books.pool),
+    };
+  },
+
+  /**
+   * Check a month-end bank balance against the books
+   *
+   * @param {string} month - "YYYY-MM"
+   * @param {number} bankBalance - Closing balance on the statement
+   * @returns {Promise<object>} {month, monthEnd, bankBalance, books,
+   *   variance, causes, explained, unexplained, liveTotals}
+   */
+  async check(month, bankBalance) {
+    if (!/^\d{4}-\d{2}$/.test(month || "")) {
+      throw new Error("Choose the statement month");
+    }
+    if (bankBalance === "" || isNaN(Number(bankBalance))) {
+      throw new Error("Enter the closing balance");
+    }
+    const balance = Ledger.toAmount(bankBalance);
+
+    const day = this.monthEnd(month);
+    const today = Rules.dayKey(new Date());
+    if (day > today) {
+      throw new Error("The month hasn't ended yet");
+    }
+
+    const [entries, submissionsSnapshot, totals] = await Promise.all([
+      Ledger.getEntries(),
+      db.collection("submissions").get(),
+      Database.getTotals(),
+    ]);
+    const submissions = submissionsSnapshot.docs.map((doc) =>
+      Schema.submission(doc),
+    );
+
+    const books = this.books(entries, day);
+    const variance = Ledger.toAmount(balance - books.expected);
+
+    const fromSubmissions = this.submissionCauses(submissions, day);
+    const causes = [
+      { key: "pending", ...fromSubmissions.pending },
+      {
+        key: "guests",
+        count: submissions.filter(
+          (s) =>
+            s.status === "verified" &&
+            !s.memberId &&
+            this.dayOf(s.verifiedAt) &&
+            this.dayOf(s.verifiedAt) <= day,
+        ).length,
+        amount: books.suspense,
+      },
+      { key: "reversals", ...fromSubmissions.reversals },
+    ]
+      .filter((cause) => cause.amount !== 0)
+      .map((cause) => ({ ...cause, label: this.CAUSES[cause.key] }));
+
+    const explained = Ledger.toAmount(
+      causes.reduce((sum, cause) => sum + cause.amount, 0),
+    );
+
+    return {
+      month: month,
+      monthEnd: day,
+      bankBalance: balance,
+      books: books,
+      variance: variance,
+      causes: causes,
+      explained: explained,
+      unexplained: Ledger.toAmount(variance - explained),
+      liveTotals: this.liveDrift(totals, this.books(entries, today)),
+    };
+  },
+
+  /**
+   * ==========================================
+   * SNAPSHOTS
+   * ==========================================
+   */
+
+  /**
+   * Check a balance and keep the result
+   *
+   * @param {string} month - "YYYY-MM"
+   * @param {number} bankBalance
+   * @param {string} note - e.g. statement number
+   * @returns {Promise<object>} Saved snapshot with id
+   */
+  async record(month, bankBalance, note = "") {
+    const result = await this.check(month, bankBalance);
+    const uid = Auth.currentUser?.uid || "admin";
+
+    const snapshot = {
+      ...result,
+      note: (note || "").trim(),
+      preparedBy: uid,
+      preparedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    };
+    const ref = await db.collection(this.COLLECTION).add(snapshot);
+
+    await Database.createAuditLog({
+      action: "bank_balance_reconciled",
+      entityType: "reconciliation",
+      entityId: ref.id,
+      details: {
+        month: month,
+        bankBalance: result.bankBalance,
+        expected: result.books.expected,
+        variance: result.variance,
+        unexplained: result.unexplained,
+      },
+      performedBy: uid,
+    });
+
+    console.log(
+      `✅ ${month} reconciled: variance R${result.variance}, unexplained R${result.unexplained}`,
+    );
+    return { id: ref.id, ...result, note: snapshot.note };
+  },
+
+  /**
+   * Saved checks, newest month first
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async getHistory(limit = 24) {
+    const snapshot = await db
+      .collection(this.COLLECTION)
+      .orderBy("preparedAt", "desc")
+      .limit(limit)
+      .get();
+
+    const history = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    // Latest check first within a month (already in preparedAt order)
+    history.sort((a, b) => b.month.localeCompare(a.month));
+    return history;
+  },
+
+  /**
+   * Saved checks as CSV, for the AGM pack
+   * @param {Array} history - From getHistory()
+   * @returns {string}
+   */
+  toCsv(history) {
+    const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+    const causeAmount = (snapshot, key) =>
+      (snapshot.causes.find((cause) => cause.key === key)?.amount || 0).toFixed(2);
+
+    const rows = [
+      [
+        "Month",
+        "Bank Balance",
+        "Savings",
+        "Fines",
+        "Net Income",
+        "Loans Out",
+        "Rotation Held",
+        "Expected",
+        "Variance",
+        "Pending Approvals",
+        "Guest Payments",
+        "Reversals",
+        "Unexplained",
+        "Note",
+        "Checked",
+      ],
+      ...history.map((s) => [
+        s.month,
+        s.bankBalance.toFixed(2),
+        s.books.savings.toFixed(2),
+        s.books.fines.toFixed(2),
+        s.books.netIncome.toFixed(2),
+        (s.books.loans || 0).toFixed(2),
+        (s.books.rotation ?? -(s.books.payouts || 0)).toFixed(2),
+        s.books.expected.toFixed(2),
+        s.variance.toFixed(2),
+        causeAmount(s, "pending"),
+        causeAmount(s, "guests"),
+        causeAmount(s, "reversals"),
+        s.unexplained.toFixed(2),
+        s.note,
+        s.preparedAt?.toDate?.().toISOString() || "",
+      ]),
+    ];
+    return rows.map((row) => row.map(quote).join(",")).join("\r\n");
+  },
+
+  /**
+   * Save the saved checks as a CSV file
+   * @param {Array} history
+   */
+  download(history) {
+    Utils.downloadFile(this.toCsv(history), "bank-reconciliations.csv");
+  },
+};
+
+// Export for use
+window.Reconciliation = Reconciliation;
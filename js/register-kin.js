@@ -80,6 +80,9 @@ const RegisterKin = (() => {
         } catch (error) {
             console.error('Auth init error:', error);
         }
+
+        // Show the rules in force in the page text
+        Rules.render();
     }
 
     /**
@@ -218,11 +221,7 @@ const RegisterKin = (() => {
             // Send registration confirmation SMS
             try {
                 console.log('📱 Sending confirmation SMS...');
-                await SMS.sendRegistrationConfirmation(
-                    pendingRegistration.phone,
-                    pendingRegistration.name.split(' ')[0], // First name only
-                    pendingRegistration.memberRef
-                );
+                await SMS.sendRegistrationConfirmation();
                 console.log('✅ SMS sent');
             } catch (smsError) {
                 console.warn('SMS failed:', smsError);
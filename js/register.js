@@ -53,6 +53,9 @@ const Register = (() => {
         } catch (error) {
             console.error('Auth init error:', error);
         }
+
+        // Show the rules in force in the page text
+        Rules.render();
     }
 
     /**
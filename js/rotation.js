@@ -0,0 +1,562 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - ROTATING PAYOUTS (ROSCA)
+ * =====================================================
+ *
+ * Runs next to the savings club: each month of a rotation, the whole
+ * pot goes to one member, until everyone on the roster has had a turn.
+ * Starting a rotation turns the mode on; a group can run the savings
+ * club, a rotation or both.
+ *
+ * ROTATION (`rotations/{id}`):
+ * - roster        Members taking part, in queue order (fixed at the start)
+ * - rosterIds     Their member IDs, for firestore.rules and array-contains
+ * - contribution  What each member pays in a month
+ * - startMonth    "YYYY-MM" of the first payout; one payout a month
+ * - payouts       month -> {memberId, amount, bid, paidOn, ...}
+ * - status        active, then complete once everyone has been paid
+ *
+ * ORDER (method):
+ * - ordered   By join date
+ * - draw      Random draw when the rotation starts
+ * - auction   Each month the members still waiting bid; the highest bid
+ *             takes the pot less the bid, which stays in the pool
+ * For ordered and draw, members still waiting take the coming months in
+ * roster order, so a member skipped one month moves up to the next.
+ * Only the first waiting member who isn't in arrears can be paid.
+ *
+ * ARREARS:
+ * A payout is refused while the recipient is suspended, has paid less
+ * than the contribution into this rotation for each rotation month up to
+ * the payout month, or has loan instalments overdue (js/loans.js).
+ *
+ * LEDGER (js/ledger.js):
+ * - contribution  Dr pool / Cr rotation:{id} (submission.rotationId)
+ * - payout        Dr rotation:{id} / Cr pool
+ * Rotation money never passes through members' savings.
+ *
+ * =====================================================
+ */
+
+const Rotation = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  COLLECTION: "rotations",
+
+  // Who may start rotations and record payouts (firestore.rules has the same list)
+  ROLES: ["chairperson", "treasurer"],
+
+  METHODS: {
+    ordered: "In order of joining",
+    draw: "Random draw",
+    auction: "Monthly auction",
+  },
+
+  STATUSES: {
+    ACTIVE: "active",
+    COMPLETE: "complete",
+  },
+
+  /**
+   * ==========================================
+   * MONTHS
+   * ==========================================
+   */
+
+  /**
+   * Month a number of months after another
+   * @param {string} month - "YYYY-MM"
+   * @param {number} offset
+   * @returns {string} "YYYY-MM"
+   */
+  addMonths(month, offset) {
+    const [year, m] = month.split("-").map(Number);
+    const date = new Date(Date.UTC(year, m - 1 + offset, 1));
+    return date.toISOString().slice(0, 7);
+  },
+
+  /**
+   * "2026-03" -> "March 2026"
+   * @param {string} month
+   * @returns {string}
+   */
+  monthLabel(month) {
+    const [year, m] = month.split("-").map(Number);
+    return `${Utils.getMonthName(m)} ${year}`;
+  },
+
+  /**
+   * Every payout month of a rotation, in order
+   * @param {object} rotation
+   * @returns {Array<string>}
+   */
+  months(rotation) {
+    return rotation.roster.map((_, index) => this.addMonths(rotation.startMonth, index));
+  },
+
+  /**
+   * ==========================================
+   * ROSTER & QUEUE
+   * ==========================================
+   */
+
+  /**
+   * Put members in queue order for a method
+   *
+   * @param {Array} members - Member records
+   * @param {string} method - Key of METHODS
+   * @param {function} random - Returns [0, 1); replaceable for checking
+   * @returns {Array} [{memberId, name, memberRef}]
+   */
+  buildRoster(members, method, random = this.random) {
+    const joined = (member) => member.createdAt?.toDate?.()?.getTime() || 0;
+    const ordered = [...members].sort(
+      (a, b) => joined(a) - joined(b) || String(a.memberRef).localeCompare(String(b.memberRef)),
+    );
+
+    if (method === "draw") {
+      // Fisher-Yates
+      for (let i = ordered.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [ordered[i], ordered[j]] = [ordered[j], ordered[i]];
+      }
+    }
+
+    return ordered.map((member) => ({
+      memberId: member.id,
+      name: member.fullName || member.name || "",
+      memberRef: member.memberRef || null,
+    }));
+  },
+
+  /**
+   * Uniform random number from the browser's secure generator
+   * @returns {number} [0, 1)
+   */
+  random() {
+    const value = new Uint32Array(1);
+    crypto.getRandomValues(value);
+    return value[0] / 2 ** 32;
+  },
+
+  /**
+   * Who gets which month
+   * Paid months keep their recipient; members still waiting fill the
+   * remaining months in roster order (auction months stay open)
+   *
+   * @param {object} rotation
+   * @returns {Array} [{position, month, memberId, name, memberRef, payout}]
+   */
+  queue(rotation) {
+    const payouts = rotation.payouts || {};
+    const paidIds = Object.values(payouts).map((payout) => payout.memberId);
+    const waiting = rotation.roster.filter((member) => !paidIds.includes(member.memberId));
+    const byId = Object.fromEntries(rotation.roster.map((member) => [member.memberId, member]));
+
+    let next = 0;
+    return this.months(rotation).map((month, index) => {
+      const payout = payouts[month];
+      const member = payout
+        ? byId[payout.memberId] || { memberId: payout.memberId, name: payout.name }
+        : rotation.method === "auction"
+          ? null
+          : waiting[next++];
+
+      return {
+        position: index + 1,
+        month: month,
+        memberId: member?.memberId || null,
+        name: member?.name || "",
+        memberRef: member?.memberRef || null,
+        payout: payout || null,
+      };
+    });
+  },
+
+  /**
+   * First month without a payout, or null when everyone has been paid
+   * @param {object} rotation
+   * @returns {string|null}
+   */
+  nextMonth(rotation) {
+    return this.months(rotation).find((month) => !rotation.payouts?.[month]) || null;
+  },
+
+  /**
+   * Members who haven't had their turn yet, in roster order
+   * @param {object} rotation
+   * @returns {Array}
+   */
+  waiting(rotation) {
+    const paidIds = Object.values(rotation.payouts || {}).map((payout) => payout.memberId);
+    return rotation.roster.filter((member) => !paidIds.includes(member.memberId));
+  },
+
+  /**
+   * The whole pot for a month
+   * @param {object} rotation
+   * @returns {number}
+   */
+  pot(rotation) {
+    return Utils.round(rotation.contribution * rotation.roster.length);
+  },
+
+  /**
+   * Is a member on a rotation's roster?
+   * @param {object} rotation
+   * @param {string} memberId
+   * @returns {boolean}
+   */
+  isOn(rotation, memberId) {
+    return (rotation.roster || []).some((member) => member.memberId === memberId);
+  },
+
+  /**
+   * Where a member stands in a rotation
+   *
+   * @param {object} rotation
+   * @param {string} memberId
+   * @returns {object|null} {position, month, payout, waitingCount, ahead}
+   *   (month is null while an auction is still open); null if not on it
+   */
+  positionOf(rotation, memberId) {
+    if (!this.isOn(rotation, memberId)) return null;
+
+    const queue = this.queue(rotation);
+    const slot = queue.find((entry) => entry.memberId === memberId);
+    const waitingCount = this.waiting(rotation).length;
+
+    if (!slot) {
+      // Auction: waiting for a winning bid
+      return { position: null, month: null, payout: null, waitingCount, ahead: null };
+    }
+
+    const ahead = slot.payout
+      ? 0
+      : queue.filter((entry) => !entry.payout && entry.position < slot.position).length;
+    return {
+      position: slot.position,
+      month: slot.month,
+      payout: slot.payout,
+      waitingCount: waitingCount,
+      ahead: ahead,
+    };
+  },
+
+  /**
+   * ==========================================
+   * ARREARS
+   * ==========================================
+   */
+
+  /**
+   * Why a member can't be paid out for a month
+   *
+   * @param {object} member - Member record
+   * @param {Array} submissions - The member's verified submissions (only
+   *   contributions into this rotation count)
+   * @param {Array} loans - The member's loans
+   * @param {object} rotation
+   * @param {string} month - Payout month, "YYYY-MM"
+   * @returns {Array<string>} Reasons; empty when the member can be paid
+   */
+  arrearsFor(member, submissions, loans, rotation, month) {
+    const reasons = [];
+
+    if (member.status === "suspended") {
+      reasons.push("Membership is suspended");
+    }
+
+    // Contributions for every rotation month up to the payout month
+    const dueMonths = this.months(rotation).filter((m) => m <= month);
+    const paid = submissions
+      .filter(
+        (s) => s.rotationId === rotation.id && dueMonths.includes(Rules.monthKey(s.paymentMonth)),
+      )
+      .reduce((sum, s) => sum + (Number(s.amount) || 0), 0);
+    const owed = Utils.round(rotation.contribution * dueMonths.length - paid);
+    if (owed > 0) {
+      reasons.push(`${Utils.formatCurrency(owed, true)} short on contributions`);
+    }
+
+    if (typeof Loans !== "undefined") {
+      const arrears = loans
+        .filter((loan) => loan.status === Loans.STATUSES.ACTIVE)
+        .reduce((sum, loan) => sum + Loans.position(loan).arrears, 0);
+      if (arrears > 0) {
+        reasons.push(`${Utils.formatCurrency(arrears, true)} overdue on a loan`);
+      }
+    }
+
+    return reasons;
+  },
+
+  /**
+   * Arrears of everyone still waiting, for the next payout month
+   * (officers: reads every verified submission and loan)
+   *
+   * @param {object} rotation
+   * @returns {Promise<object>} memberId -> reasons
+   */
+  async eligibility(rotation) {
+    const month = this.nextMonth(rotation);
+    if (!month) return {};
+
+    const [members, submissionsSnap, loans] = await Promise.all([
+      Database.getMembers(),
+      db.collection("submissions").where("status", "==", "verified").get(),
+      typeof Loans !== "undefined" ? Loans.getAll() : [],
+    ]);
+    const submissions = submissionsSnap.docs.map((doc) => Schema.submission(doc));
+
+    const result = {};
+    this.waiting(rotation).forEach(({ memberId }) => {
+      const member = members.find((m) => m.id === memberId);
+      result[memberId] = member
+        ? this.arrearsFor(
+            member,
+            submissions.filter((s) => s.memberId === memberId),
+            loans.filter((loan) => loan.memberId === memberId),
+            rotation,
+            month,
+          )
+        : ["No longer a member"];
+    });
+    return result;
+  },
+
+  /**
+   * ==========================================
+   * QUERIES
+   * ==========================================
+   */
+
+  ref(rotationId) {
+    return db.collection(this.COLLECTION).doc(rotationId);
+  },
+
+  /**
+   * Every rotation, newest first
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    const snapshot = await db.collection(this.COLLECTION).get();
+    const rotations = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    rotations.sort((a, b) => b.startMonth.localeCompare(a.startMonth));
+    return rotations;
+  },
+
+  /**
+   * Rotations a member is on, newest first
+   * @param {string} memberId
+   * @returns {Promise<Array>}
+   */
+  async getForMember(memberId) {
+    const snapshot = await db
+      .collection(this.COLLECTION)
+      .where("rosterIds", "array-contains", memberId)
+      .get();
+    const rotations = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    rotations.sort((a, b) => b.startMonth.localeCompare(a.startMonth));
+    return rotations;
+  },
+
+  /**
+   * ==========================================
+   * STARTING A ROTATION
+   * ==========================================
+   */
+
+  /**
+   * Start a rotation
+   *
+   * @param {object} details - {name, method, startMonth, contribution, memberIds}
+   * @returns {Promise<object>} The rotation with id
+   */
+  async start(details) {
+    const name = String(details.name || "").trim();
+    const contribution = Utils.round(Number(details.contribution) || 0);
+
+    if (!name) throw new Error("Give the rotation a name");
+    if (!this.METHODS[details.method]) throw new Error("Choose how the order is decided");
+    if (!/^\d{4}-\d{2}$/.test(details.startMonth || "")) {
+      throw new Error("Choose the month of the first payout");
+    }
+    if (details.startMonth < Rules.dayKey(new Date()).slice(0, 7)) {
+      throw new Error("The first payout can't be in a past month");
+    }
+    if (!(contribution > 0)) throw new Error("Enter each member's monthly contribution");
+
+    const members = (await Database.getMembers()).filter((member) =>
+      (details.memberIds || []).includes(member.id),
+    );
+    if (members.length < 2) throw new Error("Choose at least two members");
+    const suspended = members.filter((member) => member.status === "suspended");
+    if (suspended.length) {
+      throw new Error(`${suspended[0].fullName || suspended[0].name} is suspended`);
+    }
+
+    const uid = Auth.currentUser?.uid || "admin";
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+    const roster = this.buildRoster(members, details.method);
+    const rotation = {
+      name: name,
+      method: details.method,
+      startMonth: details.startMonth,
+      contribution: contribution,
+      roster: roster,
+      rosterIds: roster.map((member) => member.memberId),
+      payouts: {},
+      status: this.STATUSES.ACTIVE,
+      createdBy: uid,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const ref = await db.collection(this.COLLECTION).add(rotation);
+
+    await Database.createAuditLog({
+      action: "rotation_started",
+      entityType: "rotation",
+      entityId: ref.id,
+      details: {
+        name: name,
+        method: details.method,
+        startMonth: details.startMonth,
+        contribution: contribution,
+        // The draw, as it came out
+        order: rotation.roster.map((member) => member.memberRef || member.memberId),
+      },
+      performedBy: uid,
+    });
+
+    console.log(`✅ Rotation "${name}" started with ${members.length} members`);
+    return { id: ref.id, ...rotation };
+  },
+
+  /**
+   * ==========================================
+   * PAYOUTS
+   * ==========================================
+   */
+
+  /**
+   * Record the next month's payout
+   * Refused while the recipient is in arrears (see arrearsFor) and, for
+   * ordered and draw rotations, for anyone but the first waiting member
+   * who is up to date
+   *
+   * @param {string} rotationId
+   * @param {object} payout - {memberId, amount, bid (auction only),
+   *   paidOn "YYYY-MM-DD", reference}
+   * @returns {Promise<object>} The payout with its month
+   */
+  async recordPayout(rotationId, payout) {
+    const rotationDoc = await this.ref(rotationId).get();
+    if (!rotationDoc.exists) throw new Error("Rotation not found");
+    const before = { id: rotationDoc.id, ...rotationDoc.data() };
+
+    const month = this.nextMonth(before);
+    if (!month) throw new Error("Everyone on this rotation has been paid");
+    if (month > Rules.dayKey(new Date()).slice(0, 7)) {
+      throw new Error(`The ${this.monthLabel(month)} payout isn't due yet`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(payout.paidOn || "")) {
+      throw new Error("Enter the date it was paid");
+    }
+
+    const recipient = this.waiting(before).find((m) => m.memberId === payout.memberId);
+    if (!recipient) throw new Error("This member isn't waiting for a payout");
+
+    const bid = before.method === "auction" ? Utils.round(Number(payout.bid) || 0) : 0;
+    const pot = this.pot(before);
+    if (bid < 0 || bid >= pot) throw new Error("The bid must be less than the pot");
+    const amount = Utils.round(Number(payout.amount) || 0);
+    if (!(amount > 0)) throw new Error("Enter the amount paid out");
+    if (amount > pot - bid) {
+      throw new Error(`No more than ${Utils.formatCurrency(pot - bid, true)} can be paid out`);
+    }
+
+    // Arrears of everyone still waiting
+    const [member, arrears] = await Promise.all([
+      Database.getMember(recipient.memberId),
+      this.eligibility(before),
+    ]);
+    if (!member) throw new Error("Member not found");
+    const reasons = arrears[recipient.memberId] || [];
+    if (reasons.length) {
+      throw new Error(`${recipient.name} can't be paid: ${reasons.join("; ")}`);
+    }
+
+    // Ordered and draw: members in arrears are passed over, nobody else
+    if (before.method !== "auction") {
+      const nextUp = this.waiting(before).find((m) => !arrears[m.memberId]?.length);
+      if (nextUp.memberId !== recipient.memberId) {
+        throw new Error(`${nextUp.name} is next in the queue`);
+      }
+    }
+
+    const uid = Auth.currentUser?.uid || "admin";
+    const record = {
+      memberId: recipient.memberId,
+      name: recipient.name,
+      amount: amount,
+      bid: bid,
+      paidOn: payout.paidOn,
+      reference: String(payout.reference || "").trim().substring(0, 60),
+    };
+
+    const complete = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(this.ref(rotationId));
+      const rotation = { id: doc.id, ...doc.data() };
+      if (rotation.status !== this.STATUSES.ACTIVE || rotation.payouts?.[month]) {
+        throw new Error("This payout has already been recorded");
+      }
+
+      const entry = Ledger.payoutEntry(rotation, { ...record, month }, uid);
+      const entryDoc = await tx.get(Ledger.ref(entry.id));
+      if (entryDoc.exists) throw new Error("Payout already posted to ledger");
+
+      const isLast = this.months(rotation).every((m) => m === month || rotation.payouts?.[m]);
+      const now = firebase.firestore.FieldValue.serverTimestamp();
+
+      tx.update(this.ref(rotationId), {
+        [`payouts.${month}`]: {
+          ...record,
+          ledgerEntryId: entry.id,
+          recordedBy: uid,
+          recordedAt: now,
+        },
+        status: isLast ? this.STATUSES.COMPLETE : this.STATUSES.ACTIVE,
+        updatedAt: now,
+      });
+      Ledger.post(tx, entry);
+
+      return isLast;
+    });
+
+    await Database.createAuditLog({
+      action: "rotation_payout",
+      entityType: "rotation",
+      entityId: rotationId,
+      details: { month: month, ...record, complete: complete },
+      performedBy: uid,
+    });
+
+    Database.sendSMSNonBlocking("rotationPayout", {
+      phone: member.phone,
+      name: record.name,
+      amount: amount,
+      month: this.monthLabel(month),
+    });
+
+    console.log(`✅ ${this.monthLabel(month)} payout of R${amount} to ${record.name}`);
+    return { month, ...record };
+  },
+};
+
+// Export for use
+window.Rotation = Rotation;
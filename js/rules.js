@@ -0,0 +1,287 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - FINANCIAL RULES
+ * =====================================================
+ *
+ * One place to ask "what are the rules?". The values live in the
+ * versioned settings/rules document (see functions/rules.js):
+ *
+ *   versions: [{effectiveFrom: "2025-04-01", minimumDeposit,
+ *               lateFineAmount, paymentDueDay, interestEligibilityMin,
+ *               warningAfterSkipped, suspendAfterSkipped,
+ *               loanSavingsMultiple, loanInterestRate, loanMaxMonths,
+ *               note}]
+ *
+ * A payment month is judged by the version in force on its 1st, so a
+ * March 2024 submission keeps March 2024's fine after the rules
+ * change. Until the chairperson saves a version, the values in
+ * APP_SETTINGS apply.
+ *
+ * Only the saveRules Cloud Function writes the document.
+ *
+ * =====================================================
+ */
+
+const Rules = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  // field -> label, in editor order
+  FIELDS: {
+    minimumDeposit: "Minimum deposit",
+    lateFineAmount: "Late fine",
+    paymentDueDay: "Payment due day",
+    interestEligibilityMin: "Interest threshold",
+    warningAfterSkipped: "Warning after missed months",
+    suspendAfterSkipped: "Suspend after missed months",
+    loanSavingsMultiple: "Loan limit (times savings)",
+    loanInterestRate: "Loan interest (% a month)",
+    loanMaxMonths: "Longest loan (months)",
+  },
+
+  // Applies to everything before the first saved version
+  BASELINE_FROM: "2000-01-01",
+
+  // Promise of the versions, shared by every caller on the page
+  _versions: null,
+
+  /**
+   * Rules used until settings/rules has a version
+   * @returns {object}
+   */
+  defaults() {
+    const settings = window.APP_SETTINGS || {};
+    return {
+      minimumDeposit: settings.minimumDeposit ?? 300,
+      lateFineAmount: settings.lateFineAmount ?? 50,
+      paymentDueDay: settings.paymentDueDay ?? 7,
+      interestEligibilityMin: settings.interestEligibilityMin ?? 10000,
+      warningAfterSkipped: settings.warningAfterSkipped ?? 2,
+      suspendAfterSkipped: settings.suspendAfterSkipped ?? 3,
+      loanSavingsMultiple: settings.loanSavingsMultiple ?? 2,
+      loanInterestRate: settings.loanInterestRate ?? 5,
+      loanMaxMonths: settings.loanMaxMonths ?? 6,
+    };
+  },
+
+  /**
+   * ==========================================
+   * LOADING
+   * ==========================================
+   */
+
+  /**
+   * All rule versions, oldest first (cached per page)
+   * @param {boolean} refresh - Re-read the document
+   * @returns {Promise<Array>}
+   */
+  versions(refresh = false) {
+    if (!this._versions || refresh) {
+      this._versions = this.fetchVersions();
+    }
+    return this._versions;
+  },
+
+  /**
+   * Read settings/rules, falling back to the defaults
+   * @returns {Promise<Array>}
+   */
+  async fetchVersions() {
+    const baseline = [
+      { effectiveFrom: this.BASELINE_FROM, ...this.defaults() },
+    ];
+
+    try {
+      const snap = await db.collection("settings").doc("rules").get();
+      const saved = snap.exists ? snap.data().versions || [] : [];
+      if (!saved.length) return baseline;
+
+      // Versions saved before a rule existed fall back to its default
+      return [...saved]
+        .map((version) => ({ ...this.defaults(), ...version }))
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    } catch (error) {
+      console.warn("⚠️ Could not load rules, using defaults:", error.message);
+      // Try again next time rather than caching the failure
+      this._versions = null;
+      return baseline;
+    }
+  },
+
+  /**
+   * ==========================================
+   * LOOKUPS
+   * ==========================================
+   */
+
+  /**
+   * Rules in force on a day
+   * @param {Array} versions - From versions()
+   * @param {string} dayKey - e.g. "2025-03-07"
+   * @returns {object}
+   */
+  inForce(versions, dayKey) {
+    let current = versions[0];
+    for (const version of versions) {
+      if (version.effectiveFrom <= dayKey) current = version;
+    }
+    return { ...this.defaults(), ...current };
+  },
+
+  /**
+   * Rules in force on a date
+   * @param {Date|string} date - Defaults to today
+   * @returns {Promise<object>}
+   */
+  async forDate(date = new Date()) {
+    return this.inForce(await this.versions(), this.dayKey(date));
+  },
+
+  /**
+   * Rules a payment month is judged by
+   * @param {string} month - e.g. "March 2025"
+   * @returns {Promise<object>}
+   */
+  async forMonth(month) {
+    const key = this.monthKey(month);
+    if (!key) return this.current();
+    return this.inForce(await this.versions(), `${key}-01`);
+  },
+
+  /**
+   * Rules in force today
+   * @returns {Promise<object>}
+   */
+  current() {
+    return this.forDate(new Date());
+  },
+
+  /**
+   * Version that starts after today, if one is scheduled
+   * @returns {Promise<object|null>}
+   */
+  async nextScheduled() {
+    const today = this.dayKey(new Date());
+    const versions = await this.versions();
+    return versions.find((v) => v.effectiveFrom > today) || null;
+  },
+
+  /**
+   * Was a payment made after its month's due day?
+   * Paying ahead for a later month is never late
+   *
+   * @param {Date|string} paymentDate
+   * @param {string} month - Payment month, e.g. "March 2025"
+   * @param {object} monthRules - From forMonth(month)
+   * @returns {boolean}
+   */
+  isLate(paymentDate, month, monthRules) {
+    const key = this.monthKey(month);
+    if (!key || !paymentDate) return false;
+
+    const dueDay = String(monthRules.paymentDueDay).padStart(2, "0");
+    return this.dayKey(paymentDate) > `${key}-${dueDay}`;
+  },
+
+  /**
+   * Display a rule value: amounts as currency, the due day as "7th",
+   * the loan limit as "2x savings" and the loan rate as "5%"
+   * @param {string} field
+   * @param {number} value
+   * @returns {string}
+   */
+  format(field, value) {
+    if (field === "paymentDueDay") return Utils.ordinal(value);
+    if (field.endsWith("Skipped") || field.endsWith("Months")) {
+      return String(value);
+    }
+    if (field === "loanSavingsMultiple") return `${value}x savings`;
+    if (field === "loanInterestRate") return `${value}%`;
+    return Utils.formatCurrency(value);
+  },
+
+  /**
+   * Fill every [data-rule="field"] element with today's value
+   * @param {Element|Document} root
+   */
+  async render(root = document) {
+    const rules = await this.current();
+    root.querySelectorAll("[data-rule]").forEach((el) => {
+      const field = el.dataset.rule;
+      if (rules[field] !== undefined) {
+        el.textContent = this.format(field, rules[field]);
+      }
+    });
+  },
+
+  /**
+   * ==========================================
+   * EDITING (chairperson)
+   * ==========================================
+   */
+
+  /**
+   * Schedule a new rules version
+   * @param {object} values - Rule fields to change
+   * @param {string} effectiveFrom - Future month, "2025-04"
+   * @param {string} note - Why the rules changed
+   * @returns {Promise<object>} The saved version
+   */
+  async save(values, effectiveFrom, note) {
+    if (!functions) throw new Error("Cloud Functions SDK not loaded");
+
+    const result = await functions.httpsCallable("saveRules")({
+      rules: values,
+      effectiveFrom,
+      note,
+    });
+    await this.versions(true);
+    return result.data;
+  },
+
+  /**
+   * ==========================================
+   * DATE HELPERS
+   * ==========================================
+   */
+
+  /**
+   * Local calendar day as "2025-03-07"
+   * Date-only strings ("2025-03-07") are taken as they are
+   *
+   * @param {Date|string} date
+   * @returns {string}
+   */
+  dayKey(date) {
+    if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return date;
+    }
+    const d = new Date(date);
+    return [
+      d.getFullYear(),
+      String(d.getMonth() + 1).padStart(2, "0"),
+      String(d.getDate()).padStart(2, "0"),
+    ].join("-");
+  },
+
+  /**
+   * "March 2025" -> "2025-03"
+   * @param {string} month
+   * @returns {string|null}
+   */
+  monthKey(month) {
+    const [name, year] = String(month || "").trim().split(" ");
+    for (let m = 1; m <= 12; m++) {
+      if (Utils.getMonthName(m) === name && /^\d{4}$/.test(year)) {
+        return `${year}-${String(m).padStart(2, "0")}`;
+      }
+    }
+    return null;
+  },
+};
+
+// Export for use
+window.Rules = Rules;
@@ -0,0 +1,446 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - DATA SCHEMA
+ * =====================================================
+ *
+ * The canonical shape of members and submissions, defined once:
+ *
+ * - FIELDS          every known field with its type
+ * - validate()      list what's wrong with a document
+ * - createSubmission()  build a new submission in canonical form
+ * - member() / submission()  read a document, mapping legacy names
+ *
+ * Earlier code stored some fields under other names (LEGACY_FIELDS):
+ *
+ *   submissions  proofURL, popImageUrl, popImage -> proofUrl
+ *                memberName -> name
+ *                month -> paymentMonth
+ *   members      totalSaved -> totalSavings
+ *
+ * The readers map these on the fly. MIGRATIONS rewrite the stored
+ * documents and stamp schemaVersion; run them with
+ * functions/scripts/migrate-schema.js.
+ *
+ * New submissions reference their files in Cloud Storage (`proofs`,
+ * see js/storage.js). proofUrl only remains on older submissions that
+ * still carry the file as a data URL, until
+ * functions/scripts/migrate-proofs.js moves it out.
+ *
+ * Members are created by functions/members.js (registerMember), which
+ * writes the same canonical fields.
+ *
+ * Loaded as a plain script in the browser (window.Schema) and with
+ * require() by the migration script.
+ *
+ * =====================================================
+ */
+
+const Schema = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  // Bump with every entry added to MIGRATIONS
+  VERSION: 1,
+
+  SUBMISSION_STATUSES: ["pending", "verified", "rejected", "reversed"],
+  MEMBER_STATUSES: ["active", "warning", "suspended", "inactive"],
+
+  // collection -> field -> {type, required, nullable, oneOf}
+  // Fields not listed here are allowed and left unchecked
+  FIELDS: {
+    submissions: {
+      reference: { type: "string", required: true },
+      memberId: { type: "string", nullable: true },
+      memberRef: { type: "string", nullable: true },
+      name: { type: "string", required: true },
+      phone: { type: "phone", required: true },
+      amount: { type: "amount", required: true },
+      fineAmount: { type: "amount" },
+      totalAmount: { type: "amount" },
+      paymentMonth: { type: "month", required: true },
+      paymentDate: { type: "date", nullable: true },
+      paymentMethod: { type: "string", nullable: true },
+      notes: { type: "string" },
+      isLate: { type: "boolean" },
+      rulesEffectiveFrom: { type: "string", nullable: true },
+      proofs: { type: "list" },
+      proofUrl: { type: "string", nullable: true },
+      // Browser-made hashes on older submissions; see functions/duplicates.js
+      proofSha256: { type: "string", nullable: true },
+      proofDHash: { type: "string", nullable: true },
+      ocr: { type: "object", nullable: true },
+      bankReference: { type: "string" },
+      loanId: { type: "string", nullable: true },
+      rotationId: { type: "string", nullable: true },
+      status: { type: "string", required: true, oneOf: "SUBMISSION_STATUSES" },
+      rejectionReason: { type: "string", nullable: true },
+      submittedAt: { type: "timestamp", nullable: true },
+      verifiedAt: { type: "timestamp", nullable: true },
+      rejectedAt: { type: "timestamp", nullable: true },
+      verifiedBy: { type: "string", nullable: true },
+      rejectedBy: { type: "string", nullable: true },
+      updatedAt: { type: "timestamp", nullable: true },
+      schemaVersion: { type: "count" },
+    },
+    members: {
+      name: { type: "string", required: true },
+      surname: { type: "string" },
+      fullName: { type: "string" },
+      phone: { type: "phone", required: true },
+      idNumber: { type: "string" },
+      memberRef: { type: "string", required: true },
+      status: { type: "string", oneOf: "MEMBER_STATUSES" },
+      totalSavings: { type: "amount" },
+      totalFines: { type: "amount" },
+      totalInterest: { type: "amount" },
+      submissionCount: { type: "count" },
+      verifiedCount: { type: "count" },
+      pendingCount: { type: "count" },
+      rejectedCount: { type: "count" },
+      reversedCount: { type: "count" },
+      skippedMonths: { type: "count" },
+      consecutiveMonths: { type: "count" },
+      lastPaymentMonth: { type: "month", nullable: true },
+      qualifiesForInterest: { type: "boolean" },
+      ledgerEntryCount: { type: "count" },
+      reminderOptOut: { type: "boolean" },
+      createdAt: { type: "timestamp", nullable: true },
+      updatedAt: { type: "timestamp", nullable: true },
+      schemaVersion: { type: "count" },
+    },
+  },
+
+  // collection -> canonical field -> old names, most trusted first
+  LEGACY_FIELDS: {
+    submissions: {
+      proofUrl: ["proofURL", "popImageUrl", "popImage"],
+      name: ["memberName"],
+      paymentMonth: ["month"],
+    },
+    members: {
+      totalSavings: ["totalSaved"],
+    },
+  },
+
+  MONTH_NAMES: [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December",
+  ],
+
+  /**
+   * ==========================================
+   * VALIDATION
+   * ==========================================
+   */
+
+  /**
+   * Does a value match a field type?
+   * @param {string} type
+   * @param {*} value
+   * @returns {boolean}
+   */
+  matchesType(type, value) {
+    switch (type) {
+      case "string":
+        return typeof value === "string";
+      case "boolean":
+        return typeof value === "boolean";
+      case "amount":
+        return typeof value === "number" && Number.isFinite(value) && value >= 0;
+      case "count":
+        return Number.isInteger(value) && value >= 0;
+      case "phone":
+        return typeof value === "string" && /^0\d{9}$/.test(value);
+      case "date":
+        return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+      case "month": {
+        const [name, year] = String(value).split(" ");
+        return this.MONTH_NAMES.includes(name) && /^\d{4}$/.test(year || "");
+      }
+      case "timestamp":
+        // Timestamp, Date or a serverTimestamp() sentinel
+        return typeof value === "object";
+      case "object":
+        return typeof value === "object" && !Array.isArray(value);
+      case "list":
+        return Array.isArray(value);
+      default:
+        return true;
+    }
+  },
+
+  /**
+   * Check a document against FIELDS
+   * @param {string} collection - "submissions" | "members"
+   * @param {object} data
+   * @returns {string[]} Problems, empty when valid
+   */
+  validate(collection, data) {
+    const errors = [];
+    const fields = this.FIELDS[collection] || {};
+
+    for (const [field, rule] of Object.entries(fields)) {
+      const value = data[field];
+
+      if (value === undefined || value === "") {
+        if (rule.required) errors.push(`${field} is required`);
+        continue;
+      }
+      if (value === null) {
+        if (rule.required || !rule.nullable) {
+          errors.push(`${field} cannot be empty`);
+        }
+        continue;
+      }
+      if (!this.matchesType(rule.type, value)) {
+        errors.push(`${field} should be a ${rule.type}`);
+      } else if (rule.oneOf && !this[rule.oneOf].includes(value)) {
+        errors.push(`${field} "${value}" is not allowed`);
+      }
+    }
+
+    for (const aliases of Object.values(this.LEGACY_FIELDS[collection] || {})) {
+      aliases
+        .filter((alias) => data[alias] !== undefined)
+        .forEach((alias) => errors.push(`${alias} is a legacy field`));
+    }
+
+    return errors;
+  },
+
+  /**
+   * Throw if a document is invalid
+   * @param {string} collection
+   * @param {object} data
+   */
+  assertValid(collection, data) {
+    const errors = this.validate(collection, data);
+    if (errors.length) {
+      throw new Error(`Invalid ${collection} record: ${errors.join(", ")}`);
+    }
+  },
+
+  /**
+   * ==========================================
+   * FACTORIES
+   * ==========================================
+   */
+
+  /**
+   * Build a new pending submission
+   *
+   * @param {object} fields - reference, memberId, memberRef, name, phone,
+   *   amount, fineAmount, paymentMonth, paymentDate, paymentMethod, notes,
+   *   isLate, rulesEffectiveFrom, proofs, ocr, bankReference
+   * @param {*} now - Timestamp for submittedAt/updatedAt
+   *   (usually FieldValue.serverTimestamp())
+   * @returns {object} Canonical submission, validated
+   */
+  createSubmission(fields, now) {
+    const amount = Number(fields.amount);
+    const fineAmount = Number(fields.fineAmount) || 0;
+
+    const submission = {
+      // Reference
+      reference: fields.reference,
+
+      // Member Details
+      memberId: fields.memberId || null,
+      memberRef: fields.memberRef || null,
+      name: String(fields.name || "").trim(),
+      phone: String(fields.phone || "").replace(/[\s-]/g, ""),
+
+      // Payment Details
+      amount: amount,
+      fineAmount: fineAmount,
+      totalAmount: amount + fineAmount,
+      paymentMonth: fields.paymentMonth,
+      paymentDate:
+        fields.paymentDate || new Date().toISOString().split("T")[0],
+      paymentMethod: fields.paymentMethod || null,
+      notes: String(fields.notes || "").trim(),
+      isLate: Boolean(fields.isLate),
+      rulesEffectiveFrom: fields.rulesEffectiveFrom || null,
+
+      // Proof of Payment
+      proofs: fields.proofs || [],
+      ocr: fields.ocr || null,
+      bankReference: fields.bankReference || "",
+
+      // Loan being repaid (js/loans.js); null for contributions
+      loanId: fields.loanId || null,
+
+      // Rotation paid into (js/rotation.js); null for savings
+      rotationId: fields.rotationId || null,
+
+      // Status
+      status: "pending",
+      rejectionReason: null,
+
+      // Timestamps
+      submittedAt: now,
+      verifiedAt: null,
+      rejectedAt: null,
+
+      // Audit
+      verifiedBy: null,
+      rejectedBy: null,
+      updatedAt: now,
+      schemaVersion: this.VERSION,
+    };
+
+    this.assertValid("submissions", submission);
+    return submission;
+  },
+
+  /**
+   * ==========================================
+   * READERS
+   * ==========================================
+   */
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === "";
+  },
+
+  /**
+   * Map legacy field names onto the canonical ones
+   * The canonical value wins when both are present
+   *
+   * @param {string} collection
+   * @param {object} data
+   * @returns {object} Copy without legacy fields
+   */
+  normalize(collection, data) {
+    const result = { ...data };
+
+    for (const [field, aliases] of Object.entries(
+      this.LEGACY_FIELDS[collection] || {},
+    )) {
+      for (const alias of aliases) {
+        if (this.isEmpty(result[field]) && !this.isEmpty(result[alias])) {
+          result[field] = result[alias];
+        }
+        delete result[alias];
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Read a document snapshot (or plain data) as {id, ...fields}
+   * @param {string} collection
+   * @param {object} source - DocumentSnapshot or data object
+   * @returns {object|null}
+   */
+  fromDoc(collection, source) {
+    if (!source) return null;
+    const data =
+      typeof source.data === "function"
+        ? { id: source.id, ...source.data() }
+        : source;
+    return this.normalize(collection, data);
+  },
+
+  submission(source) {
+    return this.fromDoc("submissions", source);
+  },
+
+  member(source) {
+    return this.fromDoc("members", source);
+  },
+
+  /**
+   * ==========================================
+   * MIGRATIONS
+   * ==========================================
+   *
+   * Each migration turns a document at version - 1 into one at
+   * version. up() returns a patch:
+   *   {set: {field: value}, remove: [field], renamed: ["old -> new"],
+   *    conflicts: ["field: old and new differ"]}
+   * A document with conflicts is left untouched for an officer to
+   * resolve by hand.
+   */
+
+  MIGRATIONS: [
+    {
+      version: 1,
+      description:
+        "Legacy field names: proofURL/popImageUrl/popImage -> proofUrl, " +
+        "memberName -> name, month -> paymentMonth, totalSaved -> totalSavings",
+      up(collection, data) {
+        const patch = { set: {}, remove: [], renamed: [], conflicts: [] };
+
+        for (const [field, aliases] of Object.entries(
+          Schema.LEGACY_FIELDS[collection] || {},
+        )) {
+          let value = data[field];
+
+          for (const alias of aliases) {
+            if (data[alias] === undefined) continue;
+            const legacy = data[alias];
+
+            if (Schema.isEmpty(value) && !Schema.isEmpty(legacy)) {
+              value = legacy;
+              patch.set[field] = legacy;
+              patch.renamed.push(`${alias} -> ${field}`);
+            } else if (!Schema.isEmpty(legacy) && legacy !== value) {
+              patch.conflicts.push(`${field}: ${alias} holds a different value`);
+            }
+            patch.remove.push(alias);
+          }
+        }
+
+        return patch;
+      },
+    },
+  ],
+
+  /**
+   * Work out what migrating a document to VERSION would change
+   *
+   * @param {string} collection
+   * @param {object} data - Stored fields (no id)
+   * @returns {object} {fromVersion, set, remove, renamed, conflicts}
+   */
+  planMigration(collection, data) {
+    const fromVersion = data.schemaVersion || 0;
+    const plan = {
+      fromVersion,
+      set: {},
+      remove: [],
+      renamed: [],
+      conflicts: [],
+    };
+    let current = { ...data };
+
+    this.MIGRATIONS.filter((m) => m.version > fromVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach((migration) => {
+        const patch = migration.up(collection, current);
+
+        Object.assign(plan.set, patch.set);
+        plan.remove.push(...patch.remove);
+        plan.renamed.push(...patch.renamed);
+        plan.conflicts.push(...patch.conflicts);
+
+        current = { ...current, ...patch.set };
+        patch.remove.forEach((field) => delete current[field]);
+      });
+
+    plan.result = current;
+    return plan;
+  },
+};
+
+// Export for use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Schema;
+} else {
+  window.Schema = Schema;
+}
@@ -1,24 +1,21 @@
 /**
  * =====================================================
- * TSHIKOTA RO FARANA - SMS SERVICE (SMSPortal Integration)
+ * TSHIKOTA RO FARANA - SMS SERVICE (Client)
  * =====================================================
  * 
- * SMS notification service using SMSPortal REST API.
- * South African SMS provider with reliable delivery.
- * 
- * API DOCUMENTATION: https://docs.smsportal.com/docs/rest
+ * Thin client for the server-side SMS service (functions/sms.js).
+ * The browser names a template and passes its parameters; the
+ * Cloud Function renders the message, holds the provider
+ * credentials, enforces per-phone rate limits and writes smsLogs.
  * 
  * FEATURES:
- * - Send SMS notifications via SMSPortal REST API
+ * - Template-based sending via the sendSms callable
  * - SA phone number formatting (+27 / 27 format)
- * - Pre-defined message templates for stokvel operations
- * - OTP generation and verification for password reset
- * - SMS audit logging to Firestore
- * - Test mode support (no credits deducted)
+ * - Bulk sending and credit balance (officers only)
+ * - SMS log lookup for the admin dashboard
  * 
- * AUTHENTICATION:
- * - Basic HTTP Authentication with Base64 encoded credentials
- * - Format: Base64(ClientID:APISecret)
+ * Password reset codes are generated and sent entirely
+ * server-side (functions/members.js).
  * 
  * PRICING (approx): R0.25-R0.35 per SMS (South Africa)
  * 
@@ -26,82 +23,6 @@
  */
 
 const SMS = {
-    /**
-     * ==========================================
-     * CONFIGURATION
-     * ==========================================
-     * 
-     * SMSPortal API credentials and settings.
-     * Get your credentials from: https://cp.smsportal.com
-     */
-    config: {
-        // SMSPortal API credentials
-        // ⚠️ SECURITY NOTE: In production, consider using Firebase Cloud Functions
-        //    to keep credentials server-side. For client-side usage, ensure your
-        //    domain is whitelisted in SMSPortal settings.
-        clientId: '784d7c57-4f62-41f1-85bc-369301895b95',
-        apiSecret: '7bcf0228-0089-4ae8-b589-55535247d342',
-        
-        // API endpoints
-        baseUrl: 'https://rest.smsportal.com',
-        version: 'v1',
-        
-        // Settings
-        testMode: false,  // Set to true to test without sending real SMS (no credits deducted)
-        logToFirestore: true,  // Log all SMS to Firestore for audit trail
-        
-        // Sender ID (optional - will use default if not registered)
-        senderId: 'TshikotaRF',
-        
-        // South African country code
-        countryCode: '27'
-    },
-
-    /**
-     * ==========================================
-     * MESSAGE TEMPLATES (Under 160 chars for single SMS billing)
-     * ==========================================
-     * 
-     * Pre-defined SMS templates for stokvel operations.
-     * All messages kept under 160 characters for single SMS billing.
-     */
-    templates: {
-        // Registration confirmation (158 chars max)
-        registration: (name, memberRef) => 
-            `Welcome to Tshikota Ro Farana, ${name}! Ref: ${memberRef}. Min R300/month by the 7th. Keep saving! - Tshikota RF`,
-        
-        // POP submission confirmation (156 chars max)
-        popSubmitted: (name, amount, month, reference) => 
-            `Hi ${name}, R${amount} POP for ${month} received (${reference}). Pending admin approval. - Tshikota RF`,
-        
-        // Payment approved notification (155 chars max)
-        paymentApproved: (name, amount, month, totalSaved) => 
-            `Great news ${name}! R${amount} for ${month} approved. Total saved: R${totalSaved}. Keep it up! - Tshikota RF`,
-        
-        // Payment rejected notification (158 chars max)
-        paymentRejected: (name, amount, month, reason) => 
-            `Hi ${name}, R${amount} POP for ${month} declined: ${reason}. Please resubmit. - Tshikota RF`,
-        
-        // Late payment reminder (150 chars max)
-        lateReminder: (name, month) => 
-            `Reminder ${name}: ${month} payment is late. R50 fine applies after 7th. Pay now! - Tshikota RF`,
-        
-        // Password reset OTP (120 chars max)
-        passwordReset: (otp) => 
-            `Your Tshikota Ro Farana reset code: ${otp}. Valid for 10 mins. Do not share. - Tshikota RF`,
-        
-        // Interest eligibility notification (140 chars max)
-        interestEligible: (name, totalSaved) => 
-            `Congrats ${name}! R${totalSaved} saved - you qualify for interest share! - Tshikota RF`,
-        
-        // Month-end reminder (145 chars max)
-        monthEndReminder: (name, nextMonth) => 
-            `Hi ${name}, ${nextMonth} contribution due by 7th. Min R300. Avoid R50 late fee! - Tshikota RF`,
-        
-        // Custom message (admin use)
-        custom: (message) => message
-    },
-
     /**
      * ==========================================
      * CORE SMS FUNCTIONS
@@ -109,223 +30,75 @@ const SMS = {
      */
 
     /**
-     * Send SMS via SMSPortal REST API
+     * Send a templated SMS through the sendSms Cloud Function
+     * Officers only; any template, including 'custom' ({message}).
+     * Members' own confirmations are sent by the server (see below).
      * 
+     * @param {string} template - Template name (see functions/sms.js)
+     * @param {object} params - Template parameters
      * @param {string} phoneNumber - Recipient phone number (SA format)
-     * @param {string} message - Message content (max 160 chars for single SMS)
-     * @param {object} options - Additional options (testMode, etc.)
-     * @returns {Promise<object>} API response with success status
+     * @returns {Promise<object>} {success, eventId} or {success: false, code, error}
      */
-    async sendSMS(phoneNumber, message, options = {}) {
+    async send(template, params, phoneNumber) {
         try {
-            // Validate inputs
-            if (!phoneNumber || !message) {
-                throw new Error('Phone number and message are required');
-            }
+            if (!functions) throw new Error('Cloud Functions SDK not loaded');
 
-            // Format phone number for SA (E.164 format: 27XXXXXXXXX)
-            const formattedPhone = this.formatPhoneNumber(phoneNumber);
-            
-            if (!formattedPhone) {
+            if (!this.formatPhoneNumber(phoneNumber)) {
                 throw new Error('Invalid phone number format');
             }
 
-            // Warn if message too long (will be billed as multiple SMS)
-            if (message.length > 160) {
-                console.warn(`⚠️ SMS message is ${message.length} chars. May be billed as multiple SMS.`);
-            }
-
-            console.log(`📱 Sending SMS to ${formattedPhone}...`);
-            console.log(`   Message (${message.length} chars): "${message.substring(0, 50)}..."`);
-
-            // Build request payload
-            const payload = {
-                messages: [{
-                    destination: formattedPhone,
-                    content: message
-                }]
-            };
-
-            // Add test mode if configured
-            if (this.config.testMode || options.testMode) {
-                payload.testMode = true;
-                console.log('🧪 TEST MODE - No real SMS will be sent, no credits deducted');
-            }
-
-            // Build API URL
-            const apiUrl = `${this.config.baseUrl}/${this.config.version}/bulkmessages`;
-
-            // Create Basic Auth header (Base64 encoded ClientID:APISecret)
-            const credentials = `${this.config.clientId}:${this.config.apiSecret}`;
-            const base64Credentials = btoa(credentials);
-
-            // Make API request
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Basic ${base64Credentials}`,
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify(payload)
+            const result = await functions.httpsCallable('sendSms')({
+                template,
+                params,
+                phone: phoneNumber
             });
 
-            // Parse response
-            const responseData = await response.json();
-
-            // Check for success
-            if (response.ok) {
-                console.log('✅ SMS sent successfully!');
-                console.log(`   Event ID: ${responseData.eventId}`);
-                console.log(`   Cost: ${responseData.cost} credit(s)`);
-                console.log(`   Remaining Balance: ${responseData.remainingBalance}`);
-
-                // Log to Firestore for audit trail
-                if (this.config.logToFirestore) {
-                    await this.logSMS({
-                        phone: formattedPhone,
-                        message: message,
-                        status: 'sent',
-                        eventId: responseData.eventId,
-                        cost: responseData.cost,
-                        remainingBalance: responseData.remainingBalance,
-                        testMode: payload.testMode || false
-                    });
-                }
-
-                return {
-                    success: true,
-                    eventId: responseData.eventId,
-                    cost: responseData.cost,
-                    remainingBalance: responseData.remainingBalance,
-                    message: 'SMS sent successfully'
-                };
-            } else {
-                // API returned error
-                console.error('❌ SMS API error:', responseData);
-
-                // Log failed attempt
-                if (this.config.logToFirestore) {
-                    await this.logSMS({
-                        phone: formattedPhone,
-                        message: message.substring(0, 100),
-                        status: 'failed',
-                        error: responseData.errorMessage || response.statusText,
-                        errorCode: responseData.errorCode
-                    });
-                }
-
-                return {
-                    success: false,
-                    error: responseData.errorMessage || 'SMS sending failed',
-                    errorCode: responseData.errorCode
-                };
-            }
+            console.log(`✅ SMS sent (${template})`);
+            return { success: true, ...result.data };
 
         } catch (error) {
-            console.error('❌ SMS send error:', error.message);
-
-            // Log error to Firestore
-            if (this.config.logToFirestore) {
-                try {
-                    await this.logSMS({
-                        phone: phoneNumber,
-                        message: message?.substring(0, 50) + '...',
-                        status: 'error',
-                        error: error.message
-                    });
-                } catch (logError) {
-                    console.warn('Could not log SMS error:', logError.message);
-                }
-            }
-
+            console.error(`❌ SMS send error (${template}):`, error.message);
             return {
                 success: false,
+                code: (error.code || '').replace('functions/', ''),
                 error: error.message || 'Failed to send SMS'
             };
         }
     },
 
     /**
-     * Send bulk SMS to multiple recipients (up to 500 per batch)
+     * Send a free-text SMS (officers only)
+     * 
+     * @param {string} phoneNumber - Recipient phone number (SA format)
+     * @param {string} message - Message content (max 160 chars for single SMS)
+     * @returns {Promise<object>} Send result
+     */
+    async sendSMS(phoneNumber, message) {
+        return await this.send('custom', { message }, phoneNumber);
+    },
+
+    /**
+     * Send templated SMS to multiple recipients (officers only, max 500)
      * 
-     * @param {Array} recipients - Array of {phone, message} objects
-     * @param {object} options - Additional options
-     * @returns {Promise<object>} API response with batch results
+     * @param {Array} recipients - Array of {phone, template, params} objects
+     * @returns {Promise<object>} {success, sent, failed, results}
      */
-    async sendBulkSMS(recipients, options = {}) {
+    async sendBulkSMS(recipients) {
         try {
+            if (!functions) throw new Error('Cloud Functions SDK not loaded');
+
             if (!Array.isArray(recipients) || recipients.length === 0) {
                 throw new Error('Recipients array is required');
             }
 
-            // SMSPortal allows up to 500 messages per batch
-            if (recipients.length > 500) {
-                throw new Error('Maximum 500 messages per batch. Split into multiple requests.');
-            }
-
             console.log(`📱 Sending bulk SMS to ${recipients.length} recipients...`);
 
-            // Format all phone numbers and filter invalid ones
-            const messages = recipients
-                .map(r => ({
-                    destination: this.formatPhoneNumber(r.phone),
-                    content: r.message
-                }))
-                .filter(m => m.destination !== null);
-
-            if (messages.length === 0) {
-                throw new Error('No valid phone numbers in recipients');
-            }
-
-            if (messages.length !== recipients.length) {
-                console.warn(`⚠️ ${recipients.length - messages.length} invalid numbers filtered out`);
-            }
-
-            // Build payload
-            const payload = { messages };
-
-            if (this.config.testMode || options.testMode) {
-                payload.testMode = true;
-                console.log('🧪 TEST MODE - No real SMS will be sent');
-            }
-
-            // Make API request
-            const apiUrl = `${this.config.baseUrl}/${this.config.version}/bulkmessages`;
-            const credentials = `${this.config.clientId}:${this.config.apiSecret}`;
-            const base64Credentials = btoa(credentials);
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Basic ${base64Credentials}`,
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify(payload)
+            const result = await functions.httpsCallable('sendBulkSms')({
+                messages: recipients
             });
 
-            const responseData = await response.json();
-
-            if (response.ok) {
-                console.log('✅ Bulk SMS sent successfully!');
-                console.log(`   Messages sent: ${messages.length}`);
-                console.log(`   Total cost: ${responseData.cost} credit(s)`);
-
-                return {
-                    success: true,
-                    eventId: responseData.eventId,
-                    cost: responseData.cost,
-                    remainingBalance: responseData.remainingBalance,
-                    messagesSent: messages.length
-                };
-            } else {
-                console.error('❌ Bulk SMS error:', responseData);
-                return {
-                    success: false,
-                    error: responseData.errorMessage || 'Bulk SMS failed'
-                };
-            }
+            console.log(`✅ Bulk SMS: ${result.data.sent} sent, ${result.data.failed} failed`);
+            return { success: true, ...result.data };
 
         } catch (error) {
             console.error('❌ Bulk SMS error:', error.message);
@@ -337,40 +110,31 @@ const SMS = {
     },
 
     /**
-     * Check SMS credit balance from SMSPortal
+     * Check SMS credit balance (officers only)
+     * Reports the primary provider and, if configured, the fallback
      * 
      * @returns {Promise<object>} Balance information
      */
     async getBalance() {
         try {
-            const apiUrl = `${this.config.baseUrl}/${this.config.version}/balance`;
-            const credentials = `${this.config.clientId}:${this.config.apiSecret}`;
-            const base64Credentials = btoa(credentials);
-
-            const response = await fetch(apiUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Basic ${base64Credentials}`,
-                    'Accept': 'application/json'
-                }
-            });
+            if (!functions) throw new Error('Cloud Functions SDK not loaded');
+
+            const result = await functions.httpsCallable('getSmsBalance')();
 
-            const data = await response.json();
-
-            if (response.ok) {
-                console.log('💰 SMS Balance:', data.balance);
-                return {
-                    success: true,
-                    balance: data.balance,
-                    currency: 'ZAR'
-                };
-            } else {
-                return {
-                    success: false,
-                    error: data.errorMessage || 'Failed to get balance'
-                };
+            if (!result.data.success) {
+                return { success: false, error: result.data.error || 'Failed to get balance' };
             }
 
+            console.log('💰 SMS Balance:', result.data.balance);
+            return {
+                success: true,
+                balance: result.data.balance,
+                provider: result.data.provider,
+                currency: result.data.currency || 'credits',
+                // Secondary provider, when SMS_FALLBACK_PROVIDER is set
+                fallback: result.data.fallback || null
+            };
+
         } catch (error) {
             console.error('Balance check error:', error.message);
             return {
@@ -380,6 +144,45 @@ const SMS = {
         }
     },
 
+    /**
+     * ==========================================
+     * PAYMENT REMINDERS (officers only)
+     * ==========================================
+     * 
+     * Runs are built server-side (functions/reminders.js): active
+     * members with no verified payment for the month, minus opt-outs
+     * and anyone already reminded.
+     */
+
+    /**
+     * Preview who a reminder run would reach and what it would cost
+     * 
+     * @param {string} template - 'monthEndReminder' or 'lateReminder'
+     * @param {string} month - Payment month (e.g., "March 2025")
+     * @returns {Promise<object>} {recipients, skipped, smsCount, estimatedCost}
+     */
+    async previewReminders(template, month) {
+        if (!functions) throw new Error('Cloud Functions SDK not loaded');
+
+        const result = await functions.httpsCallable('previewReminders')({ template, month });
+        return result.data;
+    },
+
+    /**
+     * Send a reminder run
+     * 
+     * @param {string} template - 'monthEndReminder' or 'lateReminder'
+     * @param {string} month - Payment month
+     * @returns {Promise<object>} {sent, queued, failed, estimatedCost}
+     */
+    async sendReminders(template, month) {
+        if (!functions) throw new Error('Cloud Functions SDK not loaded');
+
+        const result = await functions.httpsCallable('sendReminders')({ template, month });
+        console.log(`📱 Reminders: ${result.data.sent} sent, ${result.data.queued} queued, ${result.data.failed} failed`);
+        return result.data;
+    },
+
     /**
      * ==========================================
      * PHONE NUMBER UTILITIES
@@ -464,37 +267,32 @@ const SMS = {
      * ==========================================
      * 
      * Convenience methods for common SMS notifications.
-     * All use pre-defined templates to ensure consistent messaging.
+     * Message text lives in the server templates.
      */
 
     /**
-     * Send registration confirmation SMS
+     * Send the signed-in member their registration confirmation
+     * The server fills in the number and details from their member
+     * record. POP confirmations are sent by the server on submission.
      * 
-     * @param {string} phone - Member phone number
-     * @param {string} name - Member first name
-     * @param {string} memberRef - Member reference code (e.g., TRF-M1234)
-     * @returns {Promise<object>} Send result
+     * @returns {Promise<object>} {success, queueId} or {success: false, code, error}
      */
-    async sendRegistrationConfirmation(phone, name, memberRef) {
-        const message = this.templates.registration(name, memberRef);
-        console.log(`📱 Sending registration SMS to ${name}...`);
-        return await this.sendSMS(phone, message);
-    },
+    async sendRegistrationConfirmation() {
+        try {
+            if (!functions) throw new Error('Cloud Functions SDK not loaded');
 
-    /**
-     * Send POP submission confirmation
-     * 
-     * @param {string} phone - Member phone number
-     * @param {string} name - Member name
-     * @param {number} amount - Payment amount in Rands
-     * @param {string} month - Payment month (e.g., "January 2024")
-     * @param {string} reference - Submission reference (e.g., TRF-12345)
-     * @returns {Promise<object>} Send result
-     */
-    async sendPOPConfirmation(phone, name, amount, month, reference) {
-        const message = this.templates.popSubmitted(name, amount, month, reference);
-        console.log(`📱 Sending POP confirmation to ${name}...`);
-        return await this.sendSMS(phone, message);
+            console.log('📱 Sending registration SMS...');
+            const result = await functions.httpsCallable('sendRegistrationSms')();
+            return { success: true, ...result.data };
+
+        } catch (error) {
+            console.error('❌ SMS send error (registration):', error.message);
+            return {
+                success: false,
+                code: (error.code || '').replace('functions/', ''),
+                error: error.message || 'Failed to send SMS'
+            };
+        }
     },
 
     /**
@@ -508,9 +306,8 @@ const SMS = {
      * @returns {Promise<object>} Send result
      */
     async sendApprovalNotification(phone, name, amount, month, totalSaved) {
-        const message = this.templates.paymentApproved(name, amount, month, totalSaved);
         console.log(`📱 Sending approval SMS to ${name}...`);
-        return await this.sendSMS(phone, message);
+        return await this.send('paymentApproved', { name, amount, month, totalSaved }, phone);
     },
 
     /**
@@ -520,19 +317,34 @@ const SMS = {
      * @param {string} name - Member name
      * @param {number} amount - Rejected amount
      * @param {string} month - Payment month
-     * @param {string} reason - Rejection reason (keep short!)
+     * @param {string} reason - Rejection reason (shortened server-side)
      * @returns {Promise<object>} Send result
      */
     async sendRejectionNotification(phone, name, amount, month, reason) {
-        // Truncate reason if too long
-        const shortReason = reason.length > 40 ? reason.substring(0, 37) + '...' : reason;
-        const message = this.templates.paymentRejected(name, amount, month, shortReason);
         console.log(`📱 Sending rejection SMS to ${name}...`);
-        return await this.sendSMS(phone, message);
+        return await this.send('paymentRejected', { name, amount, month, reason }, phone);
+    },
+
+    /**
+     * Send payment adjustment notification
+     * Used when a verified payment is reversed or amended
+     * 
+     * @param {string} phone - Member phone number
+     * @param {string} name - Member name
+     * @param {string} reference - Original submission reference
+     * @param {string} month - Payment month
+     * @param {string} reason - Adjustment reason (shortened server-side)
+     * @param {number} totalSaved - Member's total savings after the adjustment
+     * @returns {Promise<object>} Send result
+     */
+    async sendAdjustmentNotification(phone, name, reference, month, reason, totalSaved) {
+        console.log(`📱 Sending adjustment SMS to ${name}...`);
+        return await this.send('paymentAdjusted', { name, reference, month, reason, totalSaved }, phone);
     },
 
     /**
      * Send late payment reminder
+     * Quotes the fine and due day in force for that month
      * 
      * @param {string} phone - Member phone number
      * @param {string} name - Member name
@@ -540,9 +352,14 @@ const SMS = {
      * @returns {Promise<object>} Send result
      */
     async sendLateReminder(phone, name, month) {
-        const message = this.templates.lateReminder(name, month);
         console.log(`📱 Sending late reminder to ${name}...`);
-        return await this.sendSMS(phone, message);
+        const rules = await Rules.forMonth(month);
+        return await this.send('lateReminder', {
+            name,
+            month,
+            fine: rules.lateFineAmount,
+            dueDay: rules.paymentDueDay
+        }, phone);
     },
 
     /**
@@ -554,13 +371,13 @@ const SMS = {
      * @returns {Promise<object>} Send result
      */
     async sendInterestEligibleNotification(phone, name, totalSaved) {
-        const message = this.templates.interestEligible(name, totalSaved);
         console.log(`📱 Sending interest eligibility SMS to ${name}...`);
-        return await this.sendSMS(phone, message);
+        return await this.send('interestEligible', { name, totalSaved }, phone);
     },
 
     /**
      * Send month-end payment reminder
+     * Quotes the rules in force for the upcoming month
      * 
      * @param {string} phone - Member phone number
      * @param {string} name - Member name
@@ -568,179 +385,82 @@ const SMS = {
      * @returns {Promise<object>} Send result
      */
     async sendMonthEndReminder(phone, name, nextMonth) {
-        const message = this.templates.monthEndReminder(name, nextMonth);
         console.log(`📱 Sending month-end reminder to ${name}...`);
-        return await this.sendSMS(phone, message);
+        const rules = await Rules.forMonth(nextMonth);
+        return await this.send('monthEndReminder', {
+            name,
+            nextMonth,
+            minimum: rules.minimumDeposit,
+            fine: rules.lateFineAmount,
+            dueDay: rules.paymentDueDay
+        }, phone);
     },
 
     /**
-     * ==========================================
-     * OTP FUNCTIONS (Password Reset)
-     * ==========================================
+     * Send loan approval with the first instalment
+     * 
+     * @param {string} phone - Member phone number
+     * @param {string} name - Member name
+     * @param {number} amount - Loan amount
+     * @param {number} months - Number of instalments
+     * @param {number} instalment - Monthly instalment
+     * @param {string} firstDue - First due date, formatted
+     * @returns {Promise<object>} Send result
      */
+    async sendLoanApproved(phone, name, amount, months, instalment, firstDue) {
+        console.log(`📱 Sending loan approval SMS to ${name}...`);
+        return await this.send('loanApproved', { name, amount, months, instalment, firstDue }, phone);
+    },
 
     /**
-     * Generate and send OTP for password reset
-     * OTP is stored in Firestore with 10-minute expiry.
+     * Send loan declined notification
      * 
      * @param {string} phone - Member phone number
-     * @returns {Promise<object>} Result with success status
+     * @param {string} name - Member name
+     * @param {number} amount - Amount applied for
+     * @param {string} reason - Why it was declined
+     * @returns {Promise<object>} Send result
      */
-    async sendPasswordResetOTP(phone) {
-        try {
-            const formattedPhone = this.formatPhoneNumber(phone);
-            
-            if (!formattedPhone) {
-                return { success: false, error: 'Invalid phone number' };
-            }
-
-            // Generate 6-digit OTP
-            const otp = this.generateOTP(6);
-
-            // Store OTP in Firestore with 10-minute expiry
-            const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
-            
-            await db.collection('otpCodes').doc(formattedPhone).set({
-                otp: otp,
-                phone: formattedPhone,
-                createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                expiresAt: firebase.firestore.Timestamp.fromDate(expiresAt),
-                used: false,
-                attempts: 0
-            });
-
-            // Send OTP via SMS
-            const message = this.templates.passwordReset(otp);
-            const result = await this.sendSMS(phone, message);
-
-            if (result.success) {
-                console.log('✅ Password reset OTP sent');
-                return { success: true, message: 'OTP sent to your phone' };
-            } else {
-                // Delete OTP if SMS failed
-                await db.collection('otpCodes').doc(formattedPhone).delete();
-                return { success: false, error: 'Failed to send OTP. Please try again.' };
-            }
-
-        } catch (error) {
-            console.error('Send OTP error:', error);
-            return { success: false, error: error.message };
-        }
+    async sendLoanDeclined(phone, name, amount, reason) {
+        console.log(`📱 Sending loan declined SMS to ${name}...`);
+        return await this.send('loanDeclined', { name, amount, reason }, phone);
     },
 
     /**
-     * Verify OTP code for password reset
+     * Send loan repayment confirmation
      * 
      * @param {string} phone - Member phone number
-     * @param {string} otp - OTP code entered by user
-     * @returns {Promise<boolean>} Whether OTP is valid
+     * @param {string} name - Member name
+     * @param {number} amount - Amount repaid
+     * @param {number} balance - Still owed
+     * @returns {Promise<object>} Send result
      */
-    async verifyOTP(phone, otp) {
-        try {
-            const formattedPhone = this.formatPhoneNumber(phone);
-            
-            if (!formattedPhone) {
-                console.log('Invalid phone format for OTP verification');
-                return false;
-            }
-
-            // Get stored OTP from Firestore
-            const docRef = db.collection('otpCodes').doc(formattedPhone);
-            const doc = await docRef.get();
-            
-            if (!doc.exists) {
-                console.log('No OTP found for this phone');
-                return false;
-            }
-
-            const data = doc.data();
-
-            // Check if already used
-            if (data.used) {
-                console.log('OTP already used');
-                return false;
-            }
-
-            // Check if expired (10 minutes)
-            const now = new Date();
-            const expiresAt = data.expiresAt?.toDate?.() || new Date(data.expiresAt);
-            
-            if (now > expiresAt) {
-                console.log('OTP has expired');
-                await docRef.delete();
-                return false;
-            }
-
-            // Check if too many attempts (max 3)
-            if (data.attempts >= 3) {
-                console.log('Too many OTP attempts');
-                await docRef.delete();
-                return false;
-            }
-
-            // Check if OTP matches
-            if (data.otp !== otp.toString()) {
-                console.log('OTP mismatch');
-                // Increment attempt counter
-                await docRef.update({
-                    attempts: firebase.firestore.FieldValue.increment(1)
-                });
-                return false;
-            }
-
-            // OTP is valid! Mark as used
-            await docRef.update({
-                used: true,
-                usedAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
-
-            console.log('✅ OTP verified successfully');
-            return true;
-
-        } catch (error) {
-            console.error('OTP verification error:', error);
-            return false;
-        }
+    async sendLoanRepayment(phone, name, amount, balance) {
+        console.log(`📱 Sending loan repayment SMS to ${name}...`);
+        return await this.send('loanRepayment', { name, amount, balance }, phone);
     },
 
     /**
-     * Generate numeric OTP code
+     * Send rotation payout confirmation
      * 
-     * @param {number} length - OTP length (default 6)
-     * @returns {string} Generated OTP
+     * @param {string} phone - Member phone number
+     * @param {string} name - Member name
+     * @param {number} amount - Amount paid out
+     * @param {string} month - Payout month, e.g. "March 2026"
+     * @returns {Promise<object>} Send result
      */
-    generateOTP(length = 6) {
-        let otp = '';
-        for (let i = 0; i < length; i++) {
-            otp += Math.floor(Math.random() * 10);
-        }
-        return otp;
+    async sendRotationPayout(phone, name, amount, month) {
+        console.log(`📱 Sending rotation payout SMS to ${name}...`);
+        return await this.send('rotationPayout', { name, amount, month }, phone);
     },
 
     /**
      * ==========================================
      * LOGGING & AUDIT TRAIL
      * ==========================================
-     */
-
-    /**
-     * Log SMS to Firestore for audit trail
      * 
-     * @param {object} logData - SMS log data
+     * smsLogs are written by the Cloud Function; officers can read them.
      */
-    async logSMS(logData) {
-        try {
-            await db.collection('smsLogs').add({
-                ...logData,
-                provider: 'smsportal',
-                timestamp: firebase.firestore.FieldValue.serverTimestamp()
-            });
-            console.log('📝 SMS logged to Firestore');
-        } catch (error) {
-            // Don't throw - logging failure shouldn't break SMS sending
-            console.warn('⚠️ Failed to log SMS:', error.message);
-        }
-    },
 
     /**
      * Get SMS logs (for admin dashboard)
@@ -785,71 +505,38 @@ const SMS = {
     },
 
     /**
-     * ==========================================
-     * UTILITY & CONTROL FUNCTIONS
-     * ==========================================
+     * Get a member's SMS delivery history (officers only)
+     * Reads smsQueue, which tracks each message from queued to delivered
+     * 
+     * @param {string} memberId - Member document ID
+     * @param {number} limit - Max messages to return
+     * @returns {Promise<Array>} Queue entries, newest first
      */
+    async getDeliveryHistory(memberId, limit = 50) {
+        try {
+            const snapshot = await db.collection('smsQueue')
+                .where('memberId', '==', memberId)
+                .limit(limit)
+                .get();
 
-    /**
-     * Enable test mode (SMS not actually sent, no credits used)
-     */
-    enableTestMode() {
-        this.config.testMode = true;
-        console.log('🧪 SMS Test Mode ENABLED');
-        console.log('   - SMS will NOT be sent');
-        console.log('   - No credits will be deducted');
-        console.log('   - API will still return success response');
-    },
+            const history = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
 
-    /**
-     * Disable test mode (real SMS will be sent)
-     */
-    disableTestMode() {
-        this.config.testMode = false;
-        console.log('📱 SMS Test Mode DISABLED');
-        console.log('   - Real SMS will be sent');
-        console.log('   - Credits will be deducted');
-    },
+            // Sort in JS (avoids needing composite index)
+            history.sort((a, b) => {
+                const dateA = a.createdAt?.toDate?.() || new Date(0);
+                const dateB = b.createdAt?.toDate?.() || new Date(0);
+                return dateB - dateA;
+            });
 
-    /**
-     * Check if test mode is enabled
-     * 
-     * @returns {boolean} Test mode status
-     */
-    isTestMode() {
-        return this.config.testMode;
-    },
+            return history;
 
-    /**
-     * Update API credentials (use if credentials change)
-     * 
-     * @param {string} clientId - New SMSPortal Client ID
-     * @param {string} apiSecret - New SMSPortal API Secret
-     */
-    updateCredentials(clientId, apiSecret) {
-        if (!clientId || !apiSecret) {
-            console.error('Both clientId and apiSecret are required');
-            return;
+        } catch (error) {
+            console.error('Get SMS history error:', error);
+            return [];
         }
-        this.config.clientId = clientId;
-        this.config.apiSecret = apiSecret;
-        console.log('🔐 SMS credentials updated');
-    },
-
-    /**
-     * Get current configuration (for debugging - hides secret)
-     * 
-     * @returns {object} Config with masked secret
-     */
-    getConfig() {
-        return {
-            clientId: this.config.clientId,
-            apiSecret: '****' + this.config.apiSecret.slice(-4),
-            baseUrl: this.config.baseUrl,
-            version: this.config.version,
-            testMode: this.config.testMode,
-            logToFirestore: this.config.logToFirestore
-        };
     }
 };
 
@@ -857,7 +544,4 @@ const SMS = {
 window.SMS = SMS;
 
 // Log initialization
-console.log('📱 SMS Service initialized (SMSPortal)');
-console.log(`   Provider: SMSPortal (https://smsportal.com)`);
-console.log(`   Test Mode: ${SMS.config.testMode ? '🧪 ON (no real SMS)' : '📱 OFF (real SMS)'}`);
-console.log(`   Firestore Logging: ${SMS.config.logToFirestore ? 'ON' : 'OFF'}`);
\ No newline at end of file
+console.log('📱 SMS Service initialized (server-side sending)');
@@ -0,0 +1,413 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - CONTRIBUTION STATEMENTS
+ * =====================================================
+ *
+ * Members download a PDF statement of their account for a date range,
+ * for disputes or loan applications. The figures and the verification
+ * code come from the issueStatement function (functions/statements.js),
+ * which records what was issued; this module only draws the PDF.
+ * Officers check a code someone shows them with verify().
+ *
+ * The PDF is drawn with jsPDF, served from our own hosting and loaded
+ * only when a statement is downloaded:
+ *
+ *   vendor/jspdf/jspdf.umd.min.js   jspdf 2.5.2 (dist/)
+ *
+ * copied there from node_modules by scripts/vendor.js.
+ *
+ * =====================================================
+ */
+
+const Statement = {
+  /**
+   * ==========================================
+   * CONFIGURATION
+   * ==========================================
+   */
+
+  PDF_LIBRARY: "vendor/jspdf/jspdf.umd.min.js",
+  LOGO: "assets/logo/logo.tshikota.jpeg",
+
+  // A4 portrait, millimetres
+  PAGE: { width: 210, height: 297, margin: 15 },
+
+  BRAND_COLOR: [27, 94, 32], // #1B5E20
+
+  /**
+   * ==========================================
+   * ISSUE & VERIFY
+   * ==========================================
+   */
+
+  /**
+   * Ask the server for a statement
+   * Members get their own; officers pass a memberId
+   *
+   * @param {string} from - First day, "2025-01-01"
+   * @param {string} to - Last day, "2025-12-31"
+   * @param {string} [memberId] - Officers only
+   * @returns {Promise<object>} Statement with code, rows and totals
+   */
+  async issue(from, to, memberId) {
+    if (!functions) throw new Error("Cloud Functions SDK not loaded");
+
+    const result = await functions.httpsCallable("issueStatement")({
+      from,
+      to,
+      memberId,
+    });
+    return result.data;
+  },
+
+  /**
+   * Look up a statement by the code printed on it (officers)
+   * @param {string} code - e.g. "7KQ2-M9XD-4PRT"
+   * @returns {Promise<object>} The figures recorded when it was issued
+   */
+  async verify(code) {
+    if (!functions) throw new Error("Cloud Functions SDK not loaded");
+
+    const result = await functions.httpsCallable("verifyStatement")({ code });
+    return result.data;
+  },
+
+  /**
+   * Issue a statement and save it as a PDF
+   *
+   * @param {string} from
+   * @param {string} to
+   * @returns {Promise<object>} The statement
+   */
+  async download(from, to) {
+    const [statement] = await Promise.all([
+      this.issue(from, to),
+      this.loadLibrary(),
+    ]);
+
+    const pdf = await this.render(statement);
+    pdf.save(this.fileName(statement));
+    return statement;
+  },
+
+  fileName(statement) {
+    const who = (statement.memberRef || "member").replace(/[^A-Za-z0-9-]/g, "");
+    return `Tshikota-statement-${who}-${statement.from}-to-${statement.to}.pdf`;
+  },
+
+  /**
+   * ==========================================
+   * PDF
+   * ==========================================
+   */
+
+  /**
+   * Draw the statement
+   * @param {object} statement - From issue()
+   * @returns {Promise<object>} jsPDF document
+   */
+  async render(statement) {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ unit: "mm", format: "a4" });
+    const logo = await this.loadLogo();
+
+    let y = this.drawHeader(pdf, statement, logo);
+    y = this.drawSummary(pdf, statement, y);
+    y = this.drawRows(pdf, statement, y);
+    this.drawNotes(pdf, y);
+    this.drawFooters(pdf, statement);
+
+    return pdf;
+  },
+
+  drawHeader(pdf, statement, logo) {
+    const { width, margin } = this.PAGE;
+    const textX = logo ? margin + 27 : margin;
+
+    if (logo) pdf.addImage(logo, "JPEG", margin, 12, 22, 22);
+
+    pdf.setTextColor(...this.BRAND_COLOR);
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(16);
+    pdf.text(`${APP_SETTINGS.stokvelName} Stokvel`, textX, 20);
+
+    pdf.setTextColor(60);
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(12);
+    pdf.text("Contribution Statement", textX, 27);
+
+    // Verification code, top right
+    pdf.setFontSize(8);
+    pdf.setTextColor(110);
+    pdf.text("Verification code", width - margin, 17, { align: "right" });
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(12);
+    pdf.setTextColor(20);
+    pdf.text(statement.code, width - margin, 23, { align: "right" });
+
+    pdf.setDrawColor(...this.BRAND_COLOR);
+    pdf.setLineWidth(0.6);
+    pdf.line(margin, 38, width - margin, 38);
+
+    // Member and period
+    const details = [
+      ["Member", statement.memberName],
+      ["Member number", statement.memberRef || "-"],
+      [
+        "Period",
+        `${this.formatDay(statement.from)} to ${this.formatDay(statement.to)}`,
+      ],
+      ["Issued", this.formatDay(statement.issuedAt.slice(0, 10))],
+    ];
+
+    let y = 46;
+    pdf.setFontSize(10);
+    details.forEach(([label, value]) => {
+      pdf.setFont("helvetica", "normal");
+      pdf.setTextColor(110);
+      pdf.text(label, margin, y);
+      pdf.setFont("helvetica", "bold");
+      pdf.setTextColor(20);
+      pdf.text(String(value), margin + 35, y);
+      y += 6;
+    });
+
+    return y + 4;
+  },
+
+  drawSummary(pdf, statement, y) {
+    const { width, margin } = this.PAGE;
+    const boxes = [
+      ["Opening balance", statement.openingBalance],
+      ["Contributions", statement.totals.contributions],
+      ["Reversals", statement.totals.reversals],
+      ["Fines paid", statement.totals.fines],
+      ["Closing balance", statement.closingBalance],
+    ];
+    // Interest shares are paid once a year; most statements have none
+    if (statement.totals.interest) {
+      boxes.splice(3, 0, ["Interest", statement.totals.interest]);
+    }
+    const boxWidth = (width - margin * 2) / boxes.length;
+
+    pdf.setFillColor(232, 245, 233);
+    pdf.rect(margin, y, width - margin * 2, 16, "F");
+
+    boxes.forEach(([label, value], index) => {
+      const x = margin + boxWidth * index + 3;
+      pdf.setFont("helvetica", "normal");
+      pdf.setFontSize(8);
+      pdf.setTextColor(90);
+      pdf.text(label, x, y + 6);
+      pdf.setFont("helvetica", "bold");
+      pdf.setFontSize(11);
+      pdf.setTextColor(20);
+      pdf.text(this.formatMoney(value), x, y + 12);
+    });
+
+    return y + 24;
+  },
+
+  // Column left edges; amounts are right-aligned to the next column
+  COLUMNS: {
+    date: 15,
+    description: 38,
+    reference: 108,
+    amount: 156,
+    fine: 174,
+    balance: 195,
+  },
+
+  drawTableHeader(pdf, y) {
+    const { width, margin } = this.PAGE;
+    const c = this.COLUMNS;
+
+    pdf.setFillColor(...this.BRAND_COLOR);
+    pdf.rect(margin, y, width - margin * 2, 7, "F");
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(8.5);
+    pdf.setTextColor(255);
+    pdf.text("Date", c.date + 1, y + 4.8);
+    pdf.text("Description", c.description, y + 4.8);
+    pdf.text("Reference", c.reference, y + 4.8);
+    pdf.text("Amount", c.amount, y + 4.8, { align: "right" });
+    pdf.text("Fine", c.fine, y + 4.8, { align: "right" });
+    pdf.text("Balance", c.balance - 1, y + 4.8, { align: "right" });
+
+    return y + 7;
+  },
+
+  drawRows(pdf, statement, y) {
+    const { width, height, margin } = this.PAGE;
+    const c = this.COLUMNS;
+    const bottom = height - 25;
+
+    y = this.drawTableHeader(pdf, y);
+
+    if (!statement.rows.length) {
+      pdf.setFont("helvetica", "italic");
+      pdf.setFontSize(9);
+      pdf.setTextColor(110);
+      pdf.text("No activity in this period.", c.description, y + 6);
+      return y + 12;
+    }
+
+    statement.rows.forEach((row, index) => {
+      pdf.setFontSize(8.5);
+      const lines = pdf.splitTextToSize(
+        this.describe(row),
+        c.reference - c.description - 3,
+      );
+      const rowHeight = lines.length * 4 + 3;
+
+      if (y + rowHeight > bottom) {
+        pdf.addPage();
+        y = this.drawTableHeader(pdf, margin);
+      }
+
+      if (index % 2) {
+        pdf.setFillColor(245, 245, 245);
+        pdf.rect(margin, y, width - margin * 2, rowHeight, "F");
+      }
+
+      const textY = y + 4.5;
+      const rejected = row.type === "rejection";
+      pdf.setFont("helvetica", rejected ? "italic" : "normal");
+      pdf.setTextColor(rejected ? 120 : 30);
+      pdf.text(this.formatDay(row.date, true), c.date + 1, textY);
+      pdf.text(lines, c.description, textY);
+      pdf.text(row.reference || "-", c.reference, textY);
+      pdf.text(row.amount ? this.formatMoney(row.amount) : "-", c.amount, textY, {
+        align: "right",
+      });
+      pdf.text(row.fine ? this.formatMoney(row.fine) : "-", c.fine, textY, {
+        align: "right",
+      });
+      pdf.setFont("helvetica", "bold");
+      pdf.text(this.formatMoney(row.balance), c.balance - 1, textY, {
+        align: "right",
+      });
+
+      y += rowHeight;
+    });
+
+    return y + 6;
+  },
+
+  /**
+   * Description column: the ledger memo, plus the month it paid for
+   */
+  describe(row) {
+    const month =
+      row.paymentMonth && !row.description.includes(row.paymentMonth)
+        ? ` (${row.paymentMonth})`
+        : "";
+    return `${row.description || row.type}${month}`;
+  },
+
+  drawNotes(pdf, y) {
+    const { width, height, margin } = this.PAGE;
+    const notes = [
+      "Balance is your savings with the stokvel. Late fines go to that year's interest pool and are not part of your balance.",
+      "Rejected submissions are listed for your records; no money was recorded for them.",
+    ];
+
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(8);
+    pdf.setTextColor(110);
+    const lines = notes.flatMap((note) =>
+      pdf.splitTextToSize(note, width - margin * 2),
+    );
+    if (y + lines.length * 4 > height - 20) {
+      pdf.addPage();
+      y = margin;
+    }
+    pdf.text(lines, margin, y);
+  },
+
+  drawFooters(pdf, statement) {
+    const { width, height, margin } = this.PAGE;
+    const pages = pdf.getNumberOfPages();
+
+    for (let page = 1; page <= pages; page++) {
+      pdf.setPage(page);
+      pdf.setFont("helvetica", "normal");
+      pdf.setFontSize(7.5);
+      pdf.setTextColor(130);
+      pdf.text(
+        `To confirm this statement, an officer of ${APP_SETTINGS.stokvelName} can look up code ${statement.code} in the admin dashboard.`,
+        margin,
+        height - 10,
+      );
+      pdf.text(`Page ${page} of ${pages}`, width - margin, height - 10, {
+        align: "right",
+      });
+    }
+  },
+
+  /**
+   * ==========================================
+   * HELPERS
+   * ==========================================
+   */
+
+  /**
+   * Rands with spaces between thousands, e.g. "R 12 300.00"
+   * (the built-in PDF fonts lack the narrow spaces Intl uses)
+   */
+  formatMoney(value) {
+    const amount = Math.abs(Number(value) || 0)
+      .toFixed(2)
+      .replace(/\B(?=(\d{3})+(?!\d))/g, " ");
+    return `${value < 0 ? "-" : ""}${APP_SETTINGS.currencySymbol} ${amount}`;
+  },
+
+  /**
+   * @param {string} day - "2025-03-07"
+   * @param {boolean} short - "07 Mar 25" instead of "7 March 2025"
+   */
+  formatDay(day, short = false) {
+    const [year, month, date] = day.split("-").map(Number);
+    const name = Schema.MONTH_NAMES[month - 1];
+    return short
+      ? `${String(date).padStart(2, "0")} ${name.slice(0, 3)} ${String(year).slice(2)}`
+      : `${date} ${name} ${year}`;
+  },
+
+  async loadLibrary() {
+    if (window.jspdf) return;
+
+    await new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = this.PDF_LIBRARY;
+      script.onload = resolve;
+      script.onerror = () =>
+        reject(new Error("The PDF maker could not be loaded. Please try again."));
+      document.head.appendChild(script);
+    });
+  },
+
+  /**
+   * The logo as a data URL, or null if it can't be fetched
+   * @returns {Promise<string|null>}
+   */
+  async loadLogo() {
+    try {
+      const response = await fetch(this.LOGO);
+      if (!response.ok) return null;
+      const blob = await response.blob();
+      return await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    } catch (error) {
+      console.warn("⚠️ Statement logo not loaded:", error.message);
+      return null;
+    }
+  },
+};
+
+// Export for use
+window.Statement = Statement;
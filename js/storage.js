@@ -1,20 +1,43 @@
 /**
  * =====================================================
- * TSHIKOTA RO FARANA - STORAGE MODULE (UPDATED)
+ * TSHIKOTA RO FARANA - STORAGE MODULE
  * =====================================================
  *
- * Handles file uploads by converting to base64 and storing in Firestore.
- * Updated to support larger files up to 15MB with aggressive compression.
+ * Keeps proof of payment files in a blob store and hands back small
+ * references for the submission document. A submission may carry up to
+ * MAX_ATTACHMENTS files (a multi-page statement, two screenshots of a
+ * split payment), the main slip first:
  *
- * STORAGE STRATEGY:
- * - Files are compressed and converted to base64
- * - Stored directly in Firestore document (no Firebase Storage needed)
- * - Works with Firebase free Spark plan
+ *   proofs: [{backend, path, thumbnailPath, contentType, size, name}]
  *
- * LIMITATIONS:
- * - Firestore document limit is 1MB
- * - We target 800KB max base64 after compression
- * - Very large images will be resized to fit
+ * Each file is stored untouched (up to MAX_FILE_SIZE) under
+ *
+ *   proofs/{uploadId}/original.{ext}
+ *   proofs/{uploadId}/thumb.jpg      made by makeProofThumbnail
+ *                                    (functions/proofs.js) - the image,
+ *                                    or the first page of a PDF
+ *
+ * BACKENDS:
+ * The store is chosen by APP_SETTINGS.proofStorage (default "firebase").
+ * A backend is an object with
+ *   upload(path, file, metadata, onProgress) -> Promise
+ *   url(path)    -> Promise<string> download URL
+ *   remove(path) -> Promise
+ * registered with Storage.registerBackend(name, backend). "firebase"
+ * uses Firebase Storage (the emulator on localhost).
+ *
+ * PHOTOS FROM PHONES:
+ * prepareFile() runs on every picked file before it is previewed,
+ * read or uploaded. iPhone HEIC/HEIF photos - which most browsers
+ * can't show - are converted to JPEG, with the decoder in
+ * vendor/heic2any/ (copied by scripts/vendor.js) loaded only when one
+ * is picked. JPEGs whose EXIF orientation says they were taken sideways
+ * are redrawn upright. Every other file is uploaded untouched.
+ *
+ * LEGACY PROOFS:
+ * Older submissions hold the file itself as a base64 data URL in
+ * proofUrl. proofsOf() presents it as a single attachment until
+ * functions/scripts/migrate-proofs.js moves them into the store.
  *
  * =====================================================
  */
@@ -27,31 +50,32 @@ const Storage = {
    */
 
   /**
-   * Maximum input file size (15MB as requested)
-   * Note: Files will be compressed to fit Firestore limits
+   * Maximum upload size, also enforced by storage.rules
    */
   MAX_FILE_SIZE: 15 * 1024 * 1024, // 15MB
 
   /**
-   * Maximum base64 size to store in Firestore
-   * Keeping under 800KB to leave room for other document fields
+   * Files per submission, also enforced by firestore.rules
    */
-  MAX_BASE64_SIZE: 800 * 1024, // 800KB
+  MAX_ATTACHMENTS: 5,
+
+  DEFAULT_BACKEND: "firebase",
 
   /**
-   * Target compressed image width
-   * Will be reduced progressively if file still too large
+   * HEIC decoder (heic2any, bundles libheif), served from our hosting
    */
-  TARGET_WIDTH: 1200,
+  HEIC_DECODER: "vendor/heic2any/heic2any.min.js",
 
   /**
-   * Minimum compressed image width (won't go below this)
+   * JPEG quality for converted photos (high: slips must stay readable)
    */
-  MIN_WIDTH: 400,
+  CONVERT_QUALITY: 0.92,
+
+  PROOF_FOLDER: "proofs",
+  THUMBNAIL_NAME: "thumb.jpg",
 
   /**
    * Allowed file types
-   * Images only - PDFs don't compress well for base64 storage
    */
   ALLOWED_TYPES: [
     "image/jpeg",
@@ -78,6 +102,41 @@ const Storage = {
     ".pdf",
   ],
 
+  // name -> backend, see registerBackend()
+  backends: {},
+
+  // "backend:path" -> Promise of its download URL, for the life of the page
+  _urls: new Map(),
+
+  /**
+   * ==========================================
+   * BACKENDS
+   * ==========================================
+   */
+
+  /**
+   * Add a blob store
+   * @param {string} name - Stored on each proof reference as `backend`
+   * @param {object} backend - {upload, url, remove}
+   */
+  registerBackend(name, backend) {
+    this.backends[name] = backend;
+  },
+
+  /**
+   * @param {string} [name] - Defaults to the configured store
+   * @returns {object} Backend
+   */
+  backend(name) {
+    const key =
+      name || window.APP_SETTINGS?.proofStorage || this.DEFAULT_BACKEND;
+    const backend = this.backends[key];
+    if (!backend) {
+      throw new Error(`Proof storage "${key}" is not available`);
+    }
+    return backend;
+  },
+
   /**
    * ==========================================
    * MAIN UPLOAD FUNCTION
@@ -85,218 +144,419 @@ const Storage = {
    */
 
   /**
-   * Upload proof of payment file
-   * Handles both images (with compression) and PDFs (direct)
+   * Upload every attachment of a submission, one after the other
+   *
+   * @param {File[]} files - Main slip first
+   * @param {string} reference - Payment reference (kept in the file metadata)
+   * @param {Function} onProgress - Progress callback (0-100, all files)
+   * @returns {Promise<object[]>} Proof references for the submission
+   */
+  async uploadProofs(files, reference, onProgress = null) {
+    if (!files.length) {
+      throw new Error("No file provided");
+    }
+    if (files.length > this.MAX_ATTACHMENTS) {
+      throw new Error(`You can attach up to ${this.MAX_ATTACHMENTS} files`);
+    }
+    // Check them all before anything is uploaded
+    for (const file of files) {
+      const validation = this.validateFile(file);
+      if (!validation.valid) {
+        throw new Error(`${file.name}: ${validation.error}`);
+      }
+    }
+
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    let doneBytes = 0;
+    const proofs = [];
+
+    for (const file of files) {
+      proofs.push(
+        await this.uploadProof(file, reference, (progress) => {
+          if (onProgress) {
+            onProgress(((doneBytes + (file.size * progress) / 100) / totalBytes) * 100);
+          }
+        }),
+      );
+      doneBytes += file.size;
+    }
+
+    return proofs;
+  },
+
+  /**
+   * Upload one proof of payment file
+   * The original is stored as-is; thumbnails are made server-side
    *
    * @param {File} file - File to upload
-   * @param {string} reference - Payment reference (for logging)
+   * @param {string} reference - Payment reference (kept in the file metadata)
    * @param {Function} onProgress - Progress callback (0-100)
-   * @returns {Promise<string>} Base64 data URL
+   * @returns {Promise<object>} Proof reference for the submission
    */
   async uploadProof(file, reference, onProgress = null) {
     try {
-      // Step 1: Validate file (10%)
-      if (onProgress) onProgress(5);
-
       const validation = this.validateFile(file);
       if (!validation.valid) {
         throw new Error(validation.error);
       }
 
-      if (onProgress) onProgress(10);
+      const backendName =
+        window.APP_SETTINGS?.proofStorage || this.DEFAULT_BACKEND;
+      const backend = this.backend(backendName);
+
+      const contentType =
+        file.type || (this.isPDF(file) ? "application/pdf" : "image/jpeg");
+      const folder = `${this.PROOF_FOLDER}/${this.newUploadId()}`;
+      const path = `${folder}/original.${this.extensionOf(file)}`;
+
       console.log(
-        `📁 Storage: Processing ${file.name} (${this.formatFileSize(file.size)})`,
+        `📁 Storage: Uploading ${file.name} (${this.formatFileSize(file.size)}) to ${backendName}`,
+      );
+      if (onProgress) onProgress(0);
+
+      await backend.upload(
+        path,
+        file,
+        {
+          contentType: contentType,
+          customMetadata: { reference: reference || "" },
+        },
+        onProgress,
       );
 
-      // Check if it's a PDF
-      const isPDF =
-        file.type === "application/pdf" ||
-        file.name.toLowerCase().endsWith(".pdf");
-
-      if (isPDF) {
-        // PDFs: Convert directly to base64 (no compression)
-        if (onProgress) onProgress(30);
-        console.log("   📄 Processing PDF file...");
-
-        const base64 = await this.fileToBase64(file);
-
-        // Check if PDF is too large for Firestore
-        if (base64.length > this.MAX_BASE64_SIZE) {
-          throw new Error(
-            `PDF file is too large (${this.formatFileSize(base64.length)}). ` +
-              `Maximum is ${this.formatFileSize(this.MAX_BASE64_SIZE)}. ` +
-              `Please use a smaller PDF or upload a screenshot/photo instead.`,
-          );
-        }
+      if (onProgress) onProgress(100);
+      console.log(`   ✅ Stored at ${path}`);
 
-        if (onProgress) onProgress(100);
-        console.log(
-          `   ✅ PDF processed: ${this.formatFileSize(base64.length)}`,
-        );
-        return base64;
-      }
+      return {
+        backend: backendName,
+        path: path,
+        thumbnailPath: `${folder}/${this.THUMBNAIL_NAME}`,
+        contentType: contentType,
+        size: file.size,
+        name: file.name,
+      };
+    } catch (error) {
+      console.error("❌ Storage upload error:", error);
+      throw error;
+    }
+  },
 
-      // Images: Compress progressively until it fits (10-70%)
-      let processedFile = file;
-      let quality = 0.8;
-      let maxWidth = this.TARGET_WIDTH;
-      let attempt = 0;
-      const maxAttempts = 5;
+  /**
+   * Random folder name for one upload
+   * @returns {string} 20 hex characters
+   */
+  newUploadId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(10));
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  },
 
-      while (attempt < maxAttempts) {
-        attempt++;
+  /**
+   * @param {File} file
+   * @returns {string} Lower-case extension without the dot
+   */
+  extensionOf(file) {
+    const match = /\.([a-z0-9]+)$/i.exec(file.name || "");
+    if (match) return match[1].toLowerCase();
+    return (file.type || "").split("/")[1] || "bin";
+  },
 
-        if (onProgress) {
-          onProgress(10 + attempt * 12);
-        }
+  /**
+   * ==========================================
+   * READING PROOFS
+   * ==========================================
+   */
 
-        try {
-          processedFile = await this.compressImage(file, maxWidth, quality);
-          console.log(
-            `   Attempt ${attempt}: ${maxWidth}px @ ${Math.round(quality * 100)}% = ${this.formatFileSize(processedFile.size)}`,
-          );
+  /**
+   * A submission's attachments, main slip first
+   * A legacy data URL comes back as a single {url, contentType} entry.
+   *
+   * @param {object} submission
+   * @returns {object[]}
+   */
+  proofsOf(submission) {
+    if (Array.isArray(submission?.proofs) && submission.proofs.length) {
+      return submission.proofs;
+    }
+    const url = submission?.proofUrl;
+    if (!url) return [];
+
+    const meta = this.getMetadata(url);
+    return [
+      {
+        backend: null,
+        url: url,
+        thumbnailPath: null,
+        contentType:
+          meta?.contentType ||
+          (url.toLowerCase().endsWith(".pdf") ? "application/pdf" : "image/jpeg"),
+        size: meta?.size || null,
+        name: "proof",
+      },
+    ];
+  },
 
-          const base64 = await this.fileToBase64(processedFile);
+  /**
+   * Does a submission have at least one proof file?
+   * @param {object} submission
+   * @returns {boolean}
+   */
+  hasProof(submission) {
+    return this.proofsOf(submission).length > 0;
+  },
 
-          if (base64.length <= this.MAX_BASE64_SIZE) {
-            if (onProgress) onProgress(90);
-            console.log(
-              `   ✅ Final size: ${this.formatFileSize(base64.length)} base64`,
-            );
+  /**
+   * Is this file or proof reference a PDF?
+   * @param {File|object} item
+   * @returns {boolean}
+   */
+  isPDF(item) {
+    if (!item) return false;
+    const type = item.contentType || item.type || "";
+    const name = (item.name || item.path || "").toLowerCase();
+    return type === "application/pdf" || name.endsWith(".pdf");
+  },
 
-            if (onProgress) onProgress(100);
-            return base64;
-          }
+  /**
+   * URL of an attachment's original file
+   * @param {object} proof - Entry from proofsOf()
+   * @returns {Promise<string|null>}
+   */
+  async getProofUrl(proof) {
+    if (proof?.path) return this.resolve(proof.backend, proof.path);
+    return proof?.url || null;
+  },
 
-          if (quality > 0.3) {
-            quality -= 0.15;
-          } else if (maxWidth > this.MIN_WIDTH) {
-            maxWidth = Math.max(this.MIN_WIDTH, Math.round(maxWidth * 0.7));
-            quality = 0.6;
-          } else {
-            break;
-          }
-        } catch (compressError) {
-          console.warn(
-            `   Compression attempt ${attempt} failed:`,
-            compressError.message,
-          );
-          quality = Math.max(0.3, quality - 0.2);
-          maxWidth = Math.max(this.MIN_WIDTH, maxWidth - 200);
-        }
-      }
+  /**
+   * URL of an attachment's thumbnail
+   * Legacy data URLs are already small enough to show as they are.
+   *
+   * @param {object} proof - Entry from proofsOf()
+   * @returns {Promise<string|null>} null when there's nothing to show
+   *   (the thumbnail hasn't been made, or couldn't be)
+   */
+  async getThumbnailUrl(proof) {
+    if (proof?.thumbnailPath) {
+      return this.resolve(proof.backend, proof.thumbnailPath).catch(() => null);
+    }
+    return this.isBase64DataURL(proof?.url) && !this.isPDF(proof)
+      ? proof.url
+      : null;
+  },
 
-      throw new Error(
-        "Image could not be compressed to fit storage limits. " +
-          "Please try a smaller image or take a clearer photo of just the receipt.",
-      );
-    } catch (error) {
-      console.error("❌ Storage upload error:", error);
-      throw error;
+  /**
+   * Download URL for a stored path, cached per page
+   * @param {string} backendName
+   * @param {string} path
+   * @returns {Promise<string>}
+   */
+  resolve(backendName, path) {
+    const key = `${backendName}:${path}`;
+    if (!this._urls.has(key)) {
+      const url = this.backend(backendName).url(path);
+      // A missing thumbnail may appear later; don't cache the failure
+      url.catch(() => this._urls.delete(key));
+      this._urls.set(key, url);
     }
+    return this._urls.get(key);
   },
 
   /**
    * ==========================================
-   * COMPRESSION FUNCTIONS
+   * IMAGE PREPARATION
    * ==========================================
    */
 
   /**
-   * Compress an image file using canvas
-   * Handles HEIC/HEIF conversion for iPhone photos
+   * Make a picked file viewable and upright
+   * HEIC/HEIF becomes JPEG; sideways JPEGs are redrawn upright.
    *
-   * @param {File|Blob} file - Image file to compress
-   * @param {number} maxWidth - Maximum width in pixels
-   * @param {number} quality - JPEG quality (0-1)
-   * @returns {Promise<Blob>} Compressed image blob
+   * @param {File} file
+   * @returns {Promise<File>} The file to preview, read and upload
    */
-  compressImage(file, maxWidth = 1200, quality = 0.7) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+  async prepareFile(file) {
+    if (this.isHeic(file)) {
+      console.log(`📷 Converting ${file.name} from HEIC`);
+      return this.convertHeic(file);
+    }
 
-      reader.onload = (e) => {
-        const img = new Image();
+    if (/^image\/jpe?g$/i.test(file.type)) {
+      const orientation = await this.readOrientation(file).catch(() => 1);
+      if (orientation > 1) {
+        console.log(`📷 Rotating ${file.name} upright (EXIF orientation ${orientation})`);
+        return this.redraw(file, file, file.name).catch(() => file);
+      }
+    }
 
-        img.onload = () => {
-          try {
-            const canvas = document.createElement("canvas");
-            let width = img.width;
-            let height = img.height;
+    return file;
+  },
 
-            // Calculate new dimensions maintaining aspect ratio
-            if (width > maxWidth) {
-              height = Math.round((height * maxWidth) / width);
-              width = maxWidth;
-            }
+  /**
+   * @param {File} file
+   * @returns {boolean}
+   */
+  isHeic(file) {
+    return (
+      /^image\/hei[cf]$/i.test(file?.type || "") ||
+      /\.hei[cf]$/i.test(file?.name || "")
+    );
+  },
 
-            // Also limit height (for very tall images)
-            const maxHeight = maxWidth * 1.5;
-            if (height > maxHeight) {
-              width = Math.round((width * maxHeight) / height);
-              height = maxHeight;
-            }
+  /**
+   * HEIC/HEIF -> upright JPEG
+   * Safari decodes HEIC itself; elsewhere the bundled decoder does. Both
+   * apply the photo's rotation.
+   *
+   * @param {File} file
+   * @returns {Promise<File>}
+   */
+  async convertHeic(file) {
+    const name = file.name.replace(/\.hei[cf]$/i, "") + ".jpg";
 
-            canvas.width = width;
-            canvas.height = height;
-
-            const ctx = canvas.getContext("2d");
-
-            // White background (for transparent PNGs)
-            ctx.fillStyle = "#FFFFFF";
-            ctx.fillRect(0, 0, width, height);
-
-            // Draw image with smoothing
-            ctx.imageSmoothingEnabled = true;
-            ctx.imageSmoothingQuality = "high";
-            ctx.drawImage(img, 0, 0, width, height);
-
-            // Convert to JPEG blob
-            canvas.toBlob(
-              (blob) => {
-                if (blob) {
-                  resolve(blob);
-                } else {
-                  reject(new Error("Canvas toBlob failed"));
-                }
-              },
-              "image/jpeg",
-              quality,
-            );
-          } catch (err) {
-            reject(new Error("Image processing failed: " + err.message));
-          }
-        };
+    try {
+      return await this.redraw(file, file, name);
+    } catch (nativeError) {
+      // Not decodable natively - fall through to the bundled decoder
+    }
+
+    try {
+      if (!window.heic2any) {
+        await this.loadScript(this.HEIC_DECODER);
+      }
+      const result = await heic2any({
+        blob: file,
+        toType: "image/jpeg",
+        quality: this.CONVERT_QUALITY,
+      });
+      // Multi-image HEIC (bursts, live photos) -> the first image
+      const jpeg = Array.isArray(result) ? result[0] : result;
+      return new File([jpeg], name, {
+        type: "image/jpeg",
+        lastModified: file.lastModified,
+      });
+    } catch (error) {
+      console.warn("⚠️ HEIC conversion failed:", error?.message || error);
+      throw new Error(
+        "This iPhone photo could not be converted. Please take a " +
+          "screenshot of the slip, or set the camera to \"Most Compatible\".",
+      );
+    }
+  },
 
-        img.onerror = () => {
-          reject(new Error("Failed to load image. File may be corrupted."));
-        };
+  /**
+   * Draw an image onto a canvas and save it as JPEG
+   * Browsers apply EXIF orientation when decoding, so the result is
+   * upright (and carries no orientation tag of its own).
+   *
+   * @param {Blob} source - Image to decode
+   * @param {File} original - For lastModified
+   * @param {string} name - File name of the result
+   * @returns {Promise<File>}
+   */
+  async redraw(source, original, name) {
+    const img = await this.loadImage(source);
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (result) =>
+          result ? resolve(result) : reject(new Error("Canvas toBlob failed")),
+        "image/jpeg",
+        this.CONVERT_QUALITY,
+      );
+    });
 
-        img.src = e.target.result;
-      };
+    return new File([blob], name, {
+      type: "image/jpeg",
+      lastModified: original.lastModified,
+    });
+  },
 
-      reader.onerror = () => {
-        reject(new Error("Failed to read file"));
+  /**
+   * @param {Blob} blob
+   * @returns {Promise<HTMLImageElement>}
+   */
+  loadImage(blob) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
       };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("Failed to load image"));
+      };
+      img.src = url;
+    });
+  },
 
-      reader.readAsDataURL(file);
+  loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.head.appendChild(script);
     });
   },
 
   /**
-   * Convert file/blob to base64 data URL
+   * EXIF orientation of a JPEG
    *
-   * @param {File|Blob} file - File to convert
-   * @returns {Promise<string>} Base64 data URL
+   * @param {Blob} file
+   * @returns {Promise<number>} 1-8, 1 (upright) when there's no tag
    */
-  fileToBase64(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = () =>
-        reject(new Error("Failed to convert file to base64"));
-      reader.readAsDataURL(file);
-    });
+  async readOrientation(file) {
+    // The EXIF block sits in the first 64KB
+    const buffer = await file.slice(0, 64 * 1024).arrayBuffer();
+    return this.parseOrientation(new DataView(buffer));
+  },
+
+  /**
+   * Find the orientation tag (0x0112) in a JPEG's APP1 EXIF segment
+   * @param {DataView} view
+   * @returns {number}
+   */
+  parseOrientation(view) {
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+
+      // APP1 starting "Exif\0\0"
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        if (ifd + 2 > view.byteLength) return 1;
+
+        const entries = view.getUint16(ifd, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (entry + 10 > view.byteLength) return 1;
+          if (view.getUint16(entry, little) === 0x0112) {
+            const value = view.getUint16(entry + 8, little);
+            return value >= 1 && value <= 8 ? value : 1;
+          }
+        }
+        return 1;
+      }
+
+      // Image data starts at SOS; no EXIF after it
+      if (marker === 0xffda || (marker & 0xff00) !== 0xff00) return 1;
+      offset += 2 + length;
+    }
+    return 1;
   },
 
   /**
@@ -488,16 +748,17 @@ const Storage = {
   },
 
   /**
-   * Delete a file reference (no-op for base64, kept for API compatibility)
+   * Delete a stored proof and its thumbnail
+   * Legacy data URLs go with their document, so there's nothing to do.
    *
-   * @param {string} url - File URL or base64 string
+   * @param {object} proof - Proof reference from uploadProof()
    * @returns {Promise<void>}
    */
-  async deleteFile(url) {
-    // No action needed for base64 strings stored in Firestore
-    // The data is deleted when the document is deleted
-    console.log("Storage.deleteFile: No action needed for base64 storage");
-    return Promise.resolve();
+  async deleteFile(proof) {
+    if (!proof?.path) return;
+    const backend = this.backend(proof.backend);
+    const paths = [proof.path, proof.thumbnailPath].filter(Boolean);
+    await Promise.all(paths.map((path) => backend.remove(path).catch(() => {})));
   },
 
   /**
@@ -507,17 +768,50 @@ const Storage = {
    */
   getConfig() {
     return {
+      backend: window.APP_SETTINGS?.proofStorage || this.DEFAULT_BACKEND,
+      backends: Object.keys(this.backends),
       maxFileSize: this.MAX_FILE_SIZE,
       maxFileSizeFormatted: this.formatFileSize(this.MAX_FILE_SIZE),
-      maxBase64Size: this.MAX_BASE64_SIZE,
-      maxBase64SizeFormatted: this.formatFileSize(this.MAX_BASE64_SIZE),
       allowedTypes: this.ALLOWED_TYPES,
       allowedExtensions: this.ALLOWED_EXTENSIONS,
-      targetWidth: this.TARGET_WIDTH,
-      minWidth: this.MIN_WIDTH,
     };
   },
 };
 
+/**
+ * ==========================================
+ * FIREBASE STORAGE BACKEND
+ * ==========================================
+ * Only on pages that load firebase-storage-compat (window.storage)
+ */
+
+if (window.storage) {
+  Storage.registerBackend("firebase", {
+    upload(path, file, metadata, onProgress) {
+      return new Promise((resolve, reject) => {
+        const task = storage.ref(path).put(file, metadata);
+        task.on(
+          "state_changed",
+          (snapshot) => {
+            if (onProgress && snapshot.totalBytes) {
+              onProgress((snapshot.bytesTransferred / snapshot.totalBytes) * 100);
+            }
+          },
+          reject,
+          resolve,
+        );
+      });
+    },
+
+    url(path) {
+      return storage.ref(path).getDownloadURL();
+    },
+
+    remove(path) {
+      return storage.ref(path).delete();
+    },
+  });
+}
+
 // Export for use
 window.Storage = Storage;
@@ -8,7 +8,7 @@
  * CHANGES:
  * - File size limit increased to 15MB
  * - SMS confirmation sent on successful submission
- * - Improved compression for large files
+ * - Original files uploaded to Cloud Storage (js/storage.js)
  * - Better error handling
  * 
  * =====================================================
@@ -22,7 +22,6 @@ const SubmitPOP = (() => {
     let fileInput;
     let fileUpload;
     let filePreview;
-    let previewImage;
     let submitBtn;
     let lateWarning;
     let successModal;
@@ -30,9 +29,19 @@ const SubmitPOP = (() => {
     // ==========================================
     // State
     // ==========================================
-    let selectedFile = null;
-    let previewURL = null;
+    let selectedFiles = []; // {file, url} per attachment, main slip first
+    let slipFile = null; // The attachment OCR reads
+    let filesReady = Promise.resolve(); // Picked files still being converted
     let isSubmitting = false;
+    let monthRules = Rules.defaults(); // Rules for the selected payment month
+    let slipReading = null; // Promise of OCR.readSlip for the selected file
+    let slip = null; // What OCR read off the slip
+    let dateEdited = false; // Member picked the payment date themselves
+    let activeLoan = null; // Signed-in member's loan being repaid
+    let activeRotation = null; // Signed-in member's running rotation
+
+    // Longest a submission waits for the slip to be read
+    const SLIP_READ_TIMEOUT = 8000;
 
     /**
      * Initialize the page
@@ -45,7 +54,6 @@ const SubmitPOP = (() => {
         fileInput = document.getElementById('proofFile');
         fileUpload = document.getElementById('fileUpload');
         filePreview = document.getElementById('filePreview');
-        previewImage = document.getElementById('previewImage');
         submitBtn = document.getElementById('submitBtn');
         lateWarning = document.getElementById('lateWarning');
         successModal = document.getElementById('successModal');
@@ -53,6 +61,12 @@ const SubmitPOP = (() => {
         // Initialize app
         App.init();
 
+        // Send submissions saved while offline
+        PopQueue.init();
+        PopQueue.onChange(({ sent, reference }) => {
+            if (sent) App.showToast(`Your saved payment was sent (${reference})`, 'success');
+        });
+
         // Set up event listeners
         setupEventListeners();
 
@@ -67,6 +81,11 @@ const SubmitPOP = (() => {
 
         // Check for existing session (pre-fill name/phone)
         checkExistingSession();
+
+        // Offer loan repayment and rotation contributions to members
+        // with an active loan or on a running rotation
+        loadActiveLoan();
+        loadActiveRotation();
         
         // Display file size limit
         updateFileSizeDisplay();
@@ -94,14 +113,27 @@ const SubmitPOP = (() => {
             }
         });
 
-        // Remove file button
-        document.getElementById('removeFile')?.addEventListener('click', (e) => {
+        // Remove / add attachment buttons
+        filePreview.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-file');
+            const addBtn = e.target.closest('.add-file');
+            if (!removeBtn && !addBtn) return;
             e.stopPropagation();
-            removeFile();
+            if (removeBtn) removeFile(Number(removeBtn.dataset.index));
+            if (addBtn) fileInput.click();
         });
 
-        // Payment date change - check for late payment
-        document.getElementById('paymentDate').addEventListener('change', checkLatePayment);
+        // Payment date or month change - check for late payment
+        document.getElementById('paymentDate').addEventListener('change', () => {
+            dateEdited = true;
+            checkLatePayment();
+            renderSlipCheck();
+        });
+        document.getElementById('paymentMonth').addEventListener('change', checkLatePayment);
+        document.getElementById('paymentPurpose').addEventListener('change', () => {
+            showPurposeHint();
+            checkLatePayment();
+        });
 
         // Success modal done button
         document.getElementById('doneBtn')?.addEventListener('click', () => {
@@ -129,18 +161,21 @@ const SubmitPOP = (() => {
             e.target.value = e.target.value.replace(/\D/g, '').slice(0, 10);
         });
 
-        // Amount validation (minimum R300)
+        // Amount validation (minimum deposit for the month)
         document.getElementById('amount').addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
-            const minDeposit = APP_SETTINGS?.minMonthlyDeposit || 300;
+            const minDeposit = monthRules.minimumDeposit;
             
-            if (value && value < minDeposit) {
+            if (value && value < minDeposit && isSavings()) {
                 showFieldWarning(e.target, `Minimum deposit is ${Utils.formatCurrency(minDeposit)}`);
             } else {
                 clearFieldWarning(e.target);
             }
         });
         
+        // Cross-check the typed amount against the slip
+        document.getElementById('amount').addEventListener('input', renderSlipCheck);
+
         // Real-time validation
         form.querySelectorAll('.form-input, .form-select').forEach(field => {
             field.addEventListener('blur', () => validateField(field));
@@ -154,7 +189,7 @@ const SubmitPOP = (() => {
         const sizeDisplay = document.getElementById('fileSizeLimit');
         if (sizeDisplay) {
             const maxSize = Storage.MAX_FILE_SIZE || 15 * 1024 * 1024;
-            sizeDisplay.textContent = `Max file size: ${Storage.formatFileSize(maxSize)}`;
+            sizeDisplay.textContent = `Up to ${Storage.MAX_ATTACHMENTS} files, max ${Storage.formatFileSize(maxSize)} each`;
         }
     }
 
@@ -228,14 +263,127 @@ const SubmitPOP = (() => {
         }
     }
 
+    /**
+     * Add "Loan repayment" to Paying Towards when the signed-in member
+     * has a loan being repaid
+     */
+    async function loadActiveLoan() {
+        try {
+            const memberId = await Auth.getMemberId();
+            if (!memberId) return;
+
+            const loans = await Loans.getForMember(memberId);
+            activeLoan = loans.find((loan) => loan.status === Loans.STATUSES.ACTIVE) || null;
+            if (!activeLoan) return;
+
+            const position = Loans.position(activeLoan);
+            const due = position.arrears || position.nextDue?.outstanding || 0;
+            addPurpose('loan', activeLoan.id,
+                `Loan repayment (${Utils.formatCurrency(position.balance, true)} owing)`,
+                position.arrears
+                    ? `${Utils.formatCurrency(position.arrears, true)} of your loan is overdue`
+                    : `Next instalment ${Utils.formatCurrency(due, true)}`,
+                due);
+        } catch (error) {
+            // Contributions still work without it
+            console.warn('⚠️ Could not load loan:', error.message);
+        }
+    }
+
+    /**
+     * Add "Rotation contribution" to Paying Towards when the signed-in
+     * member is on a running rotation
+     */
+    async function loadActiveRotation() {
+        try {
+            const memberId = await Auth.getMemberId();
+            if (!memberId) return;
+
+            const rotations = await Rotation.getForMember(memberId);
+            activeRotation = rotations.find((r) => r.status === Rotation.STATUSES.ACTIVE) || null;
+            if (!activeRotation) return;
+
+            addPurpose('rotation', activeRotation.id,
+                `Rotation contribution (${activeRotation.name})`,
+                `${Utils.formatCurrency(activeRotation.contribution, true)} a month into the pot, kept apart from your savings`,
+                activeRotation.contribution);
+        } catch (error) {
+            // Contributions still work without it
+            console.warn('⚠️ Could not load rotation:', error.message);
+        }
+    }
+
+    /**
+     * Add an option to Paying Towards
+     * @param {string} purpose - "loan" or "rotation" (also the ?pay= value)
+     * @param {string} id - Loan or rotation ID
+     * @param {string} label
+     * @param {string} hint - Shown while the option is selected
+     * @param {number} amount - Suggested amount
+     */
+    function addPurpose(purpose, id, label, hint, amount) {
+        const select = document.getElementById('paymentPurpose');
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        option.dataset.purpose = purpose;
+        option.dataset.hint = hint;
+        select.appendChild(option);
+        document.getElementById('paymentPurposeGroup').style.display = 'block';
+
+        // Arriving from the loan or rotation section of the account page
+        if (new URLSearchParams(window.location.search).get('pay') === purpose) {
+            select.value = id;
+            document.getElementById('amount').value = amount || '';
+            showPurposeHint();
+            checkLatePayment();
+        }
+    }
+
+    /**
+     * Hint for the selected Paying Towards option
+     */
+    function showPurposeHint() {
+        const option = document.getElementById('paymentPurpose').selectedOptions[0];
+        document.getElementById('paymentPurposeHint').textContent = option?.dataset.hint || '';
+    }
+
+    /**
+     * "loan", "rotation" or "" for the monthly contribution
+     */
+    function paymentPurpose() {
+        const option = document.getElementById('paymentPurpose').selectedOptions[0];
+        return option?.dataset.purpose || '';
+    }
+
+    /**
+     * Is this payment towards the member's loan?
+     */
+    function isLoanRepayment() {
+        return Boolean(activeLoan) && paymentPurpose() === 'loan';
+    }
+
+    /**
+     * Is this payment into the member's rotation?
+     */
+    function isRotationContribution() {
+        return Boolean(activeRotation) && paymentPurpose() === 'rotation';
+    }
+
+    /**
+     * Is this payment towards savings (minimum deposit and late fines apply)?
+     */
+    function isSavings() {
+        return !isLoanRepayment() && !isRotationContribution();
+    }
+
     /**
      * Handle file selection
      */
     function handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) {
-            processFile(file);
-        }
+        queueFiles(e.target.files);
+        // Let the same file be picked again after removing it
+        fileInput.value = '';
     }
 
     /**
@@ -264,115 +412,273 @@ const SubmitPOP = (() => {
         e.stopPropagation();
         fileUpload.classList.remove('dragover');
 
-        const file = e.dataTransfer.files[0];
-        if (file) {
-            processFile(file);
-        }
+        queueFiles(e.dataTransfer.files);
     }
 
     /**
-     * Process selected file
+     * Add files one pick at a time, so conversions finish in order
      */
-    function processFile(file) {
-        // Validate file using Storage module (now 15MB limit)
-        const validation = Storage.validateFile(file);
-        if (!validation.valid) {
-            showFileError(validation.error);
-            return;
+    function queueFiles(files) {
+        const picked = Array.from(files || []);
+        filesReady = filesReady
+            .then(() => addFiles(picked))
+            .catch((error) => console.error('❌ File error:', error));
+    }
+
+    /**
+     * Add selected files as attachments
+     * iPhone HEIC photos are converted and sideways photos turned upright
+     * first (Storage.prepareFile)
+     */
+    async function addFiles(files) {
+        clearFileError();
+
+        for (const picked of files) {
+            if (selectedFiles.length >= Storage.MAX_ATTACHMENTS) {
+                showFileError(`You can attach up to ${Storage.MAX_ATTACHMENTS} files`);
+                break;
+            }
+
+            // Validate file using Storage module (15MB limit)
+            let validation = Storage.validateFile(picked);
+            if (!validation.valid) {
+                showFileError(`${picked.name}: ${validation.error}`);
+                continue;
+            }
+
+            let file;
+            try {
+                if (Storage.isHeic(picked)) App.showToast('Converting iPhone photo...', 'info');
+                file = await Storage.prepareFile(picked);
+            } catch (error) {
+                showFileError(`${picked.name}: ${error.message}`);
+                continue;
+            }
+
+            // Conversion can change the size
+            validation = Storage.validateFile(file);
+            if (!validation.valid) {
+                showFileError(`${file.name}: ${validation.error}`);
+                continue;
+            }
+
+            selectedFiles.push({ file, url: Storage.createPreviewURL(file) });
+            console.log(`📁 File added: ${file.name} (${Storage.formatFileSize(file.size)})`);
         }
 
+        renderFileList();
+    }
+
+    /**
+     * Remove one attachment
+     */
+    function removeFile(index) {
+        const [removed] = selectedFiles.splice(index, 1);
+        if (removed) Storage.revokePreviewURL(removed.url);
+
         clearFileError();
-        selectedFile = file;
+        renderFileList();
+    }
 
-        // Show preview
-        showFilePreview(file);
-        
-        console.log(`📁 File selected: ${file.name} (${Storage.formatFileSize(file.size)})`);
+    /**
+     * Remove every attachment
+     */
+    function clearFiles() {
+        selectedFiles.forEach(({ url }) => Storage.revokePreviewURL(url));
+        selectedFiles = [];
+        fileInput.value = '';
+        renderFileList();
     }
 
     /**
-     * Show file preview
+     * Show the attachments, or the upload prompt when there are none
      */
-    function showFilePreview(file) {
-        // Revoke previous preview URL
-        if (previewURL) {
-            Storage.revokePreviewURL(previewURL);
+    function renderFileList() {
+        const hasFiles = selectedFiles.length > 0;
+
+        document.querySelector('.file-upload-content').style.display = hasFiles ? 'none' : 'flex';
+        filePreview.style.display = hasFiles ? 'flex' : 'none';
+        fileUpload.classList.toggle('has-file', hasFiles);
+
+        filePreview.innerHTML = selectedFiles.map(({ file, url }, index) => `
+            <div class="file-item">
+                <img class="preview-image" src="${previewSrc(file, url)}" alt="Preview">
+                <div class="file-info">
+                    <span>${Utils.escapeHtml(file.name)}</span>
+                    <span class="file-size">${Storage.formatFileSize(file.size)}</span>
+                </div>
+                <button type="button" class="remove-file" data-index="${index}">
+                    Remove
+                </button>
+            </div>
+        `).join('') + (hasFiles && selectedFiles.length < Storage.MAX_ATTACHMENTS ? `
+            <button type="button" class="add-file">
+                + Add another file (${selectedFiles.length}/${Storage.MAX_ATTACHMENTS})
+            </button>
+        ` : '');
+
+        // Read amount/date off the first slip image in the background
+        const readable = selectedFiles.map(({ file }) => file).find((file) => OCR.canRead(file)) || null;
+        if (readable !== slipFile) {
+            slipFile = readable;
+            readSlip(readable);
         }
+    }
 
-        // Create preview URL
-        previewURL = Storage.createPreviewURL(file);
-
-        // Update preview UI based on file type
+    /**
+     * Preview picture for an attachment
+     */
+    function previewSrc(file, url) {
         if (file.type.startsWith('image/')) {
-            // Image preview
-            previewImage.src = previewURL;
-            previewImage.style.display = 'block';
-        } else if (file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
+            return url;
+        }
+        if (Storage.isPDF(file)) {
             // PDF icon preview
-            previewImage.src = 'data:image/svg+xml,' + encodeURIComponent(`
+            return 'data:image/svg+xml,' + encodeURIComponent(`
                 <svg width="100" height="100" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                     <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" fill="#E53935" stroke="#B71C1C" stroke-width="1"/>
                     <polyline points="14 2 14 8 20 8" fill="#FFCDD2" stroke="#B71C1C" stroke-width="1"/>
                     <text x="12" y="16" font-size="5" fill="white" text-anchor="middle" font-weight="bold">PDF</text>
                 </svg>
             `);
-            previewImage.style.display = 'block';
-        } else {
-            // Generic file icon
-            previewImage.src = 'data:image/svg+xml,' + encodeURIComponent(`
-                <svg width="100" height="100" viewBox="0 0 24 24" fill="none" stroke="#666" stroke-width="1.5" xmlns="http://www.w3.org/2000/svg">
-                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                    <polyline points="14 2 14 8 20 8"/>
-                    <text x="12" y="16" font-size="4" fill="#666" text-anchor="middle">FILE</text>
-                </svg>
-            `);
-            previewImage.style.display = 'block';
         }
+        // Generic file icon
+        return 'data:image/svg+xml,' + encodeURIComponent(`
+            <svg width="100" height="100" viewBox="0 0 24 24" fill="none" stroke="#666" stroke-width="1.5" xmlns="http://www.w3.org/2000/svg">
+                <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                <polyline points="14 2 14 8 20 8"/>
+                <text x="12" y="16" font-size="4" fill="#666" text-anchor="middle">FILE</text>
+            </svg>
+        `);
+    }
 
-        // Update file info
-        document.getElementById('fileName').textContent = file.name;
-        document.getElementById('fileSize').textContent = Storage.formatFileSize(file.size);
+    /**
+     * Read the slip with OCR, then prefill or cross-check the form
+     */
+    function readSlip(file) {
+        slip = null;
+        slipReading = null;
+        renderSlipCheck();
+        if (!OCR.canRead(file)) return;
+
+        showSlipCheck('🔎 Reading your slip...', false);
+
+        const reading = OCR.readSlip(file);
+        slipReading = reading;
+        reading.then((result) => {
+            // Another file was chosen in the meantime
+            if (slipReading !== reading) return;
+            slip = result;
+            if (!slip) {
+                // The reader itself didn't load: say so rather than stay quiet
+                showSlipCheck(OCR.loadError
+                    ? "⚠️ We couldn't check your slip. Please make sure the amount and date match it."
+                    : '', Boolean(OCR.loadError));
+                return;
+            }
+            prefillFromSlip();
+            renderSlipCheck();
+        });
+    }
+
+    /**
+     * Fill in what the member hasn't typed yet
+     */
+    function prefillFromSlip() {
+        if (!slip) return;
 
-        // Show preview, hide upload area
-        document.querySelector('.file-upload-content').style.display = 'none';
-        filePreview.style.display = 'flex';
-        fileUpload.classList.add('has-file');
+        const dateInput = document.getElementById('paymentDate');
+        if (slip.paymentDate && !dateEdited && slip.paymentDate <= dateInput.max) {
+            dateInput.value = slip.paymentDate;
+            checkLatePayment();
+        }
+
+        // Late slips may include the fine, so leave the amount to the member
+        const amountInput = document.getElementById('amount');
+        if (slip.amount && !amountInput.value && !isLate()) {
+            amountInput.value = slip.amount;
+            amountInput.dispatchEvent(new Event('input'));
+        }
     }
 
     /**
-     * Remove selected file
+     * Show what the slip says, or where it disagrees with the form
      */
-    function removeFile() {
-        selectedFile = null;
-        fileInput.value = '';
+    function renderSlipCheck() {
+        if (!slip) {
+            if (!slipReading && !(slipFile && OCR.loadError)) showSlipCheck('', false);
+            return;
+        }
 
-        if (previewURL) {
-            Storage.revokePreviewURL(previewURL);
-            previewURL = null;
+        const mismatches = OCR.compare(slip, typedPayment());
+        if (mismatches.length > 0) {
+            const text = mismatches.map((m) => m.field === 'amount'
+                ? `your slip shows ${Utils.formatCurrency(m.slip, true)}, not ${Utils.formatCurrency(m.typed, true)}`
+                : `your slip is dated ${Utils.formatDate(m.slip)}`
+            ).join(' and ');
+            showSlipCheck(`⚠️ Please check: ${text}.`, true);
+        } else if (slip.amount) {
+            showSlipCheck(`✅ Slip shows ${Utils.formatCurrency(slip.amount, true)}${slip.paymentDate ? ` on ${Utils.formatDate(slip.paymentDate)}` : ''}`, false);
+        } else {
+            showSlipCheck('', false);
         }
+    }
 
-        // Reset UI
-        previewImage.src = '';
-        document.querySelector('.file-upload-content').style.display = 'flex';
-        filePreview.style.display = 'none';
-        fileUpload.classList.remove('has-file');
-        clearFileError();
+    function showSlipCheck(message, mismatch) {
+        const el = document.getElementById('slipCheck');
+        if (!el) return;
+        el.textContent = message;
+        el.classList.toggle('mismatch', mismatch);
+        el.style.display = message ? 'block' : 'none';
     }
 
     /**
-     * Check if payment is late (after 7th of the month)
+     * Amount, total with fine and date as currently typed
      */
-    function checkLatePayment() {
-        const dateInput = document.getElementById('paymentDate');
-        const date = new Date(dateInput.value);
-        
-        if (Utils.isPaymentLate(date)) {
+    function typedPayment() {
+        const amount = parseFloat(document.getElementById('amount').value) || 0;
+        return {
+            amount,
+            totalAmount: amount + (isLate() ? monthRules.lateFineAmount : 0),
+            paymentDate: document.getElementById('paymentDate').value
+        };
+    }
+
+    function isLate() {
+        // Loan and rotation arrears are tracked there, not fined
+        if (!isSavings()) return false;
+        const date = document.getElementById('paymentDate').value;
+        const month = document.getElementById('paymentMonth').value || Utils.getCurrentPaymentMonth();
+        return Rules.isLate(date, month, monthRules);
+    }
+
+    /**
+     * Slip reading for the submission, waiting briefly if it's still running
+     */
+    async function slipForSubmission() {
+        if (!slipReading) return null;
+        const timeout = new Promise((resolve) => setTimeout(() => resolve(null), SLIP_READ_TIMEOUT));
+        return Promise.race([slipReading, timeout]);
+    }
+
+    /**
+     * Check if payment is late (after the due day of the payment month)
+     * Also refreshes the month's rules for the amount hint
+     */
+    async function checkLatePayment() {
+        const date = document.getElementById('paymentDate').value;
+        const month = document.getElementById('paymentMonth').value || Utils.getCurrentPaymentMonth();
+
+        monthRules = await Rules.forMonth(month);
+        // Re-check the amount against this month's minimum
+        document.getElementById('amount').dispatchEvent(new Event('input'));
+
+        if (isSavings() && Rules.isLate(date, month, monthRules)) {
             lateWarning.style.display = 'flex';
-            const fineAmount = APP_SETTINGS?.lateFineAmount || 50;
-            const fineText = lateWarning.querySelector('.late-fine-amount');
-            if (fineText) {
-                fineText.textContent = Utils.formatCurrency(fineAmount);
-            }
+            lateWarning.querySelector('.late-fine-amount').textContent =
+                Utils.formatCurrency(monthRules.lateFineAmount);
+            lateWarning.querySelector('.late-due-day').textContent =
+                Utils.ordinal(monthRules.paymentDueDay);
         } else {
             lateWarning.style.display = 'none';
         }
@@ -392,8 +698,11 @@ const SubmitPOP = (() => {
             return;
         }
 
+        // Wait for photos still being converted
+        await filesReady;
+
         // Check file
-        if (!selectedFile) {
+        if (selectedFiles.length === 0) {
             showFileError('Please upload proof of payment');
             return;
         }
@@ -404,18 +713,12 @@ const SubmitPOP = (() => {
         updateSubmitProgress(0, 'Preparing submission...');
 
         try {
-            // Step 1: Compress and upload file (0-60%)
-            updateSubmitProgress(5, 'Processing image...');
-            
-            const proofURL = await Storage.uploadProof(selectedFile, 'temp', (progress) => {
-                // Map 0-100 to 5-60
-                const mappedProgress = 5 + (progress * 0.55);
-                updateSubmitProgress(mappedProgress, `Compressing image... ${Math.round(progress)}%`);
-            });
+            // Step 1: Everything that works offline (0-5%)
+            updateSubmitProgress(2, 'Processing files...');
 
-            updateSubmitProgress(65, 'Saving submission...');
+            const files = selectedFiles.map(({ file }) => file);
+            const slipRead = slipForSubmission();
 
-            // Step 2: Collect form data
             const formData = new FormData(form);
             const submissionData = {
                 name: formData.get('fullName').trim(),
@@ -424,13 +727,43 @@ const SubmitPOP = (() => {
                 paymentDate: formData.get('paymentDate'),
                 paymentMonth: formData.get('paymentMonth'),
                 paymentMethod: formData.get('paymentMethod'),
-                proofURL: proofURL,
-                notes: formData.get('notes')?.trim() || ''
+                notes: formData.get('notes')?.trim() || '',
+                loanId: isLoanRepayment() ? activeLoan.id : null,
+                rotationId: isRotationContribution() ? activeRotation.id : null
             };
 
+            // No connection: keep it on the phone and send it later
+            updateSubmitProgress(5, 'Connecting...');
+            if (!(await PopQueue.isConnected())) {
+                await queueSubmission(submissionData, files, await slipRead);
+                return;
+            }
+
+            // Step 2: Upload the original files (5-60%)
+            let proofs;
+            try {
+                proofs = await Storage.uploadProofs(files, 'temp', (progress) => {
+                    // Map 0-100 to 5-60
+                    const mappedProgress = 5 + (progress * 0.55);
+                    updateSubmitProgress(mappedProgress, `Uploading proof... ${Math.round(progress)}%`);
+                });
+            } catch (error) {
+                if (!PopQueue.isNetworkError(error)) throw error;
+                await queueSubmission(submissionData, files, await slipRead);
+                return;
+            }
+
+            updateSubmitProgress(62, 'Checking slip...');
+            const slipResult = await slipRead;
+
             // Step 3: Submit to database (includes SMS)
             updateSubmitProgress(75, 'Submitting...');
-            const reference = await Database.submitPOP(submissionData);
+            const reference = await Database.submitPOP({
+                ...submissionData,
+                proofs: proofs,
+                ocr: slipResult,
+                bankReference: slipResult?.reference || ''
+            });
 
             updateSubmitProgress(90, 'Sending confirmation...');
 
@@ -444,16 +777,7 @@ const SubmitPOP = (() => {
             updateSubmitProgress(100, 'Complete!');
 
             // Step 5: Show success modal
-            document.getElementById('referenceNumber').textContent = reference;
-            
-            // Show SMS confirmation message
-            const smsNote = document.getElementById('smsConfirmation');
-            if (smsNote) {
-                smsNote.style.display = 'block';
-                smsNote.textContent = `A confirmation SMS has been sent to ${Utils.formatPhone(submissionData.phone)}`;
-            }
-            
-            App.openModal('successModal');
+            showSuccess(reference, submissionData.phone);
 
             console.log('✅ Submission successful:', reference);
 
@@ -467,6 +791,54 @@ const SubmitPOP = (() => {
         }
     }
 
+    /**
+     * Save the submission on the phone to send when back online
+     */
+    async function queueSubmission(submissionData, files, slipResult) {
+        await PopQueue.add({
+            ...submissionData,
+            ocr: slipResult,
+            bankReference: slipResult?.reference || ''
+        }, files);
+
+        Auth.setMemberSession({
+            name: submissionData.name,
+            phone: submissionData.phone,
+            timestamp: Date.now()
+        });
+
+        showSuccess(null, submissionData.phone);
+    }
+
+    /**
+     * Success modal - sent (with its reference) or waiting to send
+     */
+    function showSuccess(reference, phone) {
+        const title = document.getElementById('successTitle');
+        const message = document.getElementById('successMessage');
+        const smsNote = document.getElementById('smsConfirmation');
+
+        if (title) {
+            title.textContent = reference ? 'Submission Received!' : 'Saved - Waiting to Send';
+        }
+        if (message) {
+            message.textContent = reference
+                ? 'Your proof of payment has been submitted. A confirmation SMS has been sent to your phone.'
+                : "You're offline. Your proof of payment is saved on this phone and will be sent automatically when you're back online.";
+        }
+        document.getElementById('referenceNumber').textContent = reference || 'Waiting to send';
+
+        // Show SMS confirmation message
+        if (smsNote) {
+            smsNote.style.display = 'block';
+            smsNote.textContent = reference
+                ? `A confirmation SMS has been sent to ${Utils.formatPhone(phone)}`
+                : `You'll get an SMS at ${Utils.formatPhone(phone)} with your reference once it's sent`;
+        }
+
+        App.openModal('successModal');
+    }
+
     /**
      * Update submit progress indicator
      */
@@ -528,7 +900,7 @@ const SubmitPOP = (() => {
             clearFieldError(phoneInput);
         }
 
-        // Amount (minimum R300 warning, but allow any positive amount)
+        // Amount (minimum deposit warning, but allow any positive amount)
         const amountInput = document.getElementById('amount');
         const amount = parseFloat(amountInput.value);
         if (!amountInput.value || isNaN(amount)) {
@@ -541,8 +913,8 @@ const SubmitPOP = (() => {
             clearFieldError(amountInput);
             
             // Show warning but don't block submission
-            const minDeposit = APP_SETTINGS?.minMonthlyDeposit || 300;
-            if (amount < minDeposit) {
+            const minDeposit = monthRules.minimumDeposit;
+            if (amount < minDeposit && isSavings()) {
                 showFieldWarning(amountInput, `Note: Minimum recommended is ${Utils.formatCurrency(minDeposit)}`);
             }
         }
@@ -651,8 +1023,12 @@ const SubmitPOP = (() => {
             hint.classList.remove('warning');
             // Restore original hint
             if (field.id === 'amount') {
-                const minDeposit = APP_SETTINGS?.minMonthlyDeposit || 300;
-                hint.textContent = `Minimum ${Utils.formatCurrency(minDeposit)} per month`;
+                const minDeposit = monthRules.minimumDeposit;
+                hint.textContent = isLoanRepayment()
+                    ? 'Any amount towards your loan'
+                    : isRotationContribution()
+                        ? `${Utils.formatCurrency(activeRotation.contribution)} per month`
+                        : `Minimum ${Utils.formatCurrency(minDeposit)} per month`;
             }
         }
     }
@@ -684,7 +1060,7 @@ const SubmitPOP = (() => {
      */
     function resetForm() {
         form.reset();
-        removeFile();
+        clearFiles();
         clearFileError();
         
         // Clear all field errors
@@ -693,6 +1069,7 @@ const SubmitPOP = (() => {
         });
 
         // Reset defaults
+        dateEdited = false;
         setDefaultDate();
         populateMonthOptions();
         checkExistingSession();
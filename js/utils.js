@@ -379,22 +379,6 @@ const Utils = {
         return age;
     },
 
-    /**
-     * Check if payment is late (after 7th of the month)
-     * SA Stokvel standard: payments due by 7th
-     * 
-     * @param {Date} paymentDate - Date of payment
-     * @returns {boolean} Whether payment is late
-     */
-    isPaymentLate(paymentDate) {
-        if (!paymentDate) return false;
-        
-        const date = new Date(paymentDate);
-        const lateDay = APP_SETTINGS?.lateDayOfMonth || 7;
-        
-        return date.getDate() > lateDay;
-    },
-
     /**
      * Get month name from number
      * 
@@ -409,6 +393,18 @@ const Utils = {
         return months[month - 1] || '';
     },
 
+    /**
+     * Day of the month with its suffix
+     * 
+     * @param {number} day - e.g. 7
+     * @returns {string} e.g. "7th"
+     */
+    ordinal(day) {
+        const n = Number(day);
+        if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+        return n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    },
+
     /**
      * Get current payment month string
      * 
@@ -524,13 +520,12 @@ const Utils = {
 
     /**
      * Check if user qualifies for interest
-     * SA Stokvel: R10,000 minimum savings
      * 
      * @param {number} totalSavings - Member's total savings
+     * @param {number} threshold - interestEligibilityMin from Rules
      * @returns {boolean} Whether member qualifies
      */
-    qualifiesForInterest(totalSavings) {
-        const threshold = APP_SETTINGS?.interestEligibilityMin || 10000;
+    qualifiesForInterest(totalSavings, threshold) {
         return (totalSavings || 0) >= threshold;
     },
 
@@ -639,6 +634,24 @@ const Utils = {
         }
     },
 
+    /**
+     * Save text as a file (CSV exports)
+     * 
+     * @param {string} content - File contents
+     * @param {string} filename - e.g. "report.csv"
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, filename, type = 'text/csv') {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
     /**
      * Debounce function calls
      * 
@@ -781,6 +794,61 @@ const Utils = {
         return principal * Math.pow(1 + annualRate / compoundingFreq, compoundingFreq * years);
     },
 
+    /**
+     * Equal monthly instalment that pays off a loan with interest
+     * charged on the reducing balance
+     *
+     * @param {number} principal - Amount borrowed
+     * @param {number} monthlyRate - Monthly interest rate (decimal, e.g., 0.05 for 5%)
+     * @param {number} months - Number of instalments
+     * @returns {number} Instalment, rounded to cents
+     */
+    calculateLoanInstalment(principal, monthlyRate, months) {
+        if (!months) return 0;
+        if (!monthlyRate) return this.round(principal / months);
+        return this.round(
+            (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months))
+        );
+    },
+
+    /**
+     * Average daily balance over a period (end-of-day balances)
+     * Money that arrives early in the period counts for more days than
+     * money that arrives late.
+     *
+     * @param {Array} movements - [{date: "YYYY-MM-DD", amount}], any order
+     * @param {string} start - First day, "YYYY-MM-DD"
+     * @param {string} end - Last day, "YYYY-MM-DD"
+     * @returns {number} Average balance
+     */
+    averageDailyBalance(movements, start, end) {
+        const dayNumber = (key) => {
+            const [year, month, day] = key.split('-').map(Number);
+            return Date.UTC(year, month - 1, day) / 86400000;
+        };
+
+        const first = dayNumber(start);
+        const last = dayNumber(end);
+        if (last < first) return 0;
+
+        // Balance brought forward, then the change on each day of the period
+        let balance = 0;
+        const changes = {};
+        movements.forEach(({ date, amount }) => {
+            const day = dayNumber(date);
+            if (day < first) balance += amount;
+            else if (day <= last) changes[day] = (changes[day] || 0) + amount;
+        });
+
+        let weighted = 0;
+        for (let day = first; day <= last; day++) {
+            balance += changes[day] || 0;
+            weighted += balance;
+        }
+
+        return this.round(weighted / (last - first + 1));
+    },
+
     /**
      * Round to specific decimal places
      * 
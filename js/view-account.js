@@ -35,6 +35,7 @@ const ViewAccount = (() => {
     let interestStatusEl;
     let stokvelTotalEl;
     let submissionsListEl;
+    let queuedListEl;
     let refreshBtn;
     let logoutBtn;
 
@@ -44,6 +45,8 @@ const ViewAccount = (() => {
     let currentMember = null;
     let memberStats = null;
     let isLoading = false;
+    let memberLoans = [];
+    let loanRules = null;
 
     /**
      * Initialize the page
@@ -56,6 +59,16 @@ const ViewAccount = (() => {
         
         // Initialize app core
         App.init();
+
+        // Send POPs saved on this phone while offline
+        PopQueue.init();
+        PopQueue.onChange(({ sent, reference }) => {
+            if (sent) {
+                showToast(`Your saved payment was sent (${reference})`, 'success');
+                loadDashboardData();
+            }
+            updateQueuedList();
+        });
         
         // Set up event listeners
         setupEventListeners();
@@ -86,6 +99,7 @@ const ViewAccount = (() => {
         interestStatusEl = document.getElementById('interestStatus');
         stokvelTotalEl = document.getElementById('stokvelTotal');
         submissionsListEl = document.getElementById('submissionsList');
+        queuedListEl = document.getElementById('queuedList');
         refreshBtn = document.getElementById('refreshBtn');
         logoutBtn = document.getElementById('logoutBtn');
     }
@@ -136,6 +150,35 @@ const ViewAccount = (() => {
             logoutBtn.addEventListener('click', handleLogout);
         }
 
+        // Statement download
+        const statementForm = document.getElementById('statementForm');
+        if (statementForm) {
+            const today = Rules.dayKey(new Date());
+            document.getElementById('statementFrom').value = `${today.slice(0, 4)}-01-01`;
+            document.getElementById('statementTo').value = today;
+            document.getElementById('statementFrom').max = today;
+            document.getElementById('statementTo').max = today;
+            statementForm.addEventListener('submit', handleStatementDownload);
+        }
+
+        // Loan application
+        const loanForm = document.getElementById('loanForm');
+        if (loanForm) {
+            loanForm.addEventListener('submit', handleLoanApply);
+            document.getElementById('loanAmount').addEventListener('input', updateLoanPreview);
+            document.getElementById('loanMonths').addEventListener('change', updateLoanPreview);
+        }
+        document.getElementById('loanCurrent')?.addEventListener('click', (e) => {
+            const cancelBtn = e.target.closest('[data-cancel-loan]');
+            if (cancelBtn) handleLoanCancel(cancelBtn.dataset.cancelLoan);
+        });
+
+        // Payment reminder opt-out
+        const reminderToggle = document.getElementById('reminderToggle');
+        if (reminderToggle) {
+            reminderToggle.addEventListener('change', handleReminderToggle);
+        }
+
         // Register link
         const registerLink = document.getElementById('registerLink');
         if (registerLink) {
@@ -159,8 +202,11 @@ const ViewAccount = (() => {
             
             if (sessionAge < maxAge) {
                 try {
-                    // Verify member still exists
-                    const member = await Database.getMemberByPhone(session.phone);
+                    // Firebase sign-in must still belong to this member
+                    const memberId = await Auth.getMemberId();
+                    const member = memberId === session.id
+                        ? await Database.getMember(session.id)
+                        : null;
                     if (member) {
                         currentMember = member;
                         showDashboard();
@@ -204,11 +250,8 @@ const ViewAccount = (() => {
         try {
             console.log('🔐 Attempting login...');
             
-            // Authenticate via Database
-            const member = await Database.verifyMemberLogin(phone, password);
-            const result = member 
-                ? { success: true, member: member }
-                : { success: false, error: 'Invalid phone number or password' };
+            // Password is checked server-side; success signs the member in
+            const result = await Database.authenticateMember(phone, password);
             
             if (result.success) {
                 currentMember = result.member;
@@ -247,9 +290,10 @@ const ViewAccount = (() => {
      * Handle logout
      */
     function handleLogout() {
-        Auth.clearMemberSession();
+        Auth.signOutMember();
         currentMember = null;
         memberStats = null;
+        if (queuedListEl) queuedListEl.innerHTML = '';
         
         // Reset form
         loginForm.reset();
@@ -291,7 +335,7 @@ const ViewAccount = (() => {
             console.log('📊 Loading dashboard data...');
             
             // Load member stats
-            memberStats = await Database.getMemberStats(currentMember.phone);
+            memberStats = await Database.getMemberStats(currentMember.id);
             
             if (!memberStats) {
                 throw new Error('Could not load account data');
@@ -302,9 +346,12 @@ const ViewAccount = (() => {
             
             // Update all UI elements
             updateDashboardUI();
+            updateQueuedList();
             
-            // Load stokvel total separately
+            // Load stokvel total and loans separately
             loadStokvelTotal();
+            // The rotation's arrears check needs the loans
+            loadLoans().then(loadRotation);
             
             console.log('✅ Dashboard data loaded');
             
@@ -350,21 +397,113 @@ const ViewAccount = (() => {
             submissionCountEl.textContent = memberStats.submissionCount || 0;
         }
         
-        // Interest eligibility progress (R10,000 threshold)
+        // Membership status (set by the monthly close)
+        updateAccountStatus();
+        
+        // Reminder preference
+        const reminderToggle = document.getElementById('reminderToggle');
+        if (reminderToggle) {
+            reminderToggle.checked = !currentMember.reminderOptOut;
+        }
+        
+        // Interest eligibility progress (threshold from Rules)
+        Rules.render();
         updateInterestProgress();
         
         // Submissions list
         updateSubmissionsList();
     }
 
+    /**
+     * Show membership status and any missed-contribution notice
+     */
+    function updateAccountStatus() {
+        const status = currentMember.status || 'active';
+        const skipped = currentMember.skippedMonths || 0;
+        
+        const statusEl = document.getElementById('memberStatus');
+        if (statusEl) {
+            statusEl.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+        }
+        
+        const noticeEl = document.getElementById('accountNotice');
+        if (!noticeEl) return;
+        
+        if (status === 'suspended') {
+            noticeEl.className = 'account-notice suspended';
+            noticeEl.textContent = `Your membership is suspended after ${skipped} missed months. Please contact an officer to be reinstated.`;
+            noticeEl.style.display = 'block';
+        } else if (status === 'warning') {
+            noticeEl.className = 'account-notice';
+            noticeEl.textContent = `You have missed ${skipped} monthly contributions. Miss one more and your membership will be suspended.`;
+            noticeEl.style.display = 'block';
+        } else {
+            noticeEl.style.display = 'none';
+        }
+    }
+
+    /**
+     * Save the member's SMS reminder preference
+     * @param {Event} e - Checkbox change event
+     */
+    async function handleReminderToggle(e) {
+        const optOut = !e.target.checked;
+        e.target.disabled = true;
+        
+        try {
+            await Database.setReminderOptOut(currentMember.id, optOut);
+            currentMember.reminderOptOut = optOut;
+            showToast(optOut ? 'Payment reminders turned off' : 'Payment reminders turned on', 'success');
+        } catch (error) {
+            console.error('Reminder preference error:', error);
+            e.target.checked = optOut;
+            showToast('Could not save your preference', 'error');
+        } finally {
+            e.target.disabled = false;
+        }
+    }
+
+    /**
+     * Download a PDF statement for the chosen dates
+     * @param {Event} e - Form submit event
+     */
+    async function handleStatementDownload(e) {
+        e.preventDefault();
+
+        const from = document.getElementById('statementFrom').value;
+        const to = document.getElementById('statementTo').value;
+        const btn = document.getElementById('statementBtn');
+
+        if (!from || !to) {
+            showToast('Choose the start and end dates', 'warning');
+            return;
+        }
+        if (from > to) {
+            showToast('The start date must be before the end date', 'warning');
+            return;
+        }
+
+        setButtonLoading(btn, true);
+
+        try {
+            const statement = await Statement.download(from, to);
+            showToast(`Statement downloaded (code ${statement.code})`, 'success');
+        } catch (error) {
+            console.error('Statement error:', error);
+            showToast(error.message || 'Could not create your statement', 'error');
+        } finally {
+            setButtonLoading(btn, false);
+        }
+    }
+
     /**
      * Update interest eligibility progress bar
-     * SA Stokvel standard: R10,000 minimum to qualify for interest share
+     * Threshold is the interestEligibilityMin in force (see Rules)
      */
     function updateInterestProgress() {
         if (!memberStats) return;
         
-        const threshold = memberStats.interestThreshold || APP_SETTINGS?.interestEligibilityMin || 10000;
+        const threshold = memberStats.interestThreshold;
         const progress = memberStats.interestProgress || 0;
         const qualifies = memberStats.qualifiesForInterest;
         
@@ -428,6 +567,62 @@ const ViewAccount = (() => {
         submissionsListEl.innerHTML = submissions.map(sub => createSubmissionCard(sub)).join('');
     }
 
+    /**
+     * Show this member's submissions still waiting on the phone
+     * (saved offline on the submit page, see js/pop-queue.js)
+     */
+    async function updateQueuedList() {
+        if (!queuedListEl) return;
+
+        let entries = [];
+        try {
+            entries = await PopQueue.list();
+        } catch (error) {
+            console.warn('⚠️ Offline queue unavailable:', error.message);
+        }
+
+        const phone = Utils.normalizePhone(currentMember?.phone);
+        const mine = entries.filter(entry => phone && Utils.normalizePhone(entry.data.phone) === phone);
+
+        queuedListEl.innerHTML = mine.map(entry => createQueuedCard(entry)).join('');
+    }
+
+    /**
+     * Create card HTML for a queued submission
+     * @param {object} entry - PopQueue entry
+     * @returns {string} HTML string
+     */
+    function createQueuedCard(entry) {
+        const failed = entry.status === 'failed';
+        const dateStr = Utils.formatDate(new Date(entry.queuedAt), 'medium');
+
+        return `
+            <div class="submission-card submission-queued">
+                <div class="submission-header">
+                    <span class="submission-month">${Utils.escapeHtml(entry.data.paymentMonth)}</span>
+                    <span class="badge badge-${failed ? 'error' : 'warning'}">${failed ? 'Not sent' : 'Waiting to send'}</span>
+                </div>
+                <div class="submission-body">
+                    <div class="submission-amount">${Utils.formatCurrency(entry.data.amount)}</div>
+                </div>
+                <div class="submission-footer">
+                    <span class="submission-date">Saved ${dateStr}</span>
+                    <span class="submission-ref">${entry.files.length} file${entry.files.length === 1 ? '' : 's'}</span>
+                </div>
+                ${failed ? `
+                    <div class="submission-rejection">
+                        <strong>Could not send:</strong> ${Utils.escapeHtml(entry.lastError || 'Unknown error')}
+                        Please submit this payment again.
+                    </div>
+                ` : `
+                    <div class="submission-waiting">
+                        Saved on this phone. It will be sent automatically when you're back online.
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
     /**
      * Create submission card HTML
      * @param {object} submission - Submission data
@@ -438,13 +633,15 @@ const ViewAccount = (() => {
         const statusClass = {
             'verified': 'success',
             'pending': 'warning',
-            'rejected': 'error'
+            'rejected': 'error',
+            'reversed': 'default'
         }[status] || 'default';
         
         const statusLabel = {
             'verified': 'Verified',
             'pending': 'Pending',
-            'rejected': 'Rejected'
+            'rejected': 'Rejected',
+            'reversed': submission.amendedBySubmissionId ? 'Amended' : 'Reversed'
         }[status] || status;
         
         // Format date
@@ -459,7 +656,7 @@ const ViewAccount = (() => {
         return `
             <div class="submission-card">
                 <div class="submission-header">
-                    <span class="submission-month">${Utils.escapeHtml(submission.paymentMonth)}</span>
+                    <span class="submission-month">${Utils.escapeHtml(submission.paymentMonth)}${submission.loanId ? ' · Loan repayment' : ''}${submission.rotationId ? ' · Rotation' : ''}</span>
                     <span class="badge badge-${statusClass}">${statusLabel}</span>
                 </div>
                 <div class="submission-body">
@@ -475,6 +672,305 @@ const ViewAccount = (() => {
                         <strong>Reason:</strong> ${Utils.escapeHtml(submission.rejectionReason)}
                     </div>
                 ` : ''}
+                ${status === 'reversed' && submission.reversalReason ? `
+                    <div class="submission-rejection">
+                        <strong>Adjusted:</strong> ${Utils.escapeHtml(submission.reversalReason)}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Load the member's loans and the lending rules in force
+     */
+    async function loadLoans() {
+        if (!document.getElementById('loanSection') || !currentMember) return;
+
+        try {
+            [memberLoans, loanRules] = await Promise.all([
+                Loans.getForMember(currentMember.id),
+                Rules.current()
+            ]);
+            renderLoans();
+        } catch (error) {
+            console.warn('Could not load loans:', error);
+            document.getElementById('loanCurrent').innerHTML =
+                '<p class="loan-muted">Could not load your loans</p>';
+        }
+    }
+
+    /**
+     * Show the open loan (or application), the apply form and past loans
+     */
+    function renderLoans() {
+        const currentEl = document.getElementById('loanCurrent');
+        const form = document.getElementById('loanForm');
+        const historyEl = document.getElementById('loanHistory');
+        const money = (amount) => Utils.formatCurrency(amount, true);
+
+        const open = Loans.openLoans(memberLoans)[0] || null;
+        const closed = memberLoans.filter((loan) => loan !== open);
+        const limit = Loans.limitFor(memberStats?.totalSavings, loanRules);
+
+        if (open?.status === Loans.STATUSES.ACTIVE) {
+            currentEl.innerHTML = createActiveLoanCard(open);
+        } else if (open) {
+            currentEl.innerHTML = `
+                <div class="loan-card">
+                    <div class="loan-row">
+                        <span>Applied for ${money(open.amount)} over ${open.months} months</span>
+                        <span class="badge badge-warning">${Loans.STATUS_LABELS[open.status]}</span>
+                    </div>
+                    <p class="loan-muted">The treasurer will let you know by SMS.</p>
+                    <div class="loan-actions">
+                        <button type="button" class="btn btn-secondary btn-sm" data-cancel-loan="${open.id}">Cancel Application</button>
+                    </div>
+                </div>
+            `;
+        } else if (currentMember.status === 'suspended') {
+            currentEl.innerHTML = '<p class="loan-muted">Loans are not available while your membership is suspended.</p>';
+        } else if (limit <= 0) {
+            currentEl.innerHTML = loanRules.loanSavingsMultiple > 0
+                ? '<p class="loan-muted">Start saving to be able to borrow from the stokvel.</p>'
+                : '<p class="loan-muted">The stokvel is not lending at the moment.</p>';
+        } else {
+            currentEl.innerHTML = '';
+        }
+
+        // Apply form only when there's nothing open and there's a limit
+        const canApply = !open && currentMember.status !== 'suspended' && limit > 0;
+        form.style.display = canApply ? 'block' : 'none';
+        if (canApply) {
+            document.getElementById('loanLimit').textContent =
+                `You can borrow up to ${money(limit)} (${loanRules.loanSavingsMultiple}x your savings) ` +
+                `at ${loanRules.loanInterestRate}% interest a month.`;
+            document.getElementById('loanAmount').max = limit;
+
+            const monthsSelect = document.getElementById('loanMonths');
+            const chosen = Number(monthsSelect.value) || loanRules.loanMaxMonths;
+            monthsSelect.innerHTML = Array.from({ length: loanRules.loanMaxMonths }, (_, i) => i + 1)
+                .map((n) => `<option value="${n}">${n} ${n === 1 ? 'month' : 'months'}</option>`)
+                .join('');
+            monthsSelect.value = String(Math.min(chosen, loanRules.loanMaxMonths));
+            updateLoanPreview();
+        }
+
+        historyEl.innerHTML = closed.map((loan) => `
+            <div class="loan-row">
+                <span>${money(loan.amount)} · ${Utils.formatDate(loan.appliedAt, 'medium')}</span>
+                <span class="loan-muted">${Loans.STATUS_LABELS[loan.status] || loan.status}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Create the card for a loan being repaid
+     * @param {object} loan - Active loan
+     * @returns {string} HTML string
+     */
+    function createActiveLoanCard(loan) {
+        const money = (amount) => Utils.formatCurrency(amount, true);
+        const position = Loans.position(loan);
+        const next = position.nextDue;
+
+        const rows = position.rows.map((row) => `
+            <tr class="${row.status}">
+                <td>${Utils.formatDate(row.dueDate, 'short')}</td>
+                <td>${money(row.instalment)}</td>
+                <td>${money(row.outstanding)}</td>
+                <td>${Loans.INSTALMENT_LABELS[row.status]}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="loan-card">
+                <div class="loan-row">
+                    <span>Still to pay</span>
+                    <span class="loan-balance">${money(position.balance)}</span>
+                </div>
+                <div class="loan-row">
+                    <span>Borrowed</span>
+                    <span>${money(loan.amount)} at ${loan.interestRate}% a month</span>
+                </div>
+                ${next ? `
+                    <div class="loan-row">
+                        <span>Next instalment</span>
+                        <span>${money(next.outstanding)} by ${Utils.formatDate(next.dueDate, 'medium')}</span>
+                    </div>
+                ` : ''}
+                ${position.arrears > 0 ? `
+                    <div class="loan-arrears">
+                        ${money(position.arrears)} is overdue (${position.daysOverdue} days). Please pay as soon as you can.
+                    </div>
+                ` : ''}
+                <div class="loan-actions">
+                    <a href="submit-pop.html?pay=loan" class="btn btn-primary btn-sm">Pay Towards Loan</a>
+                </div>
+                <details class="loan-schedule">
+                    <summary>Repayment schedule</summary>
+                    <table>
+                        <thead>
+                            <tr><th>Due</th><th>Instalment</th><th>Owing</th><th></th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </details>
+            </div>
+        `;
+    }
+
+    /**
+     * Estimate the monthly instalment as the member types
+     */
+    function updateLoanPreview() {
+        const previewEl = document.getElementById('loanPreview');
+        if (!previewEl || !loanRules) return;
+
+        const amount = parseFloat(document.getElementById('loanAmount').value);
+        const months = Number(document.getElementById('loanMonths').value);
+        if (!(amount > 0) || !months) {
+            previewEl.textContent = '';
+            return;
+        }
+
+        const instalment = Utils.calculateLoanInstalment(amount, loanRules.loanInterestRate / 100, months);
+        previewEl.textContent =
+            `About ${Utils.formatCurrency(instalment, true)} a month for ${months} ${months === 1 ? 'month' : 'months'} ` +
+            `(${Utils.formatCurrency(instalment * months, true)} in total).`;
+    }
+
+    /**
+     * Send a loan application
+     * @param {Event} e - Form submit event
+     */
+    async function handleLoanApply(e) {
+        e.preventDefault();
+
+        const amountInput = document.getElementById('loanAmount');
+        const btn = document.getElementById('loanApplyBtn');
+        clearFieldError(amountInput);
+
+        setButtonLoading(btn, true);
+
+        try {
+            await Loans.apply(
+                { ...currentMember, totalSavings: memberStats?.totalSavings },
+                {
+                    amount: amountInput.value,
+                    months: Number(document.getElementById('loanMonths').value),
+                    purpose: document.getElementById('loanPurpose').value
+                }
+            );
+            showToast('Loan application sent', 'success');
+            e.target.reset();
+            await loadLoans();
+        } catch (error) {
+            console.error('Loan application error:', error);
+            showFieldError(amountInput, error.message || 'Could not send your application');
+        } finally {
+            setButtonLoading(btn, false);
+        }
+    }
+
+    /**
+     * Withdraw a loan application that is still waiting
+     * @param {string} loanId
+     */
+    async function handleLoanCancel(loanId) {
+        if (!confirm('Cancel your loan application?')) return;
+
+        try {
+            await Loans.cancel(loanId);
+            showToast('Application cancelled', 'success');
+            await loadLoans();
+        } catch (error) {
+            console.error('Cancel loan error:', error);
+            showToast(error.message || 'Could not cancel the application', 'error');
+        }
+    }
+
+    /**
+     * Show the member's place in the rotation, if they're on one
+     */
+    async function loadRotation() {
+        const section = document.getElementById('rotationSection');
+        if (!section || !currentMember) return;
+
+        try {
+            const rotations = await Rotation.getForMember(currentMember.id);
+            const rotation = rotations.find((r) => r.status === Rotation.STATUSES.ACTIVE) || rotations[0];
+
+            section.style.display = rotation ? 'block' : 'none';
+            if (rotation) {
+                document.getElementById('rotationCurrent').innerHTML = createRotationCard(rotation);
+            }
+        } catch (error) {
+            console.warn('Could not load rotation:', error);
+            section.style.display = 'none';
+        }
+    }
+
+    /**
+     * Queue position, payout received, or arrears holding the payout back
+     * @param {object} rotation
+     * @returns {string} HTML
+     */
+    function createRotationCard(rotation) {
+        const money = (amount) => Utils.formatCurrency(amount, true);
+        const place = Rotation.positionOf(rotation, currentMember.id);
+        const total = rotation.roster.length;
+
+        const heading = `
+            <div class="loan-row">
+                <span>${Utils.escapeHtml(rotation.name)} · ${Rotation.METHODS[rotation.method]}</span>
+                <span>${money(Rotation.pot(rotation))} a month</span>
+            </div>
+        `;
+        const pay = rotation.status === Rotation.STATUSES.ACTIVE
+            ? '<div class="loan-actions"><a href="submit-pop.html?pay=rotation" class="btn btn-primary btn-sm">Pay Rotation Contribution</a></div>'
+            : '';
+
+        if (place.payout) {
+            return `
+                <div class="loan-card">
+                    ${heading}
+                    <p class="rotation-position">Paid ${money(place.payout.amount)}</p>
+                    <p class="loan-muted">Your ${Rotation.monthLabel(place.month)} payout was paid on ${Utils.formatDate(place.payout.paidOn, 'medium')}. Keep contributing until everyone has had a turn.</p>
+                    ${pay}
+                </div>
+            `;
+        }
+
+        const month = place.month || Rotation.nextMonth(rotation);
+        const reasons = Rotation.arrearsFor(
+            currentMember,
+            (memberStats?.submissions || []).filter((s) => s.status === 'verified'),
+            memberLoans,
+            rotation,
+            month
+        );
+        const arrears = reasons.length
+            ? `<div class="loan-arrears">Your payout is on hold: ${reasons.map(Utils.escapeHtml).join('; ')}.</div>`
+            : '';
+
+        // Auction: no fixed place until the winning bid
+        const position = place.position
+            ? `
+                <p class="rotation-position">#${place.position} of ${total}</p>
+                <p class="loan-muted">${place.ahead ? `${place.ahead} ${place.ahead === 1 ? 'member' : 'members'} ahead of you · ` : ''}expected ${Rotation.monthLabel(place.month)}</p>
+            `
+            : `
+                <p class="rotation-position">${place.waitingCount} of ${total} still waiting</p>
+                <p class="loan-muted">Each month's pot goes to the highest bid. Next auction: ${Rotation.monthLabel(month)}</p>
+            `;
+
+        return `
+            <div class="loan-card">
+                ${heading}
+                ${position}
+                ${arrears}
+                ${pay}
             </div>
         `;
     }
@@ -642,18 +1138,15 @@ const ViewAccount = (() => {
         setButtonLoading(btn, true);
         
         try {
-            // Check if phone is registered
-            const member = await Database.getMemberByPhone(phone);
-            if (!member) {
+            // Send OTP via SMS (the server checks the phone is registered)
+            const result = await Auth.requestPasswordOtp(phone);
+            
+            if (result.code === 'not-found') {
                 showFieldError(phoneInput, 'Phone number not registered');
                 return;
             }
             
             resetPhone = phone;
-            resetMemberId = member.id;
-            
-            // Send OTP via SMS
-            const result = await SMS.sendPasswordResetOTP(phone);
             
             if (result.success) {
                 showToast('Verification code sent!', 'success');
@@ -688,9 +1181,11 @@ const ViewAccount = (() => {
         setButtonLoading(btn, true);
         
         try {
-            const isValid = await SMS.verifyOTP(resetPhone, otp);
+            // A valid code signs the member in so they can set a new password
+            const result = await Auth.verifyPasswordOtp(resetPhone, otp);
             
-            if (isValid) {
+            if (result.success) {
+                resetMemberId = result.memberId;
                 showToast('Code verified!', 'success');
                 
                 // Show step 3
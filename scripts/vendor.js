@@ -0,0 +1,61 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - COPY BROWSER LIBRARIES TO vendor/
+ * =====================================================
+ *
+ * Libraries the browser loads from our own hosting rather than a CDN.
+ * Their versions are pinned in package.json; this copies them from
+ * node_modules into vendor/ (not committed), where the code expects them:
+ *
+ *   vendor/tesseract/   js/ocr.js        tesseract.js, -core, English data
+ *   vendor/heic2any/    js/storage.js    heic2any
+ *   vendor/jspdf/       js/statement.js  jspdf
+ *
+ * USAGE (from the repository root):
+ *   npm install        runs this afterwards
+ *   npm run vendor     on its own; firebase deploy runs it first
+ *
+ * =====================================================
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const MODULES = path.join(ROOT, "node_modules");
+const VENDOR = path.join(ROOT, "vendor");
+
+// [from (inside node_modules), to (inside vendor)]
+const FILES = [
+  ["tesseract.js/dist/tesseract.min.js", "tesseract/tesseract.min.js"],
+  ["tesseract.js/dist/worker.min.js", "tesseract/worker.min.js"],
+  ["tesseract.js-core/tesseract-core.wasm.js", "tesseract/core/tesseract-core.wasm.js"],
+  ["tesseract.js-core/tesseract-core-simd.wasm.js", "tesseract/core/tesseract-core-simd.wasm.js"],
+  ["tesseract.js-core/tesseract-core-lstm.wasm.js", "tesseract/core/tesseract-core-lstm.wasm.js"],
+  [
+    "tesseract.js-core/tesseract-core-simd-lstm.wasm.js",
+    "tesseract/core/tesseract-core-simd-lstm.wasm.js",
+  ],
+  ["@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz", "tesseract/lang/eng.traineddata.gz"],
+  ["heic2any/dist/heic2any.min.js", "heic2any/heic2any.min.js"],
+  ["jspdf/dist/jspdf.umd.min.js", "jspdf/jspdf.umd.min.js"],
+];
+
+function main() {
+  const missing = FILES.filter(([from]) => !fs.existsSync(path.join(MODULES, from)));
+  if (missing.length) {
+    console.error("Missing from node_modules (run npm install):");
+    missing.forEach(([from]) => console.error(`  ${from}`));
+    process.exit(1);
+  }
+
+  FILES.forEach(([from, to]) => {
+    const target = path.join(VENDOR, to);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(path.join(MODULES, from), target);
+  });
+
+  console.log(`✅ ${FILES.length} files copied to vendor/`);
+}
+
+main();
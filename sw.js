@@ -0,0 +1,258 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - SERVICE WORKER
+ * =====================================================
+ *
+ * Registered by js/pwa.js on every page. Served from the site root so
+ * its scope covers every page.
+ *
+ * APP SHELL
+ * The pages, styles, scripts and Firebase SDKs are cached on install
+ * under CACHE_VERSION and served from the cache, so the app opens
+ * without a connection. Pages that aren't cached fall back to
+ * offline.html. Bump CACHE_VERSION with every deploy: browsers fetch
+ * the changed worker, install the new shell next to the old one, and
+ * the page offers "Update" (js/pwa.js) - nothing changes under a
+ * member who is halfway through a form.
+ *
+ * OFFLINE POP QUEUE
+ * Queued submissions (js/pop-queue.js) are sent by an open page, which
+ * has the Firebase SDKs and the member's sign-in. When the browser
+ * fires the "pop-queue" sync event (connectivity is back), this worker
+ * tells every open page to send its queue. With no page open the sync
+ * fails, so the browser tries again later.
+ *
+ * NOTIFICATIONS
+ * Clicking an officer's "new submission" notification focuses the
+ * admin page, or opens it.
+ *
+ * =====================================================
+ */
+
+const CACHE_VERSION = "v20";
+const SHELL_CACHE = `tshikota-shell-${CACHE_VERSION}`;
+const CDN_CACHE = `tshikota-cdn-${CACHE_VERSION}`;
+
+const SYNC_TAG = "pop-queue";
+const OFFLINE_PAGE = "offline.html";
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "register.html",
+  "register-kin.html",
+  "submit-pop.html",
+  "view-account.html",
+  "admin-index.html",
+  OFFLINE_PAGE,
+  "manifest.webmanifest",
+  "admin.webmanifest",
+  "css/styles.css",
+  "css/components.css",
+  "css/admin.css",
+  "js/firebase-config.js",
+  "js/utils.js",
+  "js/rules.js",
+  "js/schema.js",
+  "js/auth.js",
+  "js/ledger.js",
+  "js/database.js",
+  "js/interest.js",
+  "js/pool-transactions.js",
+  "js/reconciliation.js",
+  "js/loans.js",
+  "js/rotation.js",
+  "js/storage.js",
+  "js/ocr.js",
+  "js/statement.js",
+  "js/bank-import.js",
+  "js/pop-queue.js",
+  "js/pwa.js",
+  "js/sms.js",
+  "js/app.js",
+  "js/register.js",
+  "js/register-kin.js",
+  "js/submit-pop.js",
+  "js/view-account.js",
+  "js/admin.js",
+  "assets/favicon.svg",
+  "assets/logo.svg",
+  "assets/logo/logo.tshikota.jpeg",
+];
+
+// Versioned URLs, so a cached copy never goes stale
+const CDN_SHELL = [
+  "https://www.gstatic.com/firebasejs/10.7.1/firebase-app-compat.js",
+  "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth-compat.js",
+  "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore-compat.js",
+  "https://www.gstatic.com/firebasejs/10.7.1/firebase-database-compat.js",
+  "https://www.gstatic.com/firebasejs/10.7.1/firebase-storage-compat.js",
+  "https://www.gstatic.com/firebasejs/10.7.1/firebase-functions-compat.js",
+  "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css",
+];
+
+const CDN_HOSTS = [
+  "www.gstatic.com",
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+  "cdnjs.cloudflare.com",
+];
+
+// ==========================================
+// LIFECYCLE
+// ==========================================
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const shell = await caches.open(SHELL_CACHE);
+      // "reload" skips the HTTP cache so the shell matches this version
+      await shell.addAll(
+        APP_SHELL.map((url) => new Request(url, { cache: "reload" })),
+      );
+
+      // A CDN hiccup shouldn't stop the install; these are cached on use too
+      const cdn = await caches.open(CDN_CACHE);
+      await cdn.addAll(CDN_SHELL).catch((error) => {
+        console.warn("⚠️ CDN files not precached:", error.message);
+      });
+    })(),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const current = [SHELL_CACHE, CDN_CACHE];
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith("tshikota-"))
+          .filter((name) => !current.includes(name))
+          .map((name) => caches.delete(name)),
+      );
+      await self.clients.claim();
+    })(),
+  );
+});
+
+self.addEventListener("message", (event) => {
+  // The page's "Update" button (js/pwa.js)
+  if (event.data?.type === "skip-waiting") {
+    self.skipWaiting();
+  }
+});
+
+// ==========================================
+// FETCH
+// ==========================================
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      request.mode === "navigate" ? servePage(request) : serveAsset(request),
+    );
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(serveCdn(request));
+  }
+  // Everything else (Firestore, Realtime DB, Storage, Functions) goes
+  // straight to the network; the SDKs handle being offline themselves
+});
+
+/**
+ * Pages: the cached shell (query strings ignored), else the network,
+ * else the offline page
+ */
+async function servePage(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    return caches.match(OFFLINE_PAGE);
+  }
+}
+
+/**
+ * Same-origin files: the shell, else fetched and kept for next time
+ * (e.g. the OCR and HEIC decoders under vendor/)
+ */
+async function serveAsset(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const shell = await caches.open(SHELL_CACHE);
+    shell.put(request, response.clone());
+  }
+  return response;
+}
+
+async function serveCdn(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    const cdn = await caches.open(CDN_CACHE);
+    cdn.put(request, response.clone());
+  }
+  return response;
+}
+
+// ==========================================
+// BACKGROUND SYNC
+// ==========================================
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(askPagesToFlush());
+  }
+});
+
+async function askPagesToFlush() {
+  const pages = await self.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+
+  if (!pages.length) {
+    // Rejecting makes the browser retry the sync later
+    throw new Error("No open page to send queued submissions");
+  }
+
+  pages.forEach((page) => page.postMessage({ type: "pop-queue-flush" }));
+}
+
+// ==========================================
+// NOTIFICATIONS
+// ==========================================
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const target = new URL(
+    event.notification.data?.url || "admin-index.html",
+    self.location.href,
+  );
+
+  event.waitUntil(
+    (async () => {
+      const pages = await self.clients.matchAll({
+        type: "window",
+        includeUncontrolled: true,
+      });
+      const open = pages.find(
+        (page) => new URL(page.url).pathname === target.pathname,
+      );
+      if (open) return open.focus();
+      return self.clients.openWindow(target.href);
+    })(),
+  );
+});
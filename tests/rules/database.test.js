@@ -0,0 +1,130 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - REALTIME DATABASE RULES TESTS
+ * =====================================================
+ *
+ * database.rules.json against the Realtime Database emulator
+ * (npm run test:rules). Only Cloud Functions write the dashboard
+ * figures; the browser may only take the next submission number.
+ *
+ * =====================================================
+ */
+
+const { after, before, beforeEach, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require("@firebase/rules-unit-testing");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+let env;
+
+function as(uid, claims) {
+  if (!uid) return env.unauthenticatedContext().database();
+  return env.authenticatedContext(uid, claims).database();
+}
+
+const treasurer = () => as("treasurer-uid", { role: "treasurer", level: 2 });
+const member = () => as("member-uid", { memberId: "m1" });
+const visitor = () => as("anon-uid");
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: "demo-tshikota",
+    database: {
+      rules: fs.readFileSync(path.join(ROOT, "database.rules.json"), "utf8"),
+    },
+  });
+});
+
+after(async () => {
+  await env?.cleanup();
+});
+
+beforeEach(async () => {
+  await env.clearDatabase();
+  await env.withSecurityRulesDisabled(async (context) => {
+    await context.database().ref("stokvel").set({
+      totals: { totalSavings: 1000, pendingSubmissions: 2 },
+      interestPool: { 2025: { totalFines: 50 } },
+      members: {
+        m1: { name: "Thandi Mokoena", totalSavings: 600 },
+        m2: { name: "Sipho Dlamini", totalSavings: 400 },
+      },
+      counters: { memberNumber: 1002, submissionNumber: 10005 },
+    });
+  });
+});
+
+describe("totals", () => {
+  test("officers read them; members and visitors don't", async () => {
+    await assertSucceeds(treasurer().ref("stokvel/totals").once("value"));
+    await assertSucceeds(
+      treasurer().ref("stokvel/interestPool/2025").once("value"),
+    );
+    await assertFails(member().ref("stokvel/totals").once("value"));
+    await assertFails(visitor().ref("stokvel/totals").once("value"));
+  });
+
+  test("nobody writes them from the browser", async () => {
+    await assertFails(
+      treasurer().ref("stokvel/totals/totalSavings").set(5000),
+    );
+    await assertFails(
+      visitor().ref("stokvel/totals/pendingSubmissions").transaction(
+        (value) => (value || 0) + 1,
+      ),
+    );
+    await assertFails(
+      treasurer().ref("stokvel/interestPool/2025/totalFines").set(0),
+    );
+  });
+});
+
+describe("members", () => {
+  test("a member reads only their own figures", async () => {
+    await assertSucceeds(member().ref("stokvel/members/m1").once("value"));
+    await assertFails(member().ref("stokvel/members/m2").once("value"));
+    await assertFails(member().ref("stokvel/members").once("value"));
+    await assertFails(visitor().ref("stokvel/members/m1").once("value"));
+    await assertSucceeds(treasurer().ref("stokvel/members").once("value"));
+  });
+
+  test("a member can't change their own figures", async () => {
+    await assertFails(
+      member().ref("stokvel/members/m1/totalSavings").set(99999),
+    );
+  });
+});
+
+describe("counters", () => {
+  test("visitors take the next submission number", async () => {
+    const result = await assertSucceeds(
+      visitor()
+        .ref("stokvel/counters/submissionNumber")
+        .transaction((current) => (current || 10000) + 1),
+    );
+    assert.equal(result.snapshot.val(), 10006);
+  });
+
+  test("a submission number can't be skipped or reset", async () => {
+    await assertFails(
+      visitor().ref("stokvel/counters/submissionNumber").set(10100),
+    );
+    await assertFails(
+      visitor().ref("stokvel/counters/submissionNumber").set(10000),
+    );
+    await assertFails(
+      as(null).ref("stokvel/counters/submissionNumber").set(10006),
+    );
+  });
+
+  test("member numbers are the server's", async () => {
+    await assertFails(visitor().ref("stokvel/counters/memberNumber").set(1003));
+  });
+});
@@ -0,0 +1,845 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - FIRESTORE RULES TESTS
+ * =====================================================
+ *
+ * firestore.rules against the Firestore emulator, one block per
+ * collection. Run from the repository root:
+ *
+ *   npm run test:rules
+ *
+ * which starts the emulator (firebase-tools, a dev dependency) and runs
+ * this file with node's test runner.
+ *
+ * Who's who (see seed()):
+ * - chair / treasurer / secretary  Active officers (role claim + officers doc)
+ * - revoked                        Treasurer claim, officers doc revoked
+ * - member                         Member m1 (memberId claim, members/m1.uid)
+ * - other                          Member m2
+ * - anon                           Anonymous visitor
+ *
+ * =====================================================
+ */
+
+const { after, before, beforeEach, describe, test } = require("node:test");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require("@firebase/rules-unit-testing");
+const {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} = require("firebase/firestore");
+
+let env;
+
+// ==========================================
+// SETUP
+// ==========================================
+
+const OFFICERS = {
+  chair: { uid: "chair-uid", role: "chairperson", level: 3 },
+  treasurer: { uid: "treasurer-uid", role: "treasurer", level: 2 },
+  secretary: { uid: "secretary-uid", role: "secretary", level: 2 },
+  revoked: { uid: "revoked-uid", role: "treasurer", level: 2 },
+};
+
+const MEMBERS = {
+  member: { uid: "member-uid", memberId: "m1" },
+  other: { uid: "other-uid", memberId: "m2" },
+};
+
+/**
+ * Firestore as a given user
+ * @param {string} who - Key of OFFICERS or MEMBERS, "anon" or "nobody"
+ */
+function as(who) {
+  if (who === "nobody") return env.unauthenticatedContext().firestore();
+  if (who === "anon") return env.authenticatedContext("anon-uid").firestore();
+
+  const officer = OFFICERS[who];
+  if (officer) {
+    return env
+      .authenticatedContext(officer.uid, {
+        role: officer.role,
+        level: officer.level,
+      })
+      .firestore();
+  }
+
+  const member = MEMBERS[who];
+  return env
+    .authenticatedContext(member.uid, { memberId: member.memberId })
+    .firestore();
+}
+
+function member(id, uid, phone) {
+  return {
+    name: `Member ${id}`,
+    phone: phone,
+    idNumber: "8001015009087",
+    memberRef: `TRF-${id}`,
+    uid: uid,
+    status: "active",
+    passwordHash: "hash",
+    registrationComplete: false,
+    reminderOptOut: false,
+    totalSavings: 0,
+  };
+}
+
+function submission(memberId, fields = {}) {
+  return {
+    memberId: memberId,
+    name: "Member",
+    phone: "0821234567",
+    amount: 300,
+    paymentMonth: "March 2026",
+    status: "pending",
+    ...fields,
+  };
+}
+
+function entry(lines, fields = {}) {
+  const sum = (side) => lines.reduce((total, line) => total + line[side], 0);
+  return {
+    type: "contribution",
+    memberId: "m1",
+    lines: lines,
+    totalDebit: sum("debit"),
+    totalCredit: sum("credit"),
+    ...fields,
+  };
+}
+
+async function seed() {
+  await env.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const put = (path, data) => setDoc(doc(db, path), data);
+
+    await put("officers/chair-uid", { role: "chairperson", status: "active" });
+    await put("officers/treasurer-uid", { role: "treasurer", status: "active" });
+    await put("officers/secretary-uid", { role: "secretary", status: "active" });
+    await put("officers/revoked-uid", { role: "treasurer", status: "revoked" });
+
+    await put("members/m1", member("m1", "member-uid", "0821234567"));
+    await put("members/m2", member("m2", "other-uid", "0827654321"));
+
+    await put("submissions/s1", submission("m1"));
+    await put("submissions/s2", submission("m2"));
+    await put("bankTransactions/b1", { amount: 300, submissionId: "s1" });
+    await put("submissions/done", submission("m1", {
+      status: "reversed",
+      reversalReason: "Wrong amount",
+    }));
+
+    await put("nextOfKin/k1", {
+      memberId: "m1",
+      type: "primary",
+      name: "Kin",
+      phone: "0820000000",
+    });
+    await put("nextOfKin/k2", {
+      memberId: "m2",
+      type: "primary",
+      name: "Kin",
+      phone: "0820000001",
+    });
+
+    await put("otpCodes/+27821234567", { otpHash: "hash", memberId: "m1" });
+    await put("settings/app", { name: "Tshikota Ro Farana" });
+    await put("settings/rules", { versions: [] });
+    await put("auditLogs/a1", { action: "test" });
+    await put("interestPool/2026", { year: 2026, totalFines: 50 });
+
+    await put("ledgerEntries/e1", entry([
+      { account: "pool", debit: 300, credit: 0 },
+      { account: "member:m1", debit: 0, credit: 300 },
+    ]));
+    await put("ledgerEntries/e2", entry([
+      { account: "pool", debit: 300, credit: 0 },
+      { account: "member:m2", debit: 0, credit: 300 },
+    ], { memberId: "m2" }));
+
+    await put("interestDistributions/2025", { status: "draft", allocations: [] });
+    await put("interestDistributions/2024", { status: "approved", allocations: [] });
+    await put("poolTransactions/p1", {
+      status: "recorded",
+      kind: "expense",
+      amount: 65,
+    });
+    await put("reconciliations/c1", { month: "2026-02", bankBalance: 1000 });
+
+    await put("loans/l1", {
+      memberId: "m1",
+      status: "applied",
+      amount: 1000,
+      months: 6,
+    });
+    await put("loans/l2", {
+      memberId: "m2",
+      status: "active",
+      amount: 1000,
+      months: 6,
+      balance: 1000,
+    });
+
+    await put("rotations/r1", {
+      name: "2026 Rotation",
+      method: "ordered",
+      startMonth: "2026-01",
+      contribution: 100,
+      roster: [{ memberId: "m1" }, { memberId: "m2" }],
+      rosterIds: ["m1", "m2"],
+      payouts: {},
+      status: "active",
+    });
+    await put("rotations/r2", {
+      name: "Other group",
+      method: "draw",
+      startMonth: "2026-01",
+      contribution: 100,
+      roster: [{ memberId: "m2" }, { memberId: "m3" }],
+      rosterIds: ["m2", "m3"],
+      payouts: {},
+      status: "active",
+    });
+
+    for (const name of [
+      "smsLogs",
+      "smsQueue",
+      "monthCloses",
+      "schemaMigrations",
+      "popFingerprints",
+      "bankTransactions",
+      "reminderLog",
+      "statements",
+    ]) {
+      await put(`${name}/x1`, { memberId: "m1" });
+    }
+  });
+}
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: "demo-tshikota",
+    firestore: {
+      rules: fs.readFileSync(
+        path.join(__dirname, "..", "..", "firestore.rules"),
+        "utf8",
+      ),
+    },
+  });
+});
+
+after(async () => {
+  await env?.cleanup();
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await seed();
+});
+
+// ==========================================
+// OFFICERS
+// ==========================================
+
+describe("officers", () => {
+  test("active officers read the roster", async () => {
+    await assertSucceeds(getDoc(doc(as("secretary"), "officers/chair-uid")));
+  });
+
+  test("a revoked officer loses access before their token expires", async () => {
+    await assertFails(getDoc(doc(as("revoked"), "officers/chair-uid")));
+    await assertFails(getDoc(doc(as("revoked"), "submissions/s1")));
+    await assertFails(
+      updateDoc(doc(as("revoked"), "submissions/s1"), { status: "verified" }),
+    );
+  });
+
+  test("a role claim without an officers doc is not enough", async () => {
+    const forged = env
+      .authenticatedContext("stranger", { role: "chairperson", level: 3 })
+      .firestore();
+    await assertFails(getDoc(doc(forged, "members/m1")));
+  });
+
+  test("nobody writes the roster from the browser", async () => {
+    await assertFails(
+      setDoc(doc(as("chair"), "officers/new-uid"), { status: "active" }),
+    );
+    await assertFails(getDoc(doc(as("member"), "officers/chair-uid")));
+  });
+});
+
+// ==========================================
+// MEMBERS
+// ==========================================
+
+describe("members", () => {
+  test("a member reads only their own record", async () => {
+    await assertSucceeds(getDoc(doc(as("member"), "members/m1")));
+    await assertFails(getDoc(doc(as("member"), "members/m2")));
+    await assertFails(getDoc(doc(as("anon"), "members/m1")));
+    await assertFails(getDoc(doc(as("nobody"), "members/m1")));
+  });
+
+  test("a member can't list everyone", async () => {
+    await assertFails(getDocs(collection(as("member"), "members")));
+    await assertSucceeds(getDocs(collection(as("secretary"), "members")));
+  });
+
+  test("a member changes their reminder opt-out", async () => {
+    await assertSucceeds(
+      updateDoc(doc(as("member"), "members/m1"), { reminderOptOut: true }),
+    );
+    await assertFails(
+      updateDoc(doc(as("other"), "members/m1"), { reminderOptOut: true }),
+    );
+  });
+
+  test("a member can't set their own password hash or money fields", async () => {
+    await assertFails(
+      updateDoc(doc(as("member"), "members/m1"), { passwordHash: "mine" }),
+    );
+    await assertFails(
+      updateDoc(doc(as("member"), "members/m1"), { totalSavings: 99999 }),
+    );
+    await assertFails(
+      updateDoc(doc(as("member"), "members/m1"), { lastLogin: new Date() }),
+    );
+  });
+
+  test("registration is marked complete once, on its own", async () => {
+    await assertFails(
+      updateDoc(doc(as("member"), "members/m1"), {
+        registrationComplete: true,
+        passwordHash: "mine",
+      }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("member"), "members/m1"), { registrationComplete: true }),
+    );
+    await assertFails(
+      updateDoc(doc(as("member"), "members/m1"), { registrationComplete: false }),
+    );
+  });
+
+  test("officers add members; only the chairperson deletes", async () => {
+    await assertSucceeds(
+      setDoc(doc(as("secretary"), "members/m9"), {
+        name: "New",
+        phone: "0831234567",
+      }),
+    );
+    await assertFails(
+      setDoc(doc(as("secretary"), "members/m8"), { name: "New", phone: "123" }),
+    );
+    await assertFails(
+      setDoc(doc(as("anon"), "members/m7"), {
+        name: "New",
+        phone: "0831234567",
+      }),
+    );
+    await assertFails(deleteDoc(doc(as("treasurer"), "members/m2")));
+    await assertSucceeds(deleteDoc(doc(as("chair"), "members/m2")));
+  });
+});
+
+// ==========================================
+// SUBMISSIONS
+// ==========================================
+
+describe("submissions", () => {
+  test("members read their own; officers read all", async () => {
+    await assertSucceeds(getDoc(doc(as("member"), "submissions/s1")));
+    await assertFails(getDoc(doc(as("member"), "submissions/s2")));
+    await assertFails(getDoc(doc(as("anon"), "submissions/s1")));
+    await assertSucceeds(getDoc(doc(as("secretary"), "submissions/s2")));
+    await assertSucceeds(
+      getDocs(
+        query(
+          collection(as("member"), "submissions"),
+          where("memberId", "==", "m1"),
+        ),
+      ),
+    );
+  });
+
+  test("guests and members submit pending payments", async () => {
+    await assertSucceeds(
+      addDoc(collection(as("anon"), "submissions"), submission(null)),
+    );
+    await assertSucceeds(
+      addDoc(collection(as("member"), "submissions"), submission("m1")),
+    );
+    await assertFails(
+      addDoc(collection(as("nobody"), "submissions"), submission(null)),
+    );
+  });
+
+  test("a member can't submit for someone else or pre-approve", async () => {
+    await assertFails(
+      addDoc(collection(as("member"), "submissions"), submission("m2")),
+    );
+    await assertFails(
+      addDoc(
+        collection(as("member"), "submissions"),
+        submission("m1", { status: "verified" }),
+      ),
+    );
+    await assertFails(
+      addDoc(
+        collection(as("anon"), "submissions"),
+        submission(null, { duplicates: [] }),
+      ),
+    );
+    await assertFails(
+      addDoc(
+        collection(as("anon"), "submissions"),
+        submission(null, { duplicateCheckedAt: new Date() }),
+      ),
+    );
+    await assertFails(
+      addDoc(
+        collection(as("anon"), "submissions"),
+        submission(null, { memberName: "Legacy" }),
+      ),
+    );
+  });
+
+  test("only officers approve, and reversals need a reason", async () => {
+    await assertFails(
+      updateDoc(doc(as("member"), "submissions/s1"), { status: "verified" }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("secretary"), "submissions/s1"), { status: "verified" }),
+    );
+    await assertFails(
+      updateDoc(doc(as("secretary"), "submissions/s2"), { status: "reversed" }),
+    );
+    await assertFails(
+      updateDoc(doc(as("chair"), "submissions/done"), { status: "verified" }),
+    );
+  });
+
+  test("only the chairperson deletes", async () => {
+    await assertFails(deleteDoc(doc(as("treasurer"), "submissions/s1")));
+    await assertSucceeds(deleteDoc(doc(as("chair"), "submissions/s1")));
+  });
+});
+
+// ==========================================
+// NEXT OF KIN
+// ==========================================
+
+describe("nextOfKin", () => {
+  const kin = (memberId) => ({
+    memberId: memberId,
+    type: "secondary",
+    name: "Kin",
+    phone: "0820000002",
+  });
+
+  test("members read and add their own", async () => {
+    await assertSucceeds(getDoc(doc(as("member"), "nextOfKin/k1")));
+    await assertFails(getDoc(doc(as("member"), "nextOfKin/k2")));
+    await assertSucceeds(addDoc(collection(as("member"), "nextOfKin"), kin("m1")));
+    await assertFails(addDoc(collection(as("member"), "nextOfKin"), kin("m2")));
+    await assertFails(addDoc(collection(as("anon"), "nextOfKin"), kin("m1")));
+  });
+
+  test("officers update; the chairperson deletes", async () => {
+    await assertFails(updateDoc(doc(as("member"), "nextOfKin/k1"), { name: "X" }));
+    await assertSucceeds(
+      updateDoc(doc(as("secretary"), "nextOfKin/k1"), { name: "X" }),
+    );
+    await assertFails(deleteDoc(doc(as("secretary"), "nextOfKin/k1")));
+    await assertSucceeds(deleteDoc(doc(as("chair"), "nextOfKin/k1")));
+  });
+});
+
+// ==========================================
+// OTP CODES
+// ==========================================
+
+describe("otpCodes", () => {
+  test("no browser reads or writes codes", async () => {
+    await assertFails(getDoc(doc(as("member"), "otpCodes/+27821234567")));
+    await assertFails(getDoc(doc(as("chair"), "otpCodes/+27821234567")));
+    await assertFails(
+      setDoc(doc(as("anon"), "otpCodes/+27821234567"), { otpHash: "x" }),
+    );
+  });
+});
+
+// ==========================================
+// SETTINGS & AUDIT LOGS
+// ==========================================
+
+describe("settings", () => {
+  test("everyone signed in reads; the chairperson writes, except rules", async () => {
+    await assertSucceeds(getDoc(doc(as("anon"), "settings/app")));
+    await assertFails(getDoc(doc(as("nobody"), "settings/app")));
+    await assertFails(setDoc(doc(as("secretary"), "settings/app"), { a: 1 }));
+    await assertSucceeds(setDoc(doc(as("chair"), "settings/app"), { a: 1 }));
+    await assertFails(setDoc(doc(as("chair"), "settings/rules"), { versions: [] }));
+  });
+});
+
+describe("auditLogs", () => {
+  test("officers add their own; only officers read; never edited", async () => {
+    await assertSucceeds(
+      addDoc(collection(as("secretary"), "auditLogs"), {
+        action: "x",
+        performedBy: "secretary-uid",
+      }),
+    );
+    await assertFails(
+      addDoc(collection(as("secretary"), "auditLogs"), {
+        action: "x",
+        performedBy: "chair-uid",
+      }),
+    );
+    await assertFails(
+      addDoc(collection(as("anon"), "auditLogs"), { action: "x", performedBy: "anon-uid" }),
+    );
+    await assertFails(
+      addDoc(collection(as("member"), "auditLogs"), { action: "x", performedBy: "m1" }),
+    );
+    await assertFails(
+      addDoc(collection(as("revoked"), "auditLogs"), {
+        action: "x",
+        performedBy: "revoked-uid",
+      }),
+    );
+    await assertFails(getDoc(doc(as("member"), "auditLogs/a1")));
+    await assertSucceeds(getDoc(doc(as("secretary"), "auditLogs/a1")));
+    await assertFails(updateDoc(doc(as("chair"), "auditLogs/a1"), { action: "y" }));
+    await assertFails(deleteDoc(doc(as("chair"), "auditLogs/a1")));
+  });
+});
+
+describe("interestPool", () => {
+  test("anyone signed in reads; officers write", async () => {
+    await assertSucceeds(getDoc(doc(as("member"), "interestPool/2026")));
+    await assertFails(
+      updateDoc(doc(as("member"), "interestPool/2026"), { totalFines: 0 }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("treasurer"), "interestPool/2026"), { totalFines: 0 }),
+    );
+  });
+});
+
+// ==========================================
+// LEDGER
+// ==========================================
+
+describe("ledgerEntries", () => {
+  test("members read postings on their own account", async () => {
+    await assertSucceeds(getDoc(doc(as("member"), "ledgerEntries/e1")));
+    await assertFails(getDoc(doc(as("member"), "ledgerEntries/e2")));
+  });
+
+  test("officers post balanced entries on known accounts", async () => {
+    await assertSucceeds(
+      setDoc(doc(as("secretary"), "ledgerEntries/new"), entry([
+        { account: "pool", debit: 0.1, credit: 0 },
+        { account: "pool", debit: 0.2, credit: 0 },
+        { account: "member:m1", debit: 0, credit: 0.3 },
+      ], { totalDebit: 0.3, totalCredit: 0.3 })),
+    );
+    await assertFails(
+      setDoc(doc(as("member"), "ledgerEntries/mine"), entry([
+        { account: "pool", debit: 300, credit: 0 },
+        { account: "member:m1", debit: 0, credit: 300 },
+      ])),
+    );
+  });
+
+  test("lines must add up to the totals", async () => {
+    await assertFails(
+      setDoc(doc(as("secretary"), "ledgerEntries/bad"), entry([
+        { account: "pool", debit: 300, credit: 0 },
+        { account: "member:m1", debit: 0, credit: 3000 },
+      ], { totalDebit: 300, totalCredit: 300 })),
+    );
+  });
+
+  test("unknown accounts and extra fields on lines are refused", async () => {
+    await assertFails(
+      setDoc(doc(as("secretary"), "ledgerEntries/bad"), entry([
+        { account: "pocket", debit: 300, credit: 0 },
+        { account: "member:m1", debit: 0, credit: 300 },
+      ])),
+    );
+    await assertFails(
+      setDoc(doc(as("secretary"), "ledgerEntries/bad"), entry([
+        { account: "pool", debit: 300, credit: 0, note: "x" },
+        { account: "member:m1", debit: 0, credit: 300 },
+      ])),
+    );
+    await assertFails(
+      setDoc(doc(as("secretary"), "ledgerEntries/bad"), entry([
+        { account: "pool", debit: -300, credit: 0 },
+        { account: "member:m1", debit: 0, credit: -300 },
+      ])),
+    );
+  });
+
+  test("no more than four lines", async () => {
+    const line = (account, debit, credit) => ({ account, debit, credit });
+    await assertFails(
+      setDoc(doc(as("secretary"), "ledgerEntries/bad"), entry([
+        line("pool", 100, 0),
+        line("pool", 100, 0),
+        line("pool", 100, 0),
+        line("member:m1", 0, 300),
+        line("member:m1", 0, 0),
+      ])),
+    );
+  });
+
+  test("postings are immutable", async () => {
+    await assertFails(
+      updateDoc(doc(as("chair"), "ledgerEntries/e1"), { memo: "edited" }),
+    );
+    await assertFails(deleteDoc(doc(as("chair"), "ledgerEntries/e1")));
+  });
+});
+
+// ==========================================
+// INTEREST, POOL TRANSACTIONS, RECONCILIATIONS
+// ==========================================
+
+describe("interestDistributions", () => {
+  test("officers draft; only the chairperson approves", async () => {
+    await assertFails(getDoc(doc(as("member"), "interestDistributions/2025")));
+    await assertSucceeds(
+      setDoc(doc(as("secretary"), "interestDistributions/2026"), {
+        status: "draft",
+      }),
+    );
+    await assertFails(
+      updateDoc(doc(as("treasurer"), "interestDistributions/2025"), {
+        status: "approved",
+      }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("chair"), "interestDistributions/2025"), {
+        status: "approved",
+      }),
+    );
+  });
+
+  test("an approved run is locked", async () => {
+    await assertFails(
+      updateDoc(doc(as("chair"), "interestDistributions/2024"), {
+        allocations: [{ memberId: "m1", amount: 1 }],
+      }),
+    );
+    await assertFails(deleteDoc(doc(as("chair"), "interestDistributions/2024")));
+    await assertSucceeds(
+      updateDoc(doc(as("treasurer"), "interestDistributions/2024"), {
+        status: "posted",
+      }),
+    );
+  });
+});
+
+describe("poolTransactions", () => {
+  test("officers record and reverse with a reason", async () => {
+    await assertFails(getDoc(doc(as("member"), "poolTransactions/p1")));
+    await assertSucceeds(
+      addDoc(collection(as("treasurer"), "poolTransactions"), {
+        status: "recorded",
+        kind: "income",
+        amount: 12.5,
+      }),
+    );
+    await assertFails(
+      updateDoc(doc(as("treasurer"), "poolTransactions/p1"), { amount: 1 }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("treasurer"), "poolTransactions/p1"), {
+        status: "reversed",
+        reversalReason: "Duplicate",
+      }),
+    );
+  });
+});
+
+describe("reconciliations", () => {
+  test("the treasurer or chairperson records checks; never edited", async () => {
+    const check = { month: "2026-03", bankBalance: 1500 };
+    await assertFails(addDoc(collection(as("secretary"), "reconciliations"), check));
+    await assertSucceeds(addDoc(collection(as("treasurer"), "reconciliations"), check));
+    await assertFails(
+      updateDoc(doc(as("chair"), "reconciliations/c1"), { bankBalance: 0 }),
+    );
+  });
+});
+
+// ==========================================
+// LOANS & ROTATIONS
+// ==========================================
+
+describe("loans", () => {
+  const application = (memberId) => ({
+    memberId: memberId,
+    status: "applied",
+    amount: 500,
+    months: 3,
+  });
+
+  test("members apply for and read only their own", async () => {
+    await assertSucceeds(getDoc(doc(as("member"), "loans/l1")));
+    await assertFails(getDoc(doc(as("member"), "loans/l2")));
+    await assertSucceeds(addDoc(collection(as("member"), "loans"), application("m1")));
+    await assertFails(addDoc(collection(as("member"), "loans"), application("m2")));
+    await assertFails(
+      addDoc(collection(as("member"), "loans"), {
+        ...application("m1"),
+        status: "active",
+      }),
+    );
+  });
+
+  test("a member may only cancel a waiting application", async () => {
+    await assertFails(
+      updateDoc(doc(as("member"), "loans/l1"), { status: "active" }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("member"), "loans/l1"), { status: "cancelled" }),
+    );
+  });
+
+  test("the treasurer or chairperson decides", async () => {
+    await assertFails(
+      updateDoc(doc(as("secretary"), "loans/l1"), { status: "active" }),
+    );
+    await assertSucceeds(
+      updateDoc(doc(as("treasurer"), "loans/l1"), { status: "active" }),
+    );
+  });
+
+  test("repayments only move the balance", async () => {
+    await assertSucceeds(
+      updateDoc(doc(as("secretary"), "loans/l2"), { balance: 800 }),
+    );
+    await assertFails(
+      updateDoc(doc(as("secretary"), "loans/l2"), { amount: 5 }),
+    );
+  });
+});
+
+describe("rotations", () => {
+  test("members read only rotations they're on", async () => {
+    await assertSucceeds(getDoc(doc(as("member"), "rotations/r1")));
+    await assertFails(getDoc(doc(as("member"), "rotations/r2")));
+    await assertSucceeds(getDoc(doc(as("secretary"), "rotations/r2")));
+    await assertFails(getDoc(doc(as("anon"), "rotations/r1")));
+    await assertSucceeds(
+      getDocs(
+        query(
+          collection(as("member"), "rotations"),
+          where("rosterIds", "array-contains", "m1"),
+        ),
+      ),
+    );
+    await assertFails(getDocs(collection(as("member"), "rotations")));
+  });
+
+  test("the treasurer or chairperson starts and pays; the roster is fixed", async () => {
+    const rotation = {
+      name: "New",
+      method: "auction",
+      startMonth: "2026-06",
+      contribution: 200,
+      roster: [{ memberId: "m1" }, { memberId: "m2" }],
+      rosterIds: ["m1", "m2"],
+      payouts: {},
+      status: "active",
+    };
+    await assertFails(addDoc(collection(as("secretary"), "rotations"), rotation));
+    await assertFails(
+      addDoc(collection(as("treasurer"), "rotations"), {
+        ...rotation,
+        rosterIds: ["m1"],
+      }),
+    );
+    await assertSucceeds(addDoc(collection(as("treasurer"), "rotations"), rotation));
+    await assertSucceeds(
+      updateDoc(doc(as("treasurer"), "rotations/r1"), {
+        "payouts.2026-01": { memberId: "m1", amount: 200 },
+      }),
+    );
+    await assertFails(
+      updateDoc(doc(as("treasurer"), "rotations/r1"), {
+        roster: [{ memberId: "m2" }, { memberId: "m1" }],
+      }),
+    );
+    await assertFails(deleteDoc(doc(as("chair"), "rotations/r1")));
+  });
+});
+
+// ==========================================
+// SERVER-ONLY COLLECTIONS
+// ==========================================
+
+describe("server-only collections", () => {
+  const officerRead = [
+    "smsLogs",
+    "smsQueue",
+    "monthCloses",
+    "schemaMigrations",
+    "popFingerprints",
+    "reminderLog",
+    "statements",
+  ];
+
+  for (const name of officerRead) {
+    test(`${name}: officers read, nobody writes`, async () => {
+      await assertSucceeds(getDoc(doc(as("secretary"), `${name}/x1`)));
+      await assertFails(getDoc(doc(as("member"), `${name}/x1`)));
+      await assertFails(setDoc(doc(as("chair"), `${name}/x2`), { a: 1 }));
+    });
+  }
+
+  test("bankTransactions: officers claim a deposit once", async () => {
+    await assertFails(getDoc(doc(as("member"), "bankTransactions/x1")));
+    await assertSucceeds(
+      setDoc(doc(as("secretary"), "bankTransactions/x2"), { amount: 300 }),
+    );
+    await assertFails(
+      updateDoc(doc(as("secretary"), "bankTransactions/x1"), { amount: 1 }),
+    );
+  });
+
+  test("bankTransactions: released only with the payment's reversal", async () => {
+    await assertFails(deleteDoc(doc(as("secretary"), "bankTransactions/b1")));
+
+    const db = as("secretary");
+    const batch = writeBatch(db);
+    batch.update(doc(db, "submissions/s1"), {
+      status: "reversed",
+      reversalReason: "Wrong member",
+    });
+    batch.delete(doc(db, "bankTransactions/b1"));
+    await assertSucceeds(batch.commit());
+  });
+});
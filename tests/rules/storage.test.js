@@ -0,0 +1,108 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - STORAGE RULES TESTS
+ * =====================================================
+ *
+ * storage.rules against the Storage emulator. The officer check reads
+ * officers/{uid} from Firestore, so both emulators run (npm run
+ * test:rules).
+ *
+ * =====================================================
+ */
+
+const { after, before, beforeEach, describe, test } = require("node:test");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require("@firebase/rules-unit-testing");
+const { doc, setDoc } = require("firebase/firestore");
+const {
+  deleteObject,
+  getBytes,
+  ref,
+  uploadBytes,
+} = require("firebase/storage");
+
+const ROOT = path.join(__dirname, "..", "..");
+const PROOF = "proofs/u1/original.jpg";
+const JPEG = { contentType: "image/jpeg" };
+
+let env;
+
+function as(uid, claims) {
+  if (!uid) return env.unauthenticatedContext().storage();
+  return env.authenticatedContext(uid, claims).storage();
+}
+
+const chair = () => as("chair-uid", { role: "chairperson", level: 3 });
+const secretary = () => as("secretary-uid", { role: "secretary", level: 2 });
+const revoked = () => as("revoked-uid", { role: "treasurer", level: 2 });
+const visitor = () => as("anon-uid");
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: "demo-tshikota",
+    firestore: {
+      rules: fs.readFileSync(path.join(ROOT, "firestore.rules"), "utf8"),
+    },
+    storage: {
+      rules: fs.readFileSync(path.join(ROOT, "storage.rules"), "utf8"),
+    },
+  });
+});
+
+after(async () => {
+  await env?.cleanup();
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.clearStorage();
+  await env.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, "officers/chair-uid"), { status: "active" });
+    await setDoc(doc(db, "officers/secretary-uid"), { status: "active" });
+    await setDoc(doc(db, "officers/revoked-uid"), { status: "revoked" });
+    await uploadBytes(ref(context.storage(), PROOF), new Uint8Array(8), JPEG);
+  });
+});
+
+describe("proofs", () => {
+  test("anyone signed in uploads a new original", async () => {
+    const file = new Uint8Array(8);
+    await assertSucceeds(
+      uploadBytes(ref(visitor(), "proofs/u2/original.jpg"), file, JPEG),
+    );
+    await assertFails(
+      uploadBytes(ref(as(null), "proofs/u3/original.jpg"), file, JPEG),
+    );
+    await assertFails(
+      uploadBytes(ref(visitor(), "proofs/u4/thumb.jpg"), file, JPEG),
+    );
+    await assertFails(
+      uploadBytes(ref(visitor(), "proofs/u5/original.exe"), file, {
+        contentType: "application/octet-stream",
+      }),
+    );
+  });
+
+  test("an original can't be overwritten", async () => {
+    await assertFails(
+      uploadBytes(ref(chair(), PROOF), new Uint8Array(8), JPEG),
+    );
+  });
+
+  test("only active officers see proofs", async () => {
+    await assertSucceeds(getBytes(ref(secretary(), PROOF)));
+    await assertFails(getBytes(ref(visitor(), PROOF)));
+    await assertFails(getBytes(ref(revoked(), PROOF)));
+  });
+
+  test("only the chairperson deletes", async () => {
+    await assertFails(deleteObject(ref(secretary(), PROOF)));
+    await assertSucceeds(deleteObject(ref(chair(), PROOF)));
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - BROWSER MODULES UNDER NODE
+ * =====================================================
+ *
+ * The js/ modules are plain scripts that hang themselves on window.
+ * load() runs the ones a test needs in a fresh context whose global is
+ * also `window`, and returns it. Firebase isn't there, so only the
+ * calculations can be tested this way, not anything that reads or
+ * writes.
+ *
+ * =====================================================
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const JS = path.join(__dirname, "..", "..", "js");
+
+/**
+ * Run browser modules, in order, in a new context
+ *
+ * @param {string[]} files - Names inside js/, dependencies first
+ * @param {object} globals - Extra globals (e.g. APP_SETTINGS)
+ * @returns {object} The context's window (Utils, Ledger, ...)
+ */
+function load(files, globals = {}) {
+  const context = vm.createContext({ console, crypto, ...globals });
+  context.window = context;
+
+  files.forEach((file) => {
+    const code = fs.readFileSync(path.join(JS, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  });
+
+  return context;
+}
+
+/**
+ * Firestore-like timestamp for entry.postedAt and friends
+ * @param {string} iso - e.g. "2025-03-05T10:00:00"
+ * @returns {{toDate: function}}
+ */
+function timestamp(iso) {
+  const date = new Date(iso);
+  return { toDate: () => date };
+}
+
+module.exports = {
+  load,
+  timestamp,
+};
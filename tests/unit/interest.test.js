@@ -0,0 +1,114 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - INTEREST DISTRIBUTION TESTS
+ * =====================================================
+ *
+ * Interest.allocate() and the ledger entry each share becomes
+ * (js/interest.js, js/ledger.js).
+ *
+ * =====================================================
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { load, timestamp } = require("./browser");
+
+const { Interest, Ledger } = load([
+  "utils.js",
+  "rules.js",
+  "database.js",
+  "ledger.js",
+  "interest.js",
+]);
+
+const sum = (values) => Math.round(values.reduce((a, b) => a + b, 0) * 100) / 100;
+
+describe("Interest.allocate", () => {
+  test("shares add up to the pool to the cent", () => {
+    const cases = [
+      [100, [1, 1, 1]],
+      [1234.57, [10000, 25000, 12500.5, 300]],
+      [0.05, [1, 1, 1, 1, 1, 1, 1]],
+      [999.99, [3, 7]],
+    ];
+    for (const [amount, weights] of cases) {
+      assert.equal(sum(Interest.allocate(amount, weights)), amount);
+    }
+  });
+
+  test("leftover cents go to the largest remainders, earlier rows first", () => {
+    assert.deepEqual(Interest.allocate(100, [1, 1, 1]), [33.34, 33.33, 33.33]);
+    assert.deepEqual(Interest.allocate(10, [1, 2]), [3.33, 6.67]);
+  });
+
+  test("shares follow the weights", () => {
+    assert.deepEqual(Interest.allocate(600, [10000, 20000, 30000]), [100, 200, 300]);
+  });
+
+  test("zero weights get nothing; an empty pool shares nothing", () => {
+    assert.deepEqual(Interest.allocate(50, [0, 1]), [0, 50]);
+    assert.deepEqual(Interest.allocate(0, [1, 1]), [0, 0]);
+    assert.deepEqual(Interest.allocate(50, [0, 0]), [0, 0]);
+  });
+});
+
+describe("Interest.savingsMovements", () => {
+  test("member credits and debits up to the cut-off day", () => {
+    const entries = [
+      {
+        postedAt: timestamp("2025-02-03T09:00:00"),
+        lines: [
+          { account: "pool", debit: 500, credit: 0 },
+          { account: "member:m1", debit: 0, credit: 500 },
+        ],
+      },
+      {
+        postedAt: timestamp("2025-03-01T09:00:00"),
+        lines: [
+          { account: "member:m1", debit: 200, credit: 0 },
+          { account: "pool", debit: 0, credit: 200 },
+        ],
+      },
+      {
+        postedAt: timestamp("2025-12-01T09:00:00"),
+        lines: [{ account: "member:m2", debit: 0, credit: 900 }],
+      },
+    ];
+
+    assert.deepEqual(
+      JSON.parse(JSON.stringify(Interest.savingsMovements(entries, "2025-06-30"))),
+      {
+        m1: [
+          { date: "2025-02-03", amount: 500 },
+          { date: "2025-03-01", amount: -200 },
+        ],
+      },
+    );
+  });
+});
+
+describe("interest entries", () => {
+  test("each share moves fines and income into the member's savings", () => {
+    const fineShares = Interest.allocate(90, [1, 2]);
+    const shares = Interest.allocate(300, [1, 2]);
+
+    const entries = [0, 1].map((index) =>
+      Ledger.interestEntry(
+        {
+          memberId: `m${index + 1}`,
+          fines: fineShares[index],
+          interest: Ledger.toAmount(shares[index] - fineShares[index]),
+          amount: shares[index],
+        },
+        2025,
+        "treasurer",
+      ),
+    );
+
+    const summary = Ledger.summarize(entries.map((entry) => entry.data));
+    assert.equal(Ledger.creditBalance(summary, "member:m1"), 100);
+    assert.equal(Ledger.creditBalance(summary, "member:m2"), 200);
+    assert.equal(Ledger.creditBalance(summary, "fines:2025"), -90);
+    assert.equal(Ledger.creditBalance(summary, "interest:2025"), -210);
+  });
+});
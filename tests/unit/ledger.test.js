@@ -0,0 +1,176 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - DASHBOARD TOTALS TESTS
+ * =====================================================
+ *
+ * functions/ledger.js stokvelChanges() over entries built with the
+ * browser's Ledger, submissionCounts() for each status, and the
+ * server's approvalEntries() (used by the backfill) against the
+ * browser's.
+ *
+ * =====================================================
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./browser");
+const {
+  approvalEntries,
+  stokvelChanges,
+  submissionCounts,
+} = require("../../functions/ledger");
+
+const { Ledger } = load(["utils.js", "rules.js", "database.js", "ledger.js"]);
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const late = {
+  id: "s1",
+  memberId: "m1",
+  amount: 500,
+  fineAmount: 50,
+  paymentMonth: "March 2025",
+};
+
+describe("stokvelChanges", () => {
+  test("an approved late payment adds savings, fines and the month", () => {
+    const [contribution, fine] = Ledger.approvalEntries(late, "treasurer");
+
+    assert.deepEqual(stokvelChanges(plain(contribution.data)), {
+      "totals/totalSavings": 500,
+      "monthly/2025/March/totalCollected": 500,
+      "monthly/2025/March/approvedCount": 1,
+    });
+    assert.deepEqual(stokvelChanges(plain(fine.data)), {
+      "totals/totalFines": 50,
+      "interestPool/2025/totalFines": 50,
+      "interestPool/2025/fineCount": 1,
+      "monthly/2025/March/totalCollected": 50,
+      "monthly/2025/March/finesCollected": 50,
+      "monthly/2025/March/latePayments": 1,
+    });
+  });
+
+  test("a reversal takes its original's figures back out", () => {
+    const [contribution] = Ledger.approvalEntries(late, "treasurer");
+    const reversal = Ledger.reversalEntry(contribution, "Wrong member", "chair");
+
+    assert.deepEqual(stokvelChanges(plain(reversal.data)), {});
+    assert.deepEqual(
+      stokvelChanges(plain(reversal.data), { original: plain(contribution.data) }),
+      {
+        "totals/totalSavings": -500,
+        "monthly/2025/March/totalCollected": -500,
+        "monthly/2025/March/approvedCount": -1,
+      },
+    );
+  });
+
+  test("rotation contributions and payouts aren't savings", () => {
+    const [contribution] = Ledger.approvalEntries(
+      { ...late, fineAmount: 0, rotationId: "r1" },
+      "treasurer",
+    );
+    const payout = Ledger.payoutEntry(
+      { id: "r1", name: "Rotation" },
+      { month: "2025-03", memberId: "m2", name: "Thandi", amount: 2000 },
+      "treasurer",
+    );
+
+    assert.equal(stokvelChanges(plain(contribution.data))["totals/totalSavings"], undefined);
+    assert.equal(stokvelChanges(plain(contribution.data))["totals/rotationContributions"], 500);
+    assert.deepEqual(stokvelChanges(plain(payout.data)), {
+      "totals/rotationPayouts": 2000,
+    });
+  });
+
+  test("loan repayments split into principal and pool interest", () => {
+    const loan = Ledger.loanEntry({ id: "l1", memberId: "m1", amount: 1000, months: 3 }, 2025, "chair");
+    const repayment = Ledger.repaymentEntry(
+      { id: "s2", memberId: "m1", loanId: "l1", amount: 400, paymentMonth: "April 2025" },
+      { principal: 350, interest: 50 },
+      2025,
+      "treasurer",
+    );
+
+    assert.deepEqual(stokvelChanges(plain(loan.data)), {
+      "totals/loansOutstanding": 1000,
+    });
+    assert.deepEqual(stokvelChanges(plain(repayment.data)), {
+      "totals/loansOutstanding": -350,
+      "totals/loanInterest": 50,
+      "interestPool/2025/loanInterest": 50,
+    });
+  });
+
+  test("pool expenses count under their category and as expenses", () => {
+    const expense = Ledger.poolEntry(
+      { id: "p1", kind: "expense", amount: 12.5, year: 2025, category: "bankCharges" },
+      "treasurer",
+    );
+
+    assert.deepEqual(stokvelChanges(plain(expense.data), { category: "bankCharges" }), {
+      "totals/bankCharges": 12.5,
+      "totals/expenses": 12.5,
+      "interestPool/2025/bankCharges": 12.5,
+      "interestPool/2025/expenses": 12.5,
+    });
+  });
+
+  test("interest shares are paid into savings", () => {
+    const share = Ledger.interestEntry(
+      { memberId: "m1", fines: 20, interest: 5, amount: 25 },
+      2025,
+      "chair",
+    );
+
+    assert.deepEqual(stokvelChanges(plain(share.data)), {
+      "totals/totalSavings": 25,
+      "totals/interestPaid": 25,
+      "interestPool/2025/distributedAmount": 25,
+    });
+  });
+});
+
+describe("submissionCounts", () => {
+  test("a member's pending submission counts for them and the stokvel", () => {
+    assert.deepEqual(submissionCounts({ memberId: "m1", status: "pending" }), {
+      "totals/totalSubmissions": 1,
+      "totals/pendingSubmissions": 1,
+      "members/m1/submissionCount": 1,
+      "members/m1/pendingCount": 1,
+    });
+  });
+
+  test("guest and rejected submissions only count in the totals", () => {
+    assert.deepEqual(submissionCounts({ memberId: null, status: "verified" }), {
+      "totals/totalSubmissions": 1,
+      "totals/approvedSubmissions": 1,
+    });
+    assert.deepEqual(submissionCounts({ memberId: "m1", status: "rejected" }), {
+      "totals/totalSubmissions": 1,
+      "totals/rejectedSubmissions": 1,
+      "members/m1/submissionCount": 1,
+    });
+    assert.deepEqual(submissionCounts(null), {});
+  });
+});
+
+describe("approvalEntries", () => {
+  test("the backfill posts what the browser would", () => {
+    const submissions = [
+      late,
+      { id: "s2", memberId: "m1", amount: 300, reference: "TRF-10001", paymentMonth: "April 2025" },
+      { id: "s3", memberId: null, amount: 300, paymentMonth: "April 2025" },
+      { id: "s4", memberId: "m2", amount: 500, rotationId: "r1", paymentMonth: "May 2025" },
+    ];
+
+    submissions.forEach((submission) => {
+      assert.deepEqual(
+        approvalEntries(submission, "backfill"),
+        plain(Ledger.approvalEntries(submission, "backfill")),
+        submission.id,
+      );
+    });
+  });
+});
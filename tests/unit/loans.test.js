@@ -0,0 +1,87 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - LOAN SCHEDULE TESTS
+ * =====================================================
+ *
+ * Repayment schedules and how payments are split between interest
+ * and principal (js/loans.js).
+ *
+ * =====================================================
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./browser");
+
+const { Loans } = load(["utils.js", "rules.js", "loans.js"]);
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe("Loans.buildSchedule", () => {
+  const schedule = Loans.buildSchedule(1000, 5, 6, "2025-01-15", 7);
+
+  test("R1000 at 5% a month over 6 months", () => {
+    assert.deepEqual(
+      plain(schedule).map(({ instalment }) => instalment),
+      [197.02, 197.02, 197.02, 197.02, 197.02, 197.01],
+    );
+    assert.deepEqual(plain(Loans.scheduleTotals(schedule)), {
+      interest: 182.11,
+      repayable: 1182.11,
+    });
+  });
+
+  test("interest is on the reducing balance and the principal is repaid", () => {
+    assert.equal(schedule[0].interest, 50);
+    assert.equal(schedule[1].interest, 42.65);
+    const principal = schedule.reduce((total, row) => total + row.principal, 0);
+    assert.equal(Math.round(principal * 100) / 100, 1000);
+  });
+
+  test("instalments fall on the due day, starting the month after payout", () => {
+    assert.deepEqual(
+      plain(schedule).map((row) => row.dueDate),
+      ["2025-02-07", "2025-03-07", "2025-04-07", "2025-05-07", "2025-06-07", "2025-07-07"],
+    );
+  });
+
+  test("an interest-free loan is split evenly", () => {
+    const free = Loans.buildSchedule(600, 0, 3, "2025-01-15", 7);
+    assert.deepEqual(
+      plain(free).map((row) => row.instalment),
+      [200, 200, 200],
+    );
+  });
+});
+
+describe("Loans.splitPayment", () => {
+  const schedule = Loans.buildSchedule(1000, 5, 6, "2025-01-15", 7);
+  const none = { principal: 0, interest: 0 };
+
+  test("each instalment's interest is paid before its principal", () => {
+    assert.deepEqual(plain(Loans.splitPayment(schedule, none, 30)), {
+      principal: 0,
+      interest: 30,
+    });
+    assert.deepEqual(plain(Loans.splitPayment(schedule, none, 197.02)), {
+      principal: 147.02,
+      interest: 50,
+    });
+  });
+
+  test("a payment picks up where the last one stopped", () => {
+    const repaid = { principal: 147.02, interest: 50 };
+    assert.deepEqual(plain(Loans.splitPayment(schedule, repaid, 197.02)), {
+      principal: 154.37,
+      interest: 42.65,
+    });
+  });
+
+  test("more than the balance is refused", () => {
+    assert.throws(() => Loans.splitPayment(schedule, none, 1182.12), /more than/);
+    assert.deepEqual(plain(Loans.splitPayment(schedule, none, 1182.11)), {
+      principal: 1000,
+      interest: 182.11,
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - BALANCE CHECK TESTS
+ * =====================================================
+ *
+ * Reconciliation.books() over a quarter of postings built with the
+ * real Ledger entry builders (js/reconciliation.js, js/ledger.js).
+ *
+ * =====================================================
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { load, timestamp } = require("./browser");
+
+const { Ledger, Reconciliation } = load([
+  "utils.js",
+  "rules.js",
+  "database.js",
+  "ledger.js",
+  "reconciliation.js",
+]);
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const posted = (day, { id, data }) => ({
+  id,
+  ...data,
+  postedAt: timestamp(`${day}T12:00:00`),
+});
+
+const s1 = { id: "s1", memberId: "m1", amount: 500, paymentMonth: "January 2025" };
+const s2 = {
+  id: "s2",
+  memberId: "m2",
+  amount: 500,
+  fineAmount: 50,
+  paymentMonth: "January 2025",
+};
+const guest = { id: "s3", amount: 300, paymentMonth: "February 2025" };
+const loan = { id: "l1", memberId: "m1", amount: 1000, months: 6 };
+const repayment = {
+  id: "s4",
+  memberId: "m1",
+  loanId: "l1",
+  amount: 197.02,
+  paymentMonth: "March 2025",
+};
+const rotation = { id: "r1", name: "Spring rotation" };
+const rotationContribution = {
+  id: "s5",
+  memberId: "m2",
+  rotationId: "r1",
+  amount: 200,
+  paymentMonth: "March 2025",
+};
+
+const [s1Contribution] = Ledger.approvalEntries(s1, "treasurer");
+
+const ENTRIES = [
+  posted("2025-01-05", s1Contribution),
+  ...Ledger.approvalEntries(s2, "treasurer").map((entry) => posted("2025-01-20", entry)),
+  posted("2025-02-01", Ledger.loanEntry(loan, 2025, "treasurer")),
+  ...Ledger.approvalEntries(guest, "treasurer").map((entry) => posted("2025-02-10", entry)),
+  posted(
+    "2025-03-07",
+    Ledger.repaymentEntry(repayment, { principal: 147.02, interest: 50 }, 2025, "treasurer"),
+  ),
+  ...Ledger.approvalEntries(rotationContribution, "treasurer").map((entry) =>
+    posted("2025-03-10", entry),
+  ),
+  posted(
+    "2025-03-31",
+    Ledger.payoutEntry(
+      rotation,
+      { month: "2025-03", memberId: "m1", name: "Member One", amount: 200 },
+      "treasurer",
+    ),
+  ),
+  posted(
+    "2025-04-02",
+    Ledger.poolEntry(
+      { id: "t1", kind: "income", amount: 20, year: 2025, description: "Bank interest" },
+      "treasurer",
+    ),
+  ),
+  posted(
+    "2025-04-05",
+    Ledger.reversalEntry({ id: s1Contribution.id, ...s1Contribution.data }, "Paid twice", "treasurer"),
+  ),
+];
+
+describe("Reconciliation.books", () => {
+  test("the books at the end of March", () => {
+    assert.deepEqual(plain(Reconciliation.books(ENTRIES, "2025-03-31")), {
+      savings: 1000,
+      fines: 50,
+      netIncome: 50,
+      loans: 852.98,
+      rotation: 0,
+      suspense: 300,
+      pool: 547.02,
+      expected: 247.02,
+    });
+  });
+
+  test("only entries posted by the end of the day count", () => {
+    const books = Reconciliation.books(ENTRIES, "2025-01-19");
+    assert.equal(books.pool, 500);
+    assert.equal(books.expected, 500);
+  });
+
+  test("the pool is what's expected plus guest money, every day", () => {
+    const days = [...new Set(ENTRIES.map((entry) => Reconciliation.dayOf(entry.postedAt)))];
+    for (const day of days) {
+      const books = Reconciliation.books(ENTRIES, day);
+      assert.equal(books.pool, Ledger.toAmount(books.expected + books.suspense), day);
+    }
+  });
+
+  test("a reversal takes the contribution back out of savings", () => {
+    const books = Reconciliation.books(ENTRIES, "2025-04-30");
+    assert.equal(books.savings, 500);
+    assert.equal(books.netIncome, 70);
+    assert.equal(books.pool, 67.02);
+  });
+
+  test("month end", () => {
+    assert.equal(Reconciliation.monthEnd("2024-02"), "2024-02-29");
+    assert.equal(Reconciliation.monthEnd("2025-12"), "2025-12-31");
+  });
+});
+
+describe("Reconciliation.liveDrift", () => {
+  const books = Reconciliation.books(ENTRIES, "2025-04-30");
+  const totals = {
+    totalSavings: 800,
+    totalFines: 50,
+    bankInterest: 20,
+    loanInterest: 50,
+    loansOutstanding: 852.98,
+    rotationContributions: 200,
+    rotationPayouts: 200,
+  };
+
+  test("live totals that match the ledger don't drift", () => {
+    assert.deepEqual(plain(Reconciliation.liveDrift(totals, books)), {
+      live: 67.02,
+      ledger: 67.02,
+      drift: 0,
+    });
+  });
+
+  test("a missed increment shows up as drift", () => {
+    const missed = { ...totals, totalFines: 0 };
+    assert.equal(Reconciliation.liveDrift(missed, books).drift, -50);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - RULES PARITY TESTS
+ * =====================================================
+ *
+ * The browser (js/rules.js) and the server (functions/rules.js) each
+ * decide which rule version a month falls under and whether a payment
+ * is late. They must never disagree, so both run on the same cases
+ * here.
+ *
+ * =====================================================
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./browser");
+const server = require("../../functions/rules");
+
+const { Rules } = load(["utils.js", "rules.js"]);
+
+const VERSIONS = [
+  { effectiveFrom: "2000-01-01", ...server.DEFAULT_RULES },
+  // A version saved before the loan rules existed
+  {
+    effectiveFrom: "2025-04-01",
+    minimumDeposit: 400,
+    lateFineAmount: 75,
+    paymentDueDay: 10,
+    interestEligibilityMin: 10000,
+    warningAfterSkipped: 2,
+    suspendAfterSkipped: 3,
+  },
+  {
+    ...server.DEFAULT_RULES,
+    effectiveFrom: "2026-01-01",
+    lateFineAmount: 100,
+    paymentDueDay: 5,
+  },
+];
+
+const MONTHS = [
+  "January 2024",
+  "March 2025",
+  "April 2025",
+  "December 2025",
+  "January 2026",
+  "February 2026",
+];
+
+// [payment day, payment month]
+const PAYMENTS = [
+  ["2025-03-07", "March 2025"], // on the due day
+  ["2025-03-08", "March 2025"], // a day late
+  ["2025-04-10", "April 2025"], // due day moved to the 10th
+  ["2025-04-11", "April 2025"],
+  ["2025-12-31", "January 2026"], // paying ahead
+  ["2026-01-05", "January 2026"],
+  ["2026-01-06", "January 2026"],
+  ["2026-02-01", "December 2025"], // paying behind
+  ["2024-02-29", "February 2024"],
+];
+
+describe("rules parity", () => {
+  test("defaults match", () => {
+    assert.deepEqual({ ...Rules.defaults() }, server.DEFAULT_RULES);
+  });
+
+  test("each month is judged by the same version", () => {
+    // The browser fills rules a version predates from the defaults as
+    // it loads them (Rules.fetchVersions)
+    const browserVersions = VERSIONS.map((v) => ({ ...Rules.defaults(), ...v }));
+
+    for (const month of MONTHS) {
+      const browser = Rules.inForce(browserVersions, `${Rules.monthKey(month)}-01`);
+      assert.deepEqual({ ...browser }, server.forMonth(VERSIONS, month), month);
+    }
+  });
+
+  test("the same payments are late, with the same fine", () => {
+    for (const [day, month] of PAYMENTS) {
+      const monthRules = server.forMonth(VERSIONS, month);
+      const browserRules = Rules.inForce(VERSIONS, `${Rules.monthKey(month)}-01`);
+
+      assert.equal(
+        Rules.isLate(day, month, browserRules),
+        server.isLate(day, month, monthRules),
+        `${day} for ${month}`,
+      );
+      assert.equal(browserRules.lateFineAmount, monthRules.lateFineAmount);
+    }
+  });
+
+  test("late means after the due day of the month paid for", () => {
+    const late = PAYMENTS.filter(([day, month]) =>
+      server.isLate(day, month, server.forMonth(VERSIONS, month)),
+    );
+    assert.deepEqual(late, [
+      ["2025-03-08", "March 2025"],
+      ["2025-04-11", "April 2025"],
+      ["2026-01-06", "January 2026"],
+      ["2026-02-01", "December 2025"],
+      ["2024-02-29", "February 2024"],
+    ]);
+  });
+});
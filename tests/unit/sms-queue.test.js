@@ -0,0 +1,51 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - SMS QUEUE TESTS
+ * =====================================================
+ *
+ * What each queue entry keeps and how often it is tried
+ * (functions/sms-queue.js).
+ *
+ * =====================================================
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_ATTEMPTS, newEntry } = require("../../functions/sms-queue");
+
+const admitted = (template, message) => ({
+  phone: "27821234567",
+  template: template,
+  params: { name: "Thandi" },
+  message: message,
+  requestedBy: "system",
+});
+
+describe("newEntry", () => {
+  test("member confirmations are kept and retried", () => {
+    for (const template of ["popSubmitted", "registration"]) {
+      const entry = newEntry(admitted(template, "Hi Thandi"), "m1");
+
+      assert.equal(entry.maxAttempts, MAX_ATTEMPTS, template);
+      assert.equal(entry.message, "Hi Thandi", template);
+      assert.deepEqual(entry.params, { name: "Thandi" }, template);
+      assert.equal(entry.memberId, "m1");
+    }
+  });
+
+  test("reset codes are never stored and get one attempt", () => {
+    const entry = newEntry(admitted("passwordReset", "Your code is 123456"), "m1");
+
+    assert.equal(entry.maxAttempts, 1);
+    assert.equal(entry.message, null);
+    assert.equal(entry.params, null);
+  });
+
+  test("a new entry waits in the queue", () => {
+    const entry = newEntry(admitted("paymentApproved", "Great news"), null);
+
+    assert.equal(entry.status, "queued");
+    assert.equal(entry.attempts, 0);
+    assert.equal(entry.memberId, null);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * =====================================================
+ * TSHIKOTA RO FARANA - STATEMENT TESTS
+ * =====================================================
+ *
+ * functions/statements.js buildStatement() over entries built with the
+ * browser's Ledger, the way they are posted.
+ *
+ * =====================================================
+ */
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { load, timestamp } = require("./browser");
+const { buildStatement } = require("../../functions/statements");
+
+const { Ledger } = load(["utils.js", "rules.js", "database.js", "ledger.js"]);
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Posted mid-morning South African time
+const posted = (day, { id, data }) => ({
+  id,
+  ...data,
+  postedAt: timestamp(`${day}T10:00:00+02:00`),
+});
+
+const january = { id: "s1", memberId: "m1", amount: 500, paymentMonth: "January 2025" };
+const february = {
+  id: "s2",
+  memberId: "m1",
+  amount: 500,
+  fineAmount: 50,
+  reference: "TRF001",
+  paymentMonth: "February 2025",
+};
+const [januaryContribution] = Ledger.approvalEntries(january, "treasurer");
+
+const ENTRIES = [
+  posted("2025-01-05", januaryContribution),
+  ...Ledger.approvalEntries(february, "treasurer").map((entry) => posted("2025-02-12", entry)),
+  posted(
+    "2025-02-15",
+    Ledger.loanEntry({ id: "l1", memberId: "m1", amount: 1000, months: 6 }, 2025, "treasurer"),
+  ),
+  posted(
+    "2025-03-02",
+    Ledger.rejectionEntry(
+      { id: "s3", memberId: "m1", amount: 500, paymentMonth: "March 2025" },
+      "Proof unreadable",
+      "treasurer",
+    ),
+  ),
+  posted(
+    "2025-03-07",
+    Ledger.repaymentEntry(
+      { id: "s4", memberId: "m1", loanId: "l1", amount: 197.02, paymentMonth: "March 2025" },
+      { principal: 147.02, interest: 50 },
+      2025,
+      "treasurer",
+    ),
+  ),
+  posted(
+    "2025-03-20",
+    Ledger.reversalEntry(
+      { id: januaryContribution.id, ...januaryContribution.data },
+      "Paid twice",
+      "treasurer",
+    ),
+  ),
+  posted(
+    "2025-12-15",
+    Ledger.interestEntry({ memberId: "m1", fines: 20, interest: 30, amount: 50 }, 2025, "treasurer"),
+  ),
+];
+
+describe("buildStatement", () => {
+  test("the whole year", () => {
+    const statement = buildStatement(ENTRIES, "m1", "2025-01-01", "2025-12-31");
+
+    assert.equal(statement.openingBalance, 0);
+    assert.equal(statement.closingBalance, 550);
+    assert.deepEqual(plain(statement.totals), {
+      contributions: 1000,
+      fines: 50,
+      reversals: -500,
+      interest: 50,
+      rejected: 1,
+    });
+  });
+
+  test("loans and their repayments aren't savings", () => {
+    const statement = buildStatement(ENTRIES, "m1", "2025-01-01", "2025-12-31");
+    assert.deepEqual(
+      statement.rows.map((row) => [row.date, row.type, row.amount, row.fine, row.balance]),
+      [
+        ["2025-01-05", "contribution", 500, 0, 500],
+        ["2025-02-12", "contribution", 500, 0, 1000],
+        ["2025-02-12", "fine", 0, 50, 1000],
+        ["2025-03-02", "rejection", 0, 0, 1000],
+        ["2025-03-20", "reversal", -500, 0, 500],
+        ["2025-12-15", "interest", 50, 0, 550],
+      ],
+    );
+  });
+
+  test("earlier entries make up the opening balance", () => {
+    const statement = buildStatement(ENTRIES, "m1", "2025-03-01", "2025-03-31");
+
+    assert.equal(statement.openingBalance, 1000);
+    assert.equal(statement.closingBalance, 500);
+    assert.deepEqual(plain(statement.totals), {
+      contributions: 0,
+      fines: 0,
+      reversals: -500,
+      interest: 0,
+      rejected: 1,
+    });
+  });
+
+  test("another member's entries don't count", () => {
+    const statement = buildStatement(ENTRIES, "m2", "2025-01-01", "2025-12-31");
+    assert.equal(statement.closingBalance, 0);
+    assert.equal(statement.totals.contributions, 0);
+  });
+});